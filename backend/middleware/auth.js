@@ -0,0 +1,82 @@
+// Authentication & authorization middleware
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'farmers10_secret';
+
+// Access tokens only carry the user id and session id. Everything else on
+// req.user comes from the stored account, so a revoked session or a
+// deactivated user is rejected even while the JWT itself is still valid.
+// Returns null for any token that should not be trusted.
+const resolveTokenUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('+sessions');
+
+  if (!user || !user.isActive || !user.findActiveSession(decoded.sid)) {
+    return null;
+  }
+
+  return {
+    id: user._id.toString(),
+    role: user.role,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    sessionId: decoded.sid
+  };
+};
+
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const user = await resolveTokenUser(token);
+
+    if (!user) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const authorizeRole = (roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+};
+
+// Socket.IO middleware. Anonymous sockets may still connect for public feeds
+// (news, prices); a valid token attaches socket.data.user.
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (token) {
+    try {
+      socket.data.user = await resolveTokenUser(token);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+};
+
+module.exports = { authenticateToken, authorizeRole, authenticateSocket, resolveTokenUser, JWT_SECRET };
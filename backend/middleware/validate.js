@@ -0,0 +1,18 @@
+// Request validation middleware
+
+const { validationResult } = require('express-validator');
+
+// Runs after express-validator chains and answers in the same shape as the
+// global mongoose ValidationError handler.
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: errors.array().map(err => err.msg)
+    });
+  }
+  next();
+};
+
+module.exports = { handleValidation };
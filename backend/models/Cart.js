@@ -0,0 +1,30 @@
+// Server-side shopping carts, one per user
+
+const mongoose = require('mongoose');
+
+// Mirrors an order line request: a catalogue spice (filled from any lot at
+// basePrice), one of its pack sizes (at the pack price) or one farmer's
+// inventory lot (at its pricePerKg)
+const cartItemSchema = new mongoose.Schema({
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  variant: mongoose.Schema.Types.ObjectId, // pack size from spice.variants
+  inventoryLot: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' },
+  quantity: { type: Number, required: true, min: 0.001 }, // kg, or packs for a variant
+  // ₹ per kg (or pack) the customer last saw, so a price change can be pointed out once
+  priceSeen: Number,
+  addedAt: { type: Date, default: Date.now }
+});
+
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [cartItemSchema]
+}, { timestamps: true });
+
+cartSchema.methods.findLine = function ({ spice, variant, inventoryLot }) {
+  return this.items.find(item =>
+    item.spice.toString() === spice.toString() &&
+    String(item.variant || '') === String(variant || '') &&
+    String(item.inventoryLot || '') === String(inventoryLot || ''));
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
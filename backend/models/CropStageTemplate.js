@@ -0,0 +1,38 @@
+// Versioned agronomic stage templates per spice category
+// Like grading rules, templates are never edited in place: every change is
+// saved as the next version and plans remember which version they follow.
+
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['planting', 'fertilizing', 'weeding', 'pruning', 'irrigation', 'pest_control', 'harvesting', 'post_harvest'];
+
+const templateStageSchema = new mongoose.Schema({
+  stage: { type: String, required: true }, // e.g. 'Picking round 2'
+  activityType: { type: String, enum: ACTIVITY_TYPES, required: true },
+  offsetDays: { type: Number, required: true, min: 0 }, // days after planting / season start
+  notes: String
+}, { _id: false });
+
+// Local climate moves the season: high ranges run later than the plains
+const districtShiftSchema = new mongoose.Schema({
+  district: { type: String, required: true, trim: true },
+  shiftDays: { type: Number, required: true }
+}, { _id: false });
+
+const cropStageTemplateSchema = new mongoose.Schema({
+  category: { type: String, required: true, lowercase: true, trim: true }, // spice category or 'default'
+  version: { type: Number, required: true, min: 1 },
+  stages: {
+    type: [templateStageSchema],
+    validate: [stages => stages.length > 0, 'At least one stage is required']
+  },
+  districtShifts: [districtShiftSchema],
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+cropStageTemplateSchema.index({ category: 1, version: -1 }, { unique: true });
+
+cropStageTemplateSchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
+module.exports = mongoose.model('CropStageTemplate', cropStageTemplateSchema);
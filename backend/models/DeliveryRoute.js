@@ -0,0 +1,95 @@
+// Delivery runs: one vehicle leaving a warehouse with an ordered list of stops
+
+const mongoose = require('mongoose');
+
+const ROUTE_STATUSES = ['planned', 'assigned', 'in_progress', 'completed', 'cancelled'];
+// Routes in these states still hold their orders
+const OPEN_ROUTE_STATUSES = ['planned', 'assigned', 'in_progress'];
+
+// e.g. RT241115-4KQ7
+const generateRouteCode = () => {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  return 'RT' + date + '-' + Math.random().toString(36).substr(2, 4).toUpperCase();
+};
+
+// All orders for one delivery pincode are dropped at a single stop
+const stopSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true }, // 1 = first drop after leaving the warehouse
+  pincode: { type: String, required: true },
+  area: String,
+  location: { lat: Number, lng: Number },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  weightKg: { type: Number, default: 0 },
+  distanceFromPreviousKm: { type: Number, default: 0 },
+  // Settled once every order on the stop is delivered or has failed an attempt
+  status: { type: String, enum: ['pending', 'delivered', 'partially_delivered', 'failed'], default: 'pending' },
+  outcomes: [{
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    result: { type: String, enum: ['delivered', 'failed'] },
+    at: { type: Date, default: Date.now }
+  }],
+  eta: Date, // recomputed from every driver location ping
+  arrivedAt: Date // driver came within arrival range of the stop
+});
+
+// GPS fix sent by the driver's phone
+const pingSchema = new mongoose.Schema({
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true },
+  speedKmh: Number,
+  heading: Number,
+  accuracy: Number, // metres
+  recordedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const MAX_TRACK_POINTS = 500;
+
+const deliveryRouteSchema = new mongoose.Schema({
+  routeCode: { type: String, unique: true, default: generateRouteCode },
+  warehouse: { type: String, required: true },
+  vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  status: { type: String, enum: ROUTE_STATUSES, default: 'planned' },
+  stops: [stopSchema],
+  totalWeightKg: { type: Number, default: 0 },
+  // Warehouse through every stop and back, estimated from geo.distanceKm
+  totalDistanceKm: { type: Number, default: 0 },
+  // Lines held at another warehouse that must be transferred before loading
+  transfers: [{
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    fromWarehouse: String,
+    weightKg: Number
+  }],
+  // Latest position and the recent trail (oldest points dropped past MAX_TRACK_POINTS)
+  lastLocation: pingSchema,
+  track: [pingSchema],
+  progress: { type: Number, default: 0, min: 0, max: 100 }, // % of the planned distance covered
+  startedAt: Date, // first location ping
+  completedAt: Date, // last stop settled
+  // End-of-day COD settlement: cash the driver hands in against what they recorded
+  cashReconciliation: {
+    expectedAmount: Number, // finalAmount of COD orders delivered on the route
+    collectedAmount: Number, // what the driver recorded at the doors
+    depositedAmount: Number,
+    variance: Number, // deposited - expected
+    notes: String,
+    reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reconciledAt: Date
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: Date
+}, { timestamps: true });
+
+deliveryRouteSchema.index({ status: 1, warehouse: 1 });
+deliveryRouteSchema.index({ 'stops.orders': 1 });
+
+deliveryRouteSchema.methods.orderIds = function () {
+  return this.stops.flatMap(stop => stop.orders);
+};
+
+deliveryRouteSchema.statics.MAX_TRACK_POINTS = MAX_TRACK_POINTS;
+deliveryRouteSchema.statics.ROUTE_STATUSES = ROUTE_STATUSES;
+deliveryRouteSchema.statics.OPEN_ROUTE_STATUSES = OPEN_ROUTE_STATUSES;
+
+module.exports = mongoose.model('DeliveryRoute', deliveryRouteSchema);
@@ -0,0 +1,28 @@
+// Versioned quality grading rules per spice category
+// Rule sets are never edited in place: every change is saved as the next
+// version so a lot's grade can always be traced to the exact rules used.
+
+const mongoose = require('mongoose');
+
+const gradeThresholdSchema = new mongoose.Schema({
+  grade: { type: String, required: true }, // e.g. 'Premium'
+  maxMoisture: { type: Number, required: true }, // %
+  minPurity: { type: Number, required: true }, // %
+  maxForeignMatter: { type: Number, required: true } // %
+}, { _id: false });
+
+const gradingRuleSetSchema = new mongoose.Schema({
+  category: { type: String, required: true, lowercase: true, trim: true }, // spice category or 'default'
+  version: { type: Number, required: true, min: 1 },
+  // Best grade first. A lot that meets none of them is below the minimum.
+  grades: {
+    type: [gradeThresholdSchema],
+    validate: [grades => grades.length > 0, 'At least one grade is required']
+  },
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+gradingRuleSetSchema.index({ category: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('GradingRuleSet', gradingRuleSetSchema);
@@ -0,0 +1,68 @@
+// Farmer harvest calendar plans
+
+const mongoose = require('mongoose');
+
+const PLAN_STATUSES = ['planned', 'growing', 'harvested'];
+const EXPENSE_CATEGORIES = ['Seeds', 'Fertilizer', 'Pesticide', 'Labor', 'Irrigation', 'Equipment', 'Transport', 'Other'];
+
+const cropStageSchema = new mongoose.Schema({
+  stage: { type: String, required: true },
+  plannedDate: Date,
+  completed: { type: Boolean, default: false },
+  completedDate: Date,
+  notes: String,
+  activityType: String, // see CropStageTemplate.ACTIVITY_TYPES
+  fromTemplate: { type: Boolean, default: false } // false for stages the farmer added
+});
+
+const weatherAlertSchema = new mongoose.Schema({
+  alertType: String, // heavy_rain, rain, high_wind, heat
+  severity: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  message: String,
+  date: { type: Date, default: Date.now },
+  stage: mongoose.Schema.Types.ObjectId, // crop stage the alert is about
+  forecastDate: Date, // day the weather is expected
+  district: String,
+  acknowledged: { type: Boolean, default: false },
+  acknowledgedAt: Date
+});
+
+const expenseSchema = new mongoose.Schema({
+  category: { type: String, enum: EXPENSE_CATEGORIES, required: true },
+  amount: { type: Number, required: true, min: 0 }, // ₹
+  date: { type: Date, default: Date.now },
+  description: String
+});
+
+const harvestPlanSchema = new mongoose.Schema({
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  expectedHarvestDate: Date,
+  plantingDate: Date,
+  estimatedYield: Number, // kg
+  actualYield: Number, // kg, recorded when the plan is marked harvested
+  actualHarvestDate: Date,
+  farmArea: Number, // acres
+  cropYear: String, // e.g. '2024-25'
+  status: { type: String, enum: PLAN_STATUSES, default: 'planned' },
+  location: {
+    farmName: String,
+    district: String,
+    village: String
+  },
+  // Template version the generated stages came from
+  stageTemplate: {
+    category: String,
+    version: Number // 0 = built-in defaults
+  },
+  cropStages: [cropStageSchema],
+  weatherAlerts: [weatherAlertSchema],
+  expenses: [expenseSchema]
+}, { timestamps: true });
+
+harvestPlanSchema.index({ 'location.district': 1 });
+
+harvestPlanSchema.statics.STATUSES = PLAN_STATUSES;
+harvestPlanSchema.statics.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
+
+module.exports = mongoose.model('HarvestPlan', harvestPlanSchema);
@@ -0,0 +1,84 @@
+// Farmer inventory lots submitted for sale
+
+const mongoose = require('mongoose');
+
+const INVENTORY_STATUSES = ['pending_approval', 'available', 'sold_out', 'rejected'];
+
+// Printed on packs and looked up on /api/trace/:batchCode, e.g. B241115-7K3QD
+const generateBatchCode = () => {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  return 'B' + date + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+};
+
+const gradeHistorySchema = new mongoose.Schema({
+  grade: String,
+  source: { type: String, enum: ['computed', 'admin'], required: true },
+  ruleCategory: String,
+  ruleVersion: Number, // 0 = built-in defaults
+  metrics: { moisture: Number, purity: Number, foreignMatter: Number },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now },
+  notes: String
+}, { _id: false });
+
+const inventoryLotSchema = new mongoose.Schema({
+  batchCode: { type: String, unique: true, default: generateBatchCode },
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true, index: true },
+  harvestPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'HarvestPlan', index: true },
+  // Copied from the harvest plan at submission so the provenance printed on
+  // a pack cannot change if the farmer edits the plan afterwards.
+  provenance: {
+    farmName: String,
+    district: String,
+    village: String,
+    plantingDate: Date,
+    harvestDate: Date,
+    cropYear: String
+  },
+  quantity: { type: Number, required: true, min: 0 }, // kg
+  reservedQuantity: { type: Number, default: 0, min: 0 }, // kg held by open orders
+  pricePerKg: { type: Number, required: true, min: 0 },
+  qualityGrade: String,
+  // Result of grading qualityMetrics against the category's rule set.
+  // Lots below the lowest grade are flagged for the admin to reject.
+  gradeAssessment: {
+    computedGrade: String,
+    ruleCategory: String,
+    ruleVersion: Number,
+    meetsMinimum: Boolean,
+    failedChecks: [String],
+    assessedAt: Date
+  },
+  flaggedForRejection: { type: Boolean, default: false },
+  gradeHistory: [gradeHistorySchema],
+  harvestDate: Date,
+  status: { type: String, enum: INVENTORY_STATUSES, default: 'pending_approval' },
+  adminApproved: { type: Boolean, default: false },
+  location: {
+    warehouse: String
+  },
+  qualityMetrics: {
+    moisture: Number, // %
+    purity: Number, // %
+    foreignMatter: Number // %
+  },
+  // Admin decision on the submission; `submitted` keeps what the farmer
+  // originally asked for when the admin edits grade or price on approval.
+  review: {
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    reason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    submitted: {
+      qualityGrade: String,
+      pricePerKg: Number
+    }
+  }
+}, { timestamps: true });
+
+inventoryLotSchema.index({ status: 1, createdAt: 1 });
+
+inventoryLotSchema.statics.STATUSES = INVENTORY_STATUSES;
+
+module.exports = mongoose.model('InventoryLot', inventoryLotSchema);
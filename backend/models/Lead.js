@@ -0,0 +1,44 @@
+// B2B / bulk enquiry leads and the sales pipeline they move through
+
+const mongoose = require('mongoose');
+
+const LEAD_STATUSES = ['new', 'contacted', 'quoted', 'negotiating', 'won', 'lost'];
+// Stages in funnel order; 'lost' can be reached from any of them
+const FUNNEL_STAGES = ['new', 'contacted', 'quoted', 'negotiating', 'won'];
+
+const noteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Every stage change, so the funnel counts leads that passed through a
+// stage even after they moved on or were lost
+const stageChangeSchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, required: true },
+  note: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const leadSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  company: { type: String, trim: true },
+  email: { type: String, lowercase: true, trim: true },
+  phone: { type: String, trim: true },
+  interestedSpices: [String],
+  monthlyQuantity: String, // range picked on the quote form, e.g. '16-50 Kg'
+  status: { type: String, enum: LEAD_STATUSES, default: 'new', index: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // sales person handling it
+  nextFollowUpAt: { type: Date, index: true },
+  lostReason: String,
+  // Account that orders from this lead's quotes are placed under
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: [noteSchema],
+  stageHistory: [stageChangeSchema]
+}, { timestamps: true });
+
+leadSchema.statics.STATUSES = LEAD_STATUSES;
+leadSchema.statics.FUNNEL_STAGES = FUNNEL_STAGES;
+
+module.exports = mongoose.model('Lead', leadSchema);
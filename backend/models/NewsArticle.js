@@ -0,0 +1,41 @@
+// Market news articles ingested from feeds, tagged and curated by admins
+
+const mongoose = require('mongoose');
+
+const NEWS_CATEGORIES = ['market_prices', 'weather', 'government_policy', 'export_news', 'crop_updates', 'general'];
+const IMPACT_LEVELS = ['low', 'medium', 'high'];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const newsArticleSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  summary: { type: String, trim: true },
+  content: String,
+  url: { type: String, trim: true }, // normalised, used for de-duplication
+  source: { type: String, required: true }, // publisher name shown to readers
+  feed: String, // feed the article was ingested from; unset for seeded/manual ones
+  publishedAt: { type: Date, default: Date.now },
+  // Tags come from keyword rules on ingestion; an admin edit sets
+  // tagsEditedAt so later re-tagging leaves them alone.
+  category: { type: String, enum: NEWS_CATEGORIES, default: 'general' },
+  spiceTypes: [String],
+  impact: { type: String, enum: IMPACT_LEVELS, default: 'low' },
+  sentiment: { type: String, enum: SENTIMENTS, default: 'neutral' },
+  tagsEditedAt: Date,
+  titleTokens: [String], // for near-duplicate title detection
+  isPinned: { type: Boolean, default: false },
+  pinnedAt: Date,
+  isHidden: { type: Boolean, default: false },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+newsArticleSchema.index({ url: 1 }, { unique: true, partialFilterExpression: { url: { $type: 'string' } } });
+newsArticleSchema.index({ isHidden: 1, isPinned: -1, publishedAt: -1 });
+newsArticleSchema.index({ title: 'text', summary: 'text', content: 'text', spiceTypes: 'text' }, {
+  weights: { title: 10, spiceTypes: 5, summary: 3, content: 1 }
+});
+
+newsArticleSchema.statics.CATEGORIES = NEWS_CATEGORIES;
+newsArticleSchema.statics.IMPACT_LEVELS = IMPACT_LEVELS;
+newsArticleSchema.statics.SENTIMENTS = SENTIMENTS;
+
+module.exports = mongoose.model('NewsArticle', newsArticleSchema);
@@ -0,0 +1,172 @@
+// Customer orders
+
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
+const PAYMENT_METHODS = ['razorpay', 'cod', 'upi'];
+
+const generateOrderNumber = () => {
+  return 'F10' + Date.now().toString().slice(-6) + Math.random().toString(36).substr(2, 3).toUpperCase();
+};
+
+const orderItemSchema = new mongoose.Schema({
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice' },
+  inventoryLot: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' },
+  batchCode: String, // the lot's batch code, for tracing this line
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  quantity: { type: Number, required: true, min: 0 }, // kg
+  pricePerUnit: Number, // ₹ per kg
+  totalPrice: Number,
+  // Set when bought as a pack size; quantity is still the kg it weighs
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  packSize: String,
+  packPrice: Number, // ₹ per pack
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
+  cancelledAt: Date,
+  cancellationReason: String
+});
+
+// Gateway refunds come back from Razorpay; manual ones (COD, bank transfer)
+// are recorded by staff with the reference of the payout they made.
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  reason: String,
+  method: { type: String, enum: ['gateway', 'manual'], required: true },
+  status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+  gatewayRefundId: String,
+  reference: String,
+  items: [mongoose.Schema.Types.ObjectId], // order lines this refund covers
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processedAt: Date,
+  failureReason: String
+}, { timestamps: true });
+
+const DELIVERY_FAILURE_REASONS = ['customer_unavailable', 'address_not_found', 'refused', 'payment_not_ready', 'wrong_otp', 'other'];
+
+const deliveryImageSchema = new mongoose.Schema({
+  url: String,
+  thumbnailUrl: String,
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// A failed doorstep attempt; the order goes back to 'processing' for the next route
+const deliveryAttemptSchema = new mongoose.Schema({
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRoute' },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, enum: DELIVERY_FAILURE_REASONS, required: true },
+  notes: String,
+  location: { lat: Number, lng: Number },
+  attemptedAt: { type: Date, default: Date.now }
+});
+
+const timelineEntrySchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  notes: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorRole: String // customer | admin | logistics | system
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: { type: String, unique: true, default: generateOrderNumber },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  items: [orderItemSchema],
+  orderTotal: { type: Number, default: 0 },
+  deliveryCharges: { type: Number, default: 0 },
+  shippingZone: String, // ShippingZone key the delivery charge was quoted from
+  quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' }, // B2B orders placed at quoted prices
+  finalAmount: { type: Number, default: 0 },
+  orderStatus: { type: String, enum: ORDER_STATUSES, default: 'placed' },
+  paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'pending' },
+  paymentMethod: { type: String, enum: PAYMENT_METHODS, default: 'razorpay' },
+  paymentExpiresAt: Date, // unpaid online orders are cancelled after this
+  payment: {
+    gateway: String, // 'razorpay' | 'mock'
+    gatewayOrderId: { type: String, index: true, sparse: true },
+    paymentId: String,
+    paidAt: Date,
+    failureReason: String,
+    // Further captures against an order that was already paid, left for an
+    // admin to return from the gateway dashboard
+    duplicatePaymentIds: [String]
+  },
+  refunds: [refundSchema],
+  // Sum of the refunds that have not failed. Only ever changed with $inc, so
+  // concurrent refunds claim against it atomically before money moves.
+  refundedTotal: { type: Number, default: 0 },
+  // reserved: held against lots; committed: deducted on dispatch; released: returned
+  stockStatus: { type: String, enum: ['reserved', 'committed', 'released'], default: 'reserved' },
+  deliveryAddress: {
+    name: String,
+    phone: String,
+    address: String,
+    city: String,
+    state: String,
+    pincode: String
+  },
+  // Set when a driver is assigned the route carrying this order
+  deliveryRoute: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRoute' },
+  // Evidence captured at the door. Only the OTP's hash is stored; the
+  // customer receives the code itself when the order ships.
+  proofOfDelivery: {
+    required: { type: Boolean, default: false },
+    otpHash: { type: String, select: false },
+    otpSentAt: Date,
+    otpAttempts: { type: Number, default: 0 },
+    otpVerifiedAt: Date,
+    photo: deliveryImageSchema,
+    signature: deliveryImageSchema,
+    recipientName: String,
+    location: { lat: Number, lng: Number },
+    deliveredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deliveredAt: Date
+  },
+  // Cash taken by the driver on a COD delivery, settled with the route
+  codCollection: {
+    amount: Number,
+    route: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRoute' },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    collectedAt: Date
+  },
+  deliveryAttempts: [deliveryAttemptSchema],
+  timeline: [timelineEntrySchema]
+}, { timestamps: true });
+
+orderSchema.index({ 'items.farmer': 1 });
+orderSchema.index({ 'refunds.gatewayRefundId': 1 }, { sparse: true });
+
+orderSchema.methods.activeItems = function () {
+  return this.items.filter(item => item.status !== 'cancelled');
+};
+
+// Money already returned or on its way back (failed refunds don't count)
+orderSchema.methods.refundedAmount = function () {
+  return this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+orderSchema.methods.refundableAmount = function () {
+  if (!['paid', 'partially_refunded'].includes(this.paymentStatus)) return 0;
+  return Math.max(Math.round((this.finalAmount - this.refundedAmount()) * 100) / 100, 0);
+};
+
+// The delivery OTP hash never leaves the server, even after it was set in memory
+orderSchema.methods.toJSON = function () {
+  const order = this.toObject();
+  if (order.proofOfDelivery) delete order.proofOfDelivery.otpHash;
+  return order;
+};
+
+orderSchema.statics.ORDER_STATUSES = ORDER_STATUSES;
+orderSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+orderSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+orderSchema.statics.DELIVERY_FAILURE_REASONS = DELIVERY_FAILURE_REASONS;
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,16 @@
+// Processed payment gateway webhook events
+// The unique eventId is what makes webhook handling idempotent: Razorpay
+// retries deliveries, and a duplicate insert means "already handled".
+
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String, required: true }, // e.g. 'payment.captured'
+  gatewayOrderId: String,
+  paymentId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
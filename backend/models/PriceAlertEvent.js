@@ -0,0 +1,21 @@
+// Every time a price watch fired, including alerts held back by the
+// per-user rate limit (delivered: false)
+
+const mongoose = require('mongoose');
+
+const priceAlertEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  watch: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceWatch', required: true },
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice' },
+  market: String,
+  price: Number, // ₹ per kg
+  previousClose: Number,
+  message: String,
+  channels: [String],
+  delivered: { type: Boolean, default: true },
+  suppressedReason: String
+}, { timestamps: true });
+
+priceAlertEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceAlertEvent', priceAlertEventSchema);
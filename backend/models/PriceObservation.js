@@ -0,0 +1,21 @@
+// Market price observations per spice and market
+// One document per quoted price; history and OHLC candles are computed from
+// these. The unique index makes re-uploading the same bulletin harmless.
+
+const mongoose = require('mongoose');
+
+const priceObservationSchema = new mongoose.Schema({
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  market: { type: String, required: true, trim: true }, // e.g. 'Kochi'
+  price: { type: Number, required: true, min: 0 }, // ₹ per kg
+  volume: { type: Number, min: 0 }, // kg traded, when the source reports it
+  observedAt: { type: Date, required: true },
+  source: { type: String, required: true }, // 'spice_board_csv', 'manual' or a registered price source
+  sourceRef: String, // bulletin file name, batch id...
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+priceObservationSchema.index({ spice: 1, market: 1, observedAt: -1 });
+priceObservationSchema.index({ spice: 1, market: 1, observedAt: 1, source: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceObservation', priceObservationSchema);
@@ -0,0 +1,32 @@
+// Price watches: a user's alert rule on a spice, in one market or all
+
+const mongoose = require('mongoose');
+
+const WATCH_CONDITIONS = ['above', 'below', 'change_pct'];
+const ALERT_CHANNELS = ['socket', 'email', 'whatsapp'];
+
+const priceWatchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  market: { type: String, trim: true }, // unset = any market
+  condition: { type: String, enum: WATCH_CONDITIONS, required: true },
+  // ₹ per kg for above/below, percent move against the previous close for change_pct
+  threshold: { type: Number, required: true, min: 0 },
+  channels: {
+    type: [{ type: String, enum: ALERT_CHANNELS }],
+    default: ['socket']
+  },
+  isActive: { type: Boolean, default: true },
+  // Markets where the condition currently holds, so an alert fires once when
+  // it becomes true rather than on every price. change_pct keys carry the day.
+  triggeredKeys: [String],
+  lastTriggeredAt: Date,
+  lastTriggeredPrice: Number
+}, { timestamps: true });
+
+priceWatchSchema.index({ spice: 1, isActive: 1 });
+
+priceWatchSchema.statics.CONDITIONS = WATCH_CONDITIONS;
+priceWatchSchema.statics.CHANNELS = ALERT_CHANNELS;
+
+module.exports = mongoose.model('PriceWatch', priceWatchSchema);
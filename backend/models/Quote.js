@@ -0,0 +1,68 @@
+// Formal price quotes for B2B leads, and the orders placed from accepted ones
+
+const mongoose = require('mongoose');
+
+const QUOTE_STATUSES = ['sent', 'accepted', 'rejected', 'expired', 'superseded'];
+const CONVERSION_TYPES = ['one_off', 'recurring'];
+const RECURRENCE_INTERVALS = ['weekly', 'fortnightly', 'monthly'];
+
+// e.g. QT241115-4KQ7
+const generateQuoteNumber = () => {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  return 'QT' + date + '-' + Math.random().toString(36).substr(2, 4).toUpperCase();
+};
+
+const quoteItemSchema = new mongoose.Schema({
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  spiceName: String, // as printed on the quote
+  quantity: { type: Number, required: true, min: 0 }, // kg per order
+  listPrice: Number, // ₹ per kg from current inventory
+  discountPercent: { type: Number, default: 0 }, // volume tier
+  unitPrice: Number, // ₹ per kg agreed
+  lineTotal: Number,
+  availableQuantity: Number // free stock when quoted, for the sales team
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: { type: String, unique: true, default: generateQuoteNumber },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true, index: true },
+  items: [quoteItemSchema],
+  listTotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }, // before delivery, which each order adds by shipping zone
+  validUntil: { type: Date, required: true },
+  status: { type: String, enum: QUOTE_STATUSES, default: 'sent', index: true },
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  respondedAt: Date,
+  // How an accepted quote becomes orders. Recurring ones place an order at
+  // the quoted prices every interval until endsAt or until stopped.
+  conversion: {
+    type: { type: String, enum: CONVERSION_TYPES },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deliveryAddress: {
+      name: String,
+      phone: String,
+      address: String,
+      city: String,
+      state: String,
+      pincode: String
+    },
+    paymentMethod: String,
+    interval: { type: String, enum: RECURRENCE_INTERVALS },
+    nextOrderAt: { type: Date, index: true },
+    endsAt: Date,
+    active: { type: Boolean, default: false },
+    stoppedAt: Date,
+    lastFailure: { message: String, at: Date }, // last recurring run that could not place its order
+    convertedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    convertedAt: Date
+  },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }]
+}, { timestamps: true });
+
+quoteSchema.statics.STATUSES = QUOTE_STATUSES;
+quoteSchema.statics.CONVERSION_TYPES = CONVERSION_TYPES;
+quoteSchema.statics.RECURRENCE_INTERVALS = RECURRENCE_INTERVALS;
+
+module.exports = mongoose.model('Quote', quoteSchema);
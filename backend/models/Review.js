@@ -0,0 +1,51 @@
+// Verified-purchase reviews of a delivered order line (spice and farmer)
+
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+const MAX_RATING = 5;
+
+const reportSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: String,
+  reportedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true }, // the delivered line
+  spice: { type: mongoose.Schema.Types.ObjectId, ref: 'Spice', required: true },
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  batchCode: String,
+  rating: { type: Number, required: true, min: 1, max: MAX_RATING },
+  title: { type: String, trim: true, maxlength: 120 },
+  text: { type: String, trim: true, maxlength: 2000 },
+  photo: {
+    url: String,
+    thumbnailUrl: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number
+  },
+  // Hidden reviews stay for the author and admins but leave the public
+  // listings and the rating averages
+  status: { type: String, enum: REVIEW_STATUSES, default: 'published' },
+  moderation: {
+    reason: String,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date
+  },
+  reports: [reportSchema],
+  editedAt: Date
+}, { timestamps: true });
+
+reviewSchema.index({ customer: 1, orderItem: 1 }, { unique: true });
+reviewSchema.index({ spice: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+reviewSchema.statics.MAX_RATING = MAX_RATING;
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,35 @@
+// Shipping zones: which pincodes we deliver to and what delivery costs there
+// Saved zones override the built-in ones in services/shipping with the same key.
+
+const mongoose = require('mongoose');
+
+const PREFIX_PATTERN = /^\d{1,6}$/;
+
+const weightSlabSchema = new mongoose.Schema({
+  upToKg: { type: Number, required: true, min: 0 }, // parcels up to this weight
+  charge: { type: Number, required: true, min: 0 } // ₹
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, lowercase: true, trim: true }, // e.g. kerala_local
+  name: { type: String, required: true, trim: true },
+  // The longest prefix matching a pincode decides its zone, so '695' in one
+  // zone wins over '6' in another
+  pincodePrefixes: {
+    type: [{ type: String, match: PREFIX_PATTERN }],
+    validate: [prefixes => prefixes.length > 0, 'At least one pincode prefix is required']
+  },
+  // Areas inside the zone we cannot reach (islands, restricted areas)
+  excludedPrefixes: [{ type: String, match: PREFIX_PATTERN }],
+  weightSlabs: {
+    type: [weightSlabSchema],
+    validate: [slabs => slabs.length > 0, 'At least one weight slab is required']
+  },
+  extraPerKg: { type: Number, default: 0, min: 0 }, // ₹ per kg above the heaviest slab
+  freeShippingAbove: { type: Number, min: 0 }, // order value (₹); unset = never free
+  // Switching a zone off stops new orders to its pincodes
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,104 @@
+// Spice catalogue
+
+const mongoose = require('mongoose');
+
+// Pack sizes offered for a new spice when the admin does not list any
+const DEFAULT_PACK_SIZES = [50, 100, 250, 1000]; // grams
+const MAX_IMAGES = 8;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const packLabel = (grams) => (grams >= 1000 && grams % 1000 === 0 ? `${grams / 1000}kg` : `${grams}g`);
+
+// A pack size sold as its own product line (SKU) with its own price
+const variantSchema = new mongoose.Schema({
+  weightGrams: { type: Number, required: true, min: 1 },
+  packSize: String, // display label, e.g. '250g', derived from weightGrams
+  sku: { type: String, required: true, uppercase: true, trim: true },
+  price: { type: Number, required: true, min: 0 }, // ₹ per pack
+  isActive: { type: Boolean, default: true }
+});
+
+// Uploaded product photo; files live under UPLOAD_DIR and are served from /uploads
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  contentType: String,
+  size: Number, // bytes
+  width: Number,
+  height: Number,
+  alt: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const spiceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  category: { type: String, required: true, lowercase: true, trim: true, index: true },
+  basePrice: { type: Number, required: true, min: 0 }, // ₹ per kg
+  origin: { type: String, trim: true },
+  icon: String, // emoji shown while a spice has no photos
+  images: {
+    type: [imageSchema],
+    validate: [images => images.length <= MAX_IMAGES, `A spice can have at most ${MAX_IMAGES} images`]
+  },
+  variants: [variantSchema],
+  qualityGrade: { type: String, default: 'Grade A' },
+  inStock: { type: Boolean, default: true },
+  description: String,
+  shelfLife: Number, // months
+  isActive: { type: Boolean, default: true },
+  nutritionalInfo: {
+    calories: Number,
+    protein: Number,
+    carbs: Number,
+    fat: Number,
+    fiber: Number
+  },
+  medicinalProperties: [String],
+  // Published reviews, kept up to date by services/reviews
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  }
+}, { timestamps: true });
+
+spiceSchema.index({ name: 'text', description: 'text' });
+spiceSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+spiceSchema.statics.DEFAULT_PACK_SIZES = DEFAULT_PACK_SIZES;
+spiceSchema.statics.MAX_IMAGES = MAX_IMAGES;
+spiceSchema.statics.packLabel = packLabel;
+
+// e.g. PEP-3F2A1C-250G: category, tail of the spice id, pack size
+spiceSchema.methods.generateSku = function (weightGrams) {
+  return [
+    this.category.slice(0, 3).toUpperCase(),
+    this._id.toString().slice(-6).toUpperCase(),
+    packLabel(weightGrams).toUpperCase()
+  ].join('-');
+};
+
+// Fills in labels, SKUs and prices (pro rata from the per-kg base price)
+// left out of variants, and rejects two variants of one spice sharing a
+// pack size or SKU; the index only keeps SKUs unique across spices.
+spiceSchema.pre('validate', function (next) {
+  for (const variant of this.variants) {
+    if (!variant.weightGrams) continue;
+    variant.packSize = packLabel(variant.weightGrams);
+    if (!variant.sku) variant.sku = this.generateSku(variant.weightGrams);
+    if (variant.price == null) variant.price = roundMoney(this.basePrice * variant.weightGrams / 1000);
+  }
+
+  const sizes = this.variants.map(variant => variant.weightGrams);
+  const skus = this.variants.map(variant => variant.sku);
+  if (new Set(sizes).size !== sizes.length) {
+    this.invalidate('variants', 'Each pack size can only be listed once');
+  }
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Spice', spiceSchema);
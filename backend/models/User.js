@@ -0,0 +1,93 @@
+// User accounts and login sessions
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const ROLES = ['customer', 'farmer', 'admin', 'logistics'];
+
+// One entry per logged-in device. The refresh token itself is never stored,
+// only its SHA-256 hash, so a database leak cannot be replayed.
+const sessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date
+}, { _id: false });
+
+const MAX_ADDRESSES = 10;
+
+// Address book entry; orders copy the address, so editing it later does
+// not change where past orders went
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true }, // e.g. Home, Office
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  address: { type: String, required: true, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  pincode: { type: String, required: true, match: /^\d{6}$/ },
+  isDefault: { type: Boolean, default: false }
+});
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  phone: { type: String, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  role: { type: String, enum: ROLES, default: 'customer', index: true },
+  isActive: { type: Boolean, default: true },
+  lastLoginAt: Date,
+  // Farmers only: published reviews of their produce, kept up to date by services/reviews
+  rating: {
+    average: Number,
+    count: Number
+  },
+  sessions: { type: [sessionSchema], select: false },
+  addresses: {
+    type: [addressSchema],
+    validate: [addresses => addresses.length <= MAX_ADDRESSES, `At most ${MAX_ADDRESSES} saved addresses`]
+  }
+}, { timestamps: true });
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.MAX_ADDRESSES = MAX_ADDRESSES;
+
+userSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+};
+
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.methods.findActiveSession = function (sessionId) {
+  return (this.sessions || []).find(session =>
+    session.sessionId === sessionId && !session.revokedAt && session.expiresAt > new Date()
+  );
+};
+
+// Drop sessions that can no longer be used so the array does not grow forever
+userSchema.methods.pruneSessions = function () {
+  const now = new Date();
+  this.sessions = (this.sessions || []).filter(session => !session.revokedAt && session.expiresAt > now);
+};
+
+userSchema.methods.toJSON = function () {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.sessions;
+  delete user.__v;
+  user.id = user._id.toString();
+  return user;
+};
+
+module.exports = mongoose.model('User', userSchema);
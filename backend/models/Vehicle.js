@@ -0,0 +1,21 @@
+// Delivery vehicles available to route planning
+
+const mongoose = require('mongoose');
+
+const VEHICLE_TYPES = ['bike', 'van', 'truck'];
+
+const vehicleSchema = new mongoose.Schema({
+  registration: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g. KL-07-AB-1234
+  type: { type: String, enum: VEHICLE_TYPES, default: 'van' },
+  capacityKg: { type: Number, required: true, min: 1 },
+  maxStops: { type: Number, default: 25, min: 1 },
+  // Vehicles start and end their runs at this warehouse
+  warehouse: { type: String, required: true, trim: true },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+vehicleSchema.index({ warehouse: 1, isActive: 1 });
+
+vehicleSchema.statics.VEHICLE_TYPES = VEHICLE_TYPES;
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
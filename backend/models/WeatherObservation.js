@@ -0,0 +1,34 @@
+// Weather observations and forecasts per district
+
+const mongoose = require('mongoose');
+
+const forecastDaySchema = new mongoose.Schema({
+  date: Date,
+  minTemp: Number,
+  maxTemp: Number,
+  conditions: String,
+  rainProbability: Number, // %
+  rainfall: Number, // mm
+  windSpeed: Number // km/h
+}, { _id: false });
+
+const weatherObservationSchema = new mongoose.Schema({
+  location: {
+    district: { type: String, required: true },
+    coordinates: { lat: Number, lng: Number }
+  },
+  date: { type: Date, default: Date.now },
+  temperature: { min: Number, max: Number, current: Number },
+  humidity: Number,
+  rainfall: Number, // mm
+  windSpeed: Number, // km/h
+  pressure: Number, // hPa
+  conditions: String,
+  forecast: [forecastDaySchema],
+  alerts: [String],
+  source: String
+}, { timestamps: true });
+
+weatherObservationSchema.index({ 'location.district': 1, date: -1 });
+
+module.exports = mongoose.model('WeatherObservation', weatherObservationSchema);
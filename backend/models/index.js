@@ -0,0 +1,24 @@
+// Mongoose models
+
+module.exports = {
+  User: require('./User'),
+  Spice: require('./Spice'),
+  InventoryLot: require('./InventoryLot'),
+  Order: require('./Order'),
+  HarvestPlan: require('./HarvestPlan'),
+  Lead: require('./Lead'),
+  Quote: require('./Quote'),
+  WeatherObservation: require('./WeatherObservation'),
+  PaymentEvent: require('./PaymentEvent'),
+  GradingRuleSet: require('./GradingRuleSet'),
+  CropStageTemplate: require('./CropStageTemplate'),
+  PriceObservation: require('./PriceObservation'),
+  PriceWatch: require('./PriceWatch'),
+  PriceAlertEvent: require('./PriceAlertEvent'),
+  NewsArticle: require('./NewsArticle'),
+  Review: require('./Review'),
+  Cart: require('./Cart'),
+  Vehicle: require('./Vehicle'),
+  DeliveryRoute: require('./DeliveryRoute'),
+  ShippingZone: require('./ShippingZone')
+};
@@ -0,0 +1,110 @@
+// Address Book Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'address', 'city', 'state', 'pincode', 'isDefault'];
+
+const addressValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('label').optional().isString().trim().isLength({ max: 40 }).withMessage('Label is limited to 40 characters'),
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('phone').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+    field('address').isString().trim().notEmpty().withMessage('Address is required'),
+    field('city').isString().trim().notEmpty().withMessage('City is required'),
+    field('state').isString().trim().notEmpty().withMessage('State is required'),
+    field('pincode').matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean()
+  ];
+};
+
+const loadUser = async (userId) => User.findById(userId).select('addresses');
+
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw new ApiError(404, 'Address not found');
+  }
+  return address;
+};
+
+// Exactly one default whenever there are addresses: the one just marked, or
+// the first if the default was removed
+const settleDefault = (user, preferred) => {
+  if (preferred && preferred.isDefault) {
+    user.addresses.forEach(address => { address.isDefault = address._id.equals(preferred._id); });
+  }
+  if (user.addresses.length > 0 && !user.addresses.some(address => address.isDefault)) {
+    user.addresses[0].isDefault = true;
+  }
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+    res.json(user.addresses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', addressValidation(false), handleValidation, async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+    if (user.addresses.length >= User.MAX_ADDRESSES) {
+      throw new ApiError(400, `You can save at most ${User.MAX_ADDRESSES} addresses`);
+    }
+
+    const fields = Object.fromEntries(ADDRESS_FIELDS.filter(key => req.body[key] !== undefined).map(key => [key, req.body[key]]));
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    settleDefault(user, address);
+    await user.save();
+
+    res.status(201).json({ message: 'Address saved', address });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:addressId', addressValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+    const address = findAddress(user, req.params.addressId);
+
+    ADDRESS_FIELDS
+      .filter(key => req.body[key] !== undefined)
+      .forEach(key => { address[key] = req.body[key]; });
+    settleDefault(user, address);
+    await user.save();
+
+    res.json({ message: 'Address updated', address });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:addressId', async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+
+    findAddress(user, req.params.addressId).deleteOne();
+    settleDefault(user);
+    await user.save();
+
+    res.json({ message: 'Address deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+// Authentication Routes
+// Registration, password login, refresh token rotation and logout
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken, JWT_SECRET } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+
+const router = express.Router();
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30;
+const SELF_REGISTER_ROLES = ['customer', 'farmer'];
+
+// Stricter limit on credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many login attempts, please try again later.'
+});
+
+// Creates a new session on the user and returns the token pair for it.
+// The refresh token is "<sessionId>.<secret>" so it can be looked up
+// without scanning every session's hash.
+const issueSession = async (user, req) => {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  user.pruneSessions();
+  user.sessions.push({
+    sessionId,
+    refreshTokenHash: User.hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return {
+    token: jwt.sign({ userId: user._id.toString(), sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken: `${sessionId}.${secret}`
+  };
+};
+
+router.post('/register', authLimiter, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('phone').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+  body('role').optional().isIn(SELF_REGISTER_ROLES).withMessage('Role must be customer or farmer')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { name, email, password, phone, role = 'customer' } = req.body;
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      phone,
+      role,
+      passwordHash: await User.hashPassword(password),
+      sessions: []
+    });
+
+    const tokens = await issueSession(user, req);
+
+    res.status(201).json({
+      message: 'Registration successful',
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/login', authLimiter, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('password').notEmpty().withMessage('Password is required')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email }).select('+passwordHash +sessions');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const tokens = await issueSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rotates the refresh token. Presenting an already-rotated token for a live
+// session means it was copied, so the whole session is revoked.
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token is required')
+], handleValidation, async (req, res, next) => {
+  try {
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+
+    if (!sessionId || !secret) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findOne({ 'sessions.sessionId': sessionId }).select('+sessions');
+    const session = user && user.findActiveSession(sessionId);
+
+    if (!session || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (session.refreshTokenHash !== User.hashToken(secret)) {
+      session.revokedAt = new Date();
+      await user.save();
+      return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+    }
+
+    const newSecret = crypto.randomBytes(48).toString('hex');
+    session.refreshTokenHash = User.hashToken(newSecret);
+    session.lastUsedAt = new Date();
+    await user.save();
+
+    res.json({
+      token: jwt.sign({ userId: user._id.toString(), sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+      refreshToken: `${sessionId}.${newSecret}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    const { allDevices } = req.body || {};
+    const user = await User.findById(req.user.id).select('+sessions');
+    const now = new Date();
+
+    user.sessions.forEach(session => {
+      if (allDevices || session.sessionId === req.user.sessionId) {
+        session.revokedAt = now;
+      }
+    });
+    user.pruneSessions();
+    await user.save();
+
+    res.json({ message: allDevices ? 'Logged out from all devices' : 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/validate', authenticateToken, async (req, res) => {
+  res.json({ valid: true, user: req.user });
+});
+
+router.get('/profile', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
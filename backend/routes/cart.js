@@ -0,0 +1,95 @@
+// Shopping Cart Routes
+// Every response is the whole cart re-priced against current prices and stock
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const {
+  MAX_LINE_QUANTITY,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeGuestCart
+} = require('../services/cart');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const quantityRule = (field) => body(field).isFloat({ gt: 0, max: MAX_LINE_QUANTITY })
+  .withMessage(`Quantity must be between 0 and ${MAX_LINE_QUANTITY} kg`).toFloat();
+
+const lineRules = (prefix = '') => [
+  (prefix ? body(prefix.slice(0, -1)) : body()).custom(item => Boolean(item && (item.inventoryId || item.spiceId)))
+    .withMessage('Each item needs an inventoryId or spiceId'),
+  body(`${prefix}inventoryId`).optional().isMongoId().withMessage('Invalid inventoryId'),
+  body(`${prefix}spiceId`).optional().isMongoId().withMessage('Invalid spiceId'),
+  body(`${prefix}variantId`).optional().isMongoId().withMessage('Invalid variantId'),
+  (prefix ? body(prefix.slice(0, -1)) : body()).custom(item => !item.variantId || (item.spiceId && Number.isInteger(Number(item.quantity))))
+    .withMessage('A pack size needs its spiceId and a whole number of packs')
+];
+
+// ?pincode= quotes delivery there instead of the default saved address
+router.get('/', [
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits')
+], handleValidation, async (req, res, next) => {
+  try {
+    res.json(await getCart(req.user.id, { pincode: req.query.pincode }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// { spiceId [, variantId] | inventoryId, quantity (kg, or packs with a
+// variantId) }; adds to an existing line
+router.post('/items', [...lineRules(), quantityRule('quantity')], handleValidation, async (req, res, next) => {
+  try {
+    res.status(201).json(await addItem(req.user.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/items/:itemId', quantityRule('quantity'), handleValidation, async (req, res, next) => {
+  try {
+    res.json(await updateItem(req.user.id, req.params.itemId, req.body.quantity));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/items/:itemId', async (req, res, next) => {
+  try {
+    res.json(await removeItem(req.user.id, req.params.itemId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/', async (req, res, next) => {
+  try {
+    await clearCart(req.user.id);
+    res.json({ message: 'Cart cleared' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Called right after login with the cart kept in the browser:
+// { items: [{ spiceId [, variantId] | inventoryId, quantity }] }
+router.post('/merge', [
+  body('items').isArray({ max: 50 }).withMessage('items must be a list of at most 50 entries'),
+  ...lineRules('items.*.'),
+  quantityRule('items.*.quantity')
+], handleValidation, async (req, res, next) => {
+  try {
+    res.json(await mergeGuestCart(req.user.id, req.body.items));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
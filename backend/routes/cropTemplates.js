@@ -0,0 +1,110 @@
+// Crop Stage Template Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { CropStageTemplate, HarvestPlan, Spice } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { DEFAULT_STAGE_TEMPLATES, getActiveTemplate, plansAffectedBy, generateStages } = require('../services/cropTemplates');
+const { sendNotification } = require('../utils/notifications');
+
+const router = express.Router();
+
+router.get('/', async (req, res, next) => {
+  try {
+    const categories = new Set([
+      ...Object.keys(DEFAULT_STAGE_TEMPLATES),
+      ...await Spice.distinct('category'),
+      ...await CropStageTemplate.distinct('category')
+    ]);
+
+    const templates = await Promise.all([...categories].sort().map(async (category) => {
+      const template = await getActiveTemplate(category);
+      return { ...template, category, appliedFrom: template.category };
+    }));
+
+    res.json(templates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:category/history', async (req, res, next) => {
+  try {
+    const versions = await CropStageTemplate.find({ category: req.params.category.toLowerCase() })
+      .populate('createdBy', 'name')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json(versions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dry run: the schedule a new plan would get
+router.post('/:category/preview', [
+  body('plantingDate').isISO8601().withMessage('Planting date must be a valid date'),
+  body('district').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const template = await getActiveTemplate(req.params.category);
+
+    res.json({
+      category: template.category,
+      version: template.version,
+      stages: generateStages(template, req.body.plantingDate, req.body.district)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Saves a new version. Plans keep their stages until the farmer re-syncs,
+// so farmers with open plans the new version applies to are told an update
+// exists.
+router.put('/:category', authenticateToken, authorizeRole(['admin']), [
+  body('stages').isArray({ min: 1 }).withMessage('At least one stage is required'),
+  body('stages.*.stage').isString().trim().notEmpty().withMessage('Stage name is required'),
+  body('stages.*.activityType').isIn(CropStageTemplate.ACTIVITY_TYPES).withMessage('Invalid activity type'),
+  body('stages.*.offsetDays').isInt({ min: 0, max: 1095 }).withMessage('offsetDays must be between 0 and 1095').toInt(),
+  body('stages.*.notes').optional().isString().trim(),
+  body('districtShifts').optional().isArray().withMessage('districtShifts must be an array'),
+  body('districtShifts.*.district').isString().trim().notEmpty().withMessage('District is required'),
+  body('districtShifts.*.shiftDays').isInt({ min: -90, max: 90 }).withMessage('shiftDays must be between -90 and 90').toInt(),
+  body('notes').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const category = req.params.category.toLowerCase();
+    const latest = await CropStageTemplate.findOne({ category }).sort({ version: -1 });
+
+    const template = await CropStageTemplate.create({
+      category,
+      version: latest ? latest.version + 1 : 1,
+      stages: req.body.stages,
+      districtShifts: req.body.districtShifts || [],
+      notes: req.body.notes,
+      createdBy: req.user.id
+    });
+
+    const farmers = await HarvestPlan.distinct('farmer', {
+      ...await plansAffectedBy(category),
+      status: { $ne: 'harvested' }
+    });
+    await Promise.all(farmers.map(farmer => sendNotification(
+      farmer,
+      `The ${category} crop schedule was updated. Re-sync your plans to get the new stage dates.`,
+      'info'
+    )));
+
+    res.status(201).json({
+      message: `Crop stage template for ${category} saved as version ${template.version}`,
+      template,
+      farmersNotified: farmers.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
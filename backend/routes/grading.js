@@ -0,0 +1,75 @@
+// Quality Grading Rule Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { GradingRuleSet, Spice } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { DEFAULT_GRADING_RULES, getActiveRuleSet } = require('../services/grading');
+
+const router = express.Router();
+
+// Public so buyers can see what each grade label actually means
+router.get('/', async (req, res, next) => {
+  try {
+    const categories = new Set([
+      ...Object.keys(DEFAULT_GRADING_RULES),
+      ...await Spice.distinct('category'),
+      ...await GradingRuleSet.distinct('category')
+    ]);
+
+    const ruleSets = await Promise.all([...categories].sort().map(async (category) => {
+      const ruleSet = await getActiveRuleSet(category);
+      return { ...ruleSet, category, appliedFrom: ruleSet.category };
+    }));
+
+    res.json(ruleSets);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:category/history', async (req, res, next) => {
+  try {
+    const versions = await GradingRuleSet.find({ category: req.params.category.toLowerCase() })
+      .populate('createdBy', 'name')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json(versions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Saves a new version; lots graded earlier keep pointing at their version
+router.put('/:category', authenticateToken, authorizeRole(['admin']), [
+  body('grades').isArray({ min: 1 }).withMessage('At least one grade is required'),
+  body('grades.*.grade').isString().trim().notEmpty().withMessage('Grade name is required'),
+  body('grades.*.maxMoisture').isFloat({ min: 0, max: 100 }).withMessage('maxMoisture must be a percentage'),
+  body('grades.*.minPurity').isFloat({ min: 0, max: 100 }).withMessage('minPurity must be a percentage'),
+  body('grades.*.maxForeignMatter').isFloat({ min: 0, max: 100 }).withMessage('maxForeignMatter must be a percentage'),
+  body('notes').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const category = req.params.category.toLowerCase();
+    const latest = await GradingRuleSet.findOne({ category }).sort({ version: -1 });
+
+    const ruleSet = await GradingRuleSet.create({
+      category,
+      version: latest ? latest.version + 1 : 1,
+      grades: req.body.grades,
+      notes: req.body.notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: `Grading rules for ${category} saved as version ${ruleSet.version}`,
+      ruleSet
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
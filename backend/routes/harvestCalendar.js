@@ -0,0 +1,409 @@
+// Harvest Calendar Routes
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { HarvestPlan, InventoryLot, Spice } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { buildPlanFilter, transitionPlan, setStageCompletion, PLAN_TRANSITIONS } = require('../services/harvestPlans');
+const { profitabilityReport } = require('../services/profitability');
+const { getActiveTemplate, generateStages, firstHarvestDate, syncPlanStages } = require('../services/cropTemplates');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Farmers see their own plans, admins everyone's
+const planScope = (user) => (user.role === 'admin' ? {} : { farmer: user.id });
+
+// Only these fields come from the client; status and yield have their own endpoint
+const EDITABLE_FIELDS = ['spice', 'expectedHarvestDate', 'plantingDate', 'estimatedYield', 'farmArea', 'cropYear', 'location'];
+
+const pickEditable = (source) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (source[key] !== undefined) fields[key] = source[key];
+  return fields;
+}, {});
+
+const planValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('spice').isMongoId().withMessage('Valid spice is required'),
+    body('expectedHarvestDate').optional().isISO8601().withMessage('Expected harvest date must be a valid date'),
+    body('plantingDate').optional().isISO8601().withMessage('Planting date must be a valid date'),
+    field('estimatedYield').isFloat({ gt: 0 }).withMessage('Estimated yield must be positive'),
+    body('farmArea').optional().isFloat({ gt: 0 }).withMessage('Farm area must be positive'),
+    body('cropYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Crop year must look like 2024-25'),
+    body('location.farmName').optional().isString().trim(),
+    body('location.district').optional().isString().trim(),
+    body('location.village').optional().isString().trim(),
+    body('cropStages').optional().isArray().withMessage('cropStages must be an array'),
+    body('cropStages.*.stage').trim().notEmpty().withMessage('Each crop stage needs a name'),
+    body('cropStages.*.plannedDate').optional().isISO8601().withMessage('Stage planned date must be a valid date'),
+    body('cropStages.*.notes').optional().isString().trim()
+  ];
+};
+
+const toStages = (stages = []) => stages.map(({ stage, plannedDate, notes }) => ({ stage, plannedDate, notes }));
+
+const findScopedPlan = async (user, id) => {
+  const plan = await HarvestPlan.findOne({ _id: id, ...planScope(user) });
+  if (!plan) {
+    throw new ApiError(404, 'Harvest plan not found');
+  }
+  return plan;
+};
+
+const findSpice = async (spiceId) => {
+  const spice = await Spice.findById(spiceId).select('name category');
+  if (!spice) {
+    throw new ApiError(404, 'Spice not found');
+  }
+  return spice;
+};
+
+router.get('/', [
+  query('status').optional().isIn(['all', ...HarvestPlan.STATUSES])
+    .withMessage(`status must be all or one of: ${HarvestPlan.STATUSES.join(', ')}`)
+], handleValidation, async (req, res, next) => {
+  try {
+    const filter = await buildPlanFilter(req.query, planScope(req.user));
+
+    const plans = await HarvestPlan.find(filter)
+      .populate('spice', 'name')
+      .populate('farmer', 'name')
+      .sort({ expectedHarvestDate: 1 })
+      .lean();
+
+    res.json(plans);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Per-crop P&L with a season-over-season comparison (?cropYear=2024-25)
+router.get('/reports/profitability', authorizeRole(['farmer']), [
+  query('cropYear').optional().isString().withMessage('Crop year must look like 2024-25').bail()
+    .matches(/^\d{4}-\d{2}$/).withMessage('Crop year must look like 2024-25')
+], handleValidation, async (req, res, next) => {
+  try {
+    const report = await profitabilityReport(req.user.id, { cropYear: req.query.cropYear });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unacknowledged weather alerts across the farmer's open plans
+router.get('/alerts/active', async (req, res, next) => {
+  try {
+    const plans = await HarvestPlan.find({
+      ...planScope(req.user),
+      status: { $ne: 'harvested' },
+      weatherAlerts: { $elemMatch: { acknowledged: false } }
+    })
+      .populate('spice', 'name')
+      .select('spice location weatherAlerts')
+      .lean();
+
+    const alerts = plans.flatMap(plan => plan.weatherAlerts
+      .filter(alert => !alert.acknowledged)
+      .map(alert => ({ ...alert, harvestPlan: plan._id, spice: plan.spice, district: alert.district || plan.location.district })))
+      .sort((a, b) => new Date(a.forecastDate || a.date) - new Date(b.forecastDate || b.date));
+
+    res.json(alerts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    await plan.populate([
+      { path: 'spice', select: 'name category' },
+      { path: 'farmer', select: 'name' }
+    ]);
+
+    const template = plan.spice && await getActiveTemplate(plan.spice.category);
+
+    res.json({
+      harvestPlan: plan,
+      allowedStatuses: PLAN_TRANSITIONS[plan.status],
+      // Set when the plan follows an older template version than the current one
+      templateUpdate: template && plan.stageTemplate && plan.stageTemplate.version != null &&
+        plan.stageTemplate.version !== template.version
+        ? { current: plan.stageTemplate.version, latest: template.version }
+        : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', authorizeRole(['farmer']), [
+  ...planValidation(false),
+  body('status').optional().isIn(['planned', 'growing']).withMessage('New plans are planned or growing'),
+  body('useTemplate').optional().isBoolean().withMessage('useTemplate must be true or false').toBoolean()
+], handleValidation, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.body.spice);
+    const fields = pickEditable(req.body);
+    let cropStages = toStages(req.body.cropStages);
+    let stageTemplate;
+
+    // Without hand-written stages the schedule comes from the spice's template
+    const useTemplate = req.body.useTemplate !== undefined ? req.body.useTemplate : cropStages.length === 0;
+    if (useTemplate) {
+      if (!fields.plantingDate) {
+        throw new ApiError(400, 'A planting date is needed to generate the crop stages');
+      }
+      const template = await getActiveTemplate(spice.category);
+      cropStages = generateStages(template, fields.plantingDate, fields.location && fields.location.district);
+      stageTemplate = { category: template.category, version: template.version };
+      fields.expectedHarvestDate = fields.expectedHarvestDate || firstHarvestDate(cropStages);
+    }
+
+    if (!fields.expectedHarvestDate) {
+      throw new ApiError(400, 'Expected harvest date is required');
+    }
+
+    const harvestPlan = await HarvestPlan.create({
+      ...fields,
+      status: req.body.status || 'planned',
+      cropStages,
+      stageTemplate,
+      farmer: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Harvest plan created successfully',
+      harvestPlan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', authorizeRole(['farmer']), planValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+
+    // Lots copy their provenance from harvested plans, so those stay as recorded
+    if (plan.status === 'harvested') {
+      throw new ApiError(409, 'Harvested plans cannot be edited');
+    }
+    if (req.body.spice) {
+      await findSpice(req.body.spice);
+    }
+
+    plan.set(pickEditable(req.body));
+
+    // Stages sent with an _id are merged into the stored stage: completion
+    // is kept, and so are a planned date or notes the client left out
+    if (req.body.cropStages) {
+      plan.cropStages = req.body.cropStages.map(({ _id, stage, plannedDate, notes }) => {
+        const existing = _id && plan.cropStages.id(_id);
+        if (!existing) return { stage, plannedDate, notes };
+
+        const merged = { ...existing.toObject(), stage };
+        if (plannedDate !== undefined) merged.plannedDate = plannedDate;
+        if (notes !== undefined) merged.notes = notes;
+        return merged;
+      });
+    }
+
+    await plan.save();
+
+    res.json({
+      message: 'Harvest plan updated successfully',
+      harvestPlan: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', authorizeRole(['farmer']), async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+
+    if (await InventoryLot.exists({ harvestPlan: plan._id })) {
+      throw new ApiError(409, 'This plan has inventory lots submitted against it and cannot be deleted');
+    }
+
+    await plan.deleteOne();
+
+    res.json({ message: 'Harvest plan deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/status', authorizeRole(['farmer']), [
+  body('status').isIn(HarvestPlan.STATUSES).withMessage('Invalid harvest plan status'),
+  body('actualYield').optional().isFloat({ min: 0 }).withMessage('Actual yield cannot be negative').toFloat(),
+  body('actualHarvestDate').optional().isISO8601().withMessage('Actual harvest date must be a valid date').toDate()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { status, actualYield, actualHarvestDate } = req.body;
+    const plan = await findScopedPlan(req.user, req.params.id);
+
+    transitionPlan(plan, status, { actualYield, actualHarvestDate });
+    await plan.save();
+
+    res.json({
+      message: `Harvest plan marked ${status}`,
+      harvestPlan: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regenerates open stages from the spice's current template
+router.post('/:id/sync-stages', authorizeRole(['farmer']), async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    const spice = await findSpice(plan.spice);
+
+    const template = await getActiveTemplate(spice.category);
+    syncPlanStages(plan, template);
+    await plan.save();
+
+    res.json({
+      message: `Crop stages synced to ${template.category} template version ${template.version}`,
+      harvestPlan: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/stages/:stageId', authorizeRole(['farmer']), [
+  body('completed').optional().isBoolean().withMessage('completed must be true or false').toBoolean(),
+  body('completedDate').optional().isISO8601().withMessage('Completed date must be a valid date').toDate(),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], handleValidation, async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+
+    const stage = setStageCompletion(plan, req.params.stageId, req.body);
+    await plan.save();
+
+    res.json({
+      message: stage.completed ? `${stage.stage} marked complete` : `${stage.stage} reopened`,
+      harvestPlan: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/alerts/:alertId/acknowledge', authorizeRole(['farmer']), async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    const alert = plan.weatherAlerts.id(req.params.alertId);
+    if (!alert) {
+      throw new ApiError(404, 'Weather alert not found');
+    }
+
+    if (!alert.acknowledged) {
+      alert.acknowledged = true;
+      alert.acknowledgedAt = new Date();
+      await plan.save();
+    }
+
+    res.json({
+      message: 'Weather alert acknowledged',
+      alert
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Expense Ledger Routes
+
+const expenseValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('category').isIn(HarvestPlan.EXPENSE_CATEGORIES).withMessage(`Category must be one of: ${HarvestPlan.EXPENSE_CATEGORIES.join(', ')}`),
+    field('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive').toFloat(),
+    body('date').optional().isISO8601().withMessage('Expense date must be a valid date').toDate(),
+    body('description').optional().isString().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters')
+  ];
+};
+
+const findExpense = (plan, expenseId) => {
+  const expense = plan.expenses.id(expenseId);
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  return expense;
+};
+
+router.get('/:id/expenses', async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    const expenses = [...plan.expenses].sort((a, b) => b.date - a.date);
+
+    res.json({
+      expenses,
+      total: Math.round(expenses.reduce((sum, expense) => sum + expense.amount, 0) * 100) / 100
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/expenses', authorizeRole(['farmer']), expenseValidation(false), handleValidation, async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    const { category, amount, date, description } = req.body;
+
+    plan.expenses.push({ category, amount, date, description });
+    await plan.save();
+
+    res.status(201).json({
+      message: 'Expense recorded',
+      expense: plan.expenses[plan.expenses.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/expenses/:expenseId', authorizeRole(['farmer']), expenseValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+    const expense = findExpense(plan, req.params.expenseId);
+
+    for (const key of ['category', 'amount', 'date', 'description']) {
+      if (req.body[key] !== undefined) expense[key] = req.body[key];
+    }
+    await plan.save();
+
+    res.json({
+      message: 'Expense updated',
+      expense
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/expenses/:expenseId', authorizeRole(['farmer']), async (req, res, next) => {
+  try {
+    const plan = await findScopedPlan(req.user, req.params.id);
+
+    findExpense(plan, req.params.expenseId).deleteOne();
+    await plan.save();
+
+    res.json({ message: 'Expense deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
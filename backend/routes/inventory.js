@@ -0,0 +1,254 @@
+// Inventory Management Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { InventoryLot, Spice, HarvestPlan } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { sendNotification, emitToUser } = require('../utils/notifications');
+const { ApiError } = require('../utils/errors');
+const { parsePagination, paginationMeta } = require('../utils/query');
+const { gradeLot } = require('../services/grading');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = req.user.role === 'farmer' ? { farmer: req.user.id } : {};
+
+    const inventory = await InventoryLot.find(filter)
+      .populate('farmer', 'name')
+      .populate('spice', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(inventory);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const submissionValidation = [
+  body('spice').isMongoId().withMessage('Valid spice is required'),
+  body('harvestPlan').isMongoId().withMessage('The harvest plan this lot came from is required'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be positive'),
+  body('pricePerKg').isFloat({ gt: 0 }).withMessage('Price per kg must be positive'),
+  body('qualityMetrics.moisture').isFloat({ min: 0, max: 100 }).withMessage('Moisture % is required'),
+  body('qualityMetrics.purity').isFloat({ min: 0, max: 100 }).withMessage('Purity % is required'),
+  body('qualityMetrics.foreignMatter').isFloat({ min: 0, max: 100 }).withMessage('Foreign matter % is required')
+];
+
+// The grade is computed from the lab metrics; a grade typed by the farmer
+// is only kept as a note in the grade history.
+router.post('/', authorizeRole(['farmer']), submissionValidation, handleValidation, async (req, res, next) => {
+  try {
+    const { spice: spiceId, harvestPlan: planId, quantity, pricePerKg, qualityGrade, harvestDate, location, qualityMetrics } = req.body;
+
+    const spice = await Spice.findById(spiceId);
+    if (!spice) {
+      throw new ApiError(404, 'Spice not found');
+    }
+
+    const plan = await HarvestPlan.findOne({ _id: planId, farmer: req.user.id });
+    if (!plan) {
+      throw new ApiError(404, 'Harvest plan not found');
+    }
+    if (!plan.spice.equals(spice._id)) {
+      throw new ApiError(400, 'Harvest plan is for a different spice');
+    }
+
+    const lotHarvestDate = harvestDate || plan.actualHarvestDate || plan.expectedHarvestDate;
+
+    const inventory = new InventoryLot({
+      spice: spice._id,
+      harvestPlan: plan._id,
+      provenance: {
+        farmName: plan.location.farmName,
+        district: plan.location.district,
+        village: plan.location.village,
+        plantingDate: plan.plantingDate,
+        harvestDate: lotHarvestDate,
+        cropYear: plan.cropYear
+      },
+      quantity,
+      pricePerKg,
+      harvestDate: lotHarvestDate,
+      location,
+      qualityMetrics: {
+        moisture: Number(qualityMetrics.moisture),
+        purity: Number(qualityMetrics.purity),
+        foreignMatter: Number(qualityMetrics.foreignMatter)
+      },
+      farmer: req.user.id,
+      status: 'pending_approval',
+      adminApproved: false
+    });
+
+    const grading = await gradeLot(
+      inventory,
+      spice.category,
+      req.user,
+      qualityGrade ? `Graded on submission (farmer declared ${qualityGrade})` : 'Graded on submission'
+    );
+    await inventory.save();
+
+    await sendNotification(
+      'role:admin',
+      grading.meetsMinimum
+        ? `New inventory submission from ${req.user.name}: ${spice.name} graded ${grading.grade}`
+        : `New inventory submission from ${req.user.name}: ${spice.name} is below standard and flagged for rejection`,
+      grading.meetsMinimum ? 'info' : 'warning'
+    );
+
+    res.status(201).json({
+      message: grading.meetsMinimum
+        ? 'Inventory submitted for approval'
+        : 'Inventory submitted but flagged: quality is below the minimum standard',
+      grading,
+      inventory
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin review queue: lots flagged below standard first, then oldest
+// submissions. ?flagged=true|false narrows to one group.
+router.get('/review', authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { status: 'pending_approval' };
+    if (req.query.flagged !== undefined) {
+      filter.flaggedForRejection = req.query.flagged === 'true';
+    }
+
+    const [lots, total] = await Promise.all([
+      InventoryLot.find(filter)
+        .populate('farmer', 'name email phone')
+        .populate('spice', 'name category basePrice')
+        .sort({ flaggedForRejection: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      InventoryLot.countDocuments(filter)
+    ]);
+
+    res.json({
+      inventory: lots,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const findPendingLot = async (id) => {
+  const lot = await InventoryLot.findById(id).populate('spice', 'name');
+  if (!lot) {
+    throw new ApiError(404, 'Inventory lot not found');
+  }
+  if (lot.status !== 'pending_approval') {
+    throw new ApiError(409, `Inventory lot is already ${lot.status}`);
+  }
+  return lot;
+};
+
+const notifyFarmer = async (lot, message, type) => {
+  await sendNotification(lot.farmer, message, type);
+  emitToUser(lot.farmer, 'inventory-update', {
+    inventoryId: lot._id,
+    status: lot.status,
+    message
+  });
+};
+
+router.post('/:id/approve', authorizeRole(['admin']), [
+  body('qualityGrade').optional().isString().trim().notEmpty().withMessage('Quality grade cannot be empty'),
+  body('pricePerKg').optional().isFloat({ gt: 0 }).withMessage('Price per kg must be positive'),
+  body('notes').optional().isString().trim(),
+  body('overrideFlag').optional().isBoolean().toBoolean()
+], handleValidation, async (req, res, next) => {
+  try {
+    const lot = await findPendingLot(req.params.id);
+    const { qualityGrade, pricePerKg, notes, overrideFlag } = req.body;
+
+    if (lot.flaggedForRejection && !overrideFlag) {
+      throw new ApiError(409, 'Lot is below the minimum quality standard; pass overrideFlag to approve anyway', {
+        failedChecks: lot.gradeAssessment.failedChecks
+      });
+    }
+
+    if (qualityGrade && qualityGrade !== lot.qualityGrade) {
+      lot.gradeHistory.push({
+        grade: qualityGrade,
+        source: 'admin',
+        ruleCategory: lot.gradeAssessment && lot.gradeAssessment.ruleCategory,
+        ruleVersion: lot.gradeAssessment && lot.gradeAssessment.ruleVersion,
+        metrics: lot.qualityMetrics,
+        changedBy: req.user.id,
+        notes: notes || 'Grade set on approval'
+      });
+    }
+
+    lot.review = {
+      decision: 'approved',
+      reason: notes,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      submitted: { qualityGrade: lot.qualityGrade, pricePerKg: lot.pricePerKg }
+    };
+    if (qualityGrade) lot.qualityGrade = qualityGrade;
+    if (pricePerKg) lot.pricePerKg = Number(pricePerKg);
+    lot.status = 'available';
+    lot.adminApproved = true;
+    await lot.save();
+
+    const edited = lot.qualityGrade !== lot.review.submitted.qualityGrade ||
+      lot.pricePerKg !== lot.review.submitted.pricePerKg;
+
+    await notifyFarmer(
+      lot,
+      `Your ${lot.spice.name} lot was approved${edited ? ` as ${lot.qualityGrade} at ₹${lot.pricePerKg}/kg` : ''} and is now on sale`,
+      'success'
+    );
+
+    res.json({
+      message: 'Inventory approved',
+      inventory: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/reject', authorizeRole(['admin']), [
+  body('reason').isString().trim().notEmpty().withMessage('Rejection reason is required')
+], handleValidation, async (req, res, next) => {
+  try {
+    const lot = await findPendingLot(req.params.id);
+
+    lot.review = {
+      decision: 'rejected',
+      reason: req.body.reason,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      submitted: { qualityGrade: lot.qualityGrade, pricePerKg: lot.pricePerKg }
+    };
+    lot.status = 'rejected';
+    lot.adminApproved = false;
+    await lot.save();
+
+    await notifyFarmer(lot, `Your ${lot.spice.name} lot was rejected: ${req.body.reason}`, 'warning');
+
+    res.json({
+      message: 'Inventory rejected',
+      inventory: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+// Lead Management Routes
+// Public enquiry form, then the admin sales pipeline: stages, notes,
+// owners and follow-ups, quotes, and orders from accepted quotes
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { Lead, Quote, Order, User } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+const { sendEmail, sendNotification } = require('../utils/notifications');
+const { escapeRegex, parsePagination, paginationMeta } = require('../utils/query');
+const {
+  VOLUME_TIERS,
+  STAGE_TRANSITIONS,
+  changeStage,
+  createQuote,
+  respondToQuote,
+  convertQuote,
+  placeQuoteOrder,
+  stopRecurring,
+  leadFunnel
+} = require('../services/leads');
+
+const router = express.Router();
+
+// The form posts one spice or several
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+router.post('/', [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email').normalizeEmail(),
+  body('phone').optional().isString().trim(),
+  body('company').optional().isString().trim(),
+  body('monthlyQuantity').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { name, company, email, phone, monthlyQuantity } = req.body;
+    const interestedSpices = toList(req.body.interestedSpices).map(String);
+
+    const lead = await Lead.create({
+      name,
+      company,
+      email,
+      phone,
+      interestedSpices,
+      monthlyQuantity
+    });
+
+    if (email) {
+      await sendEmail(email, 'Your Farmers 10 Quote', `
+        <h2>Thank you ${name}!</h2>
+        <p>We've received your request for ${interestedSpices.length > 0 ? interestedSpices.join(', ') : 'premium spices'}.</p>
+        <p>Our team will contact you within 24 hours with a personalized quote.</p>
+        <p>Monthly Quantity: ${monthlyQuantity || 'Not specified'}</p>
+        <br>
+        <p>Best regards,<br>Farmers 10 Team</p>
+      `);
+    }
+    await sendNotification('role:admin', `New B2B lead: ${company || name}${monthlyQuantity ? ` (${monthlyQuantity} a month)` : ''}`, 'info');
+
+    res.status(201).json({
+      message: 'Lead captured successfully',
+      leadId: lead._id,
+      estimatedResponse: '24 hours'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(authenticateToken, authorizeRole(['admin']));
+
+const findLead = async (id) => {
+  const lead = await Lead.findById(id);
+  if (!lead) {
+    throw new ApiError(404, 'Lead not found');
+  }
+  return lead;
+};
+
+const findQuote = async (quoteNumber) => {
+  const quote = await Quote.findOne({ quoteNumber });
+  if (!quote) {
+    throw new ApiError(404, 'Quote not found');
+  }
+  return quote;
+};
+
+const findQuoteWithLead = async (quoteNumber) => {
+  const quote = await findQuote(quoteNumber);
+  return { quote, lead: await findLead(quote.lead) };
+};
+
+const addressValidation = [
+  body('deliveryAddress.name').trim().notEmpty().withMessage('Delivery name is required'),
+  body('deliveryAddress.phone').optional().isString().trim(),
+  body('deliveryAddress.address').trim().notEmpty().withMessage('Delivery address is required'),
+  body('deliveryAddress.city').trim().notEmpty().withMessage('Delivery city is required'),
+  body('deliveryAddress.state').trim().notEmpty().withMessage('Delivery state is required'),
+  body('deliveryAddress.pincode').matches(/^\d{6}$/).withMessage('Delivery pincode must be 6 digits')
+];
+
+// ?status=&owner=<id>|me&due=true (follow-ups due by today)&search=
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, owner, due, search } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+    if (owner) {
+      filter.owner = owner === 'me' ? req.user.id : owner;
+    }
+    if (due === 'true') {
+      const endOfDay = new Date();
+      endOfDay.setHours(23, 59, 59, 999);
+      filter.nextFollowUpAt = { $lte: endOfDay };
+      filter.status = { $nin: ['won', 'lost'] };
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { company: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .select('-notes -stageHistory')
+        .populate('owner', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Lead.countDocuments(filter)
+    ]);
+
+    res.json({
+      leads,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Conversion funnel for leads created in ?from=&to=
+router.get('/funnel', [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+], handleValidation, async (req, res, next) => {
+  try {
+    res.json(await leadFunnel(req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/volume-tiers', (req, res) => {
+  res.json(VOLUME_TIERS);
+});
+
+router.get('/quotes/:quoteNumber', async (req, res, next) => {
+  try {
+    const quote = await Quote.findOne({ quoteNumber: req.params.quoteNumber })
+      .populate('lead', 'name company email phone status')
+      .populate('orders', 'orderNumber orderStatus paymentStatus finalAmount createdAt')
+      .lean();
+    if (!quote) {
+      throw new ApiError(404, 'Quote not found');
+    }
+
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The buyer's answer: { accepted: true|false, note? }
+router.post('/quotes/:quoteNumber/response', [
+  body('accepted').isBoolean().withMessage('accepted must be true or false').toBoolean(),
+  body('note').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { quote, lead } = await findQuoteWithLead(req.params.quoteNumber);
+    await respondToQuote(quote, lead, req.body, req.user);
+
+    res.json({
+      message: `Quote ${quote.quoteNumber} ${quote.status}`,
+      quote,
+      leadStatus: lead.status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// { type: one_off|recurring, deliveryAddress, customerId?, paymentMethod?,
+//   interval? (recurring), endsAt? (recurring, defaults to the longest allowed) }
+router.post('/quotes/:quoteNumber/convert', [
+  body('type').isIn(Quote.CONVERSION_TYPES).withMessage(`type must be one of: ${Quote.CONVERSION_TYPES.join(', ')}`),
+  body('interval').if(body('type').equals('recurring'))
+    .isIn(Quote.RECURRENCE_INTERVALS).withMessage(`interval must be one of: ${Quote.RECURRENCE_INTERVALS.join(', ')}`),
+  body('endsAt').optional().isISO8601().withMessage('endsAt must be a valid date'),
+  body('customerId').optional().isMongoId().withMessage('Invalid customerId'),
+  body('paymentMethod').optional().isIn(Order.PAYMENT_METHODS).withMessage('Invalid payment method'),
+  ...addressValidation
+], handleValidation, async (req, res, next) => {
+  try {
+    const { quote, lead } = await findQuoteWithLead(req.params.quoteNumber);
+    const { order } = await convertQuote(quote, lead, req.body, req.user);
+
+    res.status(201).json({
+      message: quote.conversion.type === 'recurring'
+        ? `Order ${order.orderNumber} placed; next order on ${quote.conversion.nextOrderAt ? quote.conversion.nextOrderAt.toDateString() : 'none (schedule ended)'}`
+        : `Order ${order.orderNumber} placed`,
+      order,
+      quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Places another order from a converted quote now, e.g. after a recurring
+// run was skipped for lack of stock
+router.post('/quotes/:quoteNumber/orders', async (req, res, next) => {
+  try {
+    const quote = await findQuote(req.params.quoteNumber);
+    if (!quote.conversion || !quote.conversion.convertedAt) {
+      throw new ApiError(409, 'Convert the quote before placing orders from it');
+    }
+    const order = await placeQuoteOrder(quote, req.user);
+
+    res.status(201).json({
+      message: `Order ${order.orderNumber} placed`,
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/quotes/:quoteNumber/stop', async (req, res, next) => {
+  try {
+    const quote = await stopRecurring(await findQuote(req.params.quoteNumber), req.user);
+
+    res.json({
+      message: `Recurring orders from quote ${quote.quoteNumber} stopped`,
+      quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .populate('owner customer', 'name email')
+      .populate('notes.author stageHistory.by', 'name')
+      .lean();
+    if (!lead) {
+      throw new ApiError(404, 'Lead not found');
+    }
+
+    const quotes = await Quote.find({ lead: lead._id })
+      .populate('orders', 'orderNumber orderStatus finalAmount createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      ...lead,
+      quotes,
+      allowedTransitions: STAGE_TRANSITIONS[lead.status] || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Contact details, owner, next follow-up and the linked customer account
+router.put('/:id', [
+  body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('company').optional().isString().trim(),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email').normalizeEmail(),
+  body('phone').optional().isString().trim(),
+  body('interestedSpices').optional().isArray().withMessage('interestedSpices must be an array'),
+  body('monthlyQuantity').optional().isString().trim(),
+  body('owner').optional({ values: 'null' }).isMongoId().withMessage('Invalid owner'),
+  body('customer').optional({ values: 'null' }).isMongoId().withMessage('Invalid customer'),
+  body('nextFollowUpAt').optional({ values: 'null' }).isISO8601().withMessage('nextFollowUpAt must be a valid date')
+], handleValidation, async (req, res, next) => {
+  try {
+    const lead = await findLead(req.params.id);
+    const fields = ['name', 'company', 'email', 'phone', 'interestedSpices', 'monthlyQuantity', 'owner', 'customer', 'nextFollowUpAt'];
+
+    if (req.body.owner) {
+      const owner = await User.exists({ _id: req.body.owner, role: 'admin', isActive: true });
+      if (!owner) {
+        throw new ApiError(404, 'Owner not found');
+      }
+    }
+    if (req.body.customer) {
+      const customer = await User.exists({ _id: req.body.customer, role: 'customer', isActive: true });
+      if (!customer) {
+        throw new ApiError(404, 'Customer not found');
+      }
+    }
+
+    const previousOwner = lead.owner && lead.owner.toString();
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        lead[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    }
+    await lead.save();
+
+    if (lead.owner && lead.owner.toString() !== previousOwner && lead.owner.toString() !== req.user.id) {
+      await sendNotification(lead.owner, `Lead ${lead.company || lead.name} has been assigned to you`, 'info');
+    }
+
+    res.json({
+      message: 'Lead updated',
+      lead
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/notes', [
+  body('text').isString().trim().notEmpty().withMessage('Note text is required'),
+  body('nextFollowUpAt').optional().isISO8601().withMessage('nextFollowUpAt must be a valid date')
+], handleValidation, async (req, res, next) => {
+  try {
+    const lead = await findLead(req.params.id);
+    lead.notes.push({ text: req.body.text, author: req.user.id });
+    if (req.body.nextFollowUpAt) {
+      lead.nextFollowUpAt = req.body.nextFollowUpAt;
+    }
+    await lead.save();
+
+    res.status(201).json({
+      message: 'Note added',
+      note: lead.notes[lead.notes.length - 1],
+      nextFollowUpAt: lead.nextFollowUpAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// { status, note?, lostReason? (required for lost) }
+router.put('/:id/status', [
+  body('status').isIn(Lead.STATUSES).withMessage(`Status must be one of: ${Lead.STATUSES.join(', ')}`),
+  body('note').optional().isString().trim(),
+  body('lostReason').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const lead = await changeStage(await findLead(req.params.id), req.body, req.user);
+
+    res.json({
+      message: `Lead moved to ${lead.status}`,
+      lead,
+      allowedTransitions: STAGE_TRANSITIONS[lead.status] || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// { items: [{ spiceId, quantity (kg per order) }], validDays?, notes? }
+router.post('/:id/quotes', [
+  body('items').isArray({ min: 1, max: 20 }).withMessage('A quote needs between 1 and 20 items'),
+  body('items.*.spiceId').isMongoId().withMessage('Invalid spiceId'),
+  body('items.*.quantity').isFloat({ gt: 0, max: 1000 }).withMessage('Item quantity must be between 0 and 1000 kg').toFloat(),
+  body('validDays').optional().isInt({ min: 1, max: 90 }).withMessage('validDays must be between 1 and 90').toInt(),
+  body('notes').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const lead = await findLead(req.params.id);
+    const quote = await createQuote(lead, req.body, req.user);
+
+    res.status(201).json({
+      message: `Quote ${quote.quoteNumber} sent${lead.email ? ` to ${lead.email}` : ''}`,
+      quote,
+      leadStatus: lead.status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
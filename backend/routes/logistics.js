@@ -0,0 +1,313 @@
+// Logistics Routes: delivery route planning, driver assignment and the fleet
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { DeliveryRoute, Vehicle, User, Order } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { parsePagination, paginationMeta } = require('../utils/query');
+const { ApiError } = require('../utils/errors');
+const { WAREHOUSES } = require('../services/geo');
+const { planRoutes, assignRoute } = require('../services/routePlanning');
+const { DRIVING_STATUSES, activeRouteFor, recordLocation } = require('../services/tracking');
+const { deliverOrder, failDelivery, codSummary, reconcileRoute, unreconciledRoutes } = require('../services/delivery');
+const { imageUpload } = require('../services/productImages');
+
+const router = express.Router();
+
+router.use(authenticateToken, authorizeRole(['logistics', 'admin']));
+
+const proofUpload = imageUpload(2).fields([{ name: 'photo', maxCount: 1 }, { name: 'signature', maxCount: 1 }]);
+
+const VEHICLE_FIELDS = ['registration', 'type', 'capacityKg', 'maxStops', 'warehouse', 'isActive'];
+
+const vehicleValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('registration').isString().trim().notEmpty().withMessage('Registration number is required'),
+    body('type').optional().isIn(Vehicle.VEHICLE_TYPES).withMessage(`Type must be one of ${Vehicle.VEHICLE_TYPES.join(', ')}`),
+    field('capacityKg').isFloat({ min: 1 }).withMessage('Capacity must be at least 1 kg').toFloat(),
+    body('maxStops').optional().isInt({ min: 1, max: 100 }).withMessage('maxStops must be between 1 and 100').toInt(),
+    field('warehouse').isIn(Object.keys(WAREHOUSES)).withMessage(`Warehouse must be one of ${Object.keys(WAREHOUSES).join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+const findRoute = async (id) => {
+  const route = await DeliveryRoute.findById(id);
+  if (!route) {
+    throw new ApiError(404, 'Route not found');
+  }
+  return route;
+};
+
+// Delivery OTP hash included, for verifying the code at the door
+const findDeliveryOrder = async (orderNumber) => {
+  const order = await Order.findOne({ orderNumber }).select('+proofOfDelivery.otpHash');
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  return order;
+};
+
+const locationFrom = ({ lat, lng }) => (lat != null && lng != null ? { lat, lng } : undefined);
+
+const locationValidation = [
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90').toFloat(),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180').toFloat()
+];
+
+const populateRoute = (query) => query
+  .populate('vehicle', 'registration type capacityKg')
+  .populate('driver', 'name phone')
+  .populate('stops.orders', 'orderNumber orderStatus deliveryAddress finalAmount paymentMethod');
+
+// ?status=planned|assigned|...&warehouse=; open routes by default
+router.get('/routes', async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = {};
+
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(',') };
+    } else {
+      query.status = { $in: DeliveryRoute.OPEN_ROUTE_STATUSES };
+    }
+    if (req.query.warehouse) query.warehouse = req.query.warehouse;
+
+    const [routes, total] = await Promise.all([
+      populateRoute(DeliveryRoute.find(query).select('-track').sort({ createdAt: -1 }).skip(skip).limit(limit)).lean(),
+      DeliveryRoute.countDocuments(query)
+    ]);
+
+    res.json({ routes, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The route the signed-in driver is out on, if any
+router.get('/routes/current', async (req, res, next) => {
+  try {
+    res.json(await populateRoute(activeRouteFor(req.user.id).select('-track')).lean());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/routes/:id', param('id').isMongoId().withMessage('Invalid route id'), handleValidation, async (req, res, next) => {
+  try {
+    const route = await populateRoute(DeliveryRoute.findById(req.params.id)).lean();
+    if (!route) {
+      throw new ApiError(404, 'Route not found');
+    }
+    res.json(route);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rebuilds the unassigned plan from every order waiting in 'processing'
+router.post('/routes/plan', [
+  body('warehouse').optional().isIn(Object.keys(WAREHOUSES)).withMessage('Unknown warehouse')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { routes, unassigned } = await planRoutes({ warehouse: req.body.warehouse, actor: req.user });
+    const planned = await populateRoute(DeliveryRoute.find({ _id: { $in: routes.map(route => route._id) } })).lean();
+
+    res.status(201).json({
+      message: `${planned.length} route(s) planned${unassigned.length ? `, ${unassigned.length} order(s) left out` : ''}`,
+      routes: planned,
+      unassigned
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/routes/:id/assign', [
+  body('driverId').isMongoId().withMessage('Driver is required'),
+  body('vehicleId').optional().isMongoId().withMessage('Invalid vehicle id')
+], handleValidation, async (req, res, next) => {
+  try {
+    const route = await findRoute(req.params.id);
+    await assignRoute(route, req.body, req.user);
+
+    res.json({
+      message: `Route ${route.routeCode} assigned`,
+      route: await populateRoute(DeliveryRoute.findById(route._id)).lean()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Only plans can be thrown away; their orders go back to the pool
+router.delete('/routes/:id', async (req, res, next) => {
+  try {
+    const route = await findRoute(req.params.id);
+    if (route.status !== 'planned') {
+      throw new ApiError(409, `Route ${route.routeCode} is already ${route.status}`);
+    }
+
+    await route.deleteOne();
+    res.json({ message: 'Route discarded' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Driver GPS ping over HTTP; the app can also emit 'driver-location' on its socket
+router.post('/location', [
+  body('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90').toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180').toFloat(),
+  body('speedKmh').optional().isFloat({ min: 0 }).toFloat(),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).toFloat(),
+  body('accuracy').optional().isFloat({ min: 0 }).toFloat(),
+  body('recordedAt').optional().isISO8601().withMessage('recordedAt must be an ISO 8601 time')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { route, ignored } = await recordLocation(req.user.id, req.body);
+
+    res.json({
+      message: ignored ? 'Older location ignored' : 'Location recorded',
+      routeCode: route.routeCode,
+      status: route.status,
+      progress: route.progress,
+      stops: route.stops.map(({ sequence, pincode, status, eta, arrivedAt }) => ({ sequence, pincode, status, eta, arrivedAt }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Proof of delivery, as multipart: otp, recipientName, codAmount, lat, lng
+// fields plus "photo" and "signature" image files
+router.post('/deliveries/:orderNumber/deliver', proofUpload, [
+  body('otp').optional().matches(/^\d{6}$/).withMessage('The delivery code has 6 digits'),
+  body('recipientName').optional().isString().trim().isLength({ max: 100 }).withMessage('Recipient name is limited to 100 characters'),
+  body('codAmount').optional().isFloat({ min: 0 }).withMessage('Cash collected must be zero or more').toFloat(),
+  ...locationValidation
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await findDeliveryOrder(req.params.orderNumber);
+    const files = req.files || {};
+
+    await deliverOrder(order, {
+      ...req.body,
+      location: locationFrom(req.body),
+      photo: files.photo && files.photo[0],
+      signature: files.signature && files.signature[0]
+    }, req.user);
+
+    res.json({ message: `Order ${order.orderNumber} delivered`, order });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/deliveries/:orderNumber/failed', [
+  body('reason').isIn(Order.DELIVERY_FAILURE_REASONS).withMessage(`Reason must be one of ${Order.DELIVERY_FAILURE_REASONS.join(', ')}`),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters'),
+  ...locationValidation
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await findDeliveryOrder(req.params.orderNumber);
+    await failDelivery(order, { ...req.body, location: locationFrom(req.body) }, req.user);
+
+    res.json({ message: `Order ${order.orderNumber} queued for another delivery attempt`, order });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cash on delivery recorded on a route, and its end-of-day settlement
+router.get('/routes/:id/cod', async (req, res, next) => {
+  try {
+    res.json(await codSummary(await findRoute(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/routes/:id/reconcile', authorizeRole(['admin']), [
+  body('depositedAmount').isFloat({ min: 0 }).withMessage('Deposited amount must be zero or more').toFloat(),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], handleValidation, async (req, res, next) => {
+  try {
+    const route = await reconcileRoute(await findRoute(req.params.id), req.body, req.user);
+    res.json({ message: `Route ${route.routeCode} reconciled`, reconciliation: route.cashReconciliation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/cod/unreconciled', authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    res.json(await unreconciledRoutes());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logistics users who can be given a route, and whether they are out now
+router.get('/drivers', async (req, res, next) => {
+  try {
+    const [drivers, busy] = await Promise.all([
+      User.find({ role: 'logistics', isActive: true }).select('name phone email').sort({ name: 1 }).lean(),
+      DeliveryRoute.find({ status: { $in: DRIVING_STATUSES } }).select('driver routeCode').lean()
+    ]);
+    const onRoute = new Map(busy.map(route => [String(route.driver), route.routeCode]));
+
+    res.json(drivers.map(driver => ({ ...driver, currentRoute: onRoute.get(String(driver._id)) || null })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/vehicles', async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.warehouse) query.warehouse = req.query.warehouse;
+    if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+    res.json(await Vehicle.find(query).sort({ warehouse: 1, capacityKg: -1 }).lean());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/vehicles', authorizeRole(['admin']), vehicleValidation(false), handleValidation, async (req, res, next) => {
+  try {
+    const vehicle = new Vehicle({});
+    VEHICLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => vehicle.set(field, req.body[field]));
+    await vehicle.save();
+
+    res.status(201).json({ message: 'Vehicle added', vehicle });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retire a vehicle with { isActive: false }; past routes still reference it
+router.put('/vehicles/:id', authorizeRole(['admin']), vehicleValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      throw new ApiError(404, 'Vehicle not found');
+    }
+
+    VEHICLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => vehicle.set(field, req.body[field]));
+    await vehicle.save();
+
+    res.json({ message: 'Vehicle updated', vehicle });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+// Market Price Routes
+
+const express = require('express');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const { PriceObservation, Spice } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const {
+  INTERVALS,
+  tradingHours,
+  isMarketOpen,
+  recordObservations,
+  ingestPrices,
+  parseBulletin,
+  priceHistory,
+  latestPrices
+} = require('../services/marketPrices');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Bulletins are small text files; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+    cb(isCsv ? null : new ApiError(400, 'Upload a .csv file'), isCsv);
+  }
+});
+
+router.get('/latest', async (req, res, next) => {
+  try {
+    res.json(await latestPrices());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/markets', async (req, res, next) => {
+  try {
+    const { start, end } = tradingHours();
+
+    res.json({
+      markets: (await PriceObservation.distinct('market')).sort(),
+      tradingHours: { start, end, timezone: 'Asia/Kolkata' },
+      marketOpen: isMarketOpen()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// OHLC candles: ?spice=<id>&market=&interval=day|week|month&from=&to=
+router.get('/history', [
+  query('spice').isMongoId().withMessage('Valid spice is required'),
+  query('interval').optional().isIn(INTERVALS).withMessage(`interval must be one of: ${INTERVALS.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { spice: spiceId, market, interval = 'day', from, to } = req.query;
+
+    const spice = await Spice.findById(spiceId).select('name category');
+    if (!spice) {
+      throw new ApiError(404, 'Spice not found');
+    }
+
+    res.json({
+      spice,
+      interval,
+      series: await priceHistory(spice._id, { market, interval, from, to })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin Price Data Routes
+
+router.post('/observations', authenticateToken, authorizeRole(['admin']), [
+  body('observations').isArray({ min: 1, max: 500 }).withMessage('observations must list 1 to 500 prices'),
+  body('observations.*.spice').isMongoId().withMessage('Valid spice is required'),
+  body('observations.*.market').isString().trim().notEmpty().withMessage('Market is required'),
+  body('observations.*.price').isFloat({ gt: 0 }).withMessage('Price must be positive').toFloat(),
+  body('observations.*.volume').optional().isFloat({ min: 0 }).withMessage('Volume cannot be negative').toFloat(),
+  body('observations.*.observedAt').isISO8601().withMessage('observedAt must be a valid date').toDate()
+], handleValidation, async (req, res, next) => {
+  try {
+    const rows = req.body.observations.map(({ spice, market, price, volume, observedAt }) => ({
+      spice, market, price, volume, observedAt
+    }));
+
+    const result = await recordObservations(rows, { source: 'manual', actor: req.user });
+
+    res.status(201).json({
+      message: `${result.inserted} price(s) recorded`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Spice Board bulletin upload (multipart field "file")
+router.post('/upload', authenticateToken, authorizeRole(['admin']), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'Attach the bulletin as a CSV file in the "file" field');
+    }
+
+    const { rows, errors } = await parseBulletin(req.file.buffer.toString('utf8'));
+    const result = await recordObservations(rows, {
+      source: 'spice_board_csv',
+      sourceRef: req.file.originalname,
+      actor: req.user
+    });
+
+    res.status(errors.length > 0 && result.inserted === 0 ? 400 : 201).json({
+      message: `${result.inserted} price(s) imported from ${req.file.originalname}`,
+      ...result,
+      errors
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Runs the configured price sources now (still only within trading hours)
+router.post('/ingest', authenticateToken, authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    res.json(await ingestPrices());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// News Board Routes
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { NewsArticle } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { buildNewsQuery, ingestNews, retagArticle } = require('../services/news');
+const { ApiError } = require('../utils/errors');
+const { parsePagination, paginationMeta } = require('../utils/query');
+
+const router = express.Router();
+
+const TAG_FIELDS = ['category', 'spiceTypes', 'impact', 'sentiment'];
+const EDITABLE_FIELDS = ['title', 'summary', ...TAG_FIELDS, 'isPinned', 'isHidden'];
+
+const listValidation = [
+  query('category').optional().isIn(['all', ...NewsArticle.CATEGORIES]).withMessage('Unknown news category'),
+  query('spice').optional().isString().trim().withMessage('spice must be a single value'),
+  query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('Search is limited to 100 characters')
+];
+
+// Only the listing filters come from the query string; whether hidden
+// articles show is decided by the route
+const listNews = async (req, options = {}) => {
+  const { page, limit, skip } = parsePagination(req.query, 10, 50);
+  const { category, spice, search } = req.query;
+  const { filter, projection, sort } = buildNewsQuery({ category, spice, search, ...options });
+
+  const [news, total] = await Promise.all([
+    NewsArticle.find(filter, projection).sort(sort).skip(skip).limit(limit).lean(),
+    NewsArticle.countDocuments(filter)
+  ]);
+
+  return { news, pagination: paginationMeta(page, limit, total) };
+};
+
+// Public listing: ?category=&spice=&search=&page=&limit=
+router.get('/', listValidation, handleValidation, async (req, res, next) => {
+  try {
+    res.json(await listNews(req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin listing, hidden articles included (?hidden=true for only those)
+router.get('/manage', authenticateToken, authorizeRole(['admin']), [
+  ...listValidation,
+  query('hidden').optional().isBoolean().withMessage('hidden must be true or false').toBoolean()
+], handleValidation, async (req, res, next) => {
+  try {
+    res.json(await listNews(req, { includeHidden: true, hidden: req.query.hidden }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pulls every configured feed now instead of waiting for the cron job
+router.post('/ingest', authenticateToken, authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    const summary = await ingestNews();
+    res.json({ message: `Stored ${summary.inserted} new article(s)`, ...summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const article = await NewsArticle.findOne({ _id: req.params.id, isHidden: false }).select('-titleTokens');
+    if (!article) {
+      throw new ApiError(404, 'Article not found');
+    }
+    res.json(article);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Curation: edit, re-tag, pin or hide. Edited tags are kept by later
+// re-tagging; `resetTags: true` hands them back to the keyword rules.
+router.put('/:id', authenticateToken, authorizeRole(['admin']), [
+  body('title').optional().isString().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('summary').optional().isString().trim(),
+  body('category').optional().isIn(NewsArticle.CATEGORIES).withMessage(`Category must be one of: ${NewsArticle.CATEGORIES.join(', ')}`),
+  body('spiceTypes').optional().isArray().withMessage('spiceTypes must be a list'),
+  body('spiceTypes.*').isString().trim().notEmpty(),
+  body('impact').optional().isIn(NewsArticle.IMPACT_LEVELS).withMessage(`Impact must be one of: ${NewsArticle.IMPACT_LEVELS.join(', ')}`),
+  body('sentiment').optional().isIn(NewsArticle.SENTIMENTS).withMessage(`Sentiment must be one of: ${NewsArticle.SENTIMENTS.join(', ')}`),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be true or false').toBoolean(),
+  body('isHidden').optional().isBoolean().withMessage('isHidden must be true or false').toBoolean(),
+  body('resetTags').optional().isBoolean().toBoolean()
+], handleValidation, async (req, res, next) => {
+  try {
+    const article = await NewsArticle.findById(req.params.id);
+    if (!article) {
+      throw new ApiError(404, 'Article not found');
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => article.set(field, req.body[field]));
+
+    if (req.body.resetTags) {
+      article.tagsEditedAt = undefined;
+      retagArticle(article);
+    } else if (TAG_FIELDS.some(field => req.body[field] !== undefined)) {
+      article.tagsEditedAt = new Date();
+    }
+    if (article.isModified('isPinned')) {
+      article.pinnedAt = article.isPinned ? new Date() : undefined;
+    }
+    article.editedBy = req.user.id;
+
+    await article.save();
+
+    res.json({ message: 'Article updated', article });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+// Orders Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { Order, User } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { reserveOrderItems, paymentDeadline, allowedTransitions, transitionOrder } = require('../services/orders');
+const { releaseAllocations } = require('../services/inventory');
+const { cartOrderItems, clearCart } = require('../services/cart');
+const { cancelOrder, cancelOrderItems, refundOrder } = require('../services/refunds');
+const { trackOrderShipment } = require('../services/tracking');
+const { requiresProof, issueDeliveryOtp, resendDeliveryOtp } = require('../services/delivery');
+const { privateImagePath } = require('../services/productImages');
+const { ApiError } = require('../utils/errors');
+const { parsePagination, paginationMeta } = require('../utils/query');
+
+const router = express.Router();
+
+// Public tracking by order number: status, timeline and, while the order is
+// out for delivery, the driver's last position and ETA. Nothing that
+// identifies the customer is returned.
+router.get('/:orderNumber/track', async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber })
+      .select('orderNumber orderStatus createdAt timeline deliveryAddress.city deliveryAddress.pincode deliveryRoute')
+      .lean();
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.orderStatus,
+      placedAt: order.createdAt,
+      destination: order.deliveryAddress && { city: order.deliveryAddress.city, pincode: order.deliveryAddress.pincode },
+      // Timeline notes can name the recipient or quote a driver or refund
+      // reason, so only the status changes themselves are shown
+      timeline: order.timeline
+        .filter(entry => Order.ORDER_STATUSES.includes(entry.status))
+        .map(({ status, timestamp }) => ({ status, timestamp })),
+      shipment: await trackOrderShipment(order)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(authenticateToken);
+
+// Which orders a user may see: customers their own, farmers the orders that
+// contain their produce, staff everything.
+const orderScope = (user) => {
+  switch (user.role) {
+    case 'customer':
+      return { customer: user.id };
+    case 'farmer':
+      return { 'items.farmer': user.id };
+    default:
+      return {};
+  }
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = orderScope(req.user);
+    if (status && status !== 'all') {
+      filter.orderStatus = status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('customer', 'name email')
+        .populate('items.spice', 'name')
+        .populate('items.farmer', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      orders,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Items come from the request or, with fromCart: true, from the saved
+// cart; the address is either a saved addressId or a deliveryAddress object
+const withoutCart = (value, { req }) => !req.body.fromCart;
+const withoutSavedAddress = (value, { req }) => !req.body.addressId;
+
+const orderValidation = [
+  body('fromCart').optional().isBoolean().withMessage('fromCart must be true or false').toBoolean(),
+  body('items').if(withoutCart).isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.quantity').if(withoutCart).isFloat({ gt: 0, max: 1000 }).withMessage('Item quantity must be between 0 and 1000 kg'),
+  body('items.*').if(withoutCart).custom(item => Boolean(item.inventoryId || item.spiceId))
+    .withMessage('Each item needs an inventoryId or spiceId'),
+  body('items.*.inventoryId').optional().isMongoId().withMessage('Invalid inventoryId'),
+  body('items.*.spiceId').optional().isMongoId().withMessage('Invalid spiceId'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Invalid variantId'),
+  body('items.*').if(withoutCart).custom(item => !item.variantId || (item.spiceId && Number.isInteger(Number(item.quantity))))
+    .withMessage('A pack size needs its spiceId and a whole number of packs'),
+  body('paymentMethod').optional().isIn(Order.PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('addressId').optional().isMongoId().withMessage('Invalid addressId'),
+  body('deliveryAddress.name').if(withoutSavedAddress).trim().notEmpty().withMessage('Delivery name is required'),
+  body('deliveryAddress.address').if(withoutSavedAddress).trim().notEmpty().withMessage('Delivery address is required'),
+  body('deliveryAddress.city').if(withoutSavedAddress).trim().notEmpty().withMessage('Delivery city is required'),
+  body('deliveryAddress.state').if(withoutSavedAddress).trim().notEmpty().withMessage('Delivery state is required'),
+  body('deliveryAddress.pincode').if(withoutSavedAddress).matches(/^\d{6}$/).withMessage('Delivery pincode must be 6 digits')
+];
+
+// Copies a saved address onto the order so later edits to the address
+// book leave it alone
+const resolveDeliveryAddress = async (userId, { addressId, deliveryAddress }) => {
+  if (!addressId) {
+    return deliveryAddress;
+  }
+
+  const user = await User.findById(userId).select('addresses');
+  const saved = user && user.addresses.id(addressId);
+  if (!saved) {
+    throw new ApiError(404, 'Saved address not found');
+  }
+  const { name, phone, address, city, state, pincode } = saved;
+  return { name, phone, address, city, state, pincode };
+};
+
+// Prices come from the catalogue / inventory, never from the client. Stock
+// is reserved here and held until the order ships or is cancelled.
+router.post('/', orderValidation, handleValidation, async (req, res, next) => {
+  try {
+    const { fromCart, paymentMethod = 'razorpay' } = req.body;
+
+    const deliveryAddress = await resolveDeliveryAddress(req.user.id, req.body);
+    const items = fromCart ? await cartOrderItems(req.user.id) : req.body.items;
+    const pricing = await reserveOrderItems(items, deliveryAddress.pincode);
+
+    let order;
+    try {
+      order = await Order.create({
+        customer: req.user.id,
+        ...pricing,
+        paymentMethod,
+        paymentExpiresAt: paymentDeadline(paymentMethod),
+        stockStatus: 'reserved',
+        deliveryAddress,
+        timeline: [{
+          status: 'placed',
+          timestamp: new Date(),
+          notes: 'Order placed successfully',
+          actor: req.user.id,
+          actorRole: req.user.role
+        }]
+      });
+    } catch (error) {
+      await releaseAllocations(pricing.items);
+      throw error;
+    }
+
+    if (fromCart) {
+      await clearCart(req.user.id);
+    }
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Loads an order the current user is allowed to see, else 404
+const findScopedOrder = async (user, orderNumber) => {
+  const order = await Order.findOne({ orderNumber, ...orderScope(user) });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  return order;
+};
+
+router.get('/:orderNumber', async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+
+    await order.populate([
+      { path: 'customer', select: 'name email' },
+      { path: 'items.spice', select: 'name' },
+      { path: 'items.farmer', select: 'name' },
+      { path: 'timeline.actor', select: 'name' }
+    ]);
+
+    res.json({
+      order,
+      allowedTransitions: allowedTransitions(order, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery photo and signature files. They show the customer's doorstep
+// and handwriting, so only the customer and delivery staff may open them.
+router.get('/:orderNumber/proof/:file', authorizeRole(['customer', 'logistics', 'admin']), async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+    const proof = order.proofOfDelivery || {};
+    const files = [proof.photo, proof.signature]
+      .filter(Boolean)
+      .flatMap(image => [image.url, image.thumbnailUrl])
+      .filter(Boolean)
+      .map(url => url.split('/').pop());
+    if (!files.includes(req.params.file)) {
+      throw new ApiError(404, 'File not found');
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(privateImagePath('delivery', req.params.file), (error) => {
+      if (error) next(error.code === 'ENOENT' ? new ApiError(404, 'File not found') : error);
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:orderNumber/status', [
+  body('status').isIn(Order.ORDER_STATUSES).withMessage('Invalid order status'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], handleValidation, async (req, res, next) => {
+  try {
+    const { status, notes } = req.body;
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+
+    const reason = notes || `Marked ${status} by ${req.user.name}`;
+
+    // Doorstep outcomes go through the logistics delivery endpoints so the
+    // evidence is captured; admins may still override
+    if (req.user.role !== 'admin' && order.orderStatus === 'shipped') {
+      if (status === 'processing') {
+        throw new ApiError(409, 'Record a failed delivery attempt at POST /api/logistics/deliveries/:orderNumber/failed');
+      }
+      if (status === 'delivered' && await requiresProof(order)) {
+        throw new ApiError(409, 'This order needs proof of delivery at POST /api/logistics/deliveries/:orderNumber/deliver');
+      }
+    }
+
+    if (status === 'cancelled') {
+      await cancelOrder(order, req.user, reason);
+    } else {
+      await transitionOrder(order, status, req.user, reason);
+    }
+
+    if (status === 'shipped') {
+      await issueDeliveryOtp(order);
+    }
+
+    res.json({
+      message: `Order ${status}`,
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sends the delivery code again (customer, or staff on their behalf)
+router.post('/:orderNumber/delivery-otp', async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+    await resendDeliveryOtp(order);
+
+    res.json({ message: 'A new delivery code has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:orderNumber/cancel', async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+
+    await cancelOrder(order, req.user, req.body.reason || `Cancelled by ${req.user.role}`);
+
+    res.json({
+      message: 'Order cancelled',
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: cancel individual lines before shipment (refunded if already paid)
+router.post('/:orderNumber/cancel-items', authorizeRole(['admin']), [
+  body('itemIds').isArray({ min: 1 }).withMessage('itemIds must list at least one order item'),
+  body('itemIds.*').isMongoId().withMessage('Invalid item id'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+
+    await cancelOrderItems(order, req.body.itemIds, req.user, req.body.reason);
+
+    res.json({
+      message: 'Items cancelled',
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: full or partial refund. Omit `amount` to refund everything left.
+// COD orders need the `reference` of the manual payout.
+router.post('/:orderNumber/refunds', authorizeRole(['admin']), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+  body('reference').optional().isString().trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req.user, req.params.orderNumber);
+    const { amount, reason, reference } = req.body;
+
+    const refund = await refundOrder(order, {
+      amount: amount == null ? undefined : Number(amount),
+      reason,
+      reference,
+      actor: req.user
+    });
+
+    res.status(201).json({
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+      refund,
+      paymentStatus: order.paymentStatus,
+      refundableAmount: order.refundableAmount()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
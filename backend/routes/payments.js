@@ -0,0 +1,71 @@
+// Payment Routes (Razorpay)
+
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const { Order } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { createGatewayOrder, verifyCheckoutPayment, handleWebhookEvent } = require('../services/payments');
+const { getPaymentGateway } = require('../services/paymentGateway');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// `orderId` is our order number; the amount is taken from the order itself
+router.post('/create-order', authenticateToken, [
+  body('orderId').isString().notEmpty().withMessage('orderId is required')
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderNumber: req.body.orderId, customer: req.user.id });
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    res.json(await createGatewayOrder(order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/verify', authenticateToken, [
+  body('orderId').isString().notEmpty().withMessage('orderId is required'),
+  body('paymentId').isString().notEmpty().withMessage('paymentId is required'),
+  body('signature').isString().notEmpty().withMessage('signature is required')
+], handleValidation, async (req, res, next) => {
+  try {
+    const order = await verifyCheckoutPayment(req.user, req.body);
+
+    res.json({
+      message: 'Payment verified successfully',
+      status: 'success',
+      paymentId: order.payment.paymentId,
+      orderNumber: order.orderNumber
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Server-to-server notifications from Razorpay. Authenticated by the HMAC
+// of the raw request body, not by a user token.
+router.post('/webhook', async (req, res, next) => {
+  try {
+    const signature = req.get('x-razorpay-signature');
+
+    if (!getPaymentGateway().verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const eventId = req.get('x-razorpay-event-id') ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const result = await handleWebhookEvent(eventId, req.body);
+
+    res.json({ status: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// Price Watchlist Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { PriceAlertEvent, PriceWatch, Spice } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { defaultChangeThreshold } = require('../services/priceAlerts');
+const { ApiError } = require('../utils/errors');
+const { parsePagination, paginationMeta } = require('../utils/query');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const MAX_WATCHES_PER_USER = 20;
+
+const watchValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('spice').isMongoId().withMessage('Valid spice is required'),
+    body('market').optional({ nullable: true }).isString().trim(),
+    field('condition').isIn(PriceWatch.CONDITIONS).withMessage(`Condition must be one of: ${PriceWatch.CONDITIONS.join(', ')}`),
+    body('threshold').optional().isFloat({ gt: 0 }).withMessage('Threshold must be positive').toFloat(),
+    body('channels').optional().isArray({ min: 1 }).withMessage('Pick at least one channel'),
+    body('channels.*').isIn(PriceWatch.CHANNELS).withMessage(`Channels must be among: ${PriceWatch.CHANNELS.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+const findOwnWatch = async (user, id) => {
+  const watch = await PriceWatch.findOne({ _id: id, user: user.id });
+  if (!watch) {
+    throw new ApiError(404, 'Price watch not found');
+  }
+  return watch;
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    const watches = await PriceWatch.find({ user: req.user.id })
+      .populate('spice', 'name category')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(watches);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Alerts received, newest first (?page=&limit=)
+router.get('/alerts', async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { user: req.user.id };
+
+    const [alerts, total] = await Promise.all([
+      PriceAlertEvent.find(filter)
+        .populate('spice', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PriceAlertEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      alerts,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', watchValidation(false), handleValidation, async (req, res, next) => {
+  try {
+    const { spice: spiceId, market, condition, channels } = req.body;
+
+    if (!(await Spice.exists({ _id: spiceId }))) {
+      throw new ApiError(404, 'Spice not found');
+    }
+    if (await PriceWatch.countDocuments({ user: req.user.id }) >= MAX_WATCHES_PER_USER) {
+      throw new ApiError(409, `You can keep up to ${MAX_WATCHES_PER_USER} price watches`);
+    }
+
+    // A percent-move watch without a threshold uses the platform default
+    const threshold = req.body.threshold ?? (condition === 'change_pct' ? defaultChangeThreshold() : undefined);
+    if (threshold == null) {
+      throw new ApiError(400, 'A price threshold is required');
+    }
+
+    const watch = await PriceWatch.create({
+      user: req.user.id,
+      spice: spiceId,
+      market: market || undefined,
+      condition,
+      threshold,
+      channels
+    });
+
+    res.status(201).json({
+      message: 'Price watch created',
+      watch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', watchValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const watch = await findOwnWatch(req.user, req.params.id);
+
+    if (req.body.spice && !(await Spice.exists({ _id: req.body.spice }))) {
+      throw new ApiError(404, 'Spice not found');
+    }
+
+    for (const key of ['spice', 'condition', 'threshold', 'channels', 'isActive']) {
+      if (req.body[key] !== undefined) watch[key] = req.body[key];
+    }
+    if (req.body.market !== undefined) {
+      watch.market = req.body.market || undefined;
+    }
+
+    // The rule changed, so it may fire again on the next price
+    watch.triggeredKeys = [];
+    await watch.save();
+
+    res.json({
+      message: 'Price watch updated',
+      watch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const watch = await findOwnWatch(req.user, req.params.id);
+    await watch.deleteOne();
+
+    res.json({ message: 'Price watch deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// Review & Rating Routes
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { Review } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const {
+  ratingSummary,
+  pendingReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  reportReview
+} = require('../services/reviews');
+const { imageUpload } = require('../services/productImages');
+const { ApiError } = require('../utils/errors');
+const { parsePagination, paginationMeta } = require('../utils/query');
+
+const router = express.Router();
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const reviewValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('rating').isInt({ min: 1, max: Review.MAX_RATING }).withMessage(`Rating must be 1 to ${Review.MAX_RATING} stars`).toInt(),
+    body('title').optional().isString().trim().isLength({ max: 120 }).withMessage('Title is limited to 120 characters'),
+    body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review text is limited to 2000 characters')
+  ];
+};
+
+const findReview = async (id) => {
+  const review = await Review.findById(id);
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+  return review;
+};
+
+// Published reviews plus the rating summary for a spice or farmer
+const publicReviews = (field) => async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, 10, 50);
+    const filter = { [field]: req.params.id, status: 'published' };
+
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(filter)
+        .select('-reports -moderation -order')
+        .populate('customer', 'name')
+        .populate(field === 'spice' ? 'farmer' : 'spice', 'name')
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      ratingSummary(field, req.params.id)
+    ]);
+
+    res.json({ summary, reviews, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listValidation = [
+  param('id').isMongoId().withMessage('Invalid id'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS)).withMessage(`sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`)
+];
+
+router.get('/spice/:id', listValidation, handleValidation, publicReviews('spice'));
+router.get('/farmer/:id', listValidation, handleValidation, publicReviews('farmer'));
+
+router.use(authenticateToken);
+
+// Your reviews, hidden ones included
+router.get('/mine', async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ customer: req.user.id })
+      .select('-reports')
+      .populate('spice', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(reviews);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivered items still waiting for your review
+router.get('/pending', async (req, res, next) => {
+  try {
+    res.json(await pendingReviews(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// multipart/form-data (optional "photo" file) or JSON:
+// { orderId, itemId, rating, title?, text? }
+router.post('/', imageUpload(1).single('photo'), [
+  body('orderId').isMongoId().withMessage('Valid order is required'),
+  body('itemId').isMongoId().withMessage('Valid order item is required'),
+  ...reviewValidation(false)
+], handleValidation, async (req, res, next) => {
+  try {
+    const review = await createReview(req.user, req.body, req.file);
+
+    res.status(201).json({ message: 'Thank you for your review', review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', reviewValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (review.customer.toString() !== req.user.id) {
+      throw new ApiError(403, 'You can only edit your own reviews');
+    }
+
+    res.json({ message: 'Review updated', review: await updateReview(review, req.body) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (review.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+      throw new ApiError(403, 'You can only delete your own reviews');
+    }
+
+    await deleteReview(review);
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/report', [
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], handleValidation, async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    await reportReview(review, req.user, req.body.reason);
+
+    res.json({ message: 'Thanks, a moderator will take a look' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Moderation
+
+// Reported or hidden reviews, most reported first (?status=hidden|published)
+router.get('/moderation/queue', authorizeRole(['admin']), [
+  query('status').optional().isIn(Review.STATUSES).withMessage(`status must be one of: ${Review.STATUSES.join(', ')}`)
+], handleValidation, async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { $or: [{ 'reports.0': { $exists: true } }, { status: 'hidden' }] };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.aggregate([
+        { $match: filter },
+        { $addFields: { reportCount: { $size: '$reports' } } },
+        { $sort: { reportCount: -1, createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]),
+      Review.countDocuments(filter)
+    ]);
+    await Review.populate(reviews, [
+      { path: 'customer', select: 'name email' },
+      { path: 'spice', select: 'name' }
+    ]);
+
+    res.json({ reviews, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/moderation', authorizeRole(['admin']), [
+  body('action').isIn(['hide', 'publish']).withMessage('action must be hide or publish'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], handleValidation, async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    await moderateReview(review, req.body.action, req.body.reason, req.user);
+
+    res.json({ message: req.body.action === 'hide' ? 'Review hidden' : 'Review published', review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
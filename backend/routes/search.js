@@ -0,0 +1,45 @@
+// Unified Search Routes
+
+const express = require('express');
+const { query } = require('express-validator');
+const { handleValidation } = require('../middleware/validate');
+const { SEARCH_TYPES, search } = require('../services/search');
+const { parsePagination, paginationMeta } = require('../utils/query');
+
+const router = express.Router();
+
+// ?type= takes 'all' or a comma separated list of result types
+const parseTypes = (value) => (!value || value === 'all' ? SEARCH_TYPES : value.split(',').map(type => type.trim()));
+
+// ?q=&type=&category=&origin=&grade=&page=&limit=
+router.get('/', [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search query required (at most 100 characters)'),
+  query('type').optional().isString().withMessage('type must be a single value').bail().custom(value => parseTypes(value).every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`type must be all or any of: ${SEARCH_TYPES.join(', ')}`),
+  query(['category', 'origin', 'grade']).optional().isString().withMessage('Filters take a single value').trim()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { q, type, category, origin, grade } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, 10, 50);
+
+    const { suggestion, results, totals, facets } = await search(q, {
+      types: parseTypes(type),
+      filters: { category, origin, qualityGrade: grade },
+      skip,
+      limit
+    });
+
+    res.json({
+      query: q,
+      suggestion,
+      ...results,
+      totals,
+      facets,
+      pagination: Object.fromEntries(Object.entries(totals).map(([key, total]) => [key, paginationMeta(page, limit, total)]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
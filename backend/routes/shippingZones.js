@@ -0,0 +1,92 @@
+// Shipping Zone Routes
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const { ShippingZone } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+const { DEFAULT_SHIPPING_ZONES, getShippingZones, quoteDelivery } = require('../services/shipping');
+
+const router = express.Router();
+
+const prefixRule = (field) => body(field).matches(/^\d{1,6}$/).withMessage('Pincode prefixes are 1 to 6 digits');
+
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await getShippingZones());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery charge for a parcel before checkout: ?pincode=&weightKg=&orderValue=
+router.get('/quote', [
+  query('pincode').matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('weightKg').optional().isFloat({ min: 0 }).withMessage('weightKg must be a positive number').toFloat(),
+  query('orderValue').optional().isFloat({ min: 0 }).withMessage('orderValue must be a positive number').toFloat()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { pincode, weightKg = 1, orderValue = 0 } = req.query;
+    res.json(await quoteDelivery({ pincode, weightKg, orderValue }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creates or replaces a zone. Saving a built-in key overrides that zone.
+router.put('/:key', authenticateToken, authorizeRole(['admin']), [
+  body('name').isString().trim().notEmpty().withMessage('Zone name is required'),
+  body('pincodePrefixes').isArray({ min: 1 }).withMessage('At least one pincode prefix is required'),
+  prefixRule('pincodePrefixes.*'),
+  body('excludedPrefixes').optional().isArray().withMessage('excludedPrefixes must be an array'),
+  prefixRule('excludedPrefixes.*'),
+  body('weightSlabs').isArray({ min: 1 }).withMessage('At least one weight slab is required'),
+  body('weightSlabs.*.upToKg').isFloat({ gt: 0 }).withMessage('upToKg must be greater than 0').toFloat(),
+  body('weightSlabs.*.charge').isFloat({ min: 0 }).withMessage('charge must be 0 or more').toFloat(),
+  body('extraPerKg').optional().isFloat({ min: 0 }).withMessage('extraPerKg must be 0 or more').toFloat(),
+  body('freeShippingAbove').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('freeShippingAbove must be 0 or more').toFloat(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], handleValidation, async (req, res, next) => {
+  try {
+    const key = req.params.key.toLowerCase();
+    const { name, pincodePrefixes, excludedPrefixes = [], weightSlabs, extraPerKg = 0, freeShippingAbove, isActive = true } = req.body;
+
+    const update = { key, name, pincodePrefixes, excludedPrefixes, weightSlabs, extraPerKg, isActive, updatedBy: req.user.id };
+    // Leaving out freeShippingAbove means the zone never ships free
+    const zone = await ShippingZone.findOneAndUpdate(
+      { key },
+      freeShippingAbove == null ? { ...update, $unset: { freeShippingAbove: 1 } } : { ...update, freeShippingAbove },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: `Shipping zone ${zone.name} saved`,
+      zone
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Drops a saved zone; a built-in zone with the same key applies again
+router.delete('/:key', authenticateToken, authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    const key = req.params.key.toLowerCase();
+    const zone = await ShippingZone.findOneAndDelete({ key });
+    if (!zone) {
+      throw new ApiError(404, 'Shipping zone not found');
+    }
+
+    const builtIn = DEFAULT_SHIPPING_ZONES.some(candidate => candidate.key === key);
+    res.json({
+      message: builtIn
+        ? `Saved zone ${zone.name} removed; the built-in ${key} zone applies again`
+        : `Shipping zone ${zone.name} removed`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+// Spice Catalogue Routes
+
+const express = require('express');
+const { body } = require('express-validator');
+const { InventoryLot, Order, Spice } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { escapeRegex } = require('../utils/query');
+const { ApiError } = require('../utils/errors');
+const { availabilityBySpice } = require('../services/inventory');
+const { imageUpload, saveImage, deleteImage } = require('../services/productImages');
+
+const router = express.Router();
+
+const adminOnly = [authenticateToken, authorizeRole(['admin'])];
+
+const EDITABLE_FIELDS = [
+  'name', 'category', 'basePrice', 'origin', 'icon', 'qualityGrade', 'description',
+  'shelfLife', 'nutritionalInfo', 'medicinalProperties', 'isActive'
+];
+const MAX_IMAGES_PER_UPLOAD = 5;
+
+const upload = imageUpload(MAX_IMAGES_PER_UPLOAD);
+
+const spiceValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('category').isString().trim().notEmpty().withMessage('Category is required'),
+    field('basePrice').isFloat({ min: 0 }).withMessage('Base price (₹ per kg) must be zero or more').toFloat(),
+    body('origin').optional().isString().trim(),
+    body('icon').optional().isString().trim(),
+    body('qualityGrade').optional().isString().trim(),
+    body('description').optional().isString(),
+    body('shelfLife').optional().isInt({ min: 1 }).withMessage('Shelf life is a whole number of months').toInt(),
+    body('nutritionalInfo').optional().isObject(),
+    body('medicinalProperties').optional().isArray(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+const variantValidation = (optional, prefix = '') => {
+  const field = (name) => (optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+  return [
+    field('weightGrams').isInt({ min: 1 }).withMessage('Pack weight must be a whole number of grams').toInt(),
+    body(`${prefix}sku`).optional().isString().trim().notEmpty().withMessage('SKU cannot be empty'),
+    body(`${prefix}price`).optional().isFloat({ min: 0 }).withMessage('Pack price must be zero or more').toFloat(),
+    body(`${prefix}isActive`).optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+const pickVariant = (input) => {
+  const variant = {};
+  for (const key of ['weightGrams', 'sku', 'price', 'isActive']) {
+    if (input[key] !== undefined) variant[key] = input[key];
+  }
+  return variant;
+};
+
+const findSpice = async (id) => {
+  const spice = await Spice.findById(id);
+  if (!spice) {
+    throw new ApiError(404, 'Spice not found');
+  }
+  return spice;
+};
+
+const findVariant = (spice, variantId) => {
+  const variant = spice.variants.id(variantId);
+  if (!variant) {
+    throw new ApiError(404, 'Variant not found');
+  }
+  return variant;
+};
+
+// Customers only see variants that are on sale
+const withAvailability = (spice, stock = { availableQuantity: 0, farmers: 0 }, { allVariants = false } = {}) => ({
+  ...spice,
+  variants: allVariants ? spice.variants : (spice.variants || []).filter(variant => variant.isActive),
+  availableQuantity: stock.availableQuantity,
+  farmerCount: stock.farmers,
+  inStock: stock.availableQuantity > 0
+});
+
+const listSpices = async (req, { includeInactive = false } = {}) => {
+  const { category, search, origin } = req.query;
+
+  const filter = includeInactive ? {} : { isActive: true };
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (origin) {
+    filter.origin = new RegExp(escapeRegex(origin), 'i');
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  const spices = await Spice.find(filter).sort({ name: 1 }).lean();
+
+  // Only admin-approved lots count towards what customers can buy
+  const availability = await availabilityBySpice(spices.map(spice => spice._id));
+
+  return spices.map(spice => withAvailability(spice, availability.get(spice._id.toString()), { allVariants: includeInactive }));
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await listSpices(req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin catalogue view, inactive spices and variants included
+router.get('/manage', adminOnly, async (req, res, next) => {
+  try {
+    res.json(await listSpices(req, { includeInactive: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const spice = await Spice.findOne({ _id: req.params.id, isActive: true }).lean();
+    if (!spice) {
+      throw new ApiError(404, 'Spice not found');
+    }
+
+    const availability = await availabilityBySpice([spice._id]);
+    res.json(withAvailability(spice, availability.get(spice._id.toString())));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Without a `variants` list the spice gets the default 50g-1kg packs,
+// priced pro rata from basePrice
+router.post('/', adminOnly, [
+  ...spiceValidation(false),
+  body('variants').optional().isArray().withMessage('variants must be a list'),
+  ...variantValidation(false, 'variants.*.')
+], handleValidation, async (req, res, next) => {
+  try {
+    const spice = new Spice({});
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => spice.set(field, req.body[field]));
+
+    const variants = req.body.variants
+      ? req.body.variants.map(pickVariant)
+      : Spice.DEFAULT_PACK_SIZES.map(weightGrams => ({ weightGrams }));
+    variants.forEach(variant => spice.variants.push(variant));
+
+    await spice.save();
+
+    res.status(201).json({ message: 'Spice created', spice });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Also how a spice is activated or deactivated ({ isActive })
+router.put('/:id', adminOnly, spiceValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => spice.set(field, req.body[field]));
+    await spice.save();
+
+    res.json({ message: 'Spice updated', spice });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Spices with stock or order history stay for the record; deactivate them
+router.delete('/:id', adminOnly, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+
+    const [lots, orders] = await Promise.all([
+      InventoryLot.exists({ spice: spice._id }),
+      Order.exists({ 'items.spice': spice._id })
+    ]);
+    if (lots || orders) {
+      throw new ApiError(409, 'This spice has inventory or orders; set isActive to false instead');
+    }
+
+    await spice.deleteOne();
+    await Promise.all(spice.images.map(image => deleteImage(image)));
+
+    res.json({ message: 'Spice deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pack-size Variants
+
+router.post('/:id/variants', adminOnly, variantValidation(false), handleValidation, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+
+    spice.variants.push(pickVariant(req.body));
+    await spice.save();
+
+    res.status(201).json({
+      message: 'Variant added',
+      variant: spice.variants[spice.variants.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/variants/:variantId', adminOnly, variantValidation(true), handleValidation, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+    const variant = findVariant(spice, req.params.variantId);
+
+    Object.assign(variant, pickVariant(req.body));
+    await spice.save();
+
+    res.json({ message: 'Variant updated', variant });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/variants/:variantId', adminOnly, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+
+    findVariant(spice, req.params.variantId).deleteOne();
+    await spice.save();
+
+    res.json({ message: 'Variant deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Images
+
+// multipart/form-data with up to five files in the "images" field and an
+// optional "alt" text
+router.post('/:id/images', adminOnly, upload.array('images', MAX_IMAGES_PER_UPLOAD), async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+
+    if (!req.files || req.files.length === 0) {
+      throw new ApiError(400, 'Attach at least one image in the "images" field');
+    }
+    if (spice.images.length + req.files.length > Spice.MAX_IMAGES) {
+      throw new ApiError(400, `A spice can have at most ${Spice.MAX_IMAGES} images (${spice.images.length} already)`);
+    }
+
+    const saved = [];
+    try {
+      for (const file of req.files) {
+        saved.push(await saveImage('spice', file, { alt: req.body.alt || spice.name, actor: req.user }));
+      }
+      saved.forEach(image => spice.images.push(image));
+      await spice.save();
+    } catch (error) {
+      await Promise.all(saved.map(image => deleteImage(image)));
+      throw error;
+    }
+
+    res.status(201).json({
+      message: `${saved.length} image(s) uploaded`,
+      images: spice.images.slice(-saved.length)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/images/:imageId', adminOnly, async (req, res, next) => {
+  try {
+    const spice = await findSpice(req.params.id);
+    const image = spice.images.id(req.params.imageId);
+    if (!image) {
+      throw new ApiError(404, 'Image not found');
+    }
+
+    image.deleteOne();
+    await spice.save();
+    await deleteImage(image);
+
+    res.json({ message: 'Image deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// Batch Traceability Routes
+// Public farm-to-door lookup for the batch code printed on every pack
+
+const express = require('express');
+const { query } = require('express-validator');
+const { handleValidation } = require('../middleware/validate');
+const { InventoryLot, Order } = require('../models');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Only the order's progress is shown, never who bought it or where it went
+const orderJourney = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.orderStatus,
+  timeline: order.timeline
+    .filter(entry => Order.ORDER_STATUSES.includes(entry.status))
+    .map(entry => ({ status: entry.status, timestamp: entry.timestamp }))
+});
+
+router.get('/:batchCode', [
+  query('order').optional().isString().trim().isLength({ max: 40 }).withMessage('Order number must be text')
+], handleValidation, async (req, res, next) => {
+  try {
+    const lot = await InventoryLot.findOne({ batchCode: req.params.batchCode.toUpperCase() })
+      .populate('spice', 'name category origin')
+      .populate('farmer', 'name')
+      .populate('harvestPlan', 'cropYear farmArea status');
+
+    if (!lot || !lot.adminApproved) {
+      throw new ApiError(404, 'Batch not found');
+    }
+
+    const trace = {
+      batchCode: lot.batchCode,
+      spice: lot.spice,
+      farm: {
+        farmer: lot.farmer && lot.farmer.name,
+        farmName: lot.provenance.farmName,
+        village: lot.provenance.village,
+        district: lot.provenance.district,
+        farmArea: lot.harvestPlan && lot.harvestPlan.farmArea
+      },
+      harvest: {
+        cropYear: lot.provenance.cropYear,
+        plantingDate: lot.provenance.plantingDate,
+        harvestDate: lot.provenance.harvestDate || lot.harvestDate
+      },
+      quality: {
+        grade: lot.qualityGrade,
+        metrics: lot.qualityMetrics,
+        ruleCategory: lot.gradeAssessment && lot.gradeAssessment.ruleCategory,
+        ruleVersion: lot.gradeAssessment && lot.gradeAssessment.ruleVersion,
+        gradeHistory: lot.gradeHistory.map(entry => ({
+          grade: entry.grade,
+          source: entry.source,
+          ruleVersion: entry.ruleVersion,
+          changedAt: entry.changedAt
+        }))
+      },
+      approval: {
+        approvedAt: lot.review && lot.review.reviewedAt
+      },
+      storage: {
+        warehouse: lot.location && lot.location.warehouse
+      }
+    };
+
+    // ?order=F10... adds that order's journey if it really contains this batch
+    if (req.query.order) {
+      const order = await Order.findOne({ orderNumber: req.query.order, 'items.inventoryLot': lot._id });
+      if (order) {
+        trace.delivery = orderJourney(order);
+      }
+    }
+
+    res.json(trace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
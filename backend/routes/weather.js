@@ -0,0 +1,68 @@
+// Weather Routes
+
+const express = require('express');
+const { query } = require('express-validator');
+const { WeatherObservation } = require('../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { ingestWeather, supportedDistricts } = require('../services/weather');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Latest observation per district (or for ?district=), with its forecast
+// cut down to the days from today to ?days= ahead
+router.get('/', [
+  query('district').optional().isString().trim(),
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('days must be between 1 and 30').toInt()
+], handleValidation, async (req, res, next) => {
+  try {
+    const { district, days = 1 } = req.query;
+
+    const filter = {};
+    if (district) {
+      filter['location.district'] = district;
+    }
+
+    const observations = await WeatherObservation.aggregate([
+      { $match: filter },
+      { $sort: { date: -1 } },
+      { $group: { _id: '$location.district', latest: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$latest' } },
+      { $sort: { 'location.district': 1 } }
+    ]);
+
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    const until = new Date(Date.now() + days * DAY_MS);
+    observations.forEach(observation => {
+      observation.forecast = (observation.forecast || [])
+        .filter(day => day.date >= from && day.date <= until);
+    });
+
+    res.json(observations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/districts', (req, res) => {
+  res.json(supportedDistricts());
+});
+
+// Admin: run the scheduled ingestion now
+router.post('/refresh', authenticateToken, authorizeRole(['admin']), async (req, res, next) => {
+  try {
+    const summary = await ingestWeather();
+
+    res.json({
+      message: `Weather refreshed for ${summary.districts} district(s)`,
+      ...summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
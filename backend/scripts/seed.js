@@ -0,0 +1,685 @@
+// Farmers 10 - Demo Data Seed
+// Loads the demo catalogue, accounts, inventory, harvest plans, orders and
+// weather that the API used to serve from inline arrays.
+//
+// Usage: npm run db:seed            (refuses to run when NODE_ENV=production)
+//        npm run db:seed -- --force (skip the production guard)
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const {
+  User,
+  Spice,
+  InventoryLot,
+  Order,
+  HarvestPlan,
+  Lead,
+  Quote,
+  WeatherObservation,
+  GradingRuleSet,
+  CropStageTemplate,
+  PriceObservation,
+  NewsArticle,
+  Review,
+  Vehicle,
+  DeliveryRoute
+} = require('../models');
+const { DEFAULT_GRADING_RULES, gradeLot } = require('../services/grading');
+const { DEFAULT_STAGE_TEMPLATES } = require('../services/cropTemplates');
+const { titleTokens } = require('../services/news');
+const { refreshRatings } = require('../services/reviews');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'farmers10demo';
+
+const users = [
+  { key: 'admin', name: 'Demo Admin', email: 'demo-admin@farmers10.com', role: 'admin' },
+  { key: 'logistics', name: 'Demo Logistics', email: 'demo-logistics@farmers10.com', role: 'logistics' },
+  { key: 'driver', name: 'Arun Kumar', email: 'arun.kumar@farmers10.com', role: 'logistics', phone: '+919876500006' },
+  { key: 'customer', name: 'Demo Customer', email: 'demo-customer@farmers10.com', role: 'customer', phone: '+919876500001' },
+  { key: 'farmer', name: 'Demo Farmer', email: 'demo-farmer@farmers10.com', role: 'farmer', phone: '+919876500002' },
+  { key: 'ravi', name: 'Ravi Kumar', email: 'ravi.kumar@farmers10.com', role: 'farmer', phone: '+919876500003' },
+  { key: 'meera', name: 'Meera Nair', email: 'meera.nair@farmers10.com', role: 'farmer', phone: '+919876500004' },
+  { key: 'suresh', name: 'Suresh Babu', email: 'suresh.babu@farmers10.com', role: 'farmer', phone: '+919876500005' }
+];
+
+const spices = [
+  {
+    key: 'pepper',
+    name: 'Idukki Black Pepper',
+    category: 'pepper',
+    basePrice: 1200,
+    origin: 'Idukki, Kerala',
+    icon: '🌶️',
+    qualityGrade: 'Premium',
+    inStock: true,
+    description: 'Premium black pepper from the high ranges of Idukki',
+    shelfLife: 24,
+    isActive: true,
+    nutritionalInfo: { calories: 251, protein: 10.4, carbs: 63.9, fat: 3.3, fiber: 25.3 },
+    medicinalProperties: ['Anti-inflammatory', 'Antioxidant', 'Digestive aid']
+  },
+  {
+    key: 'cardamom',
+    name: 'Wayanad Cardamom',
+    category: 'cardamom',
+    basePrice: 8000,
+    origin: 'Wayanad, Kerala',
+    icon: '🌿',
+    qualityGrade: 'Premium',
+    inStock: true,
+    description: 'Aromatic cardamom from Wayanad hills',
+    shelfLife: 18,
+    isActive: true,
+    nutritionalInfo: { calories: 311, protein: 10.8, carbs: 68.5, fat: 6.7, fiber: 28 },
+    medicinalProperties: ['Breath freshener', 'Digestive', 'Antispasmodic']
+  },
+  {
+    key: 'turmeric',
+    name: 'Organic Turmeric',
+    category: 'turmeric',
+    basePrice: 800,
+    origin: 'Wayanad, Kerala',
+    icon: '🧄',
+    qualityGrade: 'Grade A',
+    inStock: true,
+    description: 'Organic turmeric with high curcumin content',
+    shelfLife: 36,
+    isActive: true,
+    nutritionalInfo: { calories: 354, protein: 7.8, carbs: 64.9, fat: 9.9, fiber: 21 },
+    medicinalProperties: ['Anti-inflammatory', 'Antioxidant', 'Immune booster']
+  },
+  {
+    key: 'chili',
+    name: 'Kerala Red Chili',
+    category: 'chili',
+    basePrice: 600,
+    origin: 'Kannur, Kerala',
+    icon: '🌶️',
+    qualityGrade: 'Grade A',
+    inStock: true,
+    description: 'Spicy red chili from coastal Kerala',
+    shelfLife: 24,
+    isActive: true,
+    nutritionalInfo: { calories: 324, protein: 12, carbs: 56.6, fat: 17.3, fiber: 27.2 },
+    medicinalProperties: ['Metabolism booster', 'Pain relief', 'Heart health']
+  },
+  {
+    key: 'coriander',
+    name: 'Malabar Coriander',
+    category: 'coriander',
+    basePrice: 450,
+    origin: 'Calicut, Kerala',
+    icon: '🌿',
+    qualityGrade: 'Grade A',
+    inStock: true,
+    description: 'Fresh coriander seeds from Malabar coast',
+    shelfLife: 24,
+    isActive: true,
+    nutritionalInfo: { calories: 298, protein: 12.4, carbs: 55, fat: 17.8, fiber: 41.9 },
+    medicinalProperties: ['Blood sugar control', 'Cholesterol reduction', 'Digestive aid']
+  },
+  {
+    key: 'cloves',
+    name: 'Kerala Cloves',
+    category: 'cloves',
+    basePrice: 1500,
+    origin: 'Idukki, Kerala',
+    icon: '🌸',
+    qualityGrade: 'Premium',
+    inStock: true,
+    description: 'Premium cloves with intense aroma',
+    shelfLife: 36,
+    isActive: true,
+    nutritionalInfo: { calories: 274, protein: 5.9, carbs: 65.5, fat: 13, fiber: 33.9 },
+    medicinalProperties: ['Antimicrobial', 'Pain relief', 'Oral health']
+  }
+];
+
+const inventoryLots = [
+  {
+    key: 'pepperLot',
+    harvestPlan: 'ravi-pepper',
+    farmer: 'ravi',
+    spice: 'pepper',
+    quantity: 450,
+    reservedQuantity: 2, // held by order F10003
+    pricePerKg: 1200,
+    qualityGrade: 'Grade A',
+    harvestDate: new Date(2024, 10, 15),
+    status: 'available',
+    adminApproved: true,
+    location: { warehouse: 'Idukki Warehouse' },
+    qualityMetrics: { moisture: 12, purity: 98, foreignMatter: 0.5 }
+  },
+  {
+    key: 'cardamomLot',
+    harvestPlan: 'meera-cardamom',
+    farmer: 'meera',
+    spice: 'cardamom',
+    quantity: 125,
+    pricePerKg: 8000,
+    qualityGrade: 'Premium',
+    harvestDate: new Date(2024, 11, 1),
+    status: 'available',
+    adminApproved: true,
+    location: { warehouse: 'Wayanad Warehouse' },
+    qualityMetrics: { moisture: 10, purity: 99, foreignMatter: 0.2 }
+  },
+  {
+    key: 'turmericLot',
+    harvestPlan: 'suresh-turmeric',
+    farmer: 'suresh',
+    spice: 'turmeric',
+    quantity: 675,
+    pricePerKg: 800,
+    qualityGrade: 'Grade A',
+    harvestDate: new Date(2024, 9, 20),
+    status: 'available',
+    adminApproved: true,
+    location: { warehouse: 'Central Warehouse' },
+    qualityMetrics: { moisture: 8, purity: 96, foreignMatter: 1.0 }
+  }
+];
+
+// The harvested plans are where the seeded lots come from; the growing
+// ones are owned by the demo farmer so they show up after demo login
+const harvestPlans = [
+  {
+    key: 'ravi-pepper',
+    farmer: 'ravi',
+    spice: 'pepper',
+    expectedHarvestDate: new Date(2024, 10, 15),
+    plantingDate: new Date(2023, 5, 10),
+    estimatedYield: 500,
+    actualYield: 460,
+    farmArea: 3.0,
+    cropYear: '2024-25',
+    status: 'harvested',
+    location: { farmName: 'Ravi Pepper Gardens', district: 'Idukki', village: 'Kumily' },
+    cropStages: [],
+    weatherAlerts: [],
+    expenses: [
+      { category: 'Labor', amount: 42000, date: new Date(2024, 6, 20), description: 'Vine tending and harvest crew' },
+      { category: 'Fertilizer', amount: 18000, date: new Date(2024, 4, 10), description: 'Organic manure' },
+      { category: 'Transport', amount: 6000, date: new Date(2024, 10, 18), description: 'Haulage to Idukki warehouse' }
+    ]
+  },
+  {
+    key: 'meera-cardamom',
+    farmer: 'meera',
+    spice: 'cardamom',
+    expectedHarvestDate: new Date(2024, 11, 1),
+    plantingDate: new Date(2022, 6, 1),
+    estimatedYield: 140,
+    actualYield: 130,
+    farmArea: 1.5,
+    cropYear: '2024-25',
+    status: 'harvested',
+    location: { farmName: 'Meera Cardamom Estate', district: 'Wayanad', village: 'Meppadi' },
+    cropStages: [],
+    weatherAlerts: [],
+    expenses: [
+      { category: 'Labor', amount: 65000, date: new Date(2024, 8, 1), description: 'Capsule picking' },
+      { category: 'Irrigation', amount: 12000, date: new Date(2024, 2, 5), description: 'Sprinkler maintenance' }
+    ]
+  },
+  {
+    key: 'suresh-turmeric',
+    farmer: 'suresh',
+    spice: 'turmeric',
+    expectedHarvestDate: new Date(2024, 9, 20),
+    plantingDate: new Date(2024, 0, 15),
+    estimatedYield: 700,
+    actualYield: 690,
+    farmArea: 2.0,
+    cropYear: '2024-25',
+    status: 'harvested',
+    location: { farmName: 'Suresh Organic Farm', district: 'Palakkad', village: 'Chittur' },
+    cropStages: [],
+    weatherAlerts: [],
+    expenses: [
+      { category: 'Seeds', amount: 24000, date: new Date(2024, 0, 15), description: 'Turmeric rhizomes' },
+      { category: 'Labor', amount: 30000, date: new Date(2024, 9, 10), description: 'Digging and boiling' }
+    ]
+  },
+  {
+    farmer: 'farmer',
+    spice: 'pepper',
+    expectedHarvestDate: new Date(2025, 0, 15),
+    plantingDate: new Date(2024, 5, 1),
+    estimatedYield: 200,
+    actualYield: null,
+    farmArea: 2.5,
+    cropYear: '2024-25',
+    status: 'growing',
+    location: { district: 'Idukki', village: 'Kumily' },
+    cropStages: [
+      { stage: 'Pruning', plannedDate: new Date(2024, 11, 30), completed: false },
+      { stage: 'Fertilizing', plannedDate: new Date(2025, 0, 5), completed: false },
+      { stage: 'Harvesting', plannedDate: new Date(2025, 0, 15), completed: false }
+    ],
+    weatherAlerts: [
+      { alertType: 'rain', severity: 'medium', message: 'Heavy rain expected in next 48 hours', date: new Date(), acknowledged: false }
+    ],
+    expenses: [
+      { category: 'Seeds', amount: 5000, date: new Date(2024, 5, 1), description: 'Black pepper saplings' },
+      { category: 'Fertilizer', amount: 3000, date: new Date(2024, 7, 15), description: 'Organic fertilizer' }
+    ]
+  },
+  {
+    farmer: 'farmer',
+    spice: 'cardamom',
+    expectedHarvestDate: new Date(2025, 1, 5),
+    plantingDate: new Date(2024, 3, 15),
+    estimatedYield: 50,
+    actualYield: null,
+    farmArea: 1.0,
+    cropYear: '2024-25',
+    status: 'growing',
+    location: { district: 'Wayanad', village: 'Kalpetta' },
+    cropStages: [
+      { stage: 'Weeding', plannedDate: new Date(2025, 0, 2), completed: false },
+      { stage: 'Harvesting', plannedDate: new Date(2025, 1, 5), completed: false }
+    ],
+    weatherAlerts: [],
+    expenses: [
+      { category: 'Seeds', amount: 8000, date: new Date(2024, 3, 15), description: 'Cardamom seeds' },
+      { category: 'Labor', amount: 2000, date: new Date(2024, 8, 10), description: 'Weeding labor' }
+    ]
+  }
+];
+
+const deliveryAddress = {
+  name: 'Demo Customer',
+  phone: '+919876500001',
+  address: '123 Main Street, Kochi',
+  city: 'Kochi',
+  state: 'Kerala',
+  pincode: '682001'
+};
+
+const orders = [
+  {
+    orderNumber: 'F10001',
+    items: [
+      { spice: 'pepper', inventoryLot: 'pepperLot', farmer: 'ravi', quantity: 0.25, pricePerUnit: 1200, totalPrice: 300 },
+      { spice: 'cardamom', inventoryLot: 'cardamomLot', farmer: 'meera', quantity: 0.1, pricePerUnit: 8000, totalPrice: 800 }
+    ],
+    orderTotal: 1100,
+    deliveryCharges: 0,
+    shippingZone: 'kerala_local',
+    finalAmount: 1100,
+    orderStatus: 'shipped',
+    paymentStatus: 'paid',
+    paymentMethod: 'razorpay',
+    stockStatus: 'committed',
+    createdAt: new Date(Date.now() - 2 * DAY),
+    timeline: [
+      { status: 'placed', timestamp: new Date(Date.now() - 2 * DAY), notes: 'Order placed successfully' },
+      { status: 'confirmed', timestamp: new Date(Date.now() - 2 * DAY + HOUR), notes: 'Payment confirmed' },
+      { status: 'processing', timestamp: new Date(Date.now() - 36 * HOUR), notes: 'Order being processed' },
+      { status: 'shipped', timestamp: new Date(Date.now() - DAY), notes: 'Order shipped via Express Delivery' }
+    ]
+  },
+  {
+    orderNumber: 'F10002',
+    items: [
+      { spice: 'turmeric', inventoryLot: 'turmericLot', farmer: 'suresh', quantity: 0.5, pricePerUnit: 800, totalPrice: 400 }
+    ],
+    orderTotal: 400,
+    deliveryCharges: 40,
+    shippingZone: 'kerala_local',
+    finalAmount: 440,
+    orderStatus: 'delivered',
+    paymentStatus: 'paid',
+    paymentMethod: 'cod',
+    stockStatus: 'committed',
+    createdAt: new Date(Date.now() - 5 * DAY),
+    timeline: [
+      { status: 'placed', timestamp: new Date(Date.now() - 5 * DAY), notes: 'Order placed successfully' },
+      { status: 'confirmed', timestamp: new Date(Date.now() - 5 * DAY + 30 * 60 * 1000), notes: 'Order confirmed' },
+      { status: 'delivered', timestamp: new Date(Date.now() - 3 * DAY), notes: 'Order delivered successfully' }
+    ]
+  },
+  {
+    // Packed and waiting for route planning
+    orderNumber: 'F10003',
+    items: [
+      { spice: 'pepper', inventoryLot: 'pepperLot', farmer: 'ravi', quantity: 2, pricePerUnit: 1200, totalPrice: 2400 }
+    ],
+    orderTotal: 2400,
+    deliveryCharges: 0,
+    shippingZone: 'kerala_local',
+    finalAmount: 2400,
+    orderStatus: 'processing',
+    paymentStatus: 'pending',
+    paymentMethod: 'cod',
+    stockStatus: 'reserved',
+    createdAt: new Date(Date.now() - DAY),
+    timeline: [
+      { status: 'placed', timestamp: new Date(Date.now() - DAY), notes: 'Order placed successfully' },
+      { status: 'confirmed', timestamp: new Date(Date.now() - DAY + HOUR), notes: 'Order confirmed' },
+      { status: 'processing', timestamp: new Date(Date.now() - 6 * HOUR), notes: 'Order being processed' }
+    ]
+  }
+];
+
+// One van per warehouse, plus a bike for short drops around Kochi
+const vehicles = [
+  { registration: 'KL-07-AB-1234', type: 'van', capacityKg: 500, maxStops: 20, warehouse: 'Central Warehouse' },
+  { registration: 'KL-07-CD-4321', type: 'bike', capacityKg: 40, maxStops: 8, warehouse: 'Central Warehouse' },
+  { registration: 'KL-06-EF-5678', type: 'van', capacityKg: 400, maxStops: 15, warehouse: 'Idukki Warehouse' },
+  { registration: 'KL-12-GH-9012', type: 'van', capacityKg: 400, maxStops: 15, warehouse: 'Wayanad Warehouse' }
+];
+
+// B2B enquiries at different pipeline stages, for the admin lead funnel
+const leads = [
+  {
+    name: 'Anita Menon',
+    company: 'Malabar Kitchens',
+    email: 'anita@malabarkitchens.example',
+    phone: '+919847000101',
+    interestedSpices: ['Black Pepper', 'Cardamom'],
+    monthlyQuantity: '16-50 Kg',
+    status: 'new'
+  },
+  {
+    name: 'Joseph Thomas',
+    company: 'Spice Route Exports',
+    email: 'joseph@spiceroute.example',
+    phone: '+919847000102',
+    interestedSpices: ['Cardamom'],
+    monthlyQuantity: '50+ Kg',
+    status: 'contacted',
+    owner: 'admin',
+    nextFollowUpAt: new Date(),
+    stageHistory: [{ from: 'new', to: 'contacted', note: 'Called, wants samples', by: 'admin' }],
+    notes: [{ text: 'Exports to the Gulf; asked for AGMARK grade certificates', author: 'admin' }]
+  },
+  {
+    name: 'Fathima Rahman',
+    company: 'Cafe Kochi',
+    phone: '+919847000103',
+    interestedSpices: ['Turmeric', 'Coriander'],
+    monthlyQuantity: '6-15 Kg',
+    status: 'lost',
+    owner: 'admin',
+    lostReason: 'Went with a local wholesaler on price',
+    stageHistory: [
+      { from: 'new', to: 'contacted', by: 'admin' },
+      { from: 'contacted', to: 'lost', by: 'admin' }
+    ]
+  }
+];
+
+// Verified-purchase reviews of delivered order lines
+const reviews = [
+  {
+    orderNumber: 'F10002',
+    spice: 'turmeric',
+    rating: 5,
+    title: 'Bright colour, strong aroma',
+    text: 'Deep yellow and very fragrant. Far better than the supermarket packs.'
+  }
+];
+
+const weatherObservations = [
+  {
+    location: { district: 'Idukki', coordinates: { lat: 9.8547, lng: 76.8970 } },
+    date: new Date(),
+    temperature: { min: 18, max: 28, current: 24 },
+    humidity: 75,
+    rainfall: 5,
+    windSpeed: 12,
+    pressure: 1013,
+    conditions: 'Partly cloudy',
+    forecast: [
+      { date: new Date(), minTemp: 18, maxTemp: 28, conditions: 'Partly cloudy', rainProbability: 30 },
+      { date: new Date(Date.now() + DAY), minTemp: 19, maxTemp: 29, conditions: 'Sunny', rainProbability: 10 },
+      { date: new Date(Date.now() + 2 * DAY), minTemp: 17, maxTemp: 26, conditions: 'Light rain', rainProbability: 80 },
+      { date: new Date(Date.now() + 3 * DAY), minTemp: 16, maxTemp: 24, conditions: 'Heavy rain', rainProbability: 90 },
+      { date: new Date(Date.now() + 4 * DAY), minTemp: 18, maxTemp: 27, conditions: 'Cloudy', rainProbability: 40 }
+    ],
+    alerts: ['Heavy rain expected in next 48-72 hours'],
+    source: 'OpenWeatherMap'
+  }
+];
+
+// News board stories (the former hard-coded /api/news list); feeds add more
+const newsArticles = [
+  {
+    title: 'Black Pepper Prices Surge 15% Following Export Demand',
+    summary: 'Kerala black pepper prices have increased significantly due to strong international demand and reduced supply from major producing regions.',
+    category: 'market_prices',
+    spiceTypes: ['Black Pepper'],
+    publishedAt: new Date(),
+    source: 'Spice Trade Journal',
+    impact: 'high',
+    sentiment: 'positive'
+  },
+  {
+    title: 'Monsoon Forecast Positive for Cardamom Cultivation',
+    summary: 'Weather department predicts favorable monsoon conditions for cardamom growing regions in Western Ghats, expected to boost yield.',
+    category: 'weather',
+    spiceTypes: ['Cardamom'],
+    publishedAt: new Date(Date.now() - 2 * HOUR),
+    source: 'Agricultural Weather Service',
+    impact: 'medium',
+    sentiment: 'positive'
+  },
+  {
+    title: 'Government Announces New Export Incentives for Spice Farmers',
+    summary: 'Central government launches scheme to provide financial incentives for organic spice farmers to boost export competitiveness.',
+    category: 'government_policy',
+    spiceTypes: ['Turmeric', 'Coriander'],
+    publishedAt: new Date(Date.now() - 4 * HOUR),
+    source: 'Ministry of Agriculture',
+    impact: 'high',
+    sentiment: 'positive'
+  },
+  {
+    title: 'Turmeric Futures Touch New Highs on Supply Concerns',
+    summary: 'Turmeric futures on commodity exchanges reached record levels amid concerns over reduced acreage and weather uncertainties.',
+    category: 'market_prices',
+    spiceTypes: ['Turmeric'],
+    publishedAt: new Date(Date.now() - 6 * HOUR),
+    source: 'Commodity Market News',
+    impact: 'medium',
+    sentiment: 'neutral'
+  },
+  {
+    title: 'Kerala Spice Board Launches Digital Marketplace Initiative',
+    summary: 'Spice Board India introduces new digital platform to connect farmers directly with international buyers, eliminating intermediaries.',
+    category: 'export_news',
+    spiceTypes: ['Black Pepper', 'Cardamom', 'Turmeric'],
+    publishedAt: new Date(Date.now() - 8 * HOUR),
+    source: 'Spice Board India',
+    impact: 'high',
+    sentiment: 'positive',
+    isPinned: true,
+    pinnedAt: new Date()
+  },
+  {
+    title: 'Organic Certification Demand Rises Among Kerala Spice Farmers',
+    summary: 'Increasing number of spice farmers in Kerala are seeking organic certification to access premium export markets.',
+    category: 'crop_updates',
+    spiceTypes: ['Black Pepper', 'Cardamom', 'Turmeric', 'Ginger'],
+    publishedAt: new Date(Date.now() - 12 * HOUR),
+    source: 'Organic India Magazine',
+    impact: 'medium',
+    sentiment: 'positive'
+  }
+];
+
+// Where each spice's demo price history is quoted
+const priceMarkets = {
+  pepper: ['Kochi', 'Idukki'],
+  cardamom: ['Idukki', 'Kochi'],
+  turmeric: ['Mumbai'],
+  chili: ['Delhi'],
+  coriander: ['Chennai'],
+  cloves: ['Kochi']
+};
+
+const PRICE_HISTORY_DAYS = 90;
+
+// Daily 17:00 IST closing prices for the last PRICE_HISTORY_DAYS days: a
+// gentle seasonal wave around the catalogue price, so charts and OHLC
+// candles have something to show. Deterministic, so reseeding is stable.
+const buildPriceHistory = (spiceIds) => {
+  const today = new Date();
+  today.setUTCHours(11, 30, 0, 0); // 17:00 IST
+
+  return Object.entries(priceMarkets).flatMap(([spiceKey, markets]) => {
+    const basePrice = spices.find(spice => spice.key === spiceKey).basePrice;
+    return markets.flatMap((market, marketIndex) => Array.from({ length: PRICE_HISTORY_DAYS }, (_, index) => {
+      const daysAgo = PRICE_HISTORY_DAYS - 1 - index;
+      const wave = Math.sin((index + marketIndex * 7) / 9) * 0.04 + Math.sin(index / 2.3) * 0.01;
+      return {
+        spice: spiceIds[spiceKey],
+        market,
+        price: Math.round(basePrice * (1 + wave + marketIndex * 0.02) * 100) / 100,
+        volume: 100 + ((index * 37 + marketIndex * 53) % 400),
+        observedAt: new Date(today.getTime() - daysAgo * DAY),
+        source: 'spice_board_csv',
+        sourceRef: 'seed'
+      };
+    }));
+  });
+};
+
+// Inserts records and returns a key -> _id map so later collections can
+// reference them by the readable keys used above.
+const insertKeyed = async (Model, records, resolve = (record) => record) => {
+  const ids = {};
+  for (const { key, ...record } of records) {
+    const doc = await Model.create(resolve(record));
+    if (key) ids[key] = doc._id;
+  }
+  return ids;
+};
+
+const seed = async () => {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    console.error('❌ Refusing to seed a production database (pass --force to override)');
+    process.exit(1);
+  }
+
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/farmers10';
+  await mongoose.connect(uri);
+  console.log(`📊 MongoDB Connected: ${mongoose.connection.host}`);
+
+  const models = [
+    User, Spice, InventoryLot, Order, HarvestPlan, Lead, WeatherObservation, GradingRuleSet, CropStageTemplate, PriceObservation,
+    NewsArticle, Review, Vehicle, DeliveryRoute, Quote
+  ];
+  for (const Model of models) {
+    await Model.deleteMany({});
+  }
+  console.log('🧹 Cleared existing demo collections');
+
+  const passwordHash = await User.hashPassword(SEED_PASSWORD);
+  const userIds = await insertKeyed(User, users, (user) => ({ ...user, passwordHash, sessions: [] }));
+
+  // Every spice is sold in the standard packs, priced pro rata from basePrice
+  const spiceIds = await insertKeyed(Spice, spices, (spice) => ({
+    ...spice,
+    variants: Spice.DEFAULT_PACK_SIZES.map(weightGrams => ({ weightGrams }))
+  }));
+
+  for (const [category, grades] of Object.entries(DEFAULT_GRADING_RULES)) {
+    await GradingRuleSet.create({ category, version: 1, grades, notes: 'Initial rules', createdBy: userIds.admin });
+  }
+
+  for (const [category, template] of Object.entries(DEFAULT_STAGE_TEMPLATES)) {
+    await CropStageTemplate.create({ category, version: 1, ...template, notes: 'Initial schedule', createdBy: userIds.admin });
+  }
+
+  const planIds = await insertKeyed(HarvestPlan, harvestPlans, (plan) => ({
+    ...plan,
+    farmer: userIds[plan.farmer],
+    spice: spiceIds[plan.spice]
+  }));
+
+  const lots = {};
+  for (const { key, ...record } of inventoryLots) {
+    const plan = harvestPlans.find(candidate => candidate.key === record.harvestPlan);
+    const lot = new InventoryLot({
+      ...record,
+      farmer: userIds[record.farmer],
+      spice: spiceIds[record.spice],
+      harvestPlan: planIds[record.harvestPlan],
+      provenance: {
+        ...plan.location,
+        plantingDate: plan.plantingDate,
+        harvestDate: record.harvestDate,
+        cropYear: plan.cropYear
+      }
+    });
+    await gradeLot(lot, spices.find(spice => spice.key === record.spice).category, null, 'Graded on seed');
+    await lot.save();
+    lots[key] = lot;
+  }
+
+  await insertKeyed(Order, orders, (order) => ({
+    ...order,
+    customer: userIds.customer,
+    deliveryAddress,
+    items: order.items.map(item => ({
+      ...item,
+      spice: spiceIds[item.spice],
+      inventoryLot: lots[item.inventoryLot]._id,
+      batchCode: lots[item.inventoryLot].batchCode,
+      farmer: userIds[item.farmer]
+    }))
+  }));
+
+  for (const { orderNumber, spice, ...review } of reviews) {
+    const order = await Order.findOne({ orderNumber });
+    const item = order.items.find(line => line.spice.equals(spiceIds[spice]));
+    const saved = await Review.create({
+      ...review,
+      customer: order.customer,
+      order: order._id,
+      orderItem: item._id,
+      spice: item.spice,
+      farmer: item.farmer,
+      batchCode: item.batchCode
+    });
+    await refreshRatings(saved);
+  }
+
+  await insertKeyed(Vehicle, vehicles);
+
+  await Lead.insertMany(leads.map(lead => ({
+    ...lead,
+    owner: lead.owner && userIds[lead.owner],
+    stageHistory: (lead.stageHistory || []).map(change => ({ ...change, by: userIds[change.by] })),
+    notes: (lead.notes || []).map(note => ({ ...note, author: userIds[note.author] }))
+  })));
+
+  await insertKeyed(WeatherObservation, weatherObservations);
+
+  const priceHistory = buildPriceHistory(spiceIds);
+  await PriceObservation.insertMany(priceHistory);
+
+  await NewsArticle.insertMany(newsArticles.map(article => ({ ...article, titleTokens: titleTokens(article.title) })));
+
+  console.log(`🌱 Seeded ${users.length} users, ${spices.length} spices, ${Object.keys(DEFAULT_GRADING_RULES).length} grading rule sets, ` +
+    `${Object.keys(DEFAULT_STAGE_TEMPLATES).length} crop stage templates, ` +
+    `${inventoryLots.length} inventory lots, ` +
+    `${harvestPlans.length} harvest plans, ${orders.length} orders, ${weatherObservations.length} weather observations, ` +
+    `${priceHistory.length} market prices, ${newsArticles.length} news articles, ${reviews.length} reviews, ${vehicles.length} vehicles, ${leads.length} leads`);
+  console.log(`🔐 Demo accounts use the password "${SEED_PASSWORD}"`);
+
+  await mongoose.disconnect();
+};
+
+seed().catch(async (error) => {
+  console.error('❌ Seed failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
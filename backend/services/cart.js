@@ -0,0 +1,257 @@
+// Server-side cart: add/merge, and re-pricing against live stock on read
+
+const { Cart, InventoryLot, Spice, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { roundQty, availableQuantity, availabilityBySpice } = require('./inventory');
+const { quoteDelivery } = require('./shipping');
+
+const MAX_LINE_QUANTITY = 1000; // kg, same cap as an order line
+const MAX_CART_LINES = 50;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const findOrCreateCart = async (userId) => {
+  return await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+};
+
+// Resolves { spiceId [, variantId] | inventoryId } from a request into the
+// cart line key and its current price. Throws 404 for anything that cannot
+// be bought.
+const resolveLine = async ({ spiceId, variantId, inventoryId }) => {
+  if (inventoryId) {
+    const lot = await InventoryLot.findOne({ _id: inventoryId, status: 'available', adminApproved: true }).select('spice pricePerKg');
+    if (!lot) {
+      throw new ApiError(404, 'Inventory lot not available', { inventoryId });
+    }
+    return { spice: lot.spice, inventoryLot: lot._id, price: lot.pricePerKg };
+  }
+
+  const spice = await Spice.findOne({ _id: spiceId, isActive: true }).select('basePrice variants');
+  if (!spice) {
+    throw new ApiError(404, 'Spice not available', { spiceId });
+  }
+  if (variantId) {
+    const variant = spice.variants.id(variantId);
+    if (!variant || !variant.isActive) {
+      throw new ApiError(404, 'Pack size not available', { spiceId, variantId });
+    }
+    return { spice: spice._id, variant: variant._id, price: variant.price };
+  }
+  return { spice: spice._id, price: spice.basePrice };
+};
+
+const addToCart = (cart, line, quantity, { keepLarger = false } = {}) => {
+  const existing = cart.findLine(line);
+  if (existing) {
+    existing.quantity = roundQty(keepLarger ? Math.max(existing.quantity, quantity) : existing.quantity + quantity);
+    if (existing.quantity > MAX_LINE_QUANTITY) {
+      throw new ApiError(400, `At most ${MAX_LINE_QUANTITY} kg of one item per order`);
+    }
+    return existing;
+  }
+  if (cart.items.length >= MAX_CART_LINES) {
+    throw new ApiError(400, `A cart can hold at most ${MAX_CART_LINES} different items`);
+  }
+  cart.items.push({ spice: line.spice, variant: line.variant, inventoryLot: line.inventoryLot, quantity: roundQty(quantity), priceSeen: line.price });
+  return cart.items[cart.items.length - 1];
+};
+
+// Pincode to quote delivery to: the one asked about, else the customer's
+// default saved address
+const deliveryPincode = async (cart, pincode) => {
+  if (pincode) return pincode;
+  const user = await User.findById(cart.user).select('addresses').lean();
+  const address = user && user.addresses.find(candidate => candidate.isDefault);
+  return address ? address.pincode : null;
+};
+
+// Current price and free stock for every line, with the problems a
+// customer needs to see before checkout:
+//   unavailable         spice deactivated or lot no longer sellable
+//   insufficient_stock  less free stock than the line asks for
+//   price_changed       price differs from when the customer last looked
+// A price change is reported once; the new price becomes the one "seen".
+// Delivery is quoted once a pincode is known; until then it is null.
+const priceCart = async (cart, { pincode } = {}) => {
+  const spiceIds = cart.items.map(item => item.spice);
+  const lotIds = cart.items.filter(item => item.inventoryLot).map(item => item.inventoryLot);
+
+  const [spices, lots, availability] = await Promise.all([
+    Spice.find({ _id: { $in: spiceIds } }).select('name category icon images basePrice variants isActive').lean(),
+    InventoryLot.find({ _id: { $in: lotIds } }).select('batchCode pricePerKg quantity reservedQuantity status adminApproved farmer').populate('farmer', 'name').lean(),
+    availabilityBySpice(spiceIds)
+  ]);
+  const spiceById = new Map(spices.map(spice => [spice._id.toString(), spice]));
+  const lotById = new Map(lots.map(lot => [lot._id.toString(), lot]));
+
+  let changed = false;
+  const items = cart.items.map(item => {
+    const spice = spiceById.get(item.spice.toString());
+    const lot = item.inventoryLot && lotById.get(item.inventoryLot.toString());
+    const variant = item.variant && spice && spice.variants.find(candidate => candidate._id.equals(item.variant));
+    const issues = [];
+
+    // Pack lines count packs: price per pack, free stock in whole packs
+    let unitPrice = null;
+    let available = 0;
+    let packKg = 1;
+    if (item.inventoryLot) {
+      if (lot && lot.status === 'available' && lot.adminApproved) {
+        unitPrice = lot.pricePerKg;
+        available = availableQuantity(lot);
+      }
+    } else if (spice && spice.isActive && (!item.variant || (variant && variant.isActive))) {
+      const spiceStock = (availability.get(spice._id.toString()) || { availableQuantity: 0 }).availableQuantity;
+      if (variant) {
+        packKg = variant.weightGrams / 1000;
+        unitPrice = variant.price;
+        available = Math.floor(roundQty(spiceStock / packKg));
+      } else {
+        unitPrice = spice.basePrice;
+        available = spiceStock;
+      }
+    }
+
+    if (unitPrice === null) {
+      issues.push({ type: 'unavailable' });
+    } else {
+      if (available < item.quantity) {
+        issues.push({ type: 'insufficient_stock', available });
+      }
+      if (item.priceSeen != null && item.priceSeen !== unitPrice) {
+        issues.push({ type: 'price_changed', from: item.priceSeen, to: unitPrice });
+      }
+      if (item.priceSeen !== unitPrice) {
+        item.priceSeen = unitPrice;
+        changed = true;
+      }
+    }
+
+    return {
+      _id: item._id,
+      spice: spice ? { _id: spice._id, name: spice.name, category: spice.category, icon: spice.icon, images: spice.images } : { _id: item.spice },
+      variant: variant ? { _id: variant._id, sku: variant.sku, packSize: variant.packSize } : item.variant,
+      inventoryLot: lot ? { _id: lot._id, batchCode: lot.batchCode, farmer: lot.farmer } : item.inventoryLot,
+      quantity: item.quantity,
+      weightKg: roundQty(item.quantity * packKg),
+      unitPrice,
+      lineTotal: unitPrice === null ? 0 : roundMoney(unitPrice * item.quantity),
+      available,
+      issues,
+      addedAt: item.addedAt
+    };
+  });
+
+  if (changed && !cart.isNew) {
+    await cart.save();
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const weightKg = roundQty(items.reduce((sum, item) => sum + (item.unitPrice === null ? 0 : item.weightKg), 0));
+
+  const quotePincode = items.length > 0 ? await deliveryPincode(cart, pincode) : null;
+  const delivery = quotePincode ? await quoteDelivery({ pincode: quotePincode, weightKg, orderValue: subtotal }) : null;
+  const deliveryCharges = items.length === 0 ? 0 : delivery && delivery.serviceable ? delivery.charge : null;
+
+  return {
+    items,
+    itemCount: items.length,
+    subtotal,
+    weightKg,
+    delivery,
+    deliveryCharges,
+    total: roundMoney(subtotal + (deliveryCharges || 0)),
+    canCheckout: items.length > 0 &&
+      items.every(item => item.issues.every(issue => issue.type === 'price_changed')) &&
+      !(delivery && !delivery.serviceable),
+    updatedAt: cart.updatedAt
+  };
+};
+
+const getCart = async (userId, { pincode } = {}) => priceCart(await findOrCreateCart(userId), { pincode });
+
+const addItem = async (userId, { spiceId, variantId, inventoryId, quantity }) => {
+  const cart = await findOrCreateCart(userId);
+  const line = await resolveLine({ spiceId, variantId, inventoryId });
+
+  addToCart(cart, line, quantity);
+  await cart.save();
+
+  return priceCart(cart);
+};
+
+const findCartLine = (cart, itemId) => {
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new ApiError(404, 'Cart item not found');
+  }
+  return item;
+};
+
+const updateItem = async (userId, itemId, quantity) => {
+  const cart = await findOrCreateCart(userId);
+  const item = findCartLine(cart, itemId);
+  if (item.variant && !Number.isInteger(quantity)) {
+    throw new ApiError(400, 'Pack sizes are bought in whole packs');
+  }
+  item.quantity = roundQty(quantity);
+  await cart.save();
+
+  return priceCart(cart);
+};
+
+const removeItem = async (userId, itemId) => {
+  const cart = await findOrCreateCart(userId);
+  findCartLine(cart, itemId).deleteOne();
+  await cart.save();
+
+  return priceCart(cart);
+};
+
+const clearCart = async (userId) => {
+  await Cart.updateOne({ user: userId }, { items: [] });
+};
+
+// Folds the cart a visitor built before logging in into their saved cart.
+// A line in both keeps the larger quantity rather than the sum, since the
+// guest cart on a device is often a copy of what was already saved.
+// Items that can no longer be bought are skipped and counted.
+const mergeGuestCart = async (userId, guestItems) => {
+  const cart = await findOrCreateCart(userId);
+  let skipped = 0;
+
+  for (const guestItem of guestItems) {
+    try {
+      const line = await resolveLine(guestItem);
+      addToCart(cart, line, Math.min(roundQty(Number(guestItem.quantity)), MAX_LINE_QUANTITY), { keepLarger: true });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      skipped += 1;
+    }
+  }
+  await cart.save();
+
+  return { ...await priceCart(cart), skipped };
+};
+
+// Order item requests for checking out the whole cart
+const cartOrderItems = async (userId) => {
+  const cart = await Cart.findOne({ user: userId }).lean();
+  if (!cart || cart.items.length === 0) {
+    throw new ApiError(400, 'Your cart is empty');
+  }
+  return cart.items.map(item => (item.inventoryLot
+    ? { inventoryId: item.inventoryLot, quantity: item.quantity }
+    : { spiceId: item.spice, variantId: item.variant, quantity: item.quantity }));
+};
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeGuestCart,
+  cartOrderItems
+};
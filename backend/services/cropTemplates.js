@@ -0,0 +1,189 @@
+// Crop stage templates: generating and re-syncing harvest plan schedules
+
+const { CropStageTemplate, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Built-in templates (version 0), used until an admin saves one for a
+// category. Offsets are days from the planting date, or from the start of
+// the season for perennials like pepper, cardamom and cloves.
+const DEFAULT_STAGE_TEMPLATES = {
+  pepper: {
+    stages: [
+      { stage: 'Planting / vine training', activityType: 'planting', offsetDays: 0 },
+      { stage: 'First fertiliser dose', activityType: 'fertilizing', offsetDays: 30, notes: 'With the onset of the south-west monsoon' },
+      { stage: 'Weeding and mulching', activityType: 'weeding', offsetDays: 60 },
+      { stage: 'Bordeaux mixture spray', activityType: 'pest_control', offsetDays: 75, notes: 'Guards against quick wilt' },
+      { stage: 'Second fertiliser dose', activityType: 'fertilizing', offsetDays: 120 },
+      { stage: 'Pruning runner shoots', activityType: 'pruning', offsetDays: 150 },
+      { stage: 'Harvesting', activityType: 'harvesting', offsetDays: 210, notes: 'Pick spikes once one or two berries turn red' },
+      { stage: 'Sun drying', activityType: 'post_harvest', offsetDays: 215 }
+    ],
+    districtShifts: [{ district: 'Idukki', shiftDays: 15 }, { district: 'Wayanad', shiftDays: 10 }]
+  },
+  cardamom: {
+    stages: [
+      { stage: 'Planting', activityType: 'planting', offsetDays: 0 },
+      { stage: 'Weeding', activityType: 'weeding', offsetDays: 45 },
+      { stage: 'Fertilising', activityType: 'fertilizing', offsetDays: 60 },
+      { stage: 'Picking round 1', activityType: 'harvesting', offsetDays: 90 },
+      { stage: 'Picking round 2', activityType: 'harvesting', offsetDays: 130 },
+      { stage: 'Picking round 3', activityType: 'harvesting', offsetDays: 170 },
+      { stage: 'Picking round 4', activityType: 'harvesting', offsetDays: 210 },
+      { stage: 'Curing and grading', activityType: 'post_harvest', offsetDays: 215 },
+      { stage: 'Summer irrigation', activityType: 'irrigation', offsetDays: 270 }
+    ],
+    districtShifts: [{ district: 'Wayanad', shiftDays: 10 }]
+  },
+  turmeric: {
+    stages: [
+      { stage: 'Planting rhizomes', activityType: 'planting', offsetDays: 0 },
+      { stage: 'First weeding', activityType: 'weeding', offsetDays: 45 },
+      { stage: 'Fertilising', activityType: 'fertilizing', offsetDays: 60 },
+      { stage: 'Earthing up', activityType: 'weeding', offsetDays: 90 },
+      { stage: 'Second weeding', activityType: 'weeding', offsetDays: 120 },
+      { stage: 'Harvesting', activityType: 'harvesting', offsetDays: 240, notes: 'When the leaves turn yellow and dry' },
+      { stage: 'Boiling and drying', activityType: 'post_harvest', offsetDays: 245 }
+    ],
+    districtShifts: []
+  },
+  chili: {
+    stages: [
+      { stage: 'Transplanting', activityType: 'planting', offsetDays: 0 },
+      { stage: 'Weeding', activityType: 'weeding', offsetDays: 25 },
+      { stage: 'Top dressing', activityType: 'fertilizing', offsetDays: 30 },
+      { stage: 'Thrips and mite control', activityType: 'pest_control', offsetDays: 45 },
+      { stage: 'Picking round 1', activityType: 'harvesting', offsetDays: 75 },
+      { stage: 'Picking round 2', activityType: 'harvesting', offsetDays: 95 },
+      { stage: 'Picking round 3', activityType: 'harvesting', offsetDays: 115 },
+      { stage: 'Drying', activityType: 'post_harvest', offsetDays: 120 }
+    ],
+    districtShifts: []
+  },
+  coriander: {
+    stages: [
+      { stage: 'Sowing', activityType: 'planting', offsetDays: 0 },
+      { stage: 'Weeding and thinning', activityType: 'weeding', offsetDays: 25 },
+      { stage: 'Irrigation and fertilising', activityType: 'irrigation', offsetDays: 30 },
+      { stage: 'Harvesting', activityType: 'harvesting', offsetDays: 95 },
+      { stage: 'Drying and threshing', activityType: 'post_harvest', offsetDays: 100 }
+    ],
+    districtShifts: []
+  },
+  cloves: {
+    stages: [
+      { stage: 'Season fertilising', activityType: 'fertilizing', offsetDays: 0 },
+      { stage: 'Mulching', activityType: 'weeding', offsetDays: 30 },
+      { stage: 'Dry season irrigation', activityType: 'irrigation', offsetDays: 90 },
+      { stage: 'Bud picking', activityType: 'harvesting', offsetDays: 150, notes: 'Before the buds open, when they turn pink' },
+      { stage: 'Drying', activityType: 'post_harvest', offsetDays: 155 }
+    ],
+    districtShifts: []
+  },
+  default: {
+    stages: [
+      { stage: 'Planting', activityType: 'planting', offsetDays: 0 },
+      { stage: 'Fertilising', activityType: 'fertilizing', offsetDays: 30 },
+      { stage: 'Weeding', activityType: 'weeding', offsetDays: 60 },
+      { stage: 'Harvesting', activityType: 'harvesting', offsetDays: 180 }
+    ],
+    districtShifts: []
+  }
+};
+
+// Latest saved template for the category, then the saved 'default' one,
+// then the built-in templates
+const getActiveTemplate = async (category) => {
+  const key = (category || 'default').toLowerCase();
+
+  for (const candidate of [key, 'default']) {
+    const saved = await CropStageTemplate.findOne({ category: candidate }).sort({ version: -1 }).lean();
+    if (saved) return saved;
+  }
+
+  const builtIn = DEFAULT_STAGE_TEMPLATES[key] ? key : 'default';
+  return { category: builtIn, version: 0, ...DEFAULT_STAGE_TEMPLATES[builtIn] };
+};
+
+// Filter for the plans whose active template changes when a new version of
+// `category` is saved. Besides the plans already on it, that is every plan
+// whose own category has no saved template when 'default' changes, and the
+// plans that fell back to 'default' when their category gets its first one.
+const plansAffectedBy = async (category) => {
+  if (category === 'default') {
+    const ownTemplates = (await CropStageTemplate.distinct('category')).filter(saved => saved !== 'default');
+    return { 'stageTemplate.category': { $exists: true, $nin: ownTemplates } };
+  }
+
+  const spices = await Spice.distinct('_id', { category });
+  return {
+    $or: [
+      { 'stageTemplate.category': category },
+      { 'stageTemplate.category': 'default', spice: { $in: spices } }
+    ]
+  };
+};
+
+const districtShift = (template, district) => {
+  if (!district) return 0;
+  const match = (template.districtShifts || [])
+    .find(entry => entry.district.toLowerCase() === district.trim().toLowerCase());
+  return match ? match.shiftDays : 0;
+};
+
+// Pure function: the full stage list with planned dates. The district shift
+// moves everything after planting itself; an earlier (negative) shift never
+// moves a stage before the planting date.
+const generateStages = (template, plantingDate, district) => {
+  const start = new Date(plantingDate).getTime();
+  const shift = districtShift(template, district);
+
+  return template.stages
+    .map(({ stage, activityType, offsetDays, notes }) => ({
+      stage,
+      activityType,
+      plannedDate: new Date(start + (offsetDays > 0 ? Math.max(offsetDays + shift, 0) : offsetDays) * DAY_MS),
+      notes,
+      completed: false,
+      fromTemplate: true
+    }))
+    .sort((a, b) => a.plannedDate - b.plannedDate);
+};
+
+// First harvest in a generated schedule, used when no date was given
+const firstHarvestDate = (stages) => {
+  const harvest = stages.find(stage => stage.activityType === 'harvesting');
+  return harvest ? harvest.plannedDate : undefined;
+};
+
+// Regenerates the open template stages of a plan. Completed stages and
+// stages the farmer added by hand are kept as they are.
+const syncPlanStages = (plan, template) => {
+  if (plan.status === 'harvested') {
+    throw new ApiError(409, 'Harvested plans are not re-synced');
+  }
+  if (!plan.plantingDate) {
+    throw new ApiError(400, 'Set a planting date before generating stages');
+  }
+
+  const kept = plan.cropStages.filter(stage => stage.completed || !stage.fromTemplate);
+  const done = new Set(kept.filter(stage => stage.completed).map(stage => stage.stage));
+  const generated = generateStages(template, plan.plantingDate, plan.location && plan.location.district)
+    .filter(stage => !done.has(stage.stage));
+
+  plan.cropStages = [...kept.map(stage => stage.toObject()), ...generated]
+    .sort((a, b) => new Date(a.plannedDate) - new Date(b.plannedDate));
+  plan.stageTemplate = { category: template.category, version: template.version };
+
+  return plan;
+};
+
+module.exports = {
+  DEFAULT_STAGE_TEMPLATES,
+  getActiveTemplate,
+  plansAffectedBy,
+  generateStages,
+  firstHarvestDate,
+  syncPlanStages
+};
@@ -0,0 +1,292 @@
+// Proof of delivery: delivery OTPs, doorstep evidence, failed attempts and COD settlement
+
+const crypto = require('crypto');
+const { Order, Spice, User, DeliveryRoute } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification, sendEmail, sendWhatsAppMessage } = require('../utils/notifications');
+const { saveImage, deleteImage } = require('./productImages');
+const { transitionOrder } = require('./orders');
+
+// Non-COD orders need proof when their lines from these categories are worth at least this much
+const PROOF_CATEGORIES = ['cardamom'];
+const PROOF_MIN_VALUE = parseFloat(process.env.POD_HIGH_VALUE_AMOUNT) || 5000;
+const MAX_OTP_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const MAX_DELIVERY_ATTEMPTS = 3; // admins are told once an order has failed this often
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const hashOtp = (order, otp) => crypto.createHash('sha256').update(`${order._id}:${otp}`).digest('hex');
+
+const requiresProof = async (order) => {
+  if (order.paymentMethod === 'cod') return true;
+
+  const items = order.activeItems();
+  const spices = await Spice.find({ _id: { $in: items.map(item => item.spice) }, category: { $in: PROOF_CATEGORIES } }).select('_id').lean();
+  const guarded = new Set(spices.map(spice => spice._id.toString()));
+  const value = items
+    .filter(item => guarded.has(String(item.spice._id || item.spice)))
+    .reduce((sum, item) => sum + item.totalPrice, 0);
+
+  return value >= PROOF_MIN_VALUE;
+};
+
+// Sends the customer a fresh six-digit code for an order that needs proof of
+// delivery. Any earlier code stops working. Returns whether one was sent.
+const issueDeliveryOtp = async (order) => {
+  order.proofOfDelivery = order.proofOfDelivery || {};
+  order.proofOfDelivery.required = await requiresProof(order);
+  if (!order.proofOfDelivery.required) {
+    await order.save();
+    return false;
+  }
+
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  order.proofOfDelivery.otpHash = hashOtp(order, otp);
+  order.proofOfDelivery.otpSentAt = new Date();
+  order.proofOfDelivery.otpAttempts = 0;
+  order.proofOfDelivery.otpVerifiedAt = undefined;
+  await order.save();
+
+  const message = `Your Farmers 10 delivery code for order ${order.orderNumber} is ${otp}. Share it with the driver only when you receive your parcel.`;
+  const customer = await User.findById(order.customer).select('name email phone');
+
+  await sendNotification(order.customer, message, 'info');
+  const phone = (order.deliveryAddress && order.deliveryAddress.phone) || (customer && customer.phone);
+  if (phone) {
+    await sendWhatsAppMessage(phone, message);
+  }
+  if (customer && customer.email) {
+    await sendEmail(customer.email, `Delivery code for order ${order.orderNumber} - Farmers 10`, `
+      <h2>Hello ${customer.name},</h2>
+      <p>Your order ${order.orderNumber} is on its way.</p>
+      <p>Delivery code: <strong>${otp}</strong></p>
+      <p>Please share it with the driver only when you receive your parcel.</p>
+      <br>
+      <p>Best regards,<br>Farmers 10 Team</p>
+    `);
+  }
+
+  return true;
+};
+
+// Customer or staff asking for the code again
+const resendDeliveryOtp = async (order) => {
+  if (order.orderStatus !== 'shipped') {
+    throw new ApiError(409, 'A delivery code is only sent while the order is out for delivery');
+  }
+  const sentAt = order.proofOfDelivery && order.proofOfDelivery.otpSentAt;
+  if (sentAt && Date.now() - sentAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+    throw new ApiError(429, `Please wait ${OTP_RESEND_SECONDS} seconds before asking for another code`);
+  }
+  if (!await issueDeliveryOtp(order)) {
+    throw new ApiError(409, 'This order does not need a delivery code');
+  }
+};
+
+const verifyOtp = async (order, otp) => {
+  const proof = order.proofOfDelivery;
+  if (!proof.otpHash) {
+    throw new ApiError(409, 'No delivery code has been sent for this order');
+  }
+  if (proof.otpAttempts >= MAX_OTP_ATTEMPTS) {
+    throw new ApiError(429, 'Too many wrong codes; ask the customer to request a new one');
+  }
+
+  const expected = Buffer.from(proof.otpHash, 'hex');
+  const given = Buffer.from(hashOtp(order, String(otp || '')), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    proof.otpAttempts += 1;
+    await order.save();
+    throw new ApiError(400, 'Incorrect delivery code', { attemptsLeft: MAX_OTP_ATTEMPTS - proof.otpAttempts });
+  }
+
+  proof.otpVerifiedAt = new Date();
+};
+
+// Orders on a route may only be closed by the driver carrying them
+const loadRouteFor = async (order, actor) => {
+  const route = order.deliveryRoute ? await DeliveryRoute.findById(order.deliveryRoute) : null;
+  if (actor.role === 'logistics' && (!route || String(route.driver) !== actor.id)) {
+    throw new ApiError(403, 'This order is not on your route');
+  }
+  return route;
+};
+
+// Records the order's outcome on its stop; the stop settles once every
+// order on it has one, and the route completes with its last stop.
+const settleStop = async (route, order, result) => {
+  if (!route) return;
+
+  const stop = route.stops.find(candidate => candidate.orders.some(id => id.equals(order._id)));
+  if (!stop) return;
+
+  stop.outcomes.push({ order: order._id, result });
+  if (stop.outcomes.length >= stop.orders.length) {
+    const delivered = stop.outcomes.filter(outcome => outcome.result === 'delivered').length;
+    stop.status = delivered === stop.outcomes.length ? 'delivered' : delivered > 0 ? 'partially_delivered' : 'failed';
+  }
+
+  if (route.stops.every(candidate => candidate.status !== 'pending')) {
+    route.status = 'completed';
+    route.completedAt = new Date();
+  }
+  await route.save();
+};
+
+// Closes a shipped order at the door. Orders needing proof must carry the
+// customer's OTP, a photo and a signature; COD orders record the cash taken.
+const deliverOrder = async (order, { otp, recipientName, codAmount, location, photo, signature }, actor) => {
+  if (order.orderStatus !== 'shipped') {
+    throw new ApiError(409, `Only shipped orders can be delivered; this one is ${order.orderStatus}`);
+  }
+  const route = await loadRouteFor(order, actor);
+
+  const proof = order.proofOfDelivery;
+  proof.required = proof.required || await requiresProof(order);
+  if (proof.required) {
+    if (!photo || !signature) {
+      throw new ApiError(400, 'This order needs a delivery photo and the recipient\'s signature');
+    }
+    await verifyOtp(order, otp);
+  }
+  if (order.paymentMethod === 'cod' && codAmount == null) {
+    throw new ApiError(400, 'Record the cash collected for this cash on delivery order');
+  }
+
+  const saved = [];
+  try {
+    const urlBase = `/api/orders/${order.orderNumber}/proof`;
+    if (photo) {
+      proof.photo = await saveImage('delivery', photo, { actor, urlBase });
+      saved.push(proof.photo);
+    }
+    if (signature) {
+      proof.signature = await saveImage('delivery', signature, { actor, urlBase });
+      saved.push(proof.signature);
+    }
+
+    const now = new Date();
+    proof.recipientName = recipientName;
+    proof.location = location;
+    proof.deliveredBy = actor.id;
+    proof.deliveredAt = now;
+
+    if (order.paymentMethod === 'cod') {
+      order.codCollection = { amount: roundMoney(codAmount), route: route && route._id, collectedBy: actor.id, collectedAt: now };
+    }
+
+    const handedTo = recipientName || (order.deliveryAddress && order.deliveryAddress.name) || 'customer';
+    await transitionOrder(order, 'delivered', actor, `Delivered to ${handedTo}${proof.otpVerifiedAt ? ', code verified' : ''}`);
+  } catch (error) {
+    await Promise.all(saved.map(image => deleteImage(image, 'delivery')));
+    throw error;
+  }
+
+  await settleStop(route, order, 'delivered');
+  return order;
+};
+
+// A failed doorstep attempt puts the order back in 'processing', off its
+// route, so the next planning run picks it up again.
+const failDelivery = async (order, { reason, notes, location }, actor) => {
+  if (order.orderStatus !== 'shipped') {
+    throw new ApiError(409, `Only shipped orders can fail delivery; this one is ${order.orderStatus}`);
+  }
+  const route = await loadRouteFor(order, actor);
+
+  order.deliveryAttempts.push({ route: route && route._id, driver: actor.id, reason, notes, location });
+  order.deliveryRoute = undefined;
+
+  const label = reason.replace(/_/g, ' ');
+  await transitionOrder(order, 'processing', actor,
+    `Delivery attempt failed (${label}${notes ? `: ${notes}` : ''}); queued for the next route`);
+  await settleStop(route, order, 'failed');
+
+  await sendNotification(order.customer,
+    `We could not deliver order ${order.orderNumber} (${label}). It will be sent out again on the next route.`, 'warning');
+  if (order.deliveryAttempts.length >= MAX_DELIVERY_ATTEMPTS) {
+    await sendNotification('role:admin',
+      `Order ${order.orderNumber} has failed delivery ${order.deliveryAttempts.length} times`, 'warning');
+  }
+
+  return order;
+};
+
+// Cash the driver of a route recorded, against what the delivered COD orders were worth
+const codSummary = async (route) => {
+  const orders = await Order.find({ 'codCollection.route': route._id })
+    .select('orderNumber finalAmount codCollection')
+    .lean();
+
+  const expectedAmount = roundMoney(orders.reduce((sum, order) => sum + order.finalAmount, 0));
+  const collectedAmount = roundMoney(orders.reduce((sum, order) => sum + order.codCollection.amount, 0));
+
+  return {
+    routeCode: route.routeCode,
+    orders: orders.map(order => ({
+      orderNumber: order.orderNumber,
+      expected: order.finalAmount,
+      collected: order.codCollection.amount,
+      short: roundMoney(order.finalAmount - order.codCollection.amount)
+    })),
+    expectedAmount,
+    collectedAmount,
+    reconciliation: route.cashReconciliation && route.cashReconciliation.reconciledAt ? route.cashReconciliation : null
+  };
+};
+
+// End-of-day settlement once the route is finished. Any difference between
+// the cash handed in and what was owed is reported to admins.
+const reconcileRoute = async (route, { depositedAmount, notes }, actor) => {
+  if (route.status !== 'completed') {
+    throw new ApiError(409, 'Cash can be reconciled once every stop on the route is settled');
+  }
+  if (route.cashReconciliation && route.cashReconciliation.reconciledAt) {
+    throw new ApiError(409, `Route ${route.routeCode} was already reconciled`);
+  }
+
+  const summary = await codSummary(route);
+  const deposited = roundMoney(depositedAmount);
+
+  route.cashReconciliation = {
+    expectedAmount: summary.expectedAmount,
+    collectedAmount: summary.collectedAmount,
+    depositedAmount: deposited,
+    variance: roundMoney(deposited - summary.expectedAmount),
+    notes,
+    reconciledBy: actor.id,
+    reconciledAt: new Date()
+  };
+  await route.save();
+
+  if (route.cashReconciliation.variance !== 0) {
+    await sendNotification('role:admin',
+      `Route ${route.routeCode} COD is ₹${Math.abs(route.cashReconciliation.variance)} ${route.cashReconciliation.variance < 0 ? 'short' : 'over'}`,
+      'warning');
+  }
+
+  return route;
+};
+
+// Completed routes that took cash and have not been reconciled yet
+const unreconciledRoutes = async () => {
+  const routeIds = await Order.distinct('codCollection.route', { 'codCollection.route': { $ne: null } });
+  return DeliveryRoute.find({
+    _id: { $in: routeIds },
+    status: 'completed',
+    'cashReconciliation.reconciledAt': { $exists: false }
+  }).select('routeCode driver completedAt').lean();
+};
+
+module.exports = {
+  requiresProof,
+  issueDeliveryOtp,
+  resendDeliveryOtp,
+  verifyOtp,
+  deliverOrder,
+  failDelivery,
+  codSummary,
+  reconcileRoute,
+  unreconciledRoutes
+};
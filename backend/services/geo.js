@@ -0,0 +1,83 @@
+// Offline location lookups for delivery planning
+// Pincodes resolve to the centre of their postal district (first three
+// digits), with a few exact entries for places we deliver to often. Good
+// enough to order stops and estimate distances without a maps API.
+
+const ROAD_FACTOR = 1.3; // road distance is rarely a straight line in the Ghats
+const EARTH_RADIUS_KM = 6371;
+
+const PINCODE_PREFIXES = {
+  670: { area: 'Kannur', lat: 11.8745, lng: 75.3704 },
+  671: { area: 'Kasaragod', lat: 12.4996, lng: 74.9869 },
+  673: { area: 'Kozhikode', lat: 11.2588, lng: 75.7804 },
+  676: { area: 'Malappuram', lat: 11.0732, lng: 76.0740 },
+  678: { area: 'Palakkad', lat: 10.7867, lng: 76.6548 },
+  679: { area: 'Ottapalam', lat: 10.7705, lng: 76.3770 },
+  680: { area: 'Thrissur', lat: 10.5276, lng: 76.2144 },
+  682: { area: 'Kochi', lat: 9.9312, lng: 76.2673 },
+  683: { area: 'Aluva', lat: 10.1004, lng: 76.3570 },
+  685: { area: 'Idukki', lat: 9.8547, lng: 76.8970 },
+  686: { area: 'Kottayam', lat: 9.5916, lng: 76.5222 },
+  688: { area: 'Alappuzha', lat: 9.4981, lng: 76.3388 },
+  689: { area: 'Pathanamthitta', lat: 9.2648, lng: 76.7870 },
+  690: { area: 'Kayamkulam', lat: 9.1748, lng: 76.5013 },
+  691: { area: 'Kollam', lat: 8.8932, lng: 76.6141 },
+  695: { area: 'Thiruvananthapuram', lat: 8.5241, lng: 76.9366 },
+  641: { area: 'Coimbatore', lat: 11.0168, lng: 76.9558 },
+  600: { area: 'Chennai', lat: 13.0827, lng: 80.2707 },
+  560: { area: 'Bengaluru', lat: 12.9716, lng: 77.5946 },
+  500: { area: 'Hyderabad', lat: 17.3850, lng: 78.4867 },
+  400: { area: 'Mumbai', lat: 19.0760, lng: 72.8777 },
+  110: { area: 'Delhi', lat: 28.6139, lng: 77.2090 }
+};
+
+const PINCODES = {
+  682001: { area: 'Fort Kochi', lat: 9.9658, lng: 76.2421 },
+  682030: { area: 'Kakkanad', lat: 10.0159, lng: 76.3419 },
+  673121: { area: 'Kalpetta', lat: 11.6085, lng: 76.0830 },
+  673577: { area: 'Meppadi', lat: 11.5553, lng: 76.1349 },
+  685509: { area: 'Kumily', lat: 9.6094, lng: 77.1685 },
+  685535: { area: 'Kattappana', lat: 9.7512, lng: 77.1168 },
+  678101: { area: 'Chittur', lat: 10.6997, lng: 76.7466 }
+};
+
+// Where inventory lots are held (InventoryLot.location.warehouse)
+const WAREHOUSES = {
+  'Idukki Warehouse': { pincode: '685535', lat: 9.7512, lng: 77.1168 },
+  'Wayanad Warehouse': { pincode: '673121', lat: 11.6085, lng: 76.0830 },
+  'Central Warehouse': { pincode: '682030', lat: 10.0159, lng: 76.3419 }
+};
+
+const DEFAULT_WAREHOUSE = 'Central Warehouse';
+
+// { area, lat, lng } or null for pincodes outside the table
+const locatePincode = (pincode) => {
+  const code = String(pincode || '').trim();
+  if (!/^\d{6}$/.test(code)) return null;
+  return PINCODES[code] || PINCODE_PREFIXES[code.slice(0, 3)] || null;
+};
+
+const locateWarehouse = (name) => {
+  const warehouse = WAREHOUSES[name];
+  return warehouse ? { name, ...warehouse } : null;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Estimated road distance in km between two { lat, lng } points
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  const straight = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(straight * ROAD_FACTOR * 10) / 10;
+};
+
+module.exports = {
+  WAREHOUSES,
+  DEFAULT_WAREHOUSE,
+  locatePincode,
+  locateWarehouse,
+  distanceKm
+};
@@ -0,0 +1,122 @@
+// Quality grading of inventory lots from lab metrics
+
+const { GradingRuleSet } = require('../models');
+
+const BELOW_STANDARD = 'Below Standard';
+
+// Built-in rules (version 0), used until an admin saves a rule set for a
+// category. Best grade first; the last grade is the minimum to be sold.
+const DEFAULT_GRADING_RULES = {
+  pepper: [
+    { grade: 'Premium', maxMoisture: 11, minPurity: 98, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 12, minPurity: 96, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 13, minPurity: 94, maxForeignMatter: 2 }
+  ],
+  cardamom: [
+    { grade: 'Premium', maxMoisture: 10, minPurity: 99, maxForeignMatter: 0.3 },
+    { grade: 'Grade A', maxMoisture: 11, minPurity: 97, maxForeignMatter: 0.5 },
+    { grade: 'Grade B', maxMoisture: 12, minPurity: 95, maxForeignMatter: 1 }
+  ],
+  turmeric: [
+    { grade: 'Premium', maxMoisture: 9, minPurity: 98, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 10, minPurity: 96, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 12, minPurity: 94, maxForeignMatter: 2 }
+  ],
+  chili: [
+    { grade: 'Premium', maxMoisture: 10, minPurity: 98, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 11, minPurity: 96, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 12, minPurity: 94, maxForeignMatter: 2 }
+  ],
+  coriander: [
+    { grade: 'Premium', maxMoisture: 9, minPurity: 99, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 10, minPurity: 97, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 12, minPurity: 95, maxForeignMatter: 2 }
+  ],
+  cloves: [
+    { grade: 'Premium', maxMoisture: 11, minPurity: 98, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 12, minPurity: 96, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 13, minPurity: 94, maxForeignMatter: 2 }
+  ],
+  default: [
+    { grade: 'Premium', maxMoisture: 11, minPurity: 98, maxForeignMatter: 0.5 },
+    { grade: 'Grade A', maxMoisture: 12, minPurity: 96, maxForeignMatter: 1 },
+    { grade: 'Grade B', maxMoisture: 13, minPurity: 94, maxForeignMatter: 2 }
+  ]
+};
+
+// Latest saved rule set for the category, then the saved 'default' set,
+// then the built-in rules.
+const getActiveRuleSet = async (category) => {
+  const key = (category || 'default').toLowerCase();
+
+  for (const candidate of [key, 'default']) {
+    const saved = await GradingRuleSet.findOne({ category: candidate }).sort({ version: -1 }).lean();
+    if (saved) return saved;
+  }
+
+  const builtIn = DEFAULT_GRADING_RULES[key] ? key : 'default';
+  return { category: builtIn, version: 0, grades: DEFAULT_GRADING_RULES[builtIn] };
+};
+
+const failedChecksFor = (metrics, threshold) => {
+  const failed = [];
+  if (metrics.moisture > threshold.maxMoisture) {
+    failed.push(`moisture ${metrics.moisture}% > ${threshold.maxMoisture}%`);
+  }
+  if (metrics.purity < threshold.minPurity) {
+    failed.push(`purity ${metrics.purity}% < ${threshold.minPurity}%`);
+  }
+  if (metrics.foreignMatter > threshold.maxForeignMatter) {
+    failed.push(`foreign matter ${metrics.foreignMatter}% > ${threshold.maxForeignMatter}%`);
+  }
+  return failed;
+};
+
+// Pure function: best grade whose every threshold the metrics meet
+const assessQuality = (metrics, ruleSet) => {
+  for (const threshold of ruleSet.grades) {
+    if (failedChecksFor(metrics, threshold).length === 0) {
+      return { grade: threshold.grade, meetsMinimum: true, failedChecks: [] };
+    }
+  }
+
+  const minimum = ruleSet.grades[ruleSet.grades.length - 1];
+  return { grade: BELOW_STANDARD, meetsMinimum: false, failedChecks: failedChecksFor(metrics, minimum) };
+};
+
+// Grades a lot in place and records the result in its grade history.
+// `category` is the lot's spice category.
+const gradeLot = async (lot, category, actor, notes) => {
+  const ruleSet = await getActiveRuleSet(category);
+  const result = assessQuality(lot.qualityMetrics, ruleSet);
+
+  lot.gradeAssessment = {
+    computedGrade: result.grade,
+    ruleCategory: ruleSet.category,
+    ruleVersion: ruleSet.version,
+    meetsMinimum: result.meetsMinimum,
+    failedChecks: result.failedChecks,
+    assessedAt: new Date()
+  };
+  lot.qualityGrade = result.grade;
+  lot.flaggedForRejection = !result.meetsMinimum;
+  lot.gradeHistory.push({
+    grade: result.grade,
+    source: 'computed',
+    ruleCategory: ruleSet.category,
+    ruleVersion: ruleSet.version,
+    metrics: lot.qualityMetrics,
+    changedBy: actor && actor.id,
+    notes
+  });
+
+  return result;
+};
+
+module.exports = {
+  BELOW_STANDARD,
+  DEFAULT_GRADING_RULES,
+  getActiveRuleSet,
+  assessQuality,
+  gradeLot
+};
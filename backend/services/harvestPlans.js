@@ -0,0 +1,108 @@
+// Harvest plan filtering, status moves and crop stage completion
+
+const mongoose = require('mongoose');
+const { Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/query');
+
+// Plans only move forward; planned -> harvested is allowed for crops that
+// were never tracked while growing.
+const PLAN_TRANSITIONS = {
+  planned: ['growing', 'harvested'],
+  growing: ['harvested'],
+  harvested: []
+};
+
+// Translates ?year=&month=&spice=&status= into a Mongo filter on top of
+// `scope`. Month is 1-12 and matches expectedHarvestDate; spice may be an
+// id or part of a spice name.
+const buildPlanFilter = async (query, scope) => {
+  const { year, month, spice, status } = query;
+  const filter = { ...scope };
+  const yearNum = parseInt(year);
+  const monthNum = parseInt(month);
+
+  if (month && !(monthNum >= 1 && monthNum <= 12)) {
+    throw new ApiError(400, 'month must be between 1 and 12');
+  }
+  if (year && !(yearNum >= 1900 && yearNum <= 2200)) {
+    throw new ApiError(400, 'Invalid year');
+  }
+
+  if (year) {
+    const from = month ? new Date(yearNum, monthNum - 1, 1) : new Date(yearNum, 0, 1);
+    const to = month ? new Date(yearNum, monthNum, 1) : new Date(yearNum + 1, 0, 1);
+    filter.expectedHarvestDate = { $gte: from, $lt: to };
+  } else if (month) {
+    filter.$expr = { $eq: [{ $month: '$expectedHarvestDate' }, monthNum] };
+  }
+
+  if (spice) {
+    if (mongoose.isValidObjectId(spice)) {
+      filter.spice = spice;
+    } else {
+      const spices = await Spice.find({ name: new RegExp(escapeRegex(spice), 'i') }).select('_id').lean();
+      filter.spice = { $in: spices.map(s => s._id) };
+    }
+  }
+
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+
+  return filter;
+};
+
+// Moves a plan along PLAN_TRANSITIONS. Harvesting records the actual yield
+// (required) and harvest date (defaults to today).
+const transitionPlan = (plan, status, { actualYield, actualHarvestDate } = {}) => {
+  const allowed = PLAN_TRANSITIONS[plan.status] || [];
+
+  if (!allowed.includes(status)) {
+    throw new ApiError(409, `Cannot move harvest plan from ${plan.status} to ${status}`, { allowed });
+  }
+
+  if (status === 'harvested') {
+    if (actualYield == null) {
+      throw new ApiError(400, 'actualYield is required when marking a plan harvested');
+    }
+    plan.actualYield = actualYield;
+    plan.actualHarvestDate = actualHarvestDate || new Date();
+
+    const harvestStage = plan.cropStages.find(stage => !stage.completed &&
+      (stage.activityType === 'harvesting' || /harvest/i.test(stage.stage)));
+    if (harvestStage) {
+      harvestStage.completed = true;
+      harvestStage.completedDate = plan.actualHarvestDate;
+    }
+  }
+
+  plan.status = status;
+  return plan;
+};
+
+// Marks a stage done (or reopens it). Completing any stage of a planned
+// crop means it is in the ground, so the plan moves to growing.
+const setStageCompletion = (plan, stageId, { completed = true, completedDate, notes }) => {
+  const stage = plan.cropStages.id(stageId);
+  if (!stage) {
+    throw new ApiError(404, 'Crop stage not found');
+  }
+
+  stage.completed = completed;
+  stage.completedDate = completed ? (completedDate || new Date()) : undefined;
+  if (notes !== undefined) stage.notes = notes;
+
+  if (completed && plan.status === 'planned') {
+    plan.status = 'growing';
+  }
+
+  return stage;
+};
+
+module.exports = {
+  PLAN_TRANSITIONS,
+  buildPlanFilter,
+  transitionPlan,
+  setStageCompletion
+};
@@ -0,0 +1,132 @@
+// Inventory stock reservation
+// Stock on a lot is split into `quantity` (physically held) and
+// `reservedQuantity` (promised to open orders). Reservations use a
+// conditional update so two concurrent orders cannot oversell a lot.
+
+const { InventoryLot } = require('../models');
+
+// Quantities are kg; round to whole grams to keep float drift out of stock
+const roundQty = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const availableQuantity = (lot) => roundQty(lot.quantity - (lot.reservedQuantity || 0));
+
+const sellableFilter = { status: 'available', adminApproved: true };
+
+const reserveFromLot = (lotId, quantity) => {
+  return InventoryLot.findOneAndUpdate(
+    {
+      _id: lotId,
+      ...sellableFilter,
+      $expr: { $gte: [{ $subtract: ['$quantity', '$reservedQuantity'] }, quantity] }
+    },
+    { $inc: { reservedQuantity: quantity } },
+    { new: true }
+  );
+};
+
+const releaseFromLot = (lotId, quantity) => {
+  return InventoryLot.updateOne(
+    { _id: lotId, reservedQuantity: { $gte: quantity } },
+    { $inc: { reservedQuantity: -quantity } }
+  );
+};
+
+// Reserves `quantity` kg of a spice across its sellable lots, oldest harvest
+// first. Returns [{ lot, quantity }] or null (with nothing held) if the
+// spice does not have enough free stock.
+const reserveSpice = async (spiceId, quantity) => {
+  const lots = await InventoryLot.find({ spice: spiceId, ...sellableFilter })
+    .sort({ harvestDate: 1, createdAt: 1 });
+
+  const allocations = [];
+  let remaining = roundQty(quantity);
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(availableQuantity(lot), remaining);
+    if (take <= 0) continue;
+
+    const reserved = await reserveFromLot(lot._id, take);
+    if (!reserved) continue; // taken by a concurrent order since we read it
+
+    allocations.push({ lot: reserved, quantity: take });
+    remaining = roundQty(remaining - take);
+  }
+
+  if (remaining > 0) {
+    await releaseAllocations(allocations.map(({ lot, quantity }) => ({ inventoryLot: lot._id, quantity })));
+    return null;
+  }
+
+  return allocations;
+};
+
+// Accepts order items (or anything with inventoryLot + quantity)
+const releaseAllocations = async (items) => {
+  for (const item of items) {
+    if (item.inventoryLot) {
+      await releaseFromLot(item.inventoryLot._id || item.inventoryLot, item.quantity);
+    }
+  }
+};
+
+// Turns reservations into real deductions once goods leave the warehouse
+const commitAllocations = async (items) => {
+  for (const item of items) {
+    if (!item.inventoryLot) continue;
+
+    const lot = await InventoryLot.findOneAndUpdate(
+      { _id: item.inventoryLot._id || item.inventoryLot, reservedQuantity: { $gte: item.quantity } },
+      { $inc: { quantity: -item.quantity, reservedQuantity: -item.quantity } },
+      { new: true }
+    );
+
+    if (lot && roundQty(lot.quantity) <= 0 && lot.status === 'available') {
+      lot.status = 'sold_out';
+      await lot.save();
+    }
+  }
+};
+
+// Free stock per spice across approved, sellable lots:
+// Map<spiceId, { availableQuantity, lots, farmers }>
+const availabilityBySpice = async (spiceIds) => {
+  const rows = await InventoryLot.aggregate([
+    { $match: { ...sellableFilter, spice: { $in: spiceIds } } },
+    {
+      $group: {
+        _id: '$spice',
+        availableQuantity: { $sum: { $subtract: ['$quantity', '$reservedQuantity'] } },
+        lots: { $sum: 1 },
+        farmers: { $addToSet: '$farmer' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), {
+    availableQuantity: roundQty(row.availableQuantity),
+    lots: row.lots,
+    farmers: row.farmers.length
+  }]));
+};
+
+// Unsold kg a farmer still holds of a spice, approved or awaiting review
+const availabilityForFarmer = async (farmerId, spiceId) => {
+  const [row] = await InventoryLot.aggregate([
+    { $match: { farmer: farmerId, spice: spiceId, status: { $in: ['available', 'pending_approval'] } } },
+    { $group: { _id: null, quantity: { $sum: { $subtract: ['$quantity', '$reservedQuantity'] } } } }
+  ]);
+  return row ? roundQty(row.quantity) : 0;
+};
+
+module.exports = {
+  roundQty,
+  availableQuantity,
+  reserveFromLot,
+  reserveSpice,
+  releaseAllocations,
+  commitAllocations,
+  availabilityBySpice,
+  availabilityForFarmer
+};
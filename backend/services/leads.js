@@ -0,0 +1,498 @@
+// B2B sales pipeline: lead stages, price quotes with volume tiers and
+// turning accepted quotes into one-off or recurring orders
+
+const { Lead, Quote, Order, Spice, InventoryLot, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification, sendEmail } = require('../utils/notifications');
+const { roundQty, availableQuantity, releaseAllocations } = require('./inventory');
+const { reserveOrderItems, paymentDeadline, SYSTEM_ACTOR } = require('./orders');
+
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 14;
+// Longest a recurring conversion may run; it also ends then if no endsAt is given
+const RECURRING_MAX_MONTHS = parseInt(process.env.RECURRING_MAX_MONTHS) || 12;
+
+// Discount on the inventory price by kg per order line. Thresholds follow
+// the ranges on the website quote form.
+const VOLUME_TIERS = [
+  { minKg: 0, discountPercent: 0 },
+  { minKg: 6, discountPercent: 2 },
+  { minKg: 16, discountPercent: 5 },
+  { minKg: 50, discountPercent: 8 }
+];
+
+// Stage moves the sales team can make by hand. A lead becomes 'quoted'
+// when a quote is sent and 'won' when one is accepted.
+const STAGE_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['lost'],
+  quoted: ['negotiating', 'lost'],
+  negotiating: ['lost'],
+  won: [],
+  lost: ['contacted']
+};
+const QUOTABLE_STAGES = ['new', 'contacted', 'quoted', 'negotiating'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const moveStage = (lead, to, actor, note) => {
+  if (lead.status === to) return;
+  lead.stageHistory.push({ from: lead.status, to, note, by: actor.id });
+  lead.status = to;
+};
+
+const changeStage = async (lead, { status, note, lostReason }, actor) => {
+  const allowed = STAGE_TRANSITIONS[lead.status] || [];
+  if (!allowed.includes(status)) {
+    const hint = ['quoted', 'won'].includes(status) ? '; send or accept a quote instead' : '';
+    throw new ApiError(409, `Cannot move a lead from ${lead.status} to ${status}${hint}`, { allowed });
+  }
+  if (status === 'lost' && !lostReason) {
+    throw new ApiError(400, 'Say why the lead was lost');
+  }
+
+  moveStage(lead, status, actor, note);
+  lead.lostReason = status === 'lost' ? lostReason : undefined;
+  if (status === 'lost') {
+    lead.nextFollowUpAt = undefined;
+  }
+  await lead.save();
+  return lead;
+};
+
+const volumeDiscount = (quantity) => VOLUME_TIERS
+  .filter(tier => quantity >= tier.minKg)
+  .reduce((best, tier) => Math.max(best, tier.discountPercent), 0);
+
+// Price per kg the quantity would cost from current stock: lots are used
+// oldest harvest first, as orders fill them. Without stock the catalogue
+// price applies; the sales team sees how much is free to promise.
+const inventoryPrice = async (spice, quantity) => {
+  const lots = await InventoryLot.find({ spice: spice._id, status: 'available', adminApproved: true })
+    .select('pricePerKg quantity reservedQuantity')
+    .sort({ harvestDate: 1, createdAt: 1 })
+    .lean();
+
+  let remaining = quantity;
+  let cost = 0;
+  let priced = 0;
+  for (const lot of lots) {
+    const take = Math.min(availableQuantity(lot), remaining);
+    if (take <= 0) continue;
+    cost += take * lot.pricePerKg;
+    priced = roundQty(priced + take);
+    remaining = roundQty(remaining - take);
+    if (remaining <= 0) break;
+  }
+
+  const free = roundQty(lots.reduce((sum, lot) => sum + Math.max(availableQuantity(lot), 0), 0));
+  return {
+    listPrice: priced > 0 ? roundMoney(cost / priced) : spice.basePrice,
+    availableQuantity: free
+  };
+};
+
+const priceQuoteItems = async (items) => {
+  const lines = [];
+  for (const item of items) {
+    const spice = await Spice.findOne({ _id: item.spiceId, isActive: true }).select('name basePrice');
+    if (!spice) {
+      throw new ApiError(404, 'Spice not available', { spiceId: item.spiceId });
+    }
+
+    const quantity = roundQty(Number(item.quantity));
+    const { listPrice, availableQuantity: free } = await inventoryPrice(spice, quantity);
+    const discountPercent = volumeDiscount(quantity);
+    const unitPrice = roundMoney(listPrice * (1 - discountPercent / 100));
+
+    lines.push({
+      spice: spice._id,
+      spiceName: spice.name,
+      quantity,
+      listPrice,
+      discountPercent,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * quantity),
+      availableQuantity: free
+    });
+  }
+  return lines;
+};
+
+const sendQuoteEmail = async (lead, quote) => {
+  if (!lead.email) return;
+
+  const rows = quote.items.map(item => `
+      <tr>
+        <td>${item.spiceName}</td>
+        <td>${item.quantity} kg</td>
+        <td>₹${item.listPrice}</td>
+        <td>${item.discountPercent}%</td>
+        <td>₹${item.unitPrice}</td>
+        <td>₹${item.lineTotal}</td>
+      </tr>`).join('');
+
+  await sendEmail(lead.email, `Quote ${quote.quoteNumber} - Farmers 10`, `
+      <h2>Hello ${lead.name},</h2>
+      <p>Thank you for your interest. Here is our quote ${quote.quoteNumber}${lead.company ? ` for ${lead.company}` : ''}:</p>
+      <table border="1" cellpadding="6" cellspacing="0">
+        <tr><th>Spice</th><th>Quantity</th><th>List price / kg</th><th>Volume discount</th><th>Your price / kg</th><th>Amount</th></tr>
+        ${rows}
+      </table>
+      <p>Total: <strong>₹${quote.total}</strong> (you save ₹${quote.discountTotal}). Delivery is charged by destination pincode.</p>
+      ${quote.notes ? `<p>${quote.notes}</p>` : ''}
+      <p>This quote is valid until ${quote.validUntil.toDateString()}.</p>
+      <br>
+      <p>Best regards,<br>Farmers 10 Team</p>
+    `);
+};
+
+// Prices the items from current inventory and sends the quote. Earlier
+// quotes still awaiting an answer are superseded by the new one.
+const createQuote = async (lead, { items, validDays = QUOTE_VALIDITY_DAYS, notes }, actor) => {
+  if (!QUOTABLE_STAGES.includes(lead.status)) {
+    throw new ApiError(409, `Cannot quote a lead that is ${lead.status}`);
+  }
+
+  const lines = await priceQuoteItems(items);
+  const listTotal = roundMoney(lines.reduce((sum, line) => sum + line.listPrice * line.quantity, 0));
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  await Quote.updateMany({ lead: lead._id, status: 'sent' }, { status: 'superseded' });
+  const quote = await Quote.create({
+    lead: lead._id,
+    items: lines,
+    listTotal,
+    discountTotal: roundMoney(listTotal - total),
+    total,
+    validUntil: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000),
+    notes,
+    createdBy: actor.id
+  });
+
+  if (['new', 'contacted'].includes(lead.status)) {
+    moveStage(lead, 'quoted', actor, `Quote ${quote.quoteNumber} sent`);
+  }
+  await lead.save();
+  await sendQuoteEmail(lead, quote);
+
+  return quote;
+};
+
+// Marks quotes past their validity date as expired; returns how many
+const expireQuotes = async () => {
+  const result = await Quote.updateMany({ status: 'sent', validUntil: { $lt: new Date() } }, { status: 'expired' });
+  return result.modifiedCount;
+};
+
+// The buyer's answer. Acceptance wins the lead; a rejection usually opens
+// negotiation, so the lead moves there rather than to lost.
+const respondToQuote = async (quote, lead, { accepted, note }, actor) => {
+  if (quote.status !== 'sent') {
+    throw new ApiError(409, `Quote ${quote.quoteNumber} is ${quote.status}`);
+  }
+  if (quote.validUntil < new Date()) {
+    quote.status = 'expired';
+    await quote.save();
+    throw new ApiError(409, `Quote ${quote.quoteNumber} expired on ${quote.validUntil.toDateString()}; send a new one`);
+  }
+
+  quote.status = accepted ? 'accepted' : 'rejected';
+  quote.respondedAt = new Date();
+  await quote.save();
+
+  moveStage(lead, accepted ? 'won' : 'negotiating', actor,
+    note || `Quote ${quote.quoteNumber} ${accepted ? 'accepted' : 'rejected'}`);
+  if (accepted) {
+    lead.nextFollowUpAt = undefined;
+  }
+  await lead.save();
+
+  return quote;
+};
+
+const nextRun = (from, interval) => {
+  const next = new Date(from);
+  if (interval === 'monthly') {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + (interval === 'fortnightly' ? 14 : 7));
+  }
+  return next;
+};
+
+// Places one order for the quote's items at the quoted prices
+const placeQuoteOrder = async (quote, actor) => {
+  const { customer, deliveryAddress, paymentMethod } = quote.conversion;
+  const items = quote.items.map(item => ({ spiceId: item.spice, quantity: item.quantity }));
+  const agreedPrices = new Map(quote.items.map(item => [item.spice.toString(), item.unitPrice]));
+
+  const pricing = await reserveOrderItems(items, deliveryAddress.pincode, { agreedPrices });
+
+  let order;
+  try {
+    order = await Order.create({
+      customer,
+      ...pricing,
+      quote: quote._id,
+      paymentMethod,
+      paymentExpiresAt: paymentDeadline(paymentMethod),
+      stockStatus: 'reserved',
+      deliveryAddress,
+      timeline: [{
+        status: 'placed',
+        timestamp: new Date(),
+        notes: `Placed from quote ${quote.quoteNumber}`,
+        actor: actor.id,
+        actorRole: actor.role
+      }]
+    });
+  } catch (error) {
+    await releaseAllocations(pricing.items);
+    throw error;
+  }
+
+  quote.orders.push(order._id);
+  await quote.save();
+
+  await sendNotification(customer, `Order ${order.orderNumber} placed from quote ${quote.quoteNumber}: ₹${order.finalAmount}`, 'success');
+
+  return order;
+};
+
+// Finds the account to order under: the one given, the one already linked
+// to the lead, or a customer account with the lead's email
+const resolveCustomer = async (lead, customerId) => {
+  const filter = customerId || lead.customer
+    ? { _id: customerId || lead.customer }
+    : lead.email ? { email: lead.email } : null;
+  const customer = filter && await User.findOne({ ...filter, role: 'customer', isActive: true }).select('_id');
+  if (!customer) {
+    throw new ApiError(400, 'This lead has no customer account; ask the buyer to register, then pass customerId');
+  }
+  return customer._id;
+};
+
+// Last day a recurring conversion may run: endsAt if given, at most
+// RECURRING_MAX_MONTHS ahead
+const recurringEnd = (now, endsAt) => {
+  const latest = new Date(now);
+  latest.setMonth(latest.getMonth() + RECURRING_MAX_MONTHS);
+  if (!endsAt) return latest;
+
+  const end = new Date(endsAt);
+  if (end <= now) {
+    throw new ApiError(400, 'endsAt must be in the future');
+  }
+  if (end > latest) {
+    throw new ApiError(400, `Recurring orders can run for at most ${RECURRING_MAX_MONTHS} months`, { latest });
+  }
+  return end;
+};
+
+// Turns an accepted quote into its first order. Recurring conversions keep
+// placing orders at the same prices every interval until endsAt, which is
+// never more than RECURRING_MAX_MONTHS away.
+const convertQuote = async (quote, lead, { type, customerId, deliveryAddress, paymentMethod = 'cod', interval, endsAt }, actor) => {
+  if (quote.status !== 'accepted') {
+    throw new ApiError(409, 'Only accepted quotes can be turned into orders');
+  }
+  if (quote.conversion && quote.conversion.convertedAt) {
+    throw new ApiError(409, `Quote ${quote.quoteNumber} was already converted`);
+  }
+  if (type === 'recurring' && !interval) {
+    throw new ApiError(400, 'Recurring orders need an interval');
+  }
+
+  const now = new Date();
+  const ends = type === 'recurring' ? recurringEnd(now, endsAt) : undefined;
+  const customer = await resolveCustomer(lead, customerId);
+
+  quote.conversion = {
+    type,
+    customer,
+    deliveryAddress,
+    paymentMethod,
+    interval: type === 'recurring' ? interval : undefined,
+    endsAt: ends,
+    convertedBy: actor.id,
+    convertedAt: now
+  };
+
+  const order = await placeQuoteOrder(quote, actor);
+
+  if (type === 'recurring') {
+    const next = nextRun(now, interval);
+    quote.conversion.active = next <= quote.conversion.endsAt;
+    quote.conversion.nextOrderAt = quote.conversion.active ? next : undefined;
+    await quote.save();
+  }
+
+  lead.customer = customer;
+  await lead.save();
+
+  return { quote, order };
+};
+
+const stopRecurring = async (quote, actor) => {
+  if (!quote.conversion || !quote.conversion.active) {
+    throw new ApiError(409, `Quote ${quote.quoteNumber} has no recurring orders running`);
+  }
+  quote.conversion.active = false;
+  quote.conversion.nextOrderAt = undefined;
+  quote.conversion.stoppedAt = new Date();
+  await quote.save();
+
+  await sendNotification(quote.conversion.customer, `Recurring orders from quote ${quote.quoteNumber} have been stopped`, 'info');
+  return quote;
+};
+
+// Lines whose agreed price is now below what the same quantity would be
+// quoted at from current stock, e.g. after the farmers raised their prices
+const underpricedItems = async (quote) => {
+  const spices = await Spice.find({ _id: { $in: quote.items.map(item => item.spice) } }).select('basePrice').lean();
+  const spiceById = new Map(spices.map(spice => [spice._id.toString(), spice]));
+
+  const underpriced = [];
+  for (const item of quote.items) {
+    const spice = spiceById.get(item.spice.toString());
+    if (!spice) continue;
+    const { listPrice } = await inventoryPrice(spice, item.quantity);
+    const currentPrice = roundMoney(listPrice * (1 - item.discountPercent / 100));
+    if (item.unitPrice < currentPrice) {
+      underpriced.push(`${item.spiceName} ₹${item.unitPrice}/kg (now ₹${currentPrice})`);
+    }
+  }
+  return underpriced;
+};
+
+// Places every recurring order that has come due. A run that cannot be
+// placed (out of stock, zone switched off) is skipped and reported, and
+// the schedule moves on to the next interval. Admins are told when a run
+// goes out at agreed prices below today's, so the quote can be revisited.
+const placeDueRecurringOrders = async () => {
+  const now = new Date();
+  const due = await Quote.find({ 'conversion.active': true, 'conversion.nextOrderAt': { $lte: now } });
+  const summary = { placed: 0, failed: 0 };
+
+  for (const quote of due) {
+    try {
+      const order = await placeQuoteOrder(quote, SYSTEM_ACTOR);
+      quote.conversion.lastFailure = undefined;
+      summary.placed += 1;
+
+      const underpriced = await underpricedItems(quote);
+      if (underpriced.length > 0) {
+        await sendNotification('role:admin',
+          `Recurring order ${order.orderNumber} from quote ${quote.quoteNumber} went out below current prices: ${underpriced.join(', ')}`, 'warning');
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      quote.conversion.lastFailure = { message: error.message, at: now };
+      summary.failed += 1;
+
+      const lead = await Lead.findById(quote.lead).select('owner name company');
+      const message = `Recurring order from quote ${quote.quoteNumber} (${(lead && (lead.company || lead.name)) || 'B2B'}) could not be placed: ${error.message}`;
+      await sendNotification('role:admin', message, 'warning');
+      if (lead && lead.owner) {
+        await sendNotification(lead.owner, message, 'warning');
+      }
+    }
+
+    const next = nextRun(quote.conversion.nextOrderAt, quote.conversion.interval);
+    // Schedules set up before endsAt was required stop at the cap
+    const end = quote.conversion.endsAt || recurringEnd(quote.conversion.convertedAt);
+    if (next > end) {
+      quote.conversion.active = false;
+      quote.conversion.nextOrderAt = undefined;
+    } else {
+      quote.conversion.nextOrderAt = next;
+    }
+    await quote.save();
+  }
+
+  return summary;
+};
+
+// Tells each owner which of their open leads are due a follow-up today
+const remindFollowUps = async () => {
+  const endOfDay = new Date();
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const leads = await Lead.find({
+    status: { $nin: ['won', 'lost'] },
+    nextFollowUpAt: { $lte: endOfDay }
+  }).select('name company owner').lean();
+
+  // Leads nobody owns yet go to the admins
+  const byOwner = new Map();
+  const unowned = [];
+  for (const lead of leads) {
+    const name = lead.company || lead.name;
+    if (!lead.owner) {
+      unowned.push(name);
+      continue;
+    }
+    const key = lead.owner.toString();
+    byOwner.set(key, [...(byOwner.get(key) || []), name]);
+  }
+
+  for (const [owner, names] of byOwner) {
+    await sendNotification(owner, `${names.length} lead(s) due a follow-up today: ${names.join(', ')}`, 'info');
+  }
+  if (unowned.length > 0) {
+    await sendNotification('role:admin', `${unowned.length} unassigned lead(s) due a follow-up today: ${unowned.join(', ')}`, 'info');
+  }
+
+  return leads.length;
+};
+
+// Leads created in the window that reached each stage. A lead counts for
+// every stage up to the furthest one it got to, even if it was later lost.
+const leadFunnel = async ({ from, to } = {}) => {
+  const filter = {};
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const leads = await Lead.find(filter).select('status stageHistory.to').lean();
+  const stages = Lead.FUNNEL_STAGES;
+  const reached = stages.map(() => 0);
+
+  for (const lead of leads) {
+    const furthest = Math.max(...['new', lead.status, ...lead.stageHistory.map(change => change.to)]
+      .map(stage => stages.indexOf(stage)));
+    for (let i = 0; i <= furthest; i++) reached[i] += 1;
+  }
+
+  const total = leads.length;
+  const won = reached[stages.indexOf('won')];
+  return {
+    total,
+    stages: stages.map((stage, i) => ({
+      stage,
+      count: reached[i],
+      percent: total > 0 ? Math.round((reached[i] / total) * 1000) / 10 : 0
+    })),
+    lost: leads.filter(lead => lead.status === 'lost').length,
+    open: leads.filter(lead => !['won', 'lost'].includes(lead.status)).length,
+    conversionRate: total > 0 ? Math.round((won / total) * 1000) / 10 : 0
+  };
+};
+
+module.exports = {
+  VOLUME_TIERS,
+  STAGE_TRANSITIONS,
+  volumeDiscount,
+  changeStage,
+  createQuote,
+  expireQuotes,
+  respondToQuote,
+  convertQuote,
+  placeQuoteOrder,
+  stopRecurring,
+  placeDueRecurringOrders,
+  remindFollowUps,
+  leadFunnel
+};
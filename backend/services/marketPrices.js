@@ -0,0 +1,379 @@
+// Market price ingestion, history (OHLC) and latest prices
+
+const mongoose = require('mongoose');
+const { PriceObservation, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { broadcast } = require('../utils/notifications');
+
+// Spice markets quote in Indian time; IST has no daylight saving
+const TRADING_TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET = '+05:30';
+const DEFAULT_MARKET = 'Kochi';
+const INTERVALS = ['day', 'week', 'month'];
+const KG_PER_QUINTAL = 100;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Hour of day from the environment; 0 (midnight) is a valid setting
+const envHour = (name, fallback) => {
+  const hour = parseInt(process.env[name]);
+  return Number.isNaN(hour) ? fallback : hour;
+};
+
+// Trading runs from start:00 up to, not including, end:00 IST
+const tradingHours = () => ({
+  start: envHour('TRADING_START_HOUR', 9),
+  end: envHour('TRADING_END_HOUR', 18)
+});
+
+const istParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TRADING_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+};
+
+const istDate = (day, hour = 0) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00${IST_OFFSET}`);
+
+const isMarketOpen = (now = new Date()) => {
+  const { start, end } = tradingHours();
+  const hour = Number(istParts(now).hour);
+  return hour >= start && hour < end;
+};
+
+// Price Sources
+// A source is { fetchPrices() -> [{ spice, market, price, volume, observedAt }] }
+// with `spice` an id. Which ones run is set by PRICE_SOURCES (comma separated).
+
+// Random walk from the last stored price (or the catalogue price) in every
+// market a spice already trades in; stands in for a live feed in development.
+const simulatedSource = {
+  async fetchPrices() {
+    const spices = await Spice.find({ isActive: true }).select('basePrice').lean();
+    const now = new Date();
+    const rows = [];
+
+    for (const spice of spices) {
+      const markets = await PriceObservation.distinct('market', { spice: spice._id });
+      for (const market of markets.length > 0 ? markets : [DEFAULT_MARKET]) {
+        const last = await PriceObservation.findOne({ spice: spice._id, market }).sort({ observedAt: -1 }).lean();
+        const reference = last ? last.price : spice.basePrice;
+        rows.push({
+          spice: spice._id,
+          market,
+          price: roundMoney(reference * (1 + (Math.random() - 0.5) * 0.03)),
+          volume: Math.round(50 + Math.random() * 450),
+          observedAt: now
+        });
+      }
+    }
+
+    return rows;
+  }
+};
+
+const priceSources = { simulated: simulatedSource };
+
+const registerPriceSource = (name, source) => {
+  priceSources[name] = source;
+};
+
+const configuredSources = () => (process.env.PRICE_SOURCES || 'simulated')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => priceSources[name]);
+
+// Called with the newly stored observations after every insert (price
+// alerts hook in here). A failing listener never fails the ingestion.
+const observationListeners = [];
+
+const onNewObservations = (listener) => {
+  observationListeners.push(listener);
+};
+
+const notifyListeners = async (observations) => {
+  for (const listener of observationListeners) {
+    try {
+      await listener(observations);
+    } catch (error) {
+      console.error('Price observation listener failed:', error);
+    }
+  }
+};
+
+// Stores observations, skipping any already recorded (same spice, market,
+// time and source). Returns { inserted, duplicates }.
+const recordObservations = async (rows, { source, sourceRef, actor } = {}) => {
+  if (rows.length === 0) return { inserted: 0, duplicates: 0 };
+
+  const docs = rows.map(row => ({ ...row, source: row.source || source, sourceRef, recordedBy: actor && actor.id }));
+  let inserted;
+
+  try {
+    inserted = await PriceObservation.insertMany(docs, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => (writeError.code || writeError.err?.code) !== 11000)) {
+      throw error;
+    }
+    inserted = error.insertedDocs || [];
+  }
+
+  await notifyListeners(inserted);
+
+  return { inserted: inserted.length, duplicates: docs.length - inserted.length };
+};
+
+// Runs every configured source; outside trading hours nothing is fetched
+const ingestPrices = async () => {
+  if (!isMarketOpen()) {
+    return { skipped: true, reason: 'Outside trading hours' };
+  }
+
+  const summary = { inserted: 0, duplicates: 0, failed: [] };
+
+  for (const name of configuredSources()) {
+    try {
+      const rows = await priceSources[name].fetchPrices();
+      const result = await recordObservations(rows, { source: name });
+      summary.inserted += result.inserted;
+      summary.duplicates += result.duplicates;
+    } catch (error) {
+      console.error(`Price source ${name} failed:`, error.message);
+      summary.failed.push(name);
+    }
+  }
+
+  if (summary.inserted > 0) {
+    broadcast('price-update', { message: 'Market prices updated', observations: summary.inserted });
+  }
+
+  return summary;
+};
+
+// Spice Board Bulletins
+
+// YYYY-MM-DD or the DD/MM/YYYY used in Spice Board bulletins
+const parseBulletinDate = (value) => {
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const indian = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+  const day = iso ? `${iso[1]}-${iso[2]}-${iso[3]}`
+    : indian ? `${indian[3]}-${indian[2].padStart(2, '0')}-${indian[1].padStart(2, '0')}`
+      : null;
+  // Date rolls 31/02 over into March, so the day must survive the round trip
+  return day && !isNaN(istDate(day)) && tradingDay(istDate(day)) === day ? day : null;
+};
+
+// Parses a bulletin CSV with columns date, spice, market, price and
+// optionally unit (kg | quintal), volume and time (HH:mm). Spices match by
+// name or category. Rows without a time are the day's closing price,
+// stamped at the last minute of trading.
+// Returns { rows, errors } so good rows can be stored while bad ones are
+// reported back by line number.
+const parseBulletin = async (text) => {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    throw new ApiError(400, 'The CSV file has no data rows');
+  }
+  const missing = ['date', 'spice', 'market', 'price'].filter(column => !(column in records[0]));
+  if (missing.length > 0) {
+    throw new ApiError(400, `Missing CSV columns: ${missing.join(', ')}`);
+  }
+
+  const spices = await Spice.find().select('name category').lean();
+  const byName = new Map(spices.map(spice => [spice.name.toLowerCase(), spice._id]));
+  for (const spice of spices) {
+    const sameCategory = spices.filter(other => other.category === spice.category);
+    if (sameCategory.length === 1 && !byName.has(spice.category)) byName.set(spice.category, spice._id);
+  }
+
+  const { end } = tradingHours();
+  const rows = [];
+  const errors = [];
+
+  for (const record of records) {
+    const day = parseBulletinDate(record.date);
+    const spice = byName.get(record.spice.toLowerCase());
+    const unit = (record.unit || 'kg').toLowerCase();
+    const price = Number(record.price.replace(/,/g, ''));
+    const volume = record.volume ? Number(record.volume.replace(/,/g, '')) : undefined;
+    const time = record.time && /^(\d{1,2}):(\d{2})$/.exec(record.time);
+
+    const problem = !day ? `invalid date "${record.date}"`
+      : !spice ? `unknown spice "${record.spice}"`
+        : !record.market ? 'market is required'
+          : !(price > 0) ? `invalid price "${record.price}"`
+            : !['kg', 'quintal'].includes(unit) ? `unit must be kg or quintal, got "${record.unit}"`
+              : volume !== undefined && !(volume >= 0) ? `invalid volume "${record.volume}"`
+                : null;
+
+    if (problem) {
+      errors.push({ line: record.line, error: problem });
+      continue;
+    }
+
+    const observedAt = time
+      ? new Date(`${day}T${time[1].padStart(2, '0')}:${time[2]}:00${IST_OFFSET}`)
+      : new Date(istDate(day, end).getTime() - 60 * 1000);
+
+    rows.push({
+      spice,
+      market: record.market,
+      price: roundMoney(unit === 'quintal' ? price / KG_PER_QUINTAL : price),
+      volume: volume !== undefined && unit === 'quintal' ? volume * KG_PER_QUINTAL : volume,
+      observedAt
+    });
+  }
+
+  return { rows, errors };
+};
+
+// History
+
+// OHLC candles per market for one spice. Buckets follow the Indian calendar
+// and weeks start on Monday.
+const priceHistory = async (spiceId, { market, interval = 'day', from, to } = {}) => {
+  if (!INTERVALS.includes(interval)) {
+    throw new ApiError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const match = { spice: new mongoose.Types.ObjectId(spiceId) };
+  if (market) match.market = market;
+  if (from || to) {
+    match.observedAt = {};
+    if (from) match.observedAt.$gte = new Date(from);
+    if (to) match.observedAt.$lte = new Date(to);
+  }
+
+  const rows = await PriceObservation.aggregate([
+    { $match: match },
+    { $sort: { observedAt: 1 } },
+    {
+      $group: {
+        _id: {
+          market: '$market',
+          period: { $dateTrunc: { date: '$observedAt', unit: interval, timezone: TRADING_TIMEZONE, startOfWeek: 'monday' } }
+        },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        volume: { $sum: { $ifNull: ['$volume', 0] } },
+        observations: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.market': 1, '_id.period': 1 } }
+  ]);
+
+  const markets = new Map();
+  for (const row of rows) {
+    const candles = markets.get(row._id.market) || [];
+    candles.push({
+      period: row._id.period,
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      volume: row.volume,
+      observations: row.observations
+    });
+    markets.set(row._id.market, candles);
+  }
+
+  return [...markets.entries()].map(([marketName, candles]) => ({ market: marketName, candles }));
+};
+
+// Latest
+
+// Only prices quoted inside trading hours count towards latest/close
+const inTradingHours = () => {
+  const { start, end } = tradingHours();
+  const hour = { $hour: { date: '$observedAt', timezone: TRADING_TIMEZONE } };
+  return { $expr: { $and: [{ $gte: [hour, start] }, { $lt: [hour, end] }] } };
+};
+
+// IST calendar day of a date, e.g. '2025-01-05'
+const tradingDay = (date) => {
+  const { year, month, day } = istParts(date);
+  return `${year}-${month}-${day}`;
+};
+
+// Last in-hours price of a spice in a market before the trading day of `date`
+const previousClose = (spice, market, date) => PriceObservation.findOne({
+  spice,
+  market,
+  observedAt: { $lt: istDate(tradingDay(date)) },
+  ...inTradingHours()
+})
+  .sort({ observedAt: -1 })
+  .select('price observedAt')
+  .lean();
+
+// Latest price per spice and market with the change against the previous
+// trading day's close and the latest day's traded volume
+const latestPrices = async () => {
+  const latest = await PriceObservation.aggregate([
+    { $match: inTradingHours() },
+    { $sort: { observedAt: -1 } },
+    {
+      $group: {
+        _id: { spice: '$spice', market: '$market' },
+        latestPrice: { $first: '$price' },
+        observedAt: { $first: '$observedAt' }
+      }
+    },
+    { $lookup: { from: 'spices', localField: '_id.spice', foreignField: '_id', as: 'spiceInfo' } },
+    { $project: { latestPrice: 1, observedAt: 1, 'spiceInfo._id': 1, 'spiceInfo.name': 1, 'spiceInfo.category': 1 } }
+  ]);
+
+  const marketOpen = isMarketOpen();
+
+  const rows = await Promise.all(latest.map(async (row) => {
+    const dayStart = istDate(tradingDay(row.observedAt));
+    const pair = { spice: row._id.spice, market: row._id.market };
+
+    const [previous, [day]] = await Promise.all([
+      previousClose(pair.spice, pair.market, row.observedAt),
+      PriceObservation.aggregate([
+        { $match: { ...pair, observedAt: { $gte: dayStart } } },
+        { $group: { _id: null, volume: { $sum: { $ifNull: ['$volume', 0] } } } }
+      ])
+    ]);
+
+    const changeAmount = previous ? roundMoney(row.latestPrice - previous.price) : 0;
+
+    return {
+      ...row,
+      previousClose: previous ? previous.price : null,
+      priceChangeAmount: changeAmount,
+      priceChange: previous && previous.price > 0 ? roundMoney((changeAmount / previous.price) * 100) : 0,
+      volume: day ? day.volume : 0,
+      marketOpen
+    };
+  }));
+
+  return rows.sort((a, b) => (a.spiceInfo[0]?.name || '').localeCompare(b.spiceInfo[0]?.name || '') ||
+    a._id.market.localeCompare(b._id.market));
+};
+
+module.exports = {
+  TRADING_TIMEZONE,
+  INTERVALS,
+  tradingHours,
+  isMarketOpen,
+  tradingDay,
+  registerPriceSource,
+  onNewObservations,
+  recordObservations,
+  ingestPrices,
+  parseBulletin,
+  priceHistory,
+  previousClose,
+  latestPrices
+};
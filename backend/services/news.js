@@ -0,0 +1,225 @@
+// News ingestion: keyword tagging, de-duplication and search
+
+const { NewsArticle } = require('../models');
+const { broadcast } = require('../utils/notifications');
+const { escapeRegex } = require('../utils/query');
+const { getNewsSources } = require('./newsSources');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_WINDOW_DAYS = 3;
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+
+// Keyword Rules
+// Each list is matched against the title and summary as whole words
+// (prefixes allowed, so "export" also matches "exporters").
+
+const SPICE_KEYWORDS = {
+  'Black Pepper': ['pepper'],
+  Cardamom: ['cardamom', 'elaichi'],
+  Turmeric: ['turmeric', 'haldi'],
+  'Red Chili': ['chili', 'chilli', 'chillies', 'mirchi'],
+  Coriander: ['coriander', 'dhania'],
+  Cloves: ['clove'],
+  Ginger: ['ginger'],
+  Cinnamon: ['cinnamon'],
+  Nutmeg: ['nutmeg', 'mace']
+};
+
+// First category with a hit wins, so the more specific ones come first
+const CATEGORY_KEYWORDS = [
+  ['government_policy', ['government', 'ministry', 'scheme', 'policy', 'subsidy', 'subsidies', 'duty', 'regulation', 'msp']],
+  ['weather', ['monsoon', 'rain', 'rainfall', 'drought', 'cyclone', 'flood', 'weather', 'temperature']],
+  ['market_prices', ['price', 'prices', 'auction', 'futures', 'rate', 'rates', 'market', 'trading']],
+  ['export_news', ['export', 'import', 'shipment', 'overseas', 'international']],
+  ['crop_updates', ['harvest', 'crop', 'yield', 'sowing', 'acreage', 'pest', 'disease', 'flowering', 'organic']]
+];
+
+const HIGH_IMPACT_KEYWORDS = ['surge', 'soar', 'record', 'crash', 'plunge', 'ban', 'outbreak', 'cyclone', 'flood', 'drought', 'announce'];
+const MEDIUM_IMPACT_KEYWORDS = ['rise', 'fall', 'drop', 'increase', 'decline', 'forecast', 'warn', 'heavy', 'demand', 'scheme'];
+
+const POSITIVE_KEYWORDS = ['surge', 'rise', 'gain', 'boost', 'strong', 'record high', 'incentive', 'favorable', 'favourable', 'improve', 'steady', 'growth'];
+const NEGATIVE_KEYWORDS = ['fall', 'drop', 'decline', 'plunge', 'crash', 'worry', 'worries', 'concern', 'outbreak', 'damage', 'loss', 'ban', 'drought', 'flood', 'rot'];
+
+const hasKeyword = (text, keywords) => keywords.some(keyword => new RegExp(`\\b${escapeRegex(keyword)}`, 'i').test(text));
+const countKeywords = (text, keywords) => keywords.filter(keyword => hasKeyword(text, [keyword])).length;
+
+// Pure function: tags for an article from its title and summary
+const tagArticle = ({ title = '', summary = '' }) => {
+  const text = `${title} ${summary}`;
+  const category = CATEGORY_KEYWORDS.find(([, keywords]) => hasKeyword(text, keywords));
+  const positive = countKeywords(text, POSITIVE_KEYWORDS);
+  const negative = countKeywords(text, NEGATIVE_KEYWORDS);
+
+  return {
+    category: category ? category[0] : 'general',
+    spiceTypes: Object.keys(SPICE_KEYWORDS).filter(spice => hasKeyword(text, SPICE_KEYWORDS[spice])),
+    impact: hasKeyword(text, HIGH_IMPACT_KEYWORDS) ? 'high' : hasKeyword(text, MEDIUM_IMPACT_KEYWORDS) ? 'medium' : 'low',
+    sentiment: positive > negative ? 'positive' : negative > positive ? 'negative' : 'neutral'
+  };
+};
+
+// De-duplication
+
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|ref|cmpid)$/i;
+
+// Same story, same URL: drops tracking parameters, fragments and trailing
+// slashes. Unparseable values are returned as they are.
+const normaliseUrl = (value) => {
+  if (!value) return undefined;
+  try {
+    const url = new URL(value.trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    [...url.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key)).forEach(key => url.searchParams.delete(key));
+    return url.toString().replace(/\/(?=$|\?)/, '');
+  } catch (error) {
+    return value.trim();
+  }
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'for', 'to', 'at', 'by', 'as', 'with', 'from', 'is', 'are']);
+
+const titleTokens = (title) => [...new Set(title.toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word)))];
+
+const titleSimilarity = (a, b) => {
+  const setB = new Set(b);
+  const shared = a.filter(token => setB.has(token)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 0 : shared / union;
+};
+
+// Near-duplicate: a story published within a few days of this one with
+// mostly the same title words (syndicated copies, re-worded headlines)
+const findDuplicate = async (article) => {
+  if (article.url && await NewsArticle.exists({ url: article.url })) {
+    return true;
+  }
+
+  const publishedAt = article.publishedAt.getTime();
+  const candidates = await NewsArticle.find({
+    publishedAt: {
+      $gte: new Date(publishedAt - DUPLICATE_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(publishedAt + DUPLICATE_WINDOW_DAYS * DAY_MS)
+    },
+    titleTokens: { $in: article.titleTokens }
+  }).select('titleTokens').lean();
+
+  return candidates.some(candidate => titleSimilarity(article.titleTokens, candidate.titleTokens) >= TITLE_SIMILARITY_THRESHOLD);
+};
+
+const prepareArticle = (raw, feed) => {
+  const publishedAt = raw.publishedAt && !isNaN(raw.publishedAt) ? raw.publishedAt : new Date();
+  return {
+    title: raw.title,
+    summary: raw.summary,
+    content: raw.content,
+    url: normaliseUrl(raw.url),
+    source: raw.source || feed,
+    feed,
+    // Feeds occasionally post-date items; never list them ahead of now
+    publishedAt: publishedAt > new Date() ? new Date() : publishedAt,
+    titleTokens: titleTokens(raw.title),
+    ...tagArticle(raw)
+  };
+};
+
+// Stores new articles from one feed. Returns { inserted, duplicates }.
+const storeArticles = async (rawArticles, feed) => {
+  const summary = { inserted: 0, duplicates: 0 };
+
+  for (const raw of rawArticles) {
+    if (!raw.title) continue;
+    const article = prepareArticle(raw, feed);
+
+    if (await findDuplicate(article)) {
+      summary.duplicates += 1;
+      continue;
+    }
+
+    try {
+      await NewsArticle.create(article);
+      summary.inserted += 1;
+    } catch (error) {
+      // Another run stored the same URL in the meantime
+      if (error.code !== 11000) throw error;
+      summary.duplicates += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Runs every configured feed; one failing feed does not stop the others
+const ingestNews = async () => {
+  const summary = { inserted: 0, duplicates: 0, failed: [] };
+
+  for (const source of getNewsSources()) {
+    try {
+      const result = await storeArticles(await source.fetchArticles(), source.name);
+      summary.inserted += result.inserted;
+      summary.duplicates += result.duplicates;
+    } catch (error) {
+      console.error(`News feed ${source.name} failed:`, error.message);
+      summary.failed.push(source.name);
+    }
+  }
+
+  if (summary.inserted > 0) {
+    broadcast('news-update', { message: 'New market news available', articles: summary.inserted });
+  }
+
+  return summary;
+};
+
+// Re-applies the keyword rules, leaving articles an admin has re-tagged alone
+const retagArticle = (article) => {
+  if (article.tagsEditedAt) return false;
+  Object.assign(article, tagArticle(article));
+  return true;
+};
+
+// Search
+
+// Filter and sort for a news listing. `search` uses the text index and
+// ranks by relevance; otherwise pinned stories come first, newest first.
+const buildNewsQuery = ({ category, spice, search, includeHidden = false, hidden }) => {
+  const filter = {};
+
+  if (!includeHidden) {
+    filter.isHidden = false;
+  } else if (hidden !== undefined) {
+    filter.isHidden = hidden;
+  }
+  if (category && category !== 'all') {
+    filter.category = category;
+  }
+  if (spice) {
+    filter.spiceTypes = new RegExp(`^${escapeRegex(spice)}$`, 'i');
+  }
+
+  if (search) {
+    filter.$text = { $search: search };
+    return {
+      filter,
+      projection: { score: { $meta: 'textScore' }, titleTokens: 0 },
+      sort: { score: { $meta: 'textScore' }, publishedAt: -1 }
+    };
+  }
+
+  return { filter, projection: { titleTokens: 0 }, sort: { isPinned: -1, pinnedAt: -1, publishedAt: -1 } };
+};
+
+module.exports = {
+  SPICE_KEYWORDS,
+  tagArticle,
+  retagArticle,
+  normaliseUrl,
+  titleTokens,
+  titleSimilarity,
+  storeArticles,
+  ingestNews,
+  buildNewsQuery
+};
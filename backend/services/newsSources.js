@@ -0,0 +1,172 @@
+// News feed adapters
+// Every source exposes fetchArticles() -> [{ title, summary, content, url, source, publishedAt }].
+// Feeds are configured in NEWS_FEEDS as comma separated `type|name|url`
+// entries (type rss or json; rss also reads Atom). With MOCK_NEWS_API=true
+// only the offline fixture feed is used.
+
+const FETCH_TIMEOUT_MS = 10000;
+
+const decodeEntities = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+  .replace(/&amp;/g, '&');
+
+const stripHtml = (html) => decodeEntities(html)
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const truncate = (text, length = 400) => (text.length > length ? `${text.slice(0, length - 1).trim()}…` : text);
+
+const fetchText = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Feed ${url} responded ${response.status}`);
+  }
+  return response.text();
+};
+
+// Just enough XML reading for RSS 2.0 <item> and Atom <entry> elements
+const tagText = (xml, names) => {
+  for (const name of names) {
+    const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+    if (match) return match[1];
+  }
+  return '';
+};
+
+const parseFeedXml = (xml, sourceName) => {
+  const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+
+  return blocks.map(block => {
+    const atomLink = /<link[^>]*href="([^"]+)"/i.exec(block);
+    const body = tagText(block, ['content:encoded', 'content', 'description', 'summary']);
+    const published = tagText(block, ['pubDate', 'published', 'updated', 'dc:date']);
+    return {
+      title: stripHtml(tagText(block, ['title'])),
+      summary: truncate(stripHtml(tagText(block, ['description', 'summary']) || body)),
+      content: stripHtml(body),
+      url: stripHtml(tagText(block, ['link'])) || (atomLink && atomLink[1]),
+      source: sourceName,
+      publishedAt: published ? new Date(stripHtml(published)) : undefined
+    };
+  });
+};
+
+const createRssSource = (name, url) => ({
+  name,
+  async fetchArticles() {
+    return parseFeedXml(await fetchText(url), name);
+  }
+});
+
+// JSON Feed (https://jsonfeed.org) or a plain { items | articles: [...] } list
+const createJsonSource = (name, url) => ({
+  name,
+  async fetchArticles() {
+    const data = JSON.parse(await fetchText(url));
+    const items = data.items || data.articles || [];
+    return items.map(item => {
+      const body = item.content_text || (item.content_html && stripHtml(item.content_html)) || item.content || '';
+      return {
+        title: stripHtml(item.title || ''),
+        summary: truncate(stripHtml(item.summary || item.description || body)),
+        content: body,
+        url: item.url || item.external_url,
+        source: (item.source && (item.source.name || item.source)) || name,
+        publishedAt: item.date_published || item.publishedAt ? new Date(item.date_published || item.publishedAt) : undefined
+      };
+    });
+  }
+});
+
+// Offline stand-in for development and tests. URLs are stable, so a second
+// run finds nothing new.
+const HOUR_MS = 60 * 60 * 1000;
+
+const FIXTURE_ARTICLES = [
+  {
+    slug: 'pepper-auction-kochi',
+    hoursAgo: 1,
+    title: 'Black pepper prices surge at Kochi auction on strong export demand',
+    summary: 'Ungarbled black pepper rose sharply at the Kochi auction as exporters stepped up purchases ahead of the festive season.',
+    source: 'Spice Trade Journal'
+  },
+  {
+    slug: 'idukki-monsoon-cardamom',
+    hoursAgo: 3,
+    title: 'Heavy monsoon rain in Idukki raises disease worries for cardamom growers',
+    summary: 'Continuous rainfall in the cardamom hills has increased the risk of capsule rot; growers are advised to improve drainage.',
+    source: 'Agricultural Weather Service'
+  },
+  {
+    slug: 'spice-export-incentive-scheme',
+    hoursAgo: 6,
+    title: 'Ministry announces export incentive scheme for organic spices',
+    summary: 'A new government scheme will subsidise certification and freight for organic turmeric and coriander exporters.',
+    source: 'Ministry of Commerce'
+  },
+  {
+    slug: 'turmeric-futures-record',
+    hoursAgo: 9,
+    title: 'Turmeric futures hit record high on lower acreage',
+    summary: 'Turmeric futures touched a record as sowing reports point to a decline in acreage across major growing states.',
+    source: 'Commodity Market News'
+  },
+  {
+    slug: 'chilli-thrips-warning',
+    hoursAgo: 14,
+    title: 'Farmers warned of thrips outbreak in chilli crop',
+    summary: 'Agriculture officers have reported thrips damage in early-sown chilli and recommend timely pest control.',
+    source: 'Krishi Vigyan Kendra'
+  },
+  {
+    slug: 'clove-harvest-outlook',
+    hoursAgo: 20,
+    title: 'Clove harvest outlook steady as flowering improves',
+    summary: 'Clove growers expect a normal harvest after good flowering in the plantations of Kanyakumari and Kottayam.',
+    source: 'Plantation Times'
+  }
+];
+
+const createFixtureSource = () => ({
+  name: 'fixture',
+  async fetchArticles() {
+    const now = Date.now();
+    return FIXTURE_ARTICLES.map(({ slug, hoursAgo, ...article }) => ({
+      ...article,
+      content: article.summary,
+      url: `https://news.farmers10.local/${slug}`,
+      publishedAt: new Date(now - hoursAgo * HOUR_MS)
+    }));
+  }
+});
+
+const SOURCE_FACTORIES = { rss: createRssSource, json: createJsonSource };
+
+const getNewsSources = () => {
+  if (process.env.MOCK_NEWS_API === 'true') {
+    return [createFixtureSource()];
+  }
+
+  return (process.env.NEWS_FEEDS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [type, name, url] = entry.split('|').map(part => part && part.trim());
+      const factory = SOURCE_FACTORIES[type];
+      if (!factory || !name || !url) {
+        console.error(`Ignoring invalid NEWS_FEEDS entry "${entry}"`);
+        return null;
+      }
+      return factory(name, url);
+    })
+    .filter(Boolean);
+};
+
+module.exports = { getNewsSources, parseFeedXml };
@@ -0,0 +1,251 @@
+// Order pricing, stock reservation and status lifecycle
+
+const { Order, Spice, InventoryLot } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { emitToUser } = require('../utils/notifications');
+const {
+  roundQty,
+  availableQuantity,
+  reserveFromLot,
+  reserveSpice,
+  releaseAllocations,
+  commitAllocations
+} = require('./inventory');
+const { requireShippingZone, chargeFor } = require('./shipping');
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const buildLine = (spiceId, lot, quantity, pricePerUnit) => ({
+  spice: spiceId,
+  inventoryLot: lot._id,
+  batchCode: lot.batchCode,
+  farmer: lot.farmer,
+  quantity,
+  pricePerUnit,
+  totalPrice: roundMoney(quantity * pricePerUnit)
+});
+
+// A line naming an inventory lot buys from that farmer at their pricePerKg
+const reserveLotLine = async ({ inventoryId, quantity }) => {
+  const lot = await InventoryLot.findById(inventoryId).populate('spice', 'name');
+  if (!lot || lot.status !== 'available' || !lot.adminApproved) {
+    throw new ApiError(404, 'Inventory lot not available', { inventoryId });
+  }
+
+  const reserved = await reserveFromLot(lot._id, quantity);
+  if (!reserved) {
+    throw new ApiError(409, `Insufficient stock for ${lot.spice.name}`, {
+      inventoryId,
+      requested: quantity,
+      available: availableQuantity(lot)
+    });
+  }
+
+  return [buildLine(lot.spice._id, lot, quantity, lot.pricePerKg)];
+};
+
+// Quantity in kg and line price for a catalogue spice line. With a
+// variantId the quantity counts packs of that size at the pack price.
+const spiceLinePricing = (spice, { variantId, quantity }, agreedPrices) => {
+  if (!variantId) {
+    const price = agreedPrices && agreedPrices.has(spice._id.toString())
+      ? agreedPrices.get(spice._id.toString())
+      : spice.basePrice;
+    return { kg: quantity, pricePerKg: price, total: roundMoney(quantity * price) };
+  }
+
+  const variant = spice.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw new ApiError(404, 'Pack size not available', { spiceId: spice._id, variantId });
+  }
+  const packKg = variant.weightGrams / 1000;
+  return {
+    kg: roundQty(quantity * packKg),
+    pricePerKg: roundMoney(variant.price / packKg),
+    total: roundMoney(quantity * variant.price),
+    pack: { variant: variant._id, sku: variant.sku, packSize: variant.packSize, packPrice: variant.price }
+  };
+};
+
+// A line naming a catalogue spice is sold at basePrice, the price agreed
+// in a B2B quote, or the price of the pack size asked for, and filled from
+// whichever approved lots have stock, one order line per lot.
+const reserveSpiceLine = async ({ spiceId, variantId, quantity }, agreedPrices) => {
+  const spice = await Spice.findOne({ _id: spiceId, isActive: true });
+  if (!spice) {
+    throw new ApiError(404, 'Spice not available', { spiceId });
+  }
+
+  const { kg, pricePerKg, total, pack } = spiceLinePricing(spice, { variantId, quantity }, agreedPrices);
+  const allocations = await reserveSpice(spice._id, kg);
+  if (!allocations) {
+    throw new ApiError(409, `Insufficient stock for ${spice.name}`, { spiceId, requested: kg });
+  }
+
+  const lines = allocations.map(({ lot, quantity: allocated }) => ({
+    ...buildLine(spice._id, lot, allocated, pricePerKg),
+    ...pack
+  }));
+  // Packs filled from several lots still cost exactly packs × pack price
+  if (pack) {
+    const others = lines.slice(0, -1).reduce((sum, line) => sum + line.totalPrice, 0);
+    lines[lines.length - 1].totalPrice = roundMoney(total - others);
+  }
+  return lines;
+};
+
+// Prices every requested item from stored data and reserves its stock.
+// Either all items are reserved or none are. Delivery is charged by the
+// zone of the delivery pincode, which is checked before anything is held.
+// `agreedPrices` (Map<spiceId, ₹ per kg>) is only ever passed server-side,
+// for orders placed from an accepted quote.
+const reserveOrderItems = async (items, pincode, { agreedPrices } = {}) => {
+  const zone = await requireShippingZone(pincode);
+  const lines = [];
+
+  try {
+    for (const item of items) {
+      const quantity = item.variantId ? Number(item.quantity) : roundQty(Number(item.quantity));
+      const reserve = item.inventoryId ? reserveLotLine : reserveSpiceLine;
+      lines.push(...await reserve({ ...item, quantity }, agreedPrices));
+    }
+  } catch (error) {
+    await releaseAllocations(lines);
+    throw error;
+  }
+
+  const orderTotal = roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const weightKg = roundQty(lines.reduce((sum, line) => sum + line.quantity, 0));
+  const deliveryCharges = chargeFor(zone, weightKg, orderTotal);
+
+  return {
+    items: lines,
+    orderTotal,
+    deliveryCharges,
+    shippingZone: zone.key,
+    finalAmount: roundMoney(orderTotal + deliveryCharges)
+  };
+};
+
+// Online payments must complete within the timeout or the stock goes back
+const paymentDeadline = (paymentMethod) => {
+  if (paymentMethod === 'cod') return undefined;
+  return new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+};
+
+// Legal status moves and the roles allowed to make them. Customers may only
+// act on their own orders (checked in transitionOrder).
+const TRANSITIONS = {
+  placed: { confirmed: ['admin'], cancelled: ['customer', 'admin'] },
+  confirmed: { processing: ['admin'], cancelled: ['customer', 'admin'] },
+  processing: { shipped: ['logistics', 'admin'], cancelled: ['customer', 'admin'] },
+  // Back to processing only after a failed delivery attempt (services/delivery)
+  shipped: { delivered: ['logistics', 'admin'], processing: ['logistics', 'admin'] },
+  delivered: {},
+  cancelled: {}
+};
+
+// Background jobs (payment timeouts, webhooks) act as the system
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+const STATUS_MESSAGES = {
+  confirmed: 'Your order has been confirmed',
+  processing: 'Your order is being packed',
+  shipped: 'Your order is on its way',
+  delivered: 'Your order has been delivered',
+  cancelled: 'Your order has been cancelled'
+};
+
+const allowedTransitions = (order, actor) => {
+  const moves = TRANSITIONS[order.orderStatus] || {};
+  return Object.keys(moves).filter(status => actor.role === 'system' || moves[status].includes(actor.role));
+};
+
+const transitionOrder = async (order, status, actor, notes) => {
+  const moves = TRANSITIONS[order.orderStatus] || {};
+
+  if (!moves[status]) {
+    throw new ApiError(409, `Cannot move order from ${order.orderStatus} to ${status}`, {
+      allowed: Object.keys(moves)
+    });
+  }
+
+  if (actor.role !== 'system') {
+    if (!moves[status].includes(actor.role)) {
+      throw new ApiError(403, `${actor.role} cannot mark an order ${status}`);
+    }
+    if (actor.role === 'customer' && order.customer.toString() !== actor.id) {
+      throw new ApiError(404, 'Order not found');
+    }
+  }
+
+  if (status === 'confirmed' && order.paymentMethod !== 'cod' && order.paymentStatus !== 'paid') {
+    throw new ApiError(409, 'Online orders can only be confirmed after payment');
+  }
+
+  if (status === 'shipped' && order.stockStatus === 'reserved') {
+    await commitAllocations(order.activeItems());
+    order.stockStatus = 'committed';
+  }
+
+  // Cash on delivery is collected at the door
+  if (status === 'delivered' && order.paymentMethod === 'cod' && order.paymentStatus === 'pending') {
+    order.paymentStatus = 'paid';
+  }
+
+  if (status === 'cancelled' && order.stockStatus === 'reserved') {
+    await releaseAllocations(order.activeItems());
+    order.stockStatus = 'released';
+  }
+
+  const entry = {
+    status,
+    timestamp: new Date(),
+    notes,
+    actor: actor.id,
+    actorRole: actor.role
+  };
+
+  order.orderStatus = status;
+  order.timeline.push(entry);
+  await order.save();
+
+  emitToUser(order.customer, 'order-status-update', {
+    orderNumber: order.orderNumber,
+    status,
+    message: STATUS_MESSAGES[status],
+    notes,
+    timestamp: entry.timestamp
+  });
+
+  return order;
+};
+
+// Cancels online-payment orders whose payment window has lapsed, including
+// ones whose last attempt failed and was never retried
+const expireUnpaidOrders = async () => {
+  const expired = await Order.find({
+    orderStatus: 'placed',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    paymentMethod: { $ne: 'cod' },
+    paymentExpiresAt: { $lte: new Date() }
+  });
+
+  for (const order of expired) {
+    order.paymentStatus = 'failed';
+    await transitionOrder(order, 'cancelled', SYSTEM_ACTOR, 'Payment not received in time, stock released');
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  reserveOrderItems,
+  paymentDeadline,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  allowedTransitions,
+  transitionOrder,
+  expireUnpaidOrders
+};
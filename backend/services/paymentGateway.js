@@ -0,0 +1,97 @@
+// Payment gateway adapters
+// Both gateways expose the same interface so the rest of the code never
+// checks MOCK_PAYMENTS itself:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, signature) -> boolean
+//   refund({ paymentId, amount, notes }) -> { id, amount, status }
+// Amounts are in paise, as Razorpay expects.
+
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (expected, actual) => {
+  if (typeof actual !== 'string' || actual.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+const signatureVerifiers = (keySecret, webhookSecret) => ({
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return safeEqual(hmacHex(keySecret, `${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!webhookSecret || !rawBody) return false;
+    return safeEqual(hmacHex(webhookSecret, rawBody), signature);
+  }
+});
+
+const createRazorpayGateway = () => {
+  const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET } = process.env;
+
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required unless MOCK_PAYMENTS=true');
+  }
+
+  const client = new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET });
+
+  return {
+    name: 'razorpay',
+    keyId: RAZORPAY_KEY_ID,
+
+    async createOrder({ amount, currency = 'INR', receipt, notes }) {
+      const order = await client.orders.create({ amount, currency, receipt, notes });
+      return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    async refund({ paymentId, amount, notes }) {
+      const refund = await client.payments.refund(paymentId, { amount, notes });
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    ...signatureVerifiers(RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET)
+  };
+};
+
+// Offline stand-in used in development and tests. Ids look like Razorpay's
+// and signatures use the same HMAC scheme, so a test can sign a payment
+// with MOCK_KEY_SECRET and exercise the real verification path.
+const MOCK_KEY_SECRET = 'mock_key_secret';
+const MOCK_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+const createMockGateway = () => {
+  const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+  return {
+    name: 'mock',
+    keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_mock',
+
+    async createOrder({ amount, currency = 'INR' }) {
+      return { id: randomId('order'), amount, currency };
+    },
+
+    async refund({ amount }) {
+      return { id: randomId('rfnd'), amount, status: 'processed' };
+    },
+
+    ...signatureVerifiers(
+      process.env.RAZORPAY_KEY_SECRET || MOCK_KEY_SECRET,
+      process.env.RAZORPAY_WEBHOOK_SECRET || MOCK_WEBHOOK_SECRET
+    )
+  };
+};
+
+let gateway = null;
+
+const getPaymentGateway = () => {
+  if (!gateway) {
+    gateway = process.env.MOCK_PAYMENTS === 'true' ? createMockGateway() : createRazorpayGateway();
+  }
+  return gateway;
+};
+
+module.exports = { getPaymentGateway, toPaise, MOCK_KEY_SECRET, MOCK_WEBHOOK_SECRET };
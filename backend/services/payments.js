@@ -0,0 +1,180 @@
+// Payment processing: gateway orders, verification and webhook events
+
+const { Order, PaymentEvent } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification } = require('../utils/notifications');
+const { getPaymentGateway, toPaise } = require('./paymentGateway');
+const { refundOrder, applyGatewayRefund } = require('./refunds');
+const { SYSTEM_ACTOR } = require('./orders');
+
+// Creates (or reuses) the gateway order for one of our orders. The amount
+// always comes from the stored order total.
+const createGatewayOrder = async (order) => {
+  if (order.paymentMethod === 'cod') {
+    throw new ApiError(409, 'Cash on delivery orders are paid at the door');
+  }
+  if (order.paymentStatus === 'paid') {
+    throw new ApiError(409, 'Order is already paid');
+  }
+  if (order.orderStatus !== 'placed') {
+    throw new ApiError(409, `Order is ${order.orderStatus}`);
+  }
+
+  const gateway = getPaymentGateway();
+
+  if (!order.payment || !order.payment.gatewayOrderId || order.payment.gateway !== gateway.name) {
+    const gatewayOrder = await gateway.createOrder({
+      amount: toPaise(order.finalAmount),
+      currency: 'INR',
+      receipt: order.orderNumber,
+      notes: { orderNumber: order.orderNumber }
+    });
+
+    order.payment = { gateway: gateway.name, gatewayOrderId: gatewayOrder.id };
+    await order.save();
+  }
+
+  return {
+    orderId: order.payment.gatewayOrderId,
+    amount: toPaise(order.finalAmount),
+    currency: 'INR',
+    key: gateway.keyId
+  };
+};
+
+// Idempotent: once a payment id has been recorded as paid, repeat captures
+// for it are no-ops, even after the order was refunded. A capture with a
+// different id means the customer paid twice; it never overwrites the
+// recorded payment and is flagged to admins instead.
+const markOrderPaid = async (order, paymentId) => {
+  if (order.payment.paidAt) {
+    if (order.payment.paymentId !== paymentId && !order.payment.duplicatePaymentIds.includes(paymentId)) {
+      order.payment.duplicatePaymentIds.push(paymentId);
+      await order.save();
+      await sendNotification('role:admin',
+        `Order ${order.orderNumber} was paid twice: refund duplicate payment ${paymentId} from the gateway dashboard`, 'warning');
+    }
+    return order;
+  }
+
+  order.paymentStatus = 'paid';
+  order.paymentExpiresAt = undefined;
+  order.payment.paymentId = paymentId;
+  order.payment.paidAt = new Date();
+  order.payment.failureReason = undefined;
+  await order.save();
+
+  await sendNotification(order.customer, `Payment received for order ${order.orderNumber}`, 'success');
+
+  // The payment window closed before the money arrived, so send it back
+  if (order.orderStatus === 'cancelled' && order.refundableAmount() > 0) {
+    await refundOrder(order, { reason: 'Payment received after order was cancelled', actor: SYSTEM_ACTOR });
+  }
+
+  return order;
+};
+
+const markOrderPaymentFailed = async (order, paymentId, reason) => {
+  if (order.payment.paidAt) {
+    return order;
+  }
+
+  order.paymentStatus = 'failed';
+  order.payment.paymentId = paymentId;
+  order.payment.failureReason = reason;
+  await order.save();
+
+  await sendNotification(order.customer, `Payment failed for order ${order.orderNumber}. Please try again.`, 'error');
+
+  return order;
+};
+
+// Checkout callback from the browser. The signature proves the payment id
+// really belongs to the gateway order we created.
+const verifyCheckoutPayment = async (user, { orderId, paymentId, signature }) => {
+  const gateway = getPaymentGateway();
+
+  if (!gateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    throw new ApiError(400, 'Invalid payment signature');
+  }
+
+  const order = await Order.findOne({ 'payment.gatewayOrderId': orderId, customer: user.id });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  return markOrderPaid(order, paymentId);
+};
+
+const findOrderForEntity = (entity) => {
+  if (entity.order_id) {
+    return Order.findOne({ 'payment.gatewayOrderId': entity.order_id });
+  }
+  return Order.findOne({ 'payment.paymentId': entity.payment_id });
+};
+
+const webhookHandlers = {
+  'payment.captured': async (payload) => {
+    const payment = payload.payment.entity;
+    const order = await findOrderForEntity(payment);
+    if (order) await markOrderPaid(order, payment.id);
+    return { order, paymentId: payment.id };
+  },
+
+  'payment.failed': async (payload) => {
+    const payment = payload.payment.entity;
+    const order = await findOrderForEntity(payment);
+    if (order) await markOrderPaymentFailed(order, payment.id, payment.error_description);
+    return { order, paymentId: payment.id };
+  },
+
+  'refund.processed': async (payload) => {
+    const refund = payload.refund.entity;
+    const order = await findOrderForEntity(refund);
+    if (order) await applyGatewayRefund(order, refund, 'processed');
+    return { order, paymentId: refund.payment_id };
+  },
+
+  'refund.failed': async (payload) => {
+    const refund = payload.refund.entity;
+    const order = await findOrderForEntity(refund);
+    if (order) await applyGatewayRefund(order, refund, 'failed');
+    return { order, paymentId: refund.payment_id };
+  }
+};
+
+// Returns 'processed', 'duplicate' or 'ignored'
+const handleWebhookEvent = async (eventId, body) => {
+  const handler = webhookHandlers[body.event];
+  if (!handler) {
+    return 'ignored';
+  }
+
+  try {
+    await PaymentEvent.create({ eventId, event: body.event, payload: body.payload });
+  } catch (error) {
+    if (error.code === 11000) return 'duplicate';
+    throw error;
+  }
+
+  try {
+    const { order, paymentId } = await handler(body.payload);
+    await PaymentEvent.updateOne({ eventId }, {
+      gatewayOrderId: order && order.payment.gatewayOrderId,
+      paymentId
+    });
+  } catch (error) {
+    // Let the gateway retry this delivery
+    await PaymentEvent.deleteOne({ eventId });
+    throw error;
+  }
+
+  return 'processed';
+};
+
+module.exports = {
+  createGatewayOrder,
+  verifyCheckoutPayment,
+  markOrderPaid,
+  handleWebhookEvent
+};
@@ -0,0 +1,157 @@
+// Price watch evaluation and alert delivery
+
+const { PriceAlertEvent, PriceObservation, PriceWatch, User } = require('../models');
+const { previousClose, tradingDay } = require('./marketPrices');
+const { availabilityForFarmer } = require('./inventory');
+const { sendNotification, sendEmail, sendWhatsAppMessage } = require('../utils/notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const defaultChangeThreshold = () => parseFloat(process.env.HIGH_PRICE_CHANGE_THRESHOLD) || 5;
+const maxAlertsPerHour = () => parseInt(process.env.PRICE_ALERT_MAX_PER_HOUR) || 5;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Pure function: whether the watch's condition holds for this price, and the
+// key under which it is remembered as triggered
+const evaluateWatch = (watch, { market, price, observedAt }, close) => {
+  switch (watch.condition) {
+    case 'above':
+      return { met: price >= watch.threshold, key: market };
+    case 'below':
+      return { met: price <= watch.threshold, key: market };
+    case 'change_pct': {
+      const change = close ? Math.abs(price - close) / close * 100 : 0;
+      return { met: Boolean(close) && change >= watch.threshold, key: `${market}@${tradingDay(observedAt)}` };
+    }
+    default:
+      return { met: false, key: market };
+  }
+};
+
+const describeAlert = (watch, spiceName, observation, close) => {
+  const where = `${spiceName} in ${observation.market}`;
+  if (watch.condition === 'change_pct') {
+    const change = roundMoney((observation.price - close) / close * 100);
+    return `${where} moved ${change > 0 ? '+' : ''}${change}% to ₹${observation.price}/kg (previous close ₹${close})`;
+  }
+  return `${where} is ₹${observation.price}/kg, ${watch.condition} your ₹${watch.threshold}/kg alert`;
+};
+
+const deliver = async (user, watch, message) => {
+  if (watch.channels.includes('socket')) {
+    await sendNotification(user._id, message, 'info');
+  }
+  if (watch.channels.includes('email') && user.email) {
+    await sendEmail(user.email, 'Price alert - Farmers 10', `
+      <h2>Hello ${user.name},</h2>
+      <p>${message}.</p>
+      <p>You can change or pause this alert from your watchlist.</p>
+      <br>
+      <p>Best regards,<br>Farmers 10 Team</p>
+    `);
+  }
+  if (watch.channels.includes('whatsapp') && user.phone) {
+    await sendWhatsAppMessage(user.phone, `Farmers 10 price alert: ${message}`);
+  }
+};
+
+// Records the alert and delivers it unless the user already had
+// maxAlertsPerHour() alerts delivered in the last hour
+const fireAlert = async (watch, observation, close) => {
+  const user = await User.findById(watch.user).select('name email phone role isActive');
+  if (!user || !user.isActive) return null;
+
+  let message = describeAlert(watch, watch.spice.name, observation, close);
+
+  // Farmers watch prices to decide when to sell what they are holding
+  if (user.role === 'farmer') {
+    const stock = await availabilityForFarmer(user._id, watch.spice._id);
+    if (stock > 0) {
+      message += `. You have ${stock} kg available to sell`;
+    }
+  }
+
+  const recent = await PriceAlertEvent.countDocuments({
+    user: user._id,
+    delivered: true,
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) }
+  });
+  const limited = recent >= maxAlertsPerHour();
+
+  const event = await PriceAlertEvent.create({
+    user: user._id,
+    watch: watch._id,
+    spice: watch.spice._id,
+    market: observation.market,
+    price: observation.price,
+    previousClose: close || undefined,
+    message,
+    channels: watch.channels,
+    delivered: !limited,
+    suppressedReason: limited ? 'rate_limited' : undefined
+  });
+
+  if (!limited) {
+    await deliver(user, watch, message);
+  }
+
+  return event;
+};
+
+// Checks the newest stored price of every spice/market pair in `observations`
+// against the active watches. Backfilled history (older than what is already
+// stored) is ignored.
+const evaluatePriceAlerts = async (observations) => {
+  const newest = new Map();
+  for (const observation of observations) {
+    const key = `${observation.spice}|${observation.market}`;
+    const current = newest.get(key);
+    if (!current || observation.observedAt > current.observedAt) newest.set(key, observation);
+  }
+
+  let fired = 0;
+
+  for (const observation of newest.values()) {
+    const latest = await PriceObservation.findOne({ spice: observation.spice, market: observation.market })
+      .sort({ observedAt: -1 })
+      .select('_id')
+      .lean();
+    if (!latest || !latest._id.equals(observation._id)) continue;
+
+    const watches = await PriceWatch.find({
+      spice: observation.spice,
+      isActive: true,
+      $or: [{ market: observation.market }, { market: null }]
+    }).populate('spice', 'name');
+    if (watches.length === 0) continue;
+
+    const close = await previousClose(observation.spice, observation.market, observation.observedAt);
+    const point = { market: observation.market, price: observation.price, observedAt: observation.observedAt };
+
+    for (const watch of watches) {
+      const { met, key } = evaluateWatch(watch, point, close && close.price);
+      // Keys for other markets stay; this market's is replaced (drops earlier days)
+      const others = watch.triggeredKeys.filter(existing => existing.split('@')[0] !== observation.market);
+      const alreadyTriggered = watch.triggeredKeys.includes(key);
+
+      if (met && !alreadyTriggered) {
+        await fireAlert(watch, point, close && close.price);
+        watch.lastTriggeredAt = new Date();
+        watch.lastTriggeredPrice = observation.price;
+        fired += 1;
+      }
+
+      watch.triggeredKeys = met ? [...others, key] : others;
+      await watch.save();
+    }
+  }
+
+  return fired;
+};
+
+module.exports = {
+  defaultChangeThreshold,
+  evaluateWatch,
+  evaluatePriceAlerts
+};
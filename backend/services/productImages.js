@@ -0,0 +1,113 @@
+// Product, review and proof-of-delivery photo storage: validation, resizing and thumbnails
+// Product and review photos are written under UPLOAD_DIR (default
+// backend/uploads) and served by server.js at /uploads. Delivery photos and
+// signatures go under PRIVATE_UPLOAD_DIR instead and are only served by an
+// authenticated route (routes/orders.js).
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { ApiError } = require('../utils/errors');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'));
+const PUBLIC_PATH = '/uploads';
+const FOLDERS = { spice: 'spices', review: 'reviews', delivery: 'deliveries' };
+const PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '../private-uploads'));
+const PRIVATE_KINDS = ['delivery'];
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_DIMENSION = 1600; // px, longest side of the stored photo
+const THUMBNAIL_SIZE = 320; // px, square
+
+const maxUploadBytes = () => (parseFloat(process.env.MAX_UPLOAD_SIZE_MB) || 5) * 1024 * 1024;
+
+const publicUrl = (folder, filename) => `${PUBLIC_PATH}/${folder}/${filename}`;
+const storageDir = (kind) => path.join(PRIVATE_KINDS.includes(kind) ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, FOLDERS[kind]);
+
+// File behind a private image URL; only the base name is used, so a URL
+// cannot reach outside the folder
+const privateImagePath = (kind, filename) => path.join(storageDir(kind), path.basename(filename));
+
+const diskPath = (url, kind) => (url.startsWith(`${PUBLIC_PATH}/`)
+  ? path.join(UPLOAD_DIR, path.basename(path.dirname(url)), path.basename(url))
+  : privateImagePath(kind, url));
+
+// Upload middleware for photo fields. Files stay in memory until they have
+// been checked and re-encoded, so nothing unvetted reaches the disk.
+const imageUpload = (maxFiles) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadBytes(), files: maxFiles },
+  fileFilter: (req, file, cb) => {
+    const isImage = ['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype);
+    cb(isImage ? null : new ApiError(400, `${file.originalname}: upload JPEG, PNG or WebP images`), isImage);
+  }
+});
+
+// The declared MIME type is only a hint; sharp reads the actual bytes, so a
+// renamed PDF or a truncated file is rejected here.
+const readImage = async (buffer, originalName) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ApiError(400, `${originalName} is not a readable image`);
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new ApiError(400, `${originalName} must be a JPEG, PNG or WebP image`);
+  }
+  return metadata;
+};
+
+// Stores a multer memory upload as a WebP photo (capped at MAX_DIMENSION)
+// plus a square thumbnail. `kind` is spice, review or delivery. Returns the image
+// record to keep on the document. Private kinds need `urlBase`, the route
+// that serves them.
+const saveImage = async (kind, file, { alt, actor, urlBase } = {}) => {
+  await readImage(file.buffer, file.originalname);
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const folder = storageDir(kind);
+  await fs.mkdir(folder, { recursive: true });
+  const url = (filename) => (PRIVATE_KINDS.includes(kind) ? `${urlBase}/${filename}` : publicUrl(FOLDERS[kind], filename));
+
+  const image = sharp(file.buffer).rotate(); // honour EXIF orientation
+  const photo = await image.clone()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toFile(path.join(folder, `${id}.webp`));
+  await image.clone()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 75 })
+    .toFile(path.join(folder, `${id}-thumb.webp`));
+
+  return {
+    url: url(`${id}.webp`),
+    thumbnailUrl: url(`${id}-thumb.webp`),
+    contentType: 'image/webp',
+    size: photo.size,
+    width: photo.width,
+    height: photo.height,
+    alt,
+    uploadedBy: actor && actor.id
+  };
+};
+
+// Removes an image's files; already missing files are not an error.
+// Private images need their `kind` to be found.
+const deleteImage = async (image, kind) => {
+  await Promise.all([image.url, image.thumbnailUrl].map(url =>
+    fs.rm(diskPath(url, kind), { force: true })
+  ));
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  PUBLIC_PATH,
+  ALLOWED_FORMATS,
+  privateImagePath,
+  imageUpload,
+  saveImage,
+  deleteImage
+};
@@ -0,0 +1,200 @@
+// Farm economics: expenses from harvest plans against delivered sales
+
+const mongoose = require('mongoose');
+const { HarvestPlan, InventoryLot, Order } = require('../models');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Money per unit, or null when there is nothing to divide by
+const perUnit = (amount, units) => (units > 0 ? roundMoney(amount / units) : null);
+
+// Part of an order's refunds that came off one line. A refund naming lines
+// is shared between those lines; one naming none is shared across the
+// whole order, delivery included, in proportion to what each part cost.
+const refundedFromLine = (order, line) => (order.refunds || [])
+  .filter(refund => refund.status !== 'failed')
+  .reduce((sum, refund) => {
+    const named = (refund.items || []).map(String);
+    if (named.length === 0) {
+      return sum + (order.finalAmount > 0 ? refund.amount * line.totalPrice / order.finalAmount : 0);
+    }
+    if (!named.includes(line._id.toString())) return sum;
+    const namedTotal = order.items
+      .filter(item => named.includes(item._id.toString()))
+      .reduce((total, item) => total + item.totalPrice, 0);
+    return sum + (namedTotal > 0 ? refund.amount * line.totalPrice / namedTotal : 0);
+  }, 0);
+
+// Delivered, non-cancelled order lines of one farmer, optionally only those
+// delivered since `since`, each with what the customer paid for it net of
+// refunds: [{ line, revenue }]
+const deliveredLines = async (farmerId, since) => {
+  const farmer = new mongoose.Types.ObjectId(farmerId);
+  const delivered = since
+    ? { timeline: { $elemMatch: { status: 'delivered', timestamp: { $gte: since } } } }
+    : {};
+
+  const orders = await Order.find({ orderStatus: 'delivered', 'items.farmer': farmer, ...delivered })
+    .select('items refunds finalAmount')
+    .lean();
+
+  return orders.flatMap(order => order.items
+    .filter(line => line.farmer && line.farmer.equals(farmer) && line.status !== 'cancelled')
+    .map(line => ({ line, revenue: Math.max(line.totalPrice - refundedFromLine(order, line), 0) })));
+};
+
+// Sales per harvest plan, via the lot each line was filled from:
+// Map<planId | 'unattributed', { revenue, quantitySold }>
+const salesByHarvestPlan = async (farmerId) => {
+  const lines = await deliveredLines(farmerId);
+  const lots = await InventoryLot.find({ _id: { $in: lines.map(({ line }) => line.inventoryLot).filter(Boolean) } })
+    .select('harvestPlan')
+    .lean();
+  const planByLot = new Map(lots.map(lot => [lot._id.toString(), lot.harvestPlan]));
+
+  const sales = new Map();
+  for (const { line, revenue } of lines) {
+    const plan = line.inventoryLot && planByLot.get(line.inventoryLot.toString());
+    const key = plan ? plan.toString() : 'unattributed';
+    const entry = sales.get(key) || { revenue: 0, quantitySold: 0 };
+    entry.revenue += revenue;
+    entry.quantitySold += line.quantity;
+    sales.set(key, entry);
+  }
+
+  for (const entry of sales.values()) {
+    entry.revenue = roundMoney(entry.revenue);
+    entry.quantitySold = roundMoney(entry.quantitySold);
+  }
+  return sales;
+};
+
+// Value of the farmer's lines delivered since `since`, net of refunds
+const farmerEarnings = async (farmerId, since) => {
+  const lines = await deliveredLines(farmerId, since);
+  return roundMoney(lines.reduce((sum, { revenue }) => sum + revenue, 0));
+};
+
+const summariseExpenses = (expenses) => {
+  const byCategory = {};
+  let total = 0;
+  for (const expense of expenses) {
+    byCategory[expense.category] = roundMoney((byCategory[expense.category] || 0) + expense.amount);
+    total += expense.amount;
+  }
+  return { total: roundMoney(total), byCategory };
+};
+
+// One row per plan. Cost per kg uses the recorded harvest, falling back to
+// what has sold while the yield is not in yet.
+const cropRow = (plan, sales = { revenue: 0, quantitySold: 0 }) => {
+  const expenses = summariseExpenses(plan.expenses);
+  const profit = roundMoney(sales.revenue - expenses.total);
+
+  return {
+    harvestPlan: plan._id,
+    spice: plan.spice,
+    cropYear: plan.cropYear,
+    status: plan.status,
+    farmArea: plan.farmArea,
+    estimatedYield: plan.estimatedYield,
+    actualYield: plan.actualYield,
+    expenses,
+    revenue: sales.revenue,
+    quantitySold: sales.quantitySold,
+    profit,
+    costPerKg: perUnit(expenses.total, plan.actualYield || sales.quantitySold),
+    marginPerAcre: perUnit(profit, plan.farmArea)
+  };
+};
+
+// Totals per spice and crop year, each compared with the same spice's
+// previous season
+const compareSeasons = (crops) => {
+  const groups = new Map();
+
+  for (const crop of crops) {
+    const spiceId = crop.spice ? crop.spice._id.toString() : 'unknown';
+    const key = `${spiceId}|${crop.cropYear || 'unspecified'}`;
+    const group = groups.get(key) || {
+      spice: crop.spice,
+      cropYear: crop.cropYear || 'unspecified',
+      plans: 0,
+      farmArea: 0,
+      harvestedKg: 0,
+      quantitySold: 0,
+      expenses: 0,
+      revenue: 0
+    };
+    group.plans += 1;
+    group.farmArea += crop.farmArea || 0;
+    group.harvestedKg += crop.actualYield || 0;
+    group.quantitySold += crop.quantitySold;
+    group.expenses += crop.expenses.total;
+    group.revenue += crop.revenue;
+    groups.set(key, group);
+  }
+
+  const seasons = [...groups.values()]
+    .map(group => {
+      const profit = roundMoney(group.revenue - group.expenses);
+      return {
+        ...group,
+        expenses: roundMoney(group.expenses),
+        revenue: roundMoney(group.revenue),
+        profit,
+        costPerKg: perUnit(group.expenses, group.harvestedKg || group.quantitySold),
+        marginPerAcre: perUnit(profit, group.farmArea)
+      };
+    })
+    .sort((a, b) => (a.spice && b.spice ? a.spice.name.localeCompare(b.spice.name) : 0) || a.cropYear.localeCompare(b.cropYear));
+
+  seasons.forEach((season, index) => {
+    const previous = seasons[index - 1];
+    const sameSpice = previous && previous.spice && season.spice && previous.spice._id.equals(season.spice._id);
+    season.previousSeason = sameSpice
+      ? {
+        cropYear: previous.cropYear,
+        profitChange: roundMoney(season.profit - previous.profit),
+        costPerKgChange: season.costPerKg != null && previous.costPerKg != null
+          ? roundMoney(season.costPerKg - previous.costPerKg)
+          : null
+      }
+      : null;
+  });
+
+  return seasons;
+};
+
+// Per-crop P&L for one farmer, optionally limited to a crop year. Earlier
+// crop years are still loaded then, so each season can be compared with
+// the one before it.
+const profitabilityReport = async (farmerId, { cropYear } = {}) => {
+  const filter = { farmer: farmerId };
+  if (cropYear) filter.cropYear = { $lte: cropYear };
+
+  const [plans, sales] = await Promise.all([
+    HarvestPlan.find(filter).populate('spice', 'name category').sort({ cropYear: 1 }).lean(),
+    salesByHarvestPlan(farmerId)
+  ]);
+
+  const allCrops = plans.map(plan => cropRow(plan, sales.get(plan._id.toString())));
+  const inYear = (row) => !cropYear || row.cropYear === cropYear;
+  const crops = allCrops.filter(inYear);
+  const expenses = roundMoney(crops.reduce((sum, crop) => sum + crop.expenses.total, 0));
+  const revenue = roundMoney(crops.reduce((sum, crop) => sum + crop.revenue, 0));
+
+  return {
+    crops,
+    seasons: compareSeasons(allCrops).filter(inYear),
+    totals: { expenses, revenue, profit: roundMoney(revenue - expenses) },
+    // Sales from lots submitted before lots were linked to harvest plans
+    unattributedSales: cropYear ? undefined : sales.get('unattributed') || { revenue: 0, quantitySold: 0 }
+  };
+};
+
+module.exports = {
+  salesByHarvestPlan,
+  farmerEarnings,
+  profitabilityReport
+};
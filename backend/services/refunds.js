@@ -0,0 +1,256 @@
+// Refunds, full cancellations and per-line cancellations
+
+const { Order, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification, sendEmail } = require('../utils/notifications');
+const { getPaymentGateway, toPaise } = require('./paymentGateway');
+const { roundQty, releaseAllocations } = require('./inventory');
+const { transitionOrder } = require('./orders');
+const { getShippingZones, chargeFor } = require('./shipping');
+
+const CANCELLABLE_STATUSES = ['placed', 'confirmed', 'processing'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const updatePaymentStatus = (order) => {
+  const refunded = order.refundedAmount();
+  if (refunded <= 0) return;
+  order.paymentStatus = refunded >= order.finalAmount ? 'refunded' : 'partially_refunded';
+};
+
+const notifyRefund = async (order, refund) => {
+  const customer = await User.findById(order.customer).select('name email');
+  const message = refund.status === 'processed'
+    ? `Refund of ₹${refund.amount} for order ${order.orderNumber} has been processed`
+    : `Refund of ₹${refund.amount} for order ${order.orderNumber} has been initiated`;
+
+  await sendNotification(order.customer, message, 'info');
+
+  if (customer && customer.email) {
+    await sendEmail(customer.email, `Refund for order ${order.orderNumber} - Farmers 10`, `
+      <h2>Hello ${customer.name},</h2>
+      <p>${message}.</p>
+      ${refund.reason ? `<p>Reason: ${refund.reason}</p>` : ''}
+      ${refund.method === 'gateway' ? '<p>Online refunds reach your account in 5-7 working days.</p>' : ''}
+      <br>
+      <p>Best regards,<br>Farmers 10 Team</p>
+    `);
+  }
+};
+
+// Claims `amount` against what is left to refund, the way stock is
+// reserved: of two refunds racing on one order, only those that still fit
+// get through. Null when the claim does not fit.
+const claimRefund = (order, amount) => Order.findOneAndUpdate(
+  {
+    _id: order._id,
+    paymentStatus: { $in: ['paid', 'partially_refunded'] },
+    $expr: { $lte: [{ $round: [{ $add: [{ $ifNull: ['$refundedTotal', 0] }, amount] }, 2] }, '$finalAmount'] }
+  },
+  { $inc: { refundedTotal: amount } }
+);
+
+const releaseRefund = (order, amount) => Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: -amount } });
+
+// Returns money for a paid order. `amount` defaults to everything still
+// refundable. Online payments go back through the gateway; COD orders were
+// paid in cash, so staff record the payout `reference` themselves.
+const refundOrder = async (order, { amount, reason, reference, items = [], actor }) => {
+  const refundable = order.refundableAmount();
+  const refundAmount = amount == null ? refundable : roundMoney(amount);
+
+  if (refundable <= 0) {
+    throw new ApiError(409, 'Nothing left to refund on this order');
+  }
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new ApiError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  if (order.paymentMethod === 'cod' && !reference) {
+    throw new ApiError(400, 'Cash on delivery refunds need the payout reference');
+  }
+
+  if (!await claimRefund(order, refundAmount)) {
+    throw new ApiError(409, 'The order was refunded in the meantime; reload it and try again');
+  }
+
+  let refund;
+
+  if (order.paymentMethod === 'cod') {
+    refund = {
+      amount: refundAmount,
+      reason,
+      method: 'manual',
+      status: 'processed',
+      reference,
+      items,
+      initiatedBy: actor.id,
+      processedAt: new Date()
+    };
+  } else {
+    let result;
+    try {
+      result = await getPaymentGateway().refund({
+        paymentId: order.payment.paymentId,
+        amount: toPaise(refundAmount),
+        notes: { orderNumber: order.orderNumber, reason: reason || '' }
+      });
+    } catch (error) {
+      await releaseRefund(order, refundAmount);
+      throw error;
+    }
+    refund = {
+      amount: refundAmount,
+      reason,
+      method: 'gateway',
+      status: result.status === 'processed' ? 'processed' : 'pending',
+      gatewayRefundId: result.id,
+      items,
+      initiatedBy: actor.id,
+      processedAt: result.status === 'processed' ? new Date() : undefined
+    };
+  }
+
+  order.refunds.push(refund);
+  updatePaymentStatus(order);
+  await order.save();
+
+  await notifyRefund(order, refund);
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Full cancellation; anything already paid is refunded in the same step
+const cancelOrder = async (order, actor, reason) => {
+  await transitionOrder(order, 'cancelled', actor, reason);
+
+  if (order.refundableAmount() > 0 && order.paymentMethod !== 'cod') {
+    await refundOrder(order, { reason: reason || 'Order cancelled', actor });
+  }
+
+  return order;
+};
+
+// Delivery for the lines still on the order, by the zone it was quoted
+// from. Keeps the original charge if that zone has since been removed.
+const remainingDeliveryCharge = async (order) => {
+  const zone = (await getShippingZones()).find(candidate => candidate.key === order.shippingZone);
+  if (!zone) return order.deliveryCharges;
+  const weightKg = roundQty(order.activeItems().reduce((sum, item) => sum + item.quantity, 0));
+  return chargeFor(zone, weightKg, order.orderTotal);
+};
+
+// Cancels some lines of an order before it ships. Paid orders get those
+// lines refunded; unpaid orders simply owe less.
+const cancelOrderItems = async (order, itemIds, actor, reason) => {
+  if (!CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+    throw new ApiError(409, `Items cannot be cancelled once the order is ${order.orderStatus}`);
+  }
+
+  const active = order.activeItems();
+  const toCancel = active.filter(item => itemIds.includes(item._id.toString()));
+
+  if (toCancel.length !== itemIds.length) {
+    throw new ApiError(400, 'Some items are not on this order or already cancelled');
+  }
+
+  if (toCancel.length === active.length) {
+    return cancelOrder(order, actor, reason);
+  }
+
+  if (order.stockStatus === 'reserved') {
+    await releaseAllocations(toCancel);
+  }
+
+  const now = new Date();
+  toCancel.forEach(item => {
+    item.status = 'cancelled';
+    item.cancelledAt = now;
+    item.cancellationReason = reason;
+  });
+
+  const cancelledValue = roundMoney(toCancel.reduce((sum, item) => sum + item.totalPrice, 0));
+
+  order.timeline.push({
+    status: 'items_cancelled',
+    timestamp: now,
+    notes: `${toCancel.length} item(s) worth ₹${cancelledValue} cancelled${reason ? `: ${reason}` : ''}`,
+    actor: actor.id,
+    actorRole: actor.role
+  });
+
+  if (order.refundableAmount() > 0) {
+    await order.save();
+    await refundOrder(order, {
+      amount: Math.min(cancelledValue, order.refundableAmount()),
+      reason: reason || 'Items cancelled',
+      items: toCancel.map(item => item._id),
+      actor
+    });
+  } else {
+    // Not paid yet: shrink the bill, re-quote delivery for the lighter
+    // parcel and drop the stale gateway order
+    order.orderTotal = roundMoney(order.orderTotal - cancelledValue);
+    order.deliveryCharges = await remainingDeliveryCharge(order);
+    order.finalAmount = roundMoney(order.orderTotal + order.deliveryCharges);
+    order.payment.gatewayOrderId = undefined;
+    await order.save();
+  }
+
+  return order;
+};
+
+// Applies a refund.processed / refund.failed webhook. Refunds started from
+// the Razorpay dashboard have no local record yet, so one is created.
+const applyGatewayRefund = async (order, refundEntity, status) => {
+  let refund = order.refunds.find(r => r.gatewayRefundId === refundEntity.id);
+  const wasCounted = Boolean(refund) && refund.status !== 'failed';
+
+  if (!refund) {
+    order.refunds.push({
+      amount: refundEntity.amount / 100,
+      reason: 'Refund issued from payment gateway',
+      method: 'gateway',
+      gatewayRefundId: refundEntity.id
+    });
+    refund = order.refunds[order.refunds.length - 1];
+  }
+
+  if (refund.status === status) {
+    return order;
+  }
+
+  // Keep refundedTotal in step: a failed refund gives its claim back, one
+  // not counted yet (new here, or failed before) is added
+  const counted = status !== 'failed';
+  if (counted !== wasCounted) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: counted ? refund.amount : -refund.amount } });
+  }
+
+  refund.status = status;
+  if (status === 'processed') {
+    refund.processedAt = new Date();
+  } else {
+    refund.failureReason = refundEntity.error_description || 'Refund failed at gateway';
+    await sendNotification('role:admin', `Refund ${refundEntity.id} for order ${order.orderNumber} failed`, 'error');
+  }
+
+  updatePaymentStatus(order);
+  if (order.refundedAmount() <= 0) {
+    order.paymentStatus = 'paid';
+  }
+  await order.save();
+
+  if (status === 'processed') {
+    await notifyRefund(order, refund);
+  }
+
+  return order;
+};
+
+module.exports = {
+  refundOrder,
+  cancelOrder,
+  cancelOrderItems,
+  applyGatewayRefund
+};
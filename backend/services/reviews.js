@@ -0,0 +1,182 @@
+// Verified-purchase reviews, rating aggregates and moderation
+
+const mongoose = require('mongoose');
+const { Order, Review, Spice, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification } = require('../utils/notifications');
+const { saveImage, deleteImage } = require('./productImages');
+
+const autoHideReports = () => parseInt(process.env.REVIEW_AUTO_HIDE_REPORTS) || 3;
+
+// Average, count and 1-5 star breakdown of the published reviews of a
+// spice or farmer (`field` is 'spice' or 'farmer')
+const ratingSummary = async (field, id) => {
+  const [summary] = await Review.aggregate([
+    { $match: { [field]: new mongoose.Types.ObjectId(id.toString()), status: 'published' } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        ratings: { $push: '$rating' }
+      }
+    }
+  ]);
+
+  const distribution = Object.fromEntries(Array.from({ length: Review.MAX_RATING }, (_, index) => [index + 1, 0]));
+  if (!summary) return { average: 0, count: 0, distribution };
+
+  summary.ratings.forEach(rating => { distribution[rating] += 1; });
+  return { average: Math.round(summary.average * 10) / 10, count: summary.count, distribution };
+};
+
+// Recomputes the stored averages shown on spices and farmer dashboards.
+// Called after anything that changes which reviews are published.
+const refreshRatings = async ({ spice, farmer }) => {
+  if (spice) {
+    const { average, count } = await ratingSummary('spice', spice);
+    await Spice.updateOne({ _id: spice }, { rating: { average, count } });
+  }
+  if (farmer) {
+    const { average, count } = await ratingSummary('farmer', farmer);
+    await User.updateOne({ _id: farmer }, { rating: { average, count } });
+  }
+};
+
+// Only lines of delivered orders that were not cancelled can be reviewed
+const findReviewableLine = async (customerId, orderId, itemId) => {
+  const order = await Order.findOne({ _id: orderId, customer: customerId });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  const item = order.items.id(itemId);
+  if (!item) {
+    throw new ApiError(404, 'Order item not found');
+  }
+  if (order.orderStatus !== 'delivered' || item.status === 'cancelled') {
+    throw new ApiError(409, 'Only delivered items can be reviewed');
+  }
+  return { order, item };
+};
+
+// Delivered lines the customer has not reviewed yet
+const pendingReviews = async (customerId) => {
+  const orders = await Order.find({ customer: customerId, orderStatus: 'delivered' })
+    .select('orderNumber items updatedAt')
+    .populate('items.spice', 'name icon images')
+    .sort({ updatedAt: -1 })
+    .lean();
+  const reviewed = new Set((await Review.find({ customer: customerId }).distinct('orderItem')).map(String));
+
+  return orders.flatMap(order => order.items
+    .filter(item => item.status !== 'cancelled' && !reviewed.has(item._id.toString()))
+    .map(item => ({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      item: item._id,
+      spice: item.spice,
+      batchCode: item.batchCode,
+      deliveredAt: order.updatedAt
+    })));
+};
+
+const createReview = async (user, { orderId, itemId, rating, title, text }, photoFile) => {
+  const { order, item } = await findReviewableLine(user.id, orderId, itemId);
+
+  if (await Review.exists({ customer: user.id, orderItem: item._id })) {
+    throw new ApiError(409, 'You have already reviewed this item');
+  }
+
+  const photo = photoFile ? await saveImage('review', photoFile, { actor: user }) : undefined;
+
+  let review;
+  try {
+    review = await Review.create({
+      customer: user.id,
+      order: order._id,
+      orderItem: item._id,
+      spice: item.spice,
+      farmer: item.farmer,
+      batchCode: item.batchCode,
+      rating,
+      title,
+      text,
+      photo
+    });
+  } catch (error) {
+    if (photo) await deleteImage(photo);
+    throw error;
+  }
+
+  await refreshRatings(review);
+
+  if (review.farmer) {
+    await sendNotification(review.farmer, `New ${rating}★ review on your produce from order ${order.orderNumber}`, 'info');
+  }
+
+  return review;
+};
+
+const updateReview = async (review, { rating, title, text }) => {
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (text !== undefined) review.text = text;
+  review.editedAt = new Date();
+  await review.save();
+
+  await refreshRatings(review);
+  return review;
+};
+
+const deleteReview = async (review) => {
+  await review.deleteOne();
+  if (review.photo && review.photo.url) await deleteImage(review.photo);
+  await refreshRatings(review);
+};
+
+// action: hide | publish. Publishing clears the reports that led to it.
+const moderateReview = async (review, action, reason, actor) => {
+  review.status = action === 'hide' ? 'hidden' : 'published';
+  review.moderation = { reason, moderatedBy: actor && actor.id, moderatedAt: new Date() };
+  if (action === 'publish') review.reports = [];
+  await review.save();
+
+  await refreshRatings(review);
+
+  if (action === 'hide' && actor) {
+    await sendNotification(review.customer, `Your review was hidden by a moderator${reason ? `: ${reason}` : ''}`, 'warning');
+  }
+  return review;
+};
+
+// One report per user. Enough reports hide the review until an admin
+// looks at it.
+const reportReview = async (review, user, reason) => {
+  if (review.customer.toString() === user.id) {
+    throw new ApiError(400, 'You cannot report your own review');
+  }
+  if (review.reports.some(report => report.user.toString() === user.id)) {
+    throw new ApiError(409, 'You have already reported this review');
+  }
+
+  review.reports.push({ user: user.id, reason });
+  await review.save();
+
+  if (review.status === 'published' && review.reports.length >= autoHideReports()) {
+    await moderateReview(review, 'hide', `Hidden automatically after ${review.reports.length} reports`);
+    await sendNotification('role:admin', `A review was hidden after ${review.reports.length} reports and is waiting for moderation`, 'warning');
+  }
+
+  return review;
+};
+
+module.exports = {
+  ratingSummary,
+  refreshRatings,
+  pendingReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  reportReview
+};
@@ -0,0 +1,314 @@
+// Delivery route planning: group ready orders into vehicle runs and assign drivers
+
+const { Order, Vehicle, DeliveryRoute, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification } = require('../utils/notifications');
+const { DEFAULT_WAREHOUSE, locatePincode, locateWarehouse, distanceKm } = require('./geo');
+const { roundQty } = require('./inventory');
+const { transitionOrder } = require('./orders');
+const { issueDeliveryOtp } = require('./delivery');
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+// Orders are packed and waiting for a vehicle once they reach 'processing'
+const READY_STATUS = 'processing';
+
+// Orders held by plans not being replaced. Orders on assigned routes are
+// shipped; any back in processing failed delivery and need a new route.
+const ordersOnPlannedRoutes = async () => {
+  const routes = await DeliveryRoute.find({ status: 'planned' }).select('stops.orders').lean();
+  return new Set(routes.flatMap(route => route.stops.flatMap(stop => stop.orders.map(String))));
+};
+
+// Pickup is the warehouse holding most of the order by weight; lines held
+// elsewhere are listed as transfers into that warehouse before loading.
+const pickupPlan = (order) => {
+  const byWarehouse = new Map();
+  for (const item of order.activeItems()) {
+    const warehouse = (item.inventoryLot && item.inventoryLot.location && item.inventoryLot.location.warehouse) || DEFAULT_WAREHOUSE;
+    byWarehouse.set(warehouse, roundQty((byWarehouse.get(warehouse) || 0) + item.quantity));
+  }
+
+  const ranked = [...byWarehouse.entries()].sort((a, b) => b[1] - a[1]);
+  const [warehouse] = ranked[0] || [DEFAULT_WAREHOUSE];
+
+  return {
+    warehouse,
+    weightKg: roundQty(ranked.reduce((sum, [, kg]) => sum + kg, 0)),
+    transfers: ranked.slice(1).map(([fromWarehouse, weightKg]) => ({ order: order._id, fromWarehouse, weightKg }))
+  };
+};
+
+// One stop per delivery pincode, split when a pincode holds more than the
+// largest vehicle can carry. Single orders over that limit cannot be routed.
+const buildStops = (entries, maxLoadKg) => {
+  const byPincode = new Map();
+  for (const entry of entries) {
+    const list = byPincode.get(entry.pincode) || [];
+    list.push(entry);
+    byPincode.set(entry.pincode, list);
+  }
+
+  const stops = [];
+  const oversize = [];
+
+  for (const [pincode, list] of byPincode) {
+    let stop = null;
+    for (const entry of list.sort((a, b) => b.weightKg - a.weightKg)) {
+      if (entry.weightKg > maxLoadKg) {
+        oversize.push(entry);
+        continue;
+      }
+      if (!stop || stop.weightKg + entry.weightKg > maxLoadKg) {
+        stop = { pincode, area: entry.place.area, location: { lat: entry.place.lat, lng: entry.place.lng }, entries: [], weightKg: 0 };
+        stops.push(stop);
+      }
+      stop.entries.push(entry);
+      stop.weightKg = roundQty(stop.weightKg + entry.weightKg);
+    }
+  }
+
+  return { stops, oversize };
+};
+
+const tourLength = (origin, stops) => {
+  let total = 0;
+  let previous = origin;
+  for (const stop of stops) {
+    total += distanceKm(previous, stop.location);
+    previous = stop.location;
+  }
+  return total + (stops.length > 0 ? distanceKm(previous, origin) : 0);
+};
+
+// Reverses segments while that shortens the round trip
+const twoOpt = (origin, stops) => {
+  let best = stops;
+  let bestLength = tourLength(origin, best);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const length = tourLength(origin, candidate);
+        if (length < bestLength - 0.01) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+// Fills one vehicle: nearest stop that still fits, until capacity, the stop
+// limit or the remaining stops run out. Takes the chosen stops out of `pending`.
+const loadVehicle = (origin, vehicle, pending) => {
+  const chosen = [];
+  let load = 0;
+  let position = origin;
+
+  while (chosen.length < vehicle.maxStops) {
+    let nearest = -1;
+    let nearestKm = Infinity;
+    pending.forEach((stop, index) => {
+      if (load + stop.weightKg > vehicle.capacityKg) return;
+      const km = distanceKm(position, stop.location);
+      if (km < nearestKm) {
+        nearest = index;
+        nearestKm = km;
+      }
+    });
+    if (nearest < 0) break;
+
+    const [stop] = pending.splice(nearest, 1);
+    chosen.push(stop);
+    load = roundQty(load + stop.weightKg);
+    position = stop.location;
+  }
+
+  return chosen;
+};
+
+const toRouteDoc = (warehouse, origin, vehicle, stops, transfers, actor) => {
+  let previous = origin;
+  const routeStops = stops.map((stop, index) => {
+    const distanceFromPreviousKm = distanceKm(previous, stop.location);
+    previous = stop.location;
+    return {
+      sequence: index + 1,
+      pincode: stop.pincode,
+      area: stop.area,
+      location: stop.location,
+      orders: stop.entries.map(entry => entry.order._id),
+      weightKg: stop.weightKg,
+      distanceFromPreviousKm
+    };
+  });
+
+  const orderIds = new Set(routeStops.flatMap(stop => stop.orders.map(String)));
+
+  return {
+    warehouse,
+    vehicle: vehicle._id,
+    stops: routeStops,
+    totalWeightKg: roundQty(stops.reduce((sum, stop) => sum + stop.weightKg, 0)),
+    totalDistanceKm: roundKm(tourLength(origin, stops)),
+    transfers: transfers.filter(transfer => orderIds.has(String(transfer.order))),
+    createdBy: actor && actor.id
+  };
+};
+
+const unassigned = (entry, reason) => ({
+  order: entry.order._id,
+  orderNumber: entry.order.orderNumber,
+  warehouse: entry.warehouse,
+  pincode: entry.pincode,
+  weightKg: entry.weightKg,
+  reason
+});
+
+// Plans routes for every ready order not already on a route, replacing any
+// earlier plan that has not been assigned yet. Reasons an order is left out:
+//   unknown_pincode   delivery pincode is not in the location table
+//   unknown_warehouse pickup warehouse has no coordinates
+//   no_vehicle        no active vehicle is based at the pickup warehouse
+//   over_capacity     the order alone is heavier than any vehicle there
+//   capacity          vehicles are full; it waits for the next plan
+const planRoutes = async ({ warehouse: onlyWarehouse, actor } = {}) => {
+  await DeliveryRoute.deleteMany({ status: 'planned', ...(onlyWarehouse ? { warehouse: onlyWarehouse } : {}) });
+
+  const taken = await ordersOnPlannedRoutes();
+  const orders = await Order.find({ orderStatus: READY_STATUS })
+    .populate('items.inventoryLot', 'location')
+    .sort({ createdAt: 1 });
+
+  const leftOut = [];
+  const transfers = [];
+  const byWarehouse = new Map();
+
+  for (const order of orders) {
+    if (taken.has(order._id.toString())) continue;
+
+    const plan = pickupPlan(order);
+    if (onlyWarehouse && plan.warehouse !== onlyWarehouse) continue;
+
+    const pincode = order.deliveryAddress && order.deliveryAddress.pincode;
+    const entry = { order, pincode, place: locatePincode(pincode), warehouse: plan.warehouse, weightKg: plan.weightKg };
+
+    if (!entry.place) {
+      leftOut.push(unassigned(entry, 'unknown_pincode'));
+      continue;
+    }
+
+    transfers.push(...plan.transfers);
+    const list = byWarehouse.get(plan.warehouse) || [];
+    list.push(entry);
+    byWarehouse.set(plan.warehouse, list);
+  }
+
+  const routes = [];
+
+  for (const [warehouse, entries] of byWarehouse) {
+    const origin = locateWarehouse(warehouse);
+    if (!origin) {
+      leftOut.push(...entries.map(entry => unassigned(entry, 'unknown_warehouse')));
+      continue;
+    }
+
+    const vehicles = await Vehicle.find({ warehouse, isActive: true }).sort({ capacityKg: -1 });
+    if (vehicles.length === 0) {
+      leftOut.push(...entries.map(entry => unassigned(entry, 'no_vehicle')));
+      continue;
+    }
+
+    const { stops, oversize } = buildStops(entries, vehicles[0].capacityKg);
+    leftOut.push(...oversize.map(entry => unassigned(entry, 'over_capacity')));
+
+    for (const vehicle of vehicles) {
+      if (stops.length === 0) break;
+      const chosen = loadVehicle(origin, vehicle, stops);
+      if (chosen.length === 0) continue;
+      routes.push(toRouteDoc(warehouse, origin, vehicle, twoOpt(origin, chosen), transfers, actor));
+    }
+
+    for (const stop of stops) {
+      leftOut.push(...stop.entries.map(entry => unassigned(entry, 'capacity')));
+    }
+  }
+
+  const saved = routes.length > 0 ? await DeliveryRoute.insertMany(routes) : [];
+
+  return { routes: saved, unassigned: leftOut };
+};
+
+// Hands a planned route to a driver. Every order on it is marked shipped
+// with the route code in its timeline; the driver is told their run.
+const assignRoute = async (route, { driverId, vehicleId }, actor) => {
+  if (route.status !== 'planned') {
+    throw new ApiError(409, `Route ${route.routeCode} is already ${route.status}`);
+  }
+
+  const driver = await User.findOne({ _id: driverId, role: 'logistics', isActive: true }).select('name');
+  if (!driver) {
+    throw new ApiError(404, 'Driver not found');
+  }
+
+  const busy = await DeliveryRoute.exists({ driver: driver._id, status: { $in: ['assigned', 'in_progress'] } });
+  if (busy) {
+    throw new ApiError(409, `${driver.name} is already out on another route`);
+  }
+
+  if (vehicleId && vehicleId !== route.vehicle.toString()) {
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true });
+    if (!vehicle) {
+      throw new ApiError(404, 'Vehicle not found');
+    }
+    if (vehicle.capacityKg < route.totalWeightKg || vehicle.maxStops < route.stops.length) {
+      throw new ApiError(409, `${vehicle.registration} cannot carry this route`, {
+        capacityKg: vehicle.capacityKg,
+        totalWeightKg: route.totalWeightKg,
+        maxStops: vehicle.maxStops,
+        stops: route.stops.length
+      });
+    }
+    route.vehicle = vehicle._id;
+  }
+
+  const orders = await Order.find({ _id: { $in: route.orderIds() } });
+  const notReady = orders.filter(order => order.orderStatus !== READY_STATUS);
+  if (notReady.length > 0 || orders.length !== route.orderIds().length) {
+    throw new ApiError(409, 'Some orders on this route are no longer ready to ship; plan the routes again', {
+      orders: notReady.map(order => ({ orderNumber: order.orderNumber, status: order.orderStatus }))
+    });
+  }
+
+  for (const order of orders) {
+    order.deliveryRoute = route._id;
+    await transitionOrder(order, 'shipped', actor, `Dispatched on route ${route.routeCode}`);
+    await issueDeliveryOtp(order);
+  }
+
+  route.driver = driver._id;
+  route.status = 'assigned';
+  route.assignedBy = actor.id;
+  route.assignedAt = new Date();
+  await route.save();
+
+  await sendNotification(driver._id,
+    `Route ${route.routeCode} assigned: ${route.stops.length} stops, ${route.totalWeightKg} kg from ${route.warehouse}`,
+    'info');
+
+  return route;
+};
+
+module.exports = {
+  READY_STATUS,
+  pickupPlan,
+  planRoutes,
+  assignRoute
+};
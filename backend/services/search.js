@@ -0,0 +1,339 @@
+// Unified search across spices, news, farmers and harvest regions
+// The catalogue is small and ranked in memory with typo tolerance, as are
+// the farmers and regions the database finds for the query; news goes
+// through its text index.
+
+const { HarvestPlan, NewsArticle, Spice, User } = require('../models');
+const { availabilityBySpice } = require('./inventory');
+const { SPICE_KEYWORDS, buildNewsQuery } = require('./news');
+const { escapeRegex } = require('../utils/query');
+
+const SEARCH_TYPES = ['spices', 'news', 'farmers', 'regions'];
+const FACET_FIELDS = ['category', 'origin', 'qualityGrade'];
+
+// Text Matching
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Edits allowed before a word stops matching: none for short words, where a
+// single edit is usually a different word
+const maxEdits = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps).
+// Gives up once the distance must exceed `limit`.
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// 1 for the same word, 0.8 when the query is the start of the word, less
+// for each typo; 0 when the words are unrelated
+const wordMatch = (queryWord, word) => {
+  if (word === queryWord) return 1;
+  if (queryWord.length >= 2 && word.startsWith(queryWord)) return 0.8;
+
+  const limit = maxEdits(queryWord);
+  if (limit === 0) return 0;
+  const distance = editDistance(queryWord, word, limit);
+  return distance <= limit ? 0.7 - 0.2 * (distance - 1) : 0;
+};
+
+// Scores a document given as [{ text, weight }] fields. Every query word
+// has to match some field; the best field counts. Returns 0 for no match.
+const scoreFields = (queryWords, fields) => {
+  const indexed = fields.map(field => ({ weight: field.weight, words: tokenize(field.text) }));
+  let score = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const field of indexed) {
+      for (const word of field.words) {
+        best = Math.max(best, field.weight * wordMatch(queryWord, word));
+      }
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  // Whole phrase present in a field, e.g. "black pepper"
+  const phrase = queryWords.join(' ');
+  if (queryWords.length > 1 && indexed.some(field => field.words.join(' ').includes(phrase))) {
+    score += 1;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+const rank = (queryWords, items, fieldsFor) => items
+  .map(item => ({ ...item, score: scoreFields(queryWords, fieldsFor(item)) }))
+  .filter(item => item.score > 0)
+  .sort((a, b) => b.score - a.score);
+
+// Rewrites misspelled query words to the closest known word ("did you
+// mean"). The news text index has no typo tolerance, so news falls back to
+// the suggestion when the query as typed finds nothing. Returns null when
+// nothing needed correcting.
+const suggestQuery = (queryWords, vocabulary) => {
+  let changed = false;
+  const corrected = queryWords.map(queryWord => {
+    if (vocabulary.has(queryWord)) return queryWord;
+
+    let best = null;
+    let bestDistance = maxEdits(queryWord) + 1;
+    for (const word of vocabulary) {
+      const distance = editDistance(queryWord, word, bestDistance - 1);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+    if (!best) return queryWord;
+    changed = true;
+    return best;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Documents
+
+const loadSpices = async () => {
+  const spices = await Spice.find({ isActive: true })
+    .select('name category basePrice origin icon images qualityGrade description medicinalProperties')
+    .lean();
+  const availability = await availabilityBySpice(spices.map(spice => spice._id));
+
+  return spices.map(spice => {
+    const stock = availability.get(spice._id.toString()) || { availableQuantity: 0, farmers: 0 };
+    return { ...spice, availableQuantity: stock.availableQuantity, farmerCount: stock.farmers, inStock: stock.availableQuantity > 0 };
+  });
+};
+
+const spiceFields = (spice) => [
+  { text: spice.name, weight: 3 },
+  { text: spice.category, weight: 2.5 },
+  { text: spice.origin, weight: 1.5 },
+  { text: spice.qualityGrade, weight: 1 },
+  { text: spice.description, weight: 0.5 },
+  { text: (spice.medicinalProperties || []).join(' '), weight: 0.5 }
+];
+
+// Farmers and regions are only loaded when something about them matches
+// the query, at most CANDIDATE_LIMIT of each, and then ranked in memory.
+const CANDIDATE_LIMIT = 200;
+
+// Matches a field with a word starting like any query word. Only the first
+// letters are required, so a typo later in the word still reaches ranking.
+const candidatePattern = (queryWords) =>
+  new RegExp(`\\b(${queryWords.map(word => escapeRegex(word.slice(0, 3))).join('|')})`, 'i');
+
+// Farmers have no profile of their own yet; where they farm and what they
+// grow come from their harvest plans. Contact details are never exposed.
+// Candidates are farmers whose name matches, or who have a plan on a
+// matching farm or district or for a spice the query names.
+const loadFarmers = async (pattern, spiceIds) => {
+  const plannedBy = await HarvestPlan.find({
+    $or: [{ 'location.farmName': pattern }, { 'location.district': pattern }, { spice: { $in: spiceIds } }]
+  }).select('farmer').limit(CANDIDATE_LIMIT).lean();
+
+  const farmers = await User.find({
+    role: 'farmer',
+    isActive: true,
+    $or: [{ name: pattern }, { _id: { $in: plannedBy.map(plan => plan.farmer) } }]
+  }).select('name').limit(CANDIDATE_LIMIT).lean();
+  const plans = await HarvestPlan.find({ farmer: { $in: farmers.map(farmer => farmer._id) } })
+    .select('farmer spice location')
+    .populate('spice', 'name category')
+    .lean();
+
+  return farmers.map(farmer => {
+    const own = plans.filter(plan => plan.farmer.toString() === farmer._id.toString());
+    const distinct = (values) => [...new Set(values.filter(Boolean))];
+    return {
+      _id: farmer._id,
+      name: farmer.name,
+      farmNames: distinct(own.map(plan => plan.location && plan.location.farmName)),
+      districts: distinct(own.map(plan => plan.location && plan.location.district)),
+      spices: distinct(own.map(plan => plan.spice && plan.spice.name))
+    };
+  });
+};
+
+const farmerFields = (farmer) => [
+  { text: farmer.name, weight: 3 },
+  { text: farmer.farmNames.join(' '), weight: 2 },
+  { text: farmer.districts.join(' '), weight: 1.5 },
+  { text: farmer.spices.join(' '), weight: 1 }
+];
+
+// Growing regions: districts with harvest plans plus the catalogue's
+// origins ("Idukki, Kerala"). Only districts whose name, villages or
+// spices fit the query are summarised, straight from the database.
+const loadRegions = async (spices, pattern, spiceIds) => {
+  const districts = await HarvestPlan.distinct('location.district', {
+    'location.district': { $nin: [null, ''] },
+    $or: [{ 'location.district': pattern }, { 'location.village': pattern }, { spice: { $in: spiceIds } }]
+  });
+  const summaries = await HarvestPlan.aggregate([
+    { $match: { 'location.district': { $in: districts.slice(0, CANDIDATE_LIMIT) } } },
+    {
+      $group: {
+        _id: '$location.district',
+        villages: { $addToSet: '$location.village' },
+        spices: { $addToSet: '$spice' },
+        farmers: { $addToSet: '$farmer' }
+      }
+    }
+  ]);
+  const spiceNames = new Map(spices.map(spice => [spice._id.toString(), spice.name]));
+  const regions = new Map();
+
+  const regionFor = (district, state) => {
+    const key = district.trim().toLowerCase();
+    if (!regions.has(key)) {
+      regions.set(key, { district: district.trim(), state, villages: new Set(), spices: new Set(), farmers: new Set() });
+    }
+    const region = regions.get(key);
+    region.state = region.state || state;
+    return region;
+  };
+
+  for (const spice of spices) {
+    if (!spice.origin) continue;
+    const [district, ...rest] = spice.origin.split(',');
+    regionFor(district, rest.join(',').trim() || undefined).spices.add(spice.name);
+  }
+  for (const summary of summaries) {
+    const region = regionFor(summary._id);
+    summary.villages.filter(Boolean).forEach(village => region.villages.add(village));
+    summary.spices.forEach(spice => spiceNames.has(spice.toString()) && region.spices.add(spiceNames.get(spice.toString())));
+    summary.farmers.forEach(farmer => region.farmers.add(farmer.toString()));
+  }
+
+  return [...regions.values()].map(region => ({
+    district: region.district,
+    state: region.state,
+    villages: [...region.villages],
+    spices: [...region.spices],
+    farmerCount: region.farmers.size
+  }));
+};
+
+const regionFields = (region) => [
+  { text: region.district, weight: 3 },
+  { text: region.villages.join(' '), weight: 1.5 },
+  { text: region.state, weight: 1 },
+  { text: region.spices.join(' '), weight: 1 }
+];
+
+const buildVocabulary = (spices, farmers, regions) => {
+  const texts = [
+    ...spices.flatMap(spice => [spice.name, spice.category, spice.origin]),
+    ...farmers.flatMap(farmer => [farmer.name, ...farmer.farmNames]),
+    ...regions.flatMap(region => [region.district, ...region.villages]),
+    ...Object.keys(SPICE_KEYWORDS),
+    ...Object.values(SPICE_KEYWORDS).flat()
+  ];
+  return new Set(texts.flatMap(tokenize).filter(word => word.length >= 4));
+};
+
+// Facets
+
+// Counts per value, most common first. Computed over every spice matching
+// the query before the facet filters narrow the list, so the counts show
+// what each filter would leave.
+const facetCounts = (spices) => Object.fromEntries(FACET_FIELDS.map(field => {
+  const counts = new Map();
+  for (const spice of spices) {
+    if (spice[field]) counts.set(spice[field], (counts.get(spice[field]) || 0) + 1);
+  }
+  return [field, [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))];
+}));
+
+const matchesFacets = (spice, filters) => FACET_FIELDS.every(field =>
+  !filters[field] || String(spice[field]).toLowerCase() === filters[field].toLowerCase());
+
+// Search
+
+// `types` limits which result sets are built; `filters` are facet values
+// (category, origin, qualityGrade) applied to spices. Each set is paged
+// separately with the same skip/limit.
+const search = async (q, { types = SEARCH_TYPES, filters = {}, skip = 0, limit = 10 } = {}) => {
+  const queryWords = tokenize(q);
+  const spices = await loadSpices();
+  const rankedSpices = rank(queryWords, spices, spiceFields);
+
+  let farmers = [];
+  let regions = [];
+  if (queryWords.length > 0) {
+    const pattern = candidatePattern(queryWords);
+    const spiceIds = spices.filter(spice => pattern.test(spice.name) || pattern.test(spice.category)).map(spice => spice._id);
+    [farmers, regions] = await Promise.all([loadFarmers(pattern, spiceIds), loadRegions(spices, pattern, spiceIds)]);
+  }
+  const suggestion = suggestQuery(queryWords, buildVocabulary(spices, farmers, regions));
+
+  const results = {};
+  const totals = {};
+  const page = (items) => items.slice(skip, skip + limit);
+
+  const facets = facetCounts(rankedSpices);
+
+  if (types.includes('spices')) {
+    const filtered = rankedSpices.filter(spice => matchesFacets(spice, filters));
+    results.spices = page(filtered);
+    totals.spices = filtered.length;
+  }
+  if (types.includes('farmers')) {
+    const ranked = rank(queryWords, farmers, farmerFields);
+    results.farmers = page(ranked);
+    totals.farmers = ranked.length;
+  }
+  if (types.includes('regions')) {
+    const ranked = rank(queryWords, regions, regionFields);
+    results.regions = page(ranked);
+    totals.regions = ranked.length;
+  }
+  if (types.includes('news')) {
+    let { filter, projection, sort } = buildNewsQuery({ search: q });
+    let total = await NewsArticle.countDocuments(filter);
+    if (total === 0 && suggestion) {
+      ({ filter, projection, sort } = buildNewsQuery({ search: suggestion }));
+      total = await NewsArticle.countDocuments(filter);
+    }
+    results.news = total > 0 ? await NewsArticle.find(filter, projection).sort(sort).skip(skip).limit(limit).lean() : [];
+    totals.news = total;
+  }
+
+  return { suggestion, results, totals, facets };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  FACET_FIELDS,
+  scoreFields,
+  suggestQuery,
+  search
+};
@@ -0,0 +1,140 @@
+// Delivery charges by shipping zone, parcel weight and order value
+
+const { ShippingZone } = require('../models');
+const { ApiError } = require('../utils/errors');
+
+// Built-in zones, used for every key an admin has not saved a zone for.
+// Kerala pincodes start 67-69; Karnataka 56-59, Tamil Nadu 60-64 and
+// Andhra Pradesh / Telangana 50-53 make up South India.
+const DEFAULT_SHIPPING_ZONES = [
+  {
+    key: 'kerala_local',
+    name: 'Kerala',
+    pincodePrefixes: ['67', '68', '69'],
+    excludedPrefixes: ['68255'], // Lakshadweep
+    weightSlabs: [{ upToKg: 1, charge: 40 }, { upToKg: 5, charge: 60 }, { upToKg: 10, charge: 90 }],
+    extraPerKg: 8,
+    freeShippingAbove: 1000,
+    isActive: true
+  },
+  {
+    key: 'south_india',
+    name: 'South India',
+    pincodePrefixes: ['50', '51', '52', '53', '56', '57', '58', '59', '60', '61', '62', '63', '64'],
+    excludedPrefixes: [],
+    weightSlabs: [{ upToKg: 1, charge: 80 }, { upToKg: 5, charge: 120 }, { upToKg: 10, charge: 180 }],
+    extraPerKg: 15,
+    freeShippingAbove: 2500,
+    isActive: true
+  },
+  {
+    key: 'rest_of_india',
+    name: 'Rest of India',
+    pincodePrefixes: ['1', '2', '3', '4', '5', '6', '7', '8'],
+    excludedPrefixes: ['744'], // Andaman & Nicobar: no surface courier
+    weightSlabs: [{ upToKg: 1, charge: 120 }, { upToKg: 5, charge: 200 }, { upToKg: 10, charge: 300 }],
+    extraPerKg: 25,
+    freeShippingAbove: 5000,
+    isActive: true
+  }
+];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Built-in zones with saved ones laid over them by key
+const getShippingZones = async () => {
+  const saved = await ShippingZone.find().lean();
+  const byKey = new Map(DEFAULT_SHIPPING_ZONES.map(zone => [zone.key, { ...zone, source: 'default' }]));
+  saved.forEach(zone => byKey.set(zone.key, { ...zone, source: 'saved' }));
+  return [...byKey.values()];
+};
+
+const longestPrefix = (prefixes, pincode) => prefixes
+  .filter(prefix => pincode.startsWith(prefix))
+  .reduce((longest, prefix) => Math.max(longest, prefix.length), 0);
+
+// The zone whose prefix matches the pincode most closely, or null when no
+// zone covers it, an exclusion is more specific, or the zone is switched off
+const findZone = (zones, pincode) => {
+  let best = null;
+  let bestLength = 0;
+  let excludedLength = 0;
+
+  for (const zone of zones) {
+    const length = longestPrefix(zone.pincodePrefixes, pincode);
+    if (length > bestLength) {
+      best = zone;
+      bestLength = length;
+    }
+    excludedLength = Math.max(excludedLength, longestPrefix(zone.excludedPrefixes || [], pincode));
+  }
+
+  if (!best || excludedLength >= bestLength || !best.isActive) return null;
+  return best;
+};
+
+// Pure function: slab charge for the weight, plus extraPerKg for every
+// started kg above the heaviest slab; free once the order value qualifies
+const chargeFor = (zone, weightKg, orderValue) => {
+  if (zone.freeShippingAbove != null && orderValue >= zone.freeShippingAbove) return 0;
+
+  const slabs = [...zone.weightSlabs].sort((a, b) => a.upToKg - b.upToKg);
+  const slab = slabs.find(candidate => weightKg <= candidate.upToKg);
+  if (slab) return slab.charge;
+
+  const heaviest = slabs[slabs.length - 1];
+  return roundMoney(heaviest.charge + Math.ceil(weightKg - heaviest.upToKg) * (zone.extraPerKg || 0));
+};
+
+const normalisePincode = (pincode) => {
+  const code = String(pincode || '').trim();
+  if (!/^\d{6}$/.test(code)) {
+    throw new ApiError(400, 'Pincode must be 6 digits');
+  }
+  return code;
+};
+
+const notServedMessage = (code) => `We do not deliver to pincode ${code} yet`;
+
+// Delivery quote for a parcel; `serviceable` is false for pincodes we do not deliver to
+const quoteDelivery = async ({ pincode, weightKg, orderValue }) => {
+  const code = normalisePincode(pincode);
+
+  const zone = findZone(await getShippingZones(), code);
+  if (!zone) {
+    return { pincode: code, serviceable: false, message: notServedMessage(code) };
+  }
+
+  const charge = chargeFor(zone, weightKg, orderValue);
+  return {
+    pincode: code,
+    serviceable: true,
+    zone: { key: zone.key, name: zone.name },
+    weightKg,
+    charge,
+    freeShippingAbove: zone.freeShippingAbove,
+    amountToFreeShipping: zone.freeShippingAbove != null && charge > 0
+      ? roundMoney(zone.freeShippingAbove - orderValue)
+      : 0
+  };
+};
+
+// Zone for an order's pincode; pincodes we cannot serve are refused here,
+// before any stock is reserved
+const requireShippingZone = async (pincode) => {
+  const code = normalisePincode(pincode);
+  const zone = findZone(await getShippingZones(), code);
+  if (!zone) {
+    throw new ApiError(400, notServedMessage(code), { pincode: code });
+  }
+  return zone;
+};
+
+module.exports = {
+  DEFAULT_SHIPPING_ZONES,
+  getShippingZones,
+  findZone,
+  chargeFor,
+  quoteDelivery,
+  requireShippingZone
+};
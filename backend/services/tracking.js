@@ -0,0 +1,180 @@
+// Live driver locations: route progress, stop ETAs and customer tracking pushes
+
+const { DeliveryRoute, Order } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { emitToUser, getSocketServer } = require('../utils/notifications');
+const { locateWarehouse, distanceKm } = require('./geo');
+
+const AVERAGE_SPEED_KMH = parseFloat(process.env.DELIVERY_AVERAGE_SPEED_KMH) || 30;
+const STOP_MINUTES = parseInt(process.env.DELIVERY_STOP_MINUTES) || 10; // unloading and handover
+const ARRIVAL_RADIUS_KM = 0.3;
+const MAX_PING_AGE_MINUTES = 60; // older fixes (e.g. queued offline) are not worth replaying
+
+const DRIVING_STATUSES = ['assigned', 'in_progress'];
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Validates a ping from the driver app. Pings come over both HTTP and the
+// socket, so this cannot lean on express-validator.
+const normalisePing = (input = {}) => {
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) {
+    throw new ApiError(400, 'lat and lng must be valid coordinates');
+  }
+
+  const now = Date.now();
+  const recordedAt = input.recordedAt ? new Date(input.recordedAt) : new Date(now);
+  if (Number.isNaN(recordedAt.getTime()) || recordedAt.getTime() > now + 60 * 1000) {
+    throw new ApiError(400, 'recordedAt must be a time that has passed');
+  }
+  if (recordedAt.getTime() < now - MAX_PING_AGE_MINUTES * 60 * 1000) {
+    throw new ApiError(400, `Locations older than ${MAX_PING_AGE_MINUTES} minutes are not accepted`);
+  }
+
+  const optional = (value) => (value == null || Number.isNaN(Number(value)) ? undefined : Number(value));
+  return {
+    lat,
+    lng,
+    speedKmh: optional(input.speedKmh),
+    heading: optional(input.heading),
+    accuracy: optional(input.accuracy),
+    recordedAt
+  };
+};
+
+const activeRouteFor = (driverId) => DeliveryRoute.findOne({ driver: driverId, status: { $in: DRIVING_STATUSES } });
+
+const pendingStops = (route) => route.stops
+  .filter(stop => stop.status === 'pending')
+  .sort((a, b) => a.sequence - b.sequence);
+
+// Drives the remaining stops in sequence from the driver's position. Stops
+// the driver has reached keep their arrival time as the ETA.
+const computeEtas = (route, position) => {
+  let clock = position.recordedAt.getTime();
+  let from = position;
+  let remainingKm = 0;
+
+  for (const stop of pendingStops(route)) {
+    if (stop.arrivedAt) {
+      // Still handing over here; the next leg starts once that is done
+      stop.eta = stop.arrivedAt;
+      clock = Math.max(clock, stop.arrivedAt.getTime() + STOP_MINUTES * 60 * 1000);
+      continue;
+    }
+    const km = distanceKm(from, stop.location);
+    remainingKm += km;
+    clock += (km / AVERAGE_SPEED_KMH) * 60 * 60 * 1000;
+    stop.eta = new Date(clock);
+    clock += STOP_MINUTES * 60 * 1000;
+    from = stop.location;
+  }
+
+  const warehouse = locateWarehouse(route.warehouse);
+  if (warehouse) remainingKm += distanceKm(from, warehouse);
+
+  return remainingKm;
+};
+
+const markArrival = (route, ping) => {
+  const next = pendingStops(route).find(stop => !stop.arrivedAt);
+  if (next && distanceKm(ping, next.location) <= ARRIVAL_RADIUS_KM) {
+    next.arrivedAt = ping.recordedAt;
+  }
+};
+
+// What a customer sees of the route carrying their order
+const shipmentView = (route, orderId) => {
+  const stop = route.stops.find(candidate => candidate.orders.some(id => String(id._id || id) === String(orderId)));
+  if (!stop) return null;
+
+  const stopsBefore = pendingStops(route).filter(other => other.sequence < stop.sequence).length;
+  const onTheWay = route.status === 'in_progress' && stop.status === 'pending';
+
+  return {
+    routeCode: route.routeCode,
+    routeStatus: route.status,
+    stopStatus: stop.status,
+    stopsBefore,
+    eta: onTheWay ? stop.eta : undefined,
+    location: onTheWay && route.lastLocation
+      ? { lat: route.lastLocation.lat, lng: route.lastLocation.lng, recordedAt: route.lastLocation.recordedAt }
+      : undefined,
+    progress: route.progress
+  };
+};
+
+const pushUpdates = async (route) => {
+  const io = getSocketServer();
+  if (io) {
+    const payload = {
+      routeId: route._id,
+      routeCode: route.routeCode,
+      location: route.lastLocation,
+      progress: route.progress,
+      stops: route.stops.map(({ sequence, pincode, status, eta, arrivedAt }) => ({ sequence, pincode, status, eta, arrivedAt }))
+    };
+    io.to('role:logistics').to('role:admin').emit('route-location', payload);
+  }
+
+  const orderIds = pendingStops(route).flatMap(stop => stop.orders);
+  const orders = await Order.find({ _id: { $in: orderIds }, orderStatus: 'shipped' }).select('customer orderNumber').lean();
+  for (const order of orders) {
+    emitToUser(order.customer, 'order-tracking', { orderNumber: order.orderNumber, ...shipmentView(route, order._id) });
+  }
+};
+
+// Records a location ping for the driver's current route. The first ping
+// starts the route; each one updates arrival, ETAs and progress and pushes
+// them to staff and to the customers still waiting on the route.
+const recordLocation = async (driverId, input) => {
+  const ping = normalisePing(input);
+
+  const route = await activeRouteFor(driverId);
+  if (!route) {
+    throw new ApiError(409, 'You have no route in progress');
+  }
+
+  // Phones can deliver fixes out of order; keep only newer ones
+  if (route.lastLocation && ping.recordedAt <= route.lastLocation.recordedAt) {
+    return { route, ignored: true };
+  }
+
+  if (route.status === 'assigned') {
+    route.status = 'in_progress';
+    route.startedAt = ping.recordedAt;
+  }
+
+  route.lastLocation = ping;
+  route.track.push(ping);
+  if (route.track.length > DeliveryRoute.MAX_TRACK_POINTS) {
+    route.track.splice(0, route.track.length - DeliveryRoute.MAX_TRACK_POINTS);
+  }
+
+  markArrival(route, ping);
+  const remainingKm = computeEtas(route, ping);
+  route.progress = route.totalDistanceKm > 0
+    ? Math.min(Math.max(Math.round((1 - remainingKm / route.totalDistanceKm) * 100), 0), 100)
+    : 0;
+
+  await route.save();
+  await pushUpdates(route);
+
+  return { route, ignored: false };
+};
+
+// Shipment details for an order on a route, or null before it is dispatched
+const trackOrderShipment = async (order) => {
+  if (!order.deliveryRoute) return null;
+  const route = await DeliveryRoute.findById(order.deliveryRoute).select('-track').lean();
+  return route ? shipmentView(route, order._id) : null;
+};
+
+module.exports = {
+  DRIVING_STATUSES,
+  normalisePing,
+  activeRouteFor,
+  recordLocation,
+  trackOrderShipment
+};
@@ -0,0 +1,195 @@
+// Weather ingestion and crop alert rules
+
+const { HarvestPlan, User, WeatherObservation } = require('../models');
+const { getWeatherProvider } = require('./weatherProvider');
+const { escapeRegex } = require('../utils/query');
+const { sendNotification, emitToUser, sendWhatsAppMessage } = require('../utils/notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const supportedDistricts = () => (process.env.SUPPORTED_DISTRICTS || 'Idukki,Wayanad,Kochi,Trivandrum,Kottayam,Calicut')
+  .split(',')
+  .map(district => district.trim())
+  .filter(Boolean);
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+// Hand-added stages have no activity type; guess it from the name
+const stageActivity = (stage) => {
+  if (stage.activityType) return stage.activityType;
+  const name = stage.stage.toLowerCase();
+  if (/harvest|pick/.test(name)) return 'harvesting';
+  if (/dry|cur|boil|thresh/.test(name)) return 'post_harvest';
+  if (/plant|sow|transplant/.test(name)) return 'planting';
+  if (/fertili[sz]|manure|dressing/.test(name)) return 'fertilizing';
+  if (/spray|pest/.test(name)) return 'pest_control';
+  if (/prun/.test(name)) return 'pruning';
+  return 'maintenance';
+};
+
+// A rule fires when a forecast day matching `matches` falls within
+// `windowHours` of an open stage of one of the listed activities.
+const WEATHER_RULES = [
+  {
+    alertType: 'heavy_rain',
+    severity: 'high',
+    activities: ['harvesting', 'post_harvest'],
+    windowHours: 48,
+    matches: (day) => day.rainfall >= 50 || (day.rainProbability >= 80 && /heavy/i.test(day.conditions || '')),
+    message: (day, stage) => `Heavy rain (${day.rainfall || 0} mm) forecast on ${formatDay(day.date)}, within 48 hours of ${stage.stage}. ` +
+      'Harvest early or cover drying yards.'
+  },
+  {
+    alertType: 'rain',
+    severity: 'medium',
+    activities: ['fertilizing', 'pest_control'],
+    windowHours: 24,
+    matches: (day) => day.rainProbability >= 60,
+    message: (day, stage) => `Rain likely (${day.rainProbability}%) on ${formatDay(day.date)} may wash off ${stage.stage}. Consider rescheduling.`
+  },
+  {
+    alertType: 'high_wind',
+    severity: 'medium',
+    activities: ['harvesting', 'pruning', 'pest_control'],
+    windowHours: 48,
+    matches: (day) => day.windSpeed >= 40,
+    message: (day, stage) => `Strong winds (${day.windSpeed} km/h) forecast on ${formatDay(day.date)} around ${stage.stage}.`
+  },
+  {
+    alertType: 'heat',
+    severity: 'medium',
+    activities: ['planting'],
+    windowHours: 72,
+    matches: (day) => day.maxTemp >= 36,
+    message: (day, stage) => `Heat of ${day.maxTemp}°C forecast on ${formatDay(day.date)} near ${stage.stage}. Irrigate and shade new plants.`
+  }
+];
+
+const withinWindow = (stage, day, windowHours) => {
+  const dayStart = new Date(day.date).getTime();
+  const planned = new Date(stage.plannedDate).getTime();
+  return planned >= dayStart - windowHours * HOUR_MS && planned < dayStart + DAY_MS + windowHours * HOUR_MS;
+};
+
+// Pure function: alerts the forecast raises for a plan's open stages,
+// at most one per rule and stage (the earliest matching day).
+const evaluatePlanAlerts = (plan, forecast, now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const openStages = plan.cropStages.filter(stage => !stage.completed && stage.plannedDate && new Date(stage.plannedDate) >= today);
+  const alerts = [];
+
+  for (const stage of openStages) {
+    const activity = stageActivity(stage);
+    for (const rule of WEATHER_RULES) {
+      if (!rule.activities.includes(activity)) continue;
+
+      const day = forecast.find(candidate => rule.matches(candidate) && withinWindow(stage, candidate, rule.windowHours));
+      if (day) {
+        alerts.push({
+          alertType: rule.alertType,
+          severity: rule.severity,
+          message: rule.message(day, stage),
+          stage: stage._id,
+          forecastDate: day.date
+        });
+      }
+    }
+  }
+
+  return alerts;
+};
+
+const sameAlert = (a, b) => a.alertType === b.alertType &&
+  String(a.stage) === String(b.stage) &&
+  new Date(a.forecastDate).getTime() === new Date(b.forecastDate).getTime();
+
+const notifyFarmer = async (plan, alerts) => {
+  const spiceName = plan.spice && plan.spice.name ? plan.spice.name : 'crop';
+  const summary = alerts.length === 1
+    ? alerts[0].message
+    : `${alerts.length} weather alerts for your ${spiceName} plan. ${alerts[0].message}`;
+
+  await sendNotification(plan.farmer, summary, 'warning');
+  emitToUser(plan.farmer, 'weather-alert', { harvestPlan: plan._id, alerts });
+
+  if (alerts.some(alert => alert.severity === 'high')) {
+    const farmer = await User.findById(plan.farmer).select('phone');
+    if (farmer && farmer.phone) {
+      await sendWhatsAppMessage(farmer.phone, `Farmers 10 weather alert: ${summary}`);
+    }
+  }
+};
+
+// Writes new alerts onto the open plans in a district and notifies only
+// their farmers. Returns how many alerts were added.
+const applyWeatherAlerts = async (district, forecast) => {
+  const plans = await HarvestPlan.find({
+    'location.district': new RegExp(`^${escapeRegex(district)}$`, 'i'),
+    status: { $in: ['planned', 'growing'] }
+  }).populate('spice', 'name');
+
+  let raised = 0;
+
+  for (const plan of plans) {
+    const fresh = evaluatePlanAlerts(plan, forecast)
+      .filter(alert => !plan.weatherAlerts.some(existing => sameAlert(existing, alert)))
+      .map(alert => ({ ...alert, district }));
+
+    if (fresh.length === 0) continue;
+
+    plan.weatherAlerts.push(...fresh);
+    await plan.save();
+    await notifyFarmer(plan, fresh);
+    raised += fresh.length;
+  }
+
+  return raised;
+};
+
+// District-wide headlines stored with the observation
+const heavyRain = WEATHER_RULES.find(rule => rule.alertType === 'heavy_rain');
+
+const districtHeadlines = (forecast) => forecast
+  .filter(day => heavyRain.matches(day))
+  .map(day => `Heavy rain expected on ${formatDay(day.date)}`);
+
+// Fetches every supported district, stores the observation and raises
+// crop alerts. One district failing does not stop the others.
+const ingestWeather = async () => {
+  const provider = getWeatherProvider();
+  const summary = { provider: provider.name, districts: 0, alertsRaised: 0, failed: [] };
+
+  for (const district of supportedDistricts()) {
+    try {
+      const { coordinates, current, forecast } = await provider.fetchForecast(district);
+
+      await WeatherObservation.create({
+        location: { district, coordinates },
+        date: new Date(),
+        ...current,
+        forecast,
+        alerts: districtHeadlines(forecast),
+        source: provider.name
+      });
+
+      summary.alertsRaised += await applyWeatherAlerts(district, forecast);
+      summary.districts += 1;
+    } catch (error) {
+      console.error(`Weather ingestion failed for ${district}:`, error.message);
+      summary.failed.push(district);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  WEATHER_RULES,
+  supportedDistricts,
+  evaluatePlanAlerts,
+  applyWeatherAlerts,
+  ingestWeather
+};
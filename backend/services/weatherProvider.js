@@ -0,0 +1,173 @@
+// Weather provider adapters
+// Both providers expose the same interface so the rest of the code never
+// checks MOCK_WEATHER_API itself:
+//   fetchForecast(district) -> {
+//     coordinates: { lat, lng },
+//     current: { temperature: { min, max, current }, humidity, rainfall, windSpeed, pressure, conditions },
+//     forecast: [{ date, minTemp, maxTemp, conditions, rainProbability, rainfall, windSpeed }]
+//   }
+// Rainfall is mm, wind km/h, temperatures °C; forecast days are midnight local time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Coordinates for the districts in SUPPORTED_DISTRICTS; OpenWeatherMap is
+// queried by position because several Kerala town names are ambiguous.
+const DISTRICT_COORDINATES = {
+  idukki: { lat: 9.8547, lng: 76.8970 },
+  wayanad: { lat: 11.6854, lng: 76.1320 },
+  kochi: { lat: 9.9312, lng: 76.2673 },
+  trivandrum: { lat: 8.5241, lng: 76.9366 },
+  kottayam: { lat: 9.5916, lng: 76.5222 },
+  calicut: { lat: 11.2588, lng: 75.7804 },
+  palakkad: { lat: 10.7867, lng: 76.6548 }
+};
+
+const coordinatesFor = (district) => {
+  const coordinates = DISTRICT_COORDINATES[district.toLowerCase()];
+  if (!coordinates) {
+    throw new Error(`No coordinates configured for district ${district}`);
+  }
+  return coordinates;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const createOpenWeatherProvider = () => {
+  const { WEATHER_API_KEY } = process.env;
+  const baseUrl = 'https://api.openweathermap.org/data/2.5';
+
+  if (!WEATHER_API_KEY) {
+    throw new Error('WEATHER_API_KEY is required unless MOCK_WEATHER_API=true');
+  }
+
+  const getJson = async (path, { lat, lng }) => {
+    const response = await fetch(`${baseUrl}/${path}?lat=${lat}&lon=${lng}&units=metric&appid=${WEATHER_API_KEY}`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`OpenWeatherMap ${path} failed with ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // The free 5 day forecast comes in 3 hour slots; fold them into days
+  const dailyForecast = (slots) => {
+    const days = new Map();
+    for (const slot of slots) {
+      const key = startOfDay(slot.dt * 1000).getTime();
+      const day = days.get(key) || { minTemp: Infinity, maxTemp: -Infinity, rainfall: 0, windSpeed: 0, rainProbability: 0, conditions: [] };
+      day.minTemp = Math.min(day.minTemp, slot.main.temp_min);
+      day.maxTemp = Math.max(day.maxTemp, slot.main.temp_max);
+      day.rainfall += (slot.rain && slot.rain['3h']) || 0;
+      day.windSpeed = Math.max(day.windSpeed, slot.wind.speed * 3.6);
+      day.rainProbability = Math.max(day.rainProbability, (slot.pop || 0) * 100);
+      day.conditions.push(slot.weather[0].description);
+      days.set(key, day);
+    }
+
+    return [...days.entries()].map(([key, day]) => ({
+      date: new Date(key),
+      minTemp: round1(day.minTemp),
+      maxTemp: round1(day.maxTemp),
+      rainfall: round1(day.rainfall),
+      windSpeed: round1(day.windSpeed),
+      rainProbability: Math.round(day.rainProbability),
+      // Most frequent description of the day
+      conditions: day.conditions.sort((a, b) =>
+        day.conditions.filter(c => c === b).length - day.conditions.filter(c => c === a).length)[0]
+    }));
+  };
+
+  return {
+    name: 'OpenWeatherMap',
+
+    async fetchForecast(district) {
+      const coordinates = coordinatesFor(district);
+      const [current, forecast] = await Promise.all([
+        getJson('weather', coordinates),
+        getJson('forecast', coordinates)
+      ]);
+
+      return {
+        coordinates,
+        current: {
+          temperature: { min: current.main.temp_min, max: current.main.temp_max, current: current.main.temp },
+          humidity: current.main.humidity,
+          rainfall: (current.rain && (current.rain['1h'] || current.rain['3h'])) || 0,
+          windSpeed: round1(current.wind.speed * 3.6),
+          pressure: current.main.pressure,
+          conditions: current.weather[0].description
+        },
+        forecast: dailyForecast(forecast.list)
+      };
+    }
+  };
+};
+
+// Offline stand-in for development and tests. Each district has a fixed
+// five day pattern starting today; Idukki gets a monsoon burst on day two
+// so the alert rules have something to fire on. Tests can replace a
+// district's days with setFixture().
+const FIXTURE_PATTERNS = {
+  default: [
+    { minTemp: 23, maxTemp: 31, conditions: 'Partly cloudy', rainProbability: 20, rainfall: 0, windSpeed: 12 },
+    { minTemp: 23, maxTemp: 32, conditions: 'Sunny', rainProbability: 10, rainfall: 0, windSpeed: 10 },
+    { minTemp: 22, maxTemp: 30, conditions: 'Light rain', rainProbability: 60, rainfall: 8, windSpeed: 15 },
+    { minTemp: 22, maxTemp: 29, conditions: 'Cloudy', rainProbability: 40, rainfall: 2, windSpeed: 14 },
+    { minTemp: 23, maxTemp: 31, conditions: 'Partly cloudy', rainProbability: 20, rainfall: 0, windSpeed: 11 }
+  ],
+  idukki: [
+    { minTemp: 18, maxTemp: 27, conditions: 'Cloudy', rainProbability: 50, rainfall: 6, windSpeed: 14 },
+    { minTemp: 17, maxTemp: 25, conditions: 'Heavy rain', rainProbability: 90, rainfall: 72, windSpeed: 38 },
+    { minTemp: 17, maxTemp: 24, conditions: 'Heavy rain', rainProbability: 85, rainfall: 55, windSpeed: 42 },
+    { minTemp: 18, maxTemp: 26, conditions: 'Light rain', rainProbability: 60, rainfall: 9, windSpeed: 18 },
+    { minTemp: 18, maxTemp: 27, conditions: 'Partly cloudy', rainProbability: 30, rainfall: 1, windSpeed: 12 }
+  ]
+};
+
+const fixtureOverrides = {};
+
+const setFixture = (district, days) => {
+  fixtureOverrides[district.toLowerCase()] = days;
+};
+
+const createFixtureProvider = () => ({
+  name: 'fixture',
+
+  async fetchForecast(district) {
+    const key = district.toLowerCase();
+    const days = fixtureOverrides[key] || FIXTURE_PATTERNS[key] || FIXTURE_PATTERNS.default;
+    const today = startOfDay(new Date());
+
+    return {
+      coordinates: DISTRICT_COORDINATES[key],
+      current: {
+        temperature: { min: days[0].minTemp, max: days[0].maxTemp, current: round1((days[0].minTemp + days[0].maxTemp) / 2) },
+        humidity: 75,
+        rainfall: days[0].rainfall,
+        windSpeed: days[0].windSpeed,
+        pressure: 1010,
+        conditions: days[0].conditions
+      },
+      forecast: days.map((day, index) => ({ ...day, date: new Date(today.getTime() + index * DAY_MS) }))
+    };
+  }
+});
+
+let provider = null;
+
+const getWeatherProvider = () => {
+  if (!provider) {
+    provider = process.env.MOCK_WEATHER_API === 'true' ? createFixtureProvider() : createOpenWeatherProvider();
+  }
+  return provider;
+};
+
+module.exports = { getWeatherProvider, setFixture, DISTRICT_COORDINATES };
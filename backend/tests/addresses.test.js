@@ -0,0 +1,134 @@
+jest.mock('../utils/notifications');
+jest.mock('../services/orders', () => ({
+  ...jest.requireActual('../services/orders'),
+  reserveOrderItems: jest.fn()
+}));
+jest.mock('../services/cart', () => ({
+  ...jest.requireActual('../services/cart'),
+  cartOrderItems: jest.fn(),
+  clearCart: jest.fn()
+}));
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: mockUserId, role: 'customer' };
+    next();
+  }
+}));
+
+const mockUserId = '64b000000000000000000005';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Order, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { reserveOrderItems } = require('../services/orders');
+const { cartOrderItems, clearCart } = require('../services/cart');
+const addressRoutes = require('../routes/addresses');
+const orderRoutes = require('../routes/orders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/addresses', addressRoutes);
+app.use('/api/orders', orderRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+const home = { label: 'Home', name: 'Asha', phone: '+919800000001', address: '12 MG Road', city: 'Kochi', state: 'Kerala', pincode: '682001' };
+const office = { ...home, label: 'Office', address: '4 Marine Drive', pincode: '682031' };
+
+// The signed-in customer with `addresses` in their address book
+const stubAccount = (addresses = []) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', role: 'customer', passwordHash: 'x', addresses });
+  user._id = new mongoose.Types.ObjectId(mockUserId);
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  return user;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('address book', () => {
+  test('the first address becomes the default, and marking another moves it', async () => {
+    const user = stubAccount();
+
+    const first = await request(app).post('/api/addresses').send(home);
+    expect(first.status).toBe(201);
+    expect(first.body.address.isDefault).toBe(true);
+
+    await request(app).post('/api/addresses').send({ ...office, isDefault: true });
+    expect(user.addresses.map(address => [address.label, address.isDefault])).toEqual([['Home', false], ['Office', true]]);
+  });
+
+  test('deleting the default hands it to the next address', async () => {
+    const user = stubAccount([{ ...home, isDefault: true }, office]);
+
+    const res = await request(app).delete(`/api/addresses/${user.addresses[0]._id}`);
+
+    expect(res.status).toBe(200);
+    expect(user.addresses).toHaveLength(1);
+    expect(user.addresses[0]).toMatchObject({ label: 'Office', isDefault: true });
+  });
+
+  test('edits keep the fields left out, and bad pincodes are refused', async () => {
+    const user = stubAccount([{ ...home, isDefault: true }]);
+    const addressId = user.addresses[0]._id;
+
+    await request(app).put(`/api/addresses/${addressId}`).send({ address: '14 MG Road' });
+    expect(user.addresses[0]).toMatchObject({ address: '14 MG Road', city: 'Kochi', isDefault: true });
+
+    expect((await request(app).put(`/api/addresses/${addressId}`).send({ pincode: '6820' })).status).toBe(400);
+    expect((await request(app).put(`/api/addresses/${new mongoose.Types.ObjectId()}`).send({ city: 'Kollam' })).status).toBe(404);
+  });
+
+  test('the address book has a limit', async () => {
+    stubAccount(Array.from({ length: User.MAX_ADDRESSES }, () => home));
+
+    expect((await request(app).post('/api/addresses').send(office)).status).toBe(400);
+  });
+});
+
+describe('POST /api/orders with a saved address and the saved cart', () => {
+  const pricing = { items: [], totalAmount: 1300, deliveryCharges: 0, finalAmount: 1300 };
+
+  beforeEach(() => {
+    reserveOrderItems.mockResolvedValue(pricing);
+    jest.spyOn(Order, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  test('copies the saved address onto the order and empties the cart', async () => {
+    const user = stubAccount([{ ...home, isDefault: true }]);
+    const items = [{ spiceId: new mongoose.Types.ObjectId().toString(), quantity: 2 }];
+    cartOrderItems.mockResolvedValue(items);
+
+    const res = await request(app).post('/api/orders').send({ addressId: user.addresses[0]._id.toString(), fromCart: true, paymentMethod: 'cod' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.deliveryAddress).toEqual({
+      name: 'Asha', phone: '+919800000001', address: '12 MG Road', city: 'Kochi', state: 'Kerala', pincode: '682001'
+    });
+    expect(reserveOrderItems).toHaveBeenCalledWith(items, '682001');
+    expect(clearCart).toHaveBeenCalledWith(mockUserId);
+  });
+
+  test('an unknown address id is refused before any stock is reserved', async () => {
+    stubAccount([home]);
+
+    const res = await request(app).post('/api/orders')
+      .send({ addressId: new mongoose.Types.ObjectId().toString(), items: [{ spiceId: new mongoose.Types.ObjectId().toString(), quantity: 1 }] });
+
+    expect(res.status).toBe(404);
+    expect(reserveOrderItems).not.toHaveBeenCalled();
+  });
+
+  test('without a saved address the delivery address is still required', async () => {
+    const res = await request(app).post('/api/orders').send({ items: [{ spiceId: new mongoose.Types.ObjectId().toString(), quantity: 1 }] });
+
+    expect(res.status).toBe(400);
+  });
+});
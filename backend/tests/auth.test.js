@@ -0,0 +1,159 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { JWT_SECRET } = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// A query that can be awaited directly or after .select()
+const query = (value) => ({
+  select: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const makeUser = async (fields = {}) => {
+  const user = new User({
+    name: 'Meera',
+    email: 'meera@example.com',
+    role: 'farmer',
+    passwordHash: await User.hashPassword('pepper-vine-42'),
+    sessions: [],
+    ...fields
+  });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Stores `user` so every lookup by email, id or session finds it
+const stubAccount = (user) => {
+  jest.spyOn(User, 'findOne').mockImplementation(() => query(user));
+  jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+};
+
+const login = (password = 'pepper-vine-42') => request(app).post('/api/auth/login').send({ email: 'Meera@Example.com', password });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/register', () => {
+  test('creates a customer account with a hashed password and signs it in', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    let created;
+    jest.spyOn(User, 'create').mockImplementation(async (fields) => {
+      created = new User(fields);
+      jest.spyOn(created, 'save').mockResolvedValue(created);
+      return created;
+    });
+
+    const res = await request(app).post('/api/auth/register')
+      .send({ name: 'Ravi', email: 'Ravi@Example.com', password: 'cardamom-hills' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'ravi@example.com', role: 'customer' });
+    expect(res.body.user.passwordHash).toBeUndefined();
+    expect(await created.comparePassword('cardamom-hills')).toBe(true);
+    expect(jwt.verify(res.body.token, JWT_SECRET)).toMatchObject({ userId: created._id.toString(), sid: created.sessions[0].sessionId });
+    expect(created.sessions[0].refreshTokenHash).toBe(User.hashToken(res.body.refreshToken.split('.')[1]));
+  });
+
+  test('admin and logistics accounts cannot be self-registered', async () => {
+    const create = jest.spyOn(User, 'create');
+
+    const res = await request(app).post('/api/auth/register')
+      .send({ name: 'Eve', email: 'eve@example.com', password: 'longenough', role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('an email can only be registered once', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'existing' });
+
+    const res = await request(app).post('/api/auth/register')
+      .send({ name: 'Ravi', email: 'ravi@example.com', password: 'cardamom-hills' });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('signs in with the right password and refuses a wrong one', async () => {
+    const user = await makeUser();
+    stubAccount(user);
+
+    const ok = await login();
+    expect(ok.status).toBe(200);
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'meera@example.com' });
+    expect(user.sessions).toHaveLength(1);
+
+    const wrong = await login('pepper-vine-43');
+    expect(wrong.status).toBe(401);
+    expect(user.sessions).toHaveLength(1);
+  });
+
+  test('disabled accounts cannot sign in', async () => {
+    stubAccount(await makeUser({ isActive: false }));
+
+    expect((await login()).status).toBe(403);
+  });
+});
+
+describe('sessions', () => {
+  test('protected routes read the user from the stored account, not the token', async () => {
+    const user = await makeUser();
+    stubAccount(user);
+    const { token } = (await login()).body;
+    user.role = 'customer';
+
+    const res = await request(app).get('/api/auth/validate').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: user._id.toString(), role: 'customer' });
+  });
+
+  test('refresh rotates the token, and replaying the old one revokes the session', async () => {
+    const user = await makeUser();
+    stubAccount(user);
+    const { refreshToken, token } = (await login()).body;
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refreshToken).not.toBe(refreshToken);
+
+    const replayed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(replayed.status).toBe(401);
+    expect(user.sessions[0].revokedAt).toBeInstanceOf(Date);
+
+    const res = await request(app).get('/api/auth/validate').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+
+  test('logging out revokes the access token of that session', async () => {
+    const user = await makeUser();
+    stubAccount(user);
+    const { token } = (await login()).body;
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).send({});
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+  });
+
+  test('there is no way to sign in by naming a role', async () => {
+    const create = jest.spyOn(User, 'create');
+
+    expect((await request(app).post('/api/auth/demo-login').send({ role: 'admin' })).status).toBe(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('requests without a token are refused', async () => {
+    expect((await request(app).get('/api/auth/profile')).status).toBe(401);
+  });
+});
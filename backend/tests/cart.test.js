@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { Cart, InventoryLot, Spice, User } = require('../models');
+const { addItem, getCart, mergeGuestCart, cartOrderItems } = require('../services/cart');
+
+const userId = new mongoose.Types.ObjectId();
+
+const pepper = () => new Spice({
+  name: 'Pepper',
+  category: 'pepper',
+  basePrice: 600,
+  variants: [
+    { weightGrams: 250, sku: 'PEP-1-250G', price: 170 },
+    { weightGrams: 500, sku: 'PEP-1-500G', price: 320 }
+  ]
+});
+
+// Serves `cart` from Cart.findOne and `spice` from the catalogue, with 10 kg free
+const stubStore = (cart, spice) => {
+  jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+  jest.spyOn(cart, 'save').mockResolvedValue(cart);
+  jest.spyOn(Spice, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(spice) });
+  jest.spyOn(Spice, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([spice.toObject()]) }) });
+  jest.spyOn(InventoryLot, 'find').mockReturnValue({ select: () => ({ populate: () => ({ lean: () => Promise.resolve([]) }) }) });
+  jest.spyOn(InventoryLot, 'aggregate').mockResolvedValue([{ _id: spice._id, availableQuantity: 10, lots: 1, farmers: [] }]);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('addItem', () => {
+  test('adds a pack size as its own line, priced per pack', async () => {
+    const spice = pepper();
+    const [small] = spice.variants;
+    const cart = new Cart({ user: userId, items: [] });
+    stubStore(cart, spice);
+
+    const priced = await addItem(userId, { spiceId: spice._id, variantId: small._id, quantity: 2 });
+
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].variant).toEqual(small._id);
+    expect(cart.items[0].priceSeen).toBe(170);
+    expect(priced.items[0]).toMatchObject({ quantity: 2, unitPrice: 170, lineTotal: 340, weightKg: 0.5, available: 40 });
+    expect(priced.subtotal).toBe(340);
+  });
+
+  test('adding the same pack again tops up its line; another pack size gets a new one', async () => {
+    const spice = pepper();
+    const [small, large] = spice.variants;
+    const cart = new Cart({ user: userId, items: [] });
+    stubStore(cart, spice);
+
+    await addItem(userId, { spiceId: spice._id, variantId: small._id, quantity: 1 });
+    await addItem(userId, { spiceId: spice._id, variantId: small._id, quantity: 2 });
+    await addItem(userId, { spiceId: spice._id, variantId: large._id, quantity: 1 });
+    await addItem(userId, { spiceId: spice._id, quantity: 1.5 });
+
+    expect(cart.items.map(item => [item.variant && item.variant.toString(), item.quantity])).toEqual([
+      [small._id.toString(), 3],
+      [large._id.toString(), 1],
+      [undefined, 1.5]
+    ]);
+  });
+
+  test('refuses a pack size the spice does not sell', async () => {
+    const spice = pepper();
+    const cart = new Cart({ user: userId, items: [] });
+    stubStore(cart, spice);
+
+    await expect(addItem(userId, { spiceId: spice._id, variantId: new mongoose.Types.ObjectId(), quantity: 1 }))
+      .rejects.toMatchObject({ status: 404 });
+    expect(cart.items).toHaveLength(0);
+  });
+});
+
+describe('getCart', () => {
+  test('re-prices every read, reporting a price change once and short stock each time', async () => {
+    const spice = pepper();
+    spice.basePrice = 650;
+    const cart = new Cart({ user: userId, items: [{ spice: spice._id, quantity: 12, priceSeen: 600 }] });
+    cart.isNew = false;
+    stubStore(cart, spice);
+
+    const first = await getCart(userId);
+    expect(first.items[0]).toMatchObject({ unitPrice: 650, lineTotal: 7800, available: 10 });
+    expect(first.items[0].issues).toEqual([
+      { type: 'insufficient_stock', available: 10 },
+      { type: 'price_changed', from: 600, to: 650 }
+    ]);
+    expect(first.canCheckout).toBe(false);
+    expect(cart.save).toHaveBeenCalledTimes(1);
+
+    cart.items[0].quantity = 8;
+    const second = await getCart(userId);
+    expect(second.items[0].issues).toEqual([]);
+    expect(second.canCheckout).toBe(true);
+  });
+
+  test('deactivated spices are unavailable and leave the totals', async () => {
+    const spice = pepper();
+    spice.isActive = false;
+    stubStore(new Cart({ user: userId, items: [{ spice: spice._id, quantity: 1, priceSeen: 600 }] }), spice);
+
+    const priced = await getCart(userId);
+
+    expect(priced.items[0]).toMatchObject({ unitPrice: null, lineTotal: 0, issues: [{ type: 'unavailable' }] });
+    expect(priced).toMatchObject({ subtotal: 0, weightKg: 0, canCheckout: false });
+  });
+});
+
+describe('mergeGuestCart', () => {
+  test('keeps the larger quantity of lines in both carts and skips what cannot be bought', async () => {
+    const spice = pepper();
+    const cart = new Cart({ user: userId, items: [{ spice: spice._id, quantity: 2, priceSeen: 600 }] });
+    stubStore(cart, spice);
+    Spice.findOne.mockImplementation(({ _id }) => ({ select: jest.fn().mockResolvedValue(_id.equals(spice._id) ? spice : null) }));
+
+    const merged = await mergeGuestCart(userId, [
+      { spiceId: spice._id, quantity: 1.5 },
+      { spiceId: spice._id, variantId: spice.variants[0]._id, quantity: 2 },
+      { spiceId: new mongoose.Types.ObjectId(), quantity: 1 }
+    ]);
+
+    expect(merged.skipped).toBe(1);
+    expect(cart.items.map(item => item.quantity)).toEqual([2, 2]);
+    expect(cart.save).toHaveBeenCalled();
+  });
+});
+
+describe('cartOrderItems', () => {
+  test('turns the saved cart into order item requests', async () => {
+    const lotId = new mongoose.Types.ObjectId();
+    const spiceId = new mongoose.Types.ObjectId();
+    const variantId = new mongoose.Types.ObjectId();
+    jest.spyOn(Cart, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve({ items: [{ spice: spiceId, inventoryLot: lotId, quantity: 5 }, { spice: spiceId, variant: variantId, quantity: 2 }] })
+    });
+
+    expect(await cartOrderItems(userId)).toEqual([
+      { inventoryId: lotId, quantity: 5 },
+      { spiceId, variantId, quantity: 2 }
+    ]);
+  });
+
+  test('an empty cart cannot be checked out', async () => {
+    jest.spyOn(Cart, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+
+    await expect(cartOrderItems(userId)).rejects.toMatchObject({ status: 400, message: 'Your cart is empty' });
+  });
+});
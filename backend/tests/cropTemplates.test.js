@@ -0,0 +1,155 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '64b000000000000000000009', role: 'admin' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { CropStageTemplate, HarvestPlan, Spice } = require('../models');
+const { sendNotification } = require('../utils/notifications');
+const { DEFAULT_STAGE_TEMPLATES, getActiveTemplate, generateStages, syncPlanStages } = require('../services/cropTemplates');
+const cropTemplateRoutes = require('../routes/cropTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const planting = new Date('2026-06-01T00:00:00Z');
+const daysAfterPlanting = (stage) => Math.round((stage.plannedDate - planting) / DAY_MS);
+
+const template = {
+  category: 'turmeric',
+  version: 3,
+  stages: [
+    { stage: 'Nursery beds', activityType: 'planting', offsetDays: -14 },
+    { stage: 'Planting', activityType: 'planting', offsetDays: 0 },
+    { stage: 'Earthing up', activityType: 'weeding', offsetDays: 10 },
+    { stage: 'Harvest', activityType: 'harvesting', offsetDays: 240 }
+  ],
+  districtShifts: [{ district: 'Wayanad', shiftDays: 14 }, { district: 'Kochi', shiftDays: -20 }]
+};
+
+const findLatest = (saved) => ({ sort: () => ({ lean: () => Promise.resolve(saved) }) });
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('generateStages', () => {
+  test('dates each stage from planting, in order', () => {
+    const stages = generateStages(template, planting);
+
+    expect(stages.map(daysAfterPlanting)).toEqual([-14, 0, 10, 240]);
+    expect(stages.every(stage => stage.fromTemplate && !stage.completed)).toBe(true);
+  });
+
+  test('a district shift moves the stages after planting, never before it', () => {
+    expect(generateStages(template, planting, ' wayanad ').map(daysAfterPlanting)).toEqual([-14, 0, 24, 254]);
+    expect(generateStages(template, planting, 'Kochi').map(daysAfterPlanting)).toEqual([-14, 0, 0, 220]);
+  });
+});
+
+describe('getActiveTemplate', () => {
+  test('prefers the category\'s saved template, then the saved default, then the built-in one', async () => {
+    const savedDefault = { category: 'default', version: 2, stages: [] };
+    jest.spyOn(CropStageTemplate, 'findOne').mockImplementation(({ category }) => findLatest(category === 'default' ? savedDefault : null));
+
+    expect(await getActiveTemplate('Turmeric')).toBe(savedDefault);
+
+    CropStageTemplate.findOne.mockImplementation(() => findLatest(null));
+    expect(await getActiveTemplate('pepper')).toMatchObject({ category: 'pepper', version: 0, stages: DEFAULT_STAGE_TEMPLATES.pepper.stages });
+    expect(await getActiveTemplate('saffron')).toMatchObject({ category: 'default', version: 0 });
+  });
+});
+
+describe('syncPlanStages', () => {
+  test('regenerates open template stages and keeps done or hand-added ones', () => {
+    const plan = new HarvestPlan({
+      farmer: new mongoose.Types.ObjectId(),
+      spice: new mongoose.Types.ObjectId(),
+      plantingDate: planting,
+      status: 'growing',
+      stageTemplate: { category: 'turmeric', version: 2 },
+      cropStages: [
+        { stage: 'Planting', plannedDate: planting, completed: true, fromTemplate: true },
+        { stage: 'Earthing up', plannedDate: new Date(planting.getTime() + 5 * DAY_MS), fromTemplate: true },
+        { stage: 'Soil test', plannedDate: new Date(planting.getTime() + 3 * DAY_MS) }
+      ]
+    });
+
+    syncPlanStages(plan, template);
+
+    expect(plan.cropStages.map(stage => [stage.stage, daysAfterPlanting(stage)])).toEqual([
+      ['Nursery beds', -14],
+      ['Planting', 0],
+      ['Soil test', 3],
+      ['Earthing up', 10],
+      ['Harvest', 240]
+    ]);
+    expect(plan.stageTemplate).toMatchObject({ category: 'turmeric', version: 3 });
+  });
+
+  test('harvested plans and plans without a planting date are refused', () => {
+    const plan = new HarvestPlan({ farmer: new mongoose.Types.ObjectId(), spice: new mongoose.Types.ObjectId(), status: 'growing' });
+    expect(() => syncPlanStages(plan, template)).toThrow(expect.objectContaining({ status: 400 }));
+
+    plan.status = 'harvested';
+    expect(() => syncPlanStages(plan, template)).toThrow(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('PUT /api/crop-templates/:category', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/crop-templates', cropTemplateRoutes);
+
+  const farmers = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const stages = [{ stage: 'Harvest', activityType: 'harvesting', offsetDays: 200 }];
+
+  beforeEach(() => {
+    jest.spyOn(CropStageTemplate, 'findOne').mockReturnValue({ sort: () => Promise.resolve({ version: 1 }) });
+    jest.spyOn(CropStageTemplate, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(HarvestPlan, 'distinct').mockResolvedValue(farmers);
+  });
+
+  test('saves the next version and tells farmers on that category and on the default it replaces', async () => {
+    const spiceIds = [new mongoose.Types.ObjectId()];
+    jest.spyOn(Spice, 'distinct').mockResolvedValue(spiceIds);
+
+    const res = await request(app).put('/api/crop-templates/Turmeric').send({ stages });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ template: { category: 'turmeric', version: 2 }, farmersNotified: 2 });
+    expect(Spice.distinct).toHaveBeenCalledWith('_id', { category: 'turmeric' });
+    expect(HarvestPlan.distinct).toHaveBeenCalledWith('farmer', {
+      $or: [
+        { 'stageTemplate.category': 'turmeric' },
+        { 'stageTemplate.category': 'default', spice: { $in: spiceIds } }
+      ],
+      status: { $ne: 'harvested' }
+    });
+    expect(sendNotification).toHaveBeenCalledTimes(2);
+  });
+
+  test('editing the default also reaches plans whose category has no template of its own', async () => {
+    jest.spyOn(CropStageTemplate, 'distinct').mockResolvedValue(['default', 'pepper']);
+
+    await request(app).put('/api/crop-templates/default').send({ stages });
+
+    expect(HarvestPlan.distinct).toHaveBeenCalledWith('farmer', {
+      'stageTemplate.category': { $exists: true, $nin: ['pepper'] },
+      status: { $ne: 'harvested' }
+    });
+    expect(sendNotification).toHaveBeenCalledWith(farmers[0], expect.stringContaining('default crop schedule'), 'info');
+  });
+
+  test('refuses stages with an unknown activity', async () => {
+    const res = await request(app).put('/api/crop-templates/turmeric').send({ stages: [{ stage: 'Dance', activityType: 'dancing', offsetDays: 3 }] });
+
+    expect(res.status).toBe(400);
+    expect(CropStageTemplate.create).not.toHaveBeenCalled();
+  });
+});
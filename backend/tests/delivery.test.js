@@ -0,0 +1,73 @@
+jest.mock('../utils/notifications');
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Order } = require('../models');
+const { verifyOtp } = require('../services/delivery');
+
+// An order out for delivery whose customer was sent `otp`
+const makeOrder = (otp, fields = {}) => {
+  const order = new Order({ customer: new mongoose.Types.ObjectId(), orderStatus: 'shipped', ...fields });
+  order.proofOfDelivery.required = true;
+  order.proofOfDelivery.otpHash = crypto.createHash('sha256').update(`${order._id}:${otp}`).digest('hex');
+  order.proofOfDelivery.otpSentAt = new Date();
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyOtp', () => {
+  test('accepts the code the customer was sent', async () => {
+    const order = makeOrder('042817');
+
+    await verifyOtp(order, '042817');
+
+    expect(order.proofOfDelivery.otpVerifiedAt).toBeInstanceOf(Date);
+    expect(order.proofOfDelivery.otpAttempts).toBe(0);
+  });
+
+  test('a wrong code is refused and counted', async () => {
+    const order = makeOrder('042817');
+
+    await expect(verifyOtp(order, '042818')).rejects.toMatchObject({ status: 400, details: { attemptsLeft: 4 } });
+
+    expect(order.proofOfDelivery.otpAttempts).toBe(1);
+    expect(order.proofOfDelivery.otpVerifiedAt).toBeUndefined();
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test('a missing code counts as a wrong one', async () => {
+    const order = makeOrder('042817');
+
+    await expect(verifyOtp(order, undefined)).rejects.toMatchObject({ status: 400 });
+    expect(order.proofOfDelivery.otpAttempts).toBe(1);
+  });
+
+  test('a code is tied to its order', async () => {
+    const order = makeOrder('042817');
+    const other = makeOrder('111111');
+    order.proofOfDelivery.otpHash = other.proofOfDelivery.otpHash;
+
+    await expect(verifyOtp(order, '111111')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('locks after five wrong codes, even for the right one', async () => {
+    const order = makeOrder('042817');
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(verifyOtp(order, '000000')).rejects.toMatchObject({ status: 400 });
+    }
+
+    await expect(verifyOtp(order, '042817')).rejects.toMatchObject({ status: 429 });
+    expect(order.proofOfDelivery.otpVerifiedAt).toBeUndefined();
+  });
+
+  test('refuses when no code has been sent', async () => {
+    const order = makeOrder('042817');
+    order.proofOfDelivery.otpHash = undefined;
+
+    await expect(verifyOtp(order, '042817')).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,181 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+let mockUser;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { GradingRuleSet, HarvestPlan, InventoryLot, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification } = require('../utils/notifications');
+const { BELOW_STANDARD, DEFAULT_GRADING_RULES, assessQuality, gradeLot } = require('../services/grading');
+const gradingRoutes = require('../routes/grading');
+const inventoryRoutes = require('../routes/inventory');
+
+const pepperRules = { category: 'pepper', version: 0, grades: DEFAULT_GRADING_RULES.pepper };
+
+const noSavedRules = () => jest.spyOn(GradingRuleSet, 'findOne').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(null) }) });
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('assessQuality', () => {
+  test('gives the best grade whose every threshold is met', () => {
+    expect(assessQuality({ moisture: 10.5, purity: 98.5, foreignMatter: 0.2 }, pepperRules).grade).toBe('Premium');
+    // Premium purity but Grade A moisture
+    expect(assessQuality({ moisture: 11.8, purity: 99, foreignMatter: 0.2 }, pepperRules).grade).toBe('Grade A');
+    expect(assessQuality({ moisture: 13, purity: 94, foreignMatter: 2 }, pepperRules)).toEqual({ grade: 'Grade B', meetsMinimum: true, failedChecks: [] });
+  });
+
+  test('below the lowest grade, lists what failed against the minimum', () => {
+    expect(assessQuality({ moisture: 14, purity: 93, foreignMatter: 1 }, pepperRules)).toEqual({
+      grade: BELOW_STANDARD,
+      meetsMinimum: false,
+      failedChecks: ['moisture 14% > 13%', 'purity 93% < 94%']
+    });
+  });
+});
+
+describe('gradeLot', () => {
+  test('uses the latest saved rules and records the version in the grade history', async () => {
+    const saved = { category: 'pepper', version: 4, grades: [{ grade: 'Export', maxMoisture: 12, minPurity: 97, maxForeignMatter: 1 }] };
+    jest.spyOn(GradingRuleSet, 'findOne').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(saved) }) });
+    const lot = new InventoryLot({ qualityMetrics: { moisture: 11, purity: 98, foreignMatter: 0.5 } });
+
+    await gradeLot(lot, 'Pepper', { id: new mongoose.Types.ObjectId().toString() }, 'Re-tested');
+
+    expect(lot.qualityGrade).toBe('Export');
+    expect(lot.gradeAssessment).toMatchObject({ computedGrade: 'Export', ruleCategory: 'pepper', ruleVersion: 4, meetsMinimum: true });
+    expect(lot.flaggedForRejection).toBe(false);
+    expect(lot.gradeHistory[0]).toMatchObject({ grade: 'Export', source: 'computed', ruleVersion: 4, notes: 'Re-tested' });
+  });
+
+  test('categories without rules of their own fall back to the default rules', async () => {
+    noSavedRules();
+    const lot = new InventoryLot({ qualityMetrics: { moisture: 20, purity: 90, foreignMatter: 5 } });
+
+    await gradeLot(lot, 'saffron');
+
+    expect(lot.gradeAssessment).toMatchObject({ ruleCategory: 'default', ruleVersion: 0, meetsMinimum: false });
+    expect(lot.flaggedForRejection).toBe(true);
+  });
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/grading', gradingRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+describe('PUT /api/grading/:category', () => {
+  const grades = [{ grade: 'Export', maxMoisture: 12, minPurity: 97, maxForeignMatter: 1 }];
+
+  beforeEach(() => {
+    mockUser = { id: '64b000000000000000000009', role: 'admin' };
+    jest.spyOn(GradingRuleSet, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  test('saves the rules as the next version of that category', async () => {
+    jest.spyOn(GradingRuleSet, 'findOne').mockReturnValue({ sort: () => Promise.resolve({ version: 2 }) });
+
+    const res = await request(app).put('/api/grading/Pepper').send({ grades, notes: 'Export contract' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.ruleSet).toMatchObject({ category: 'pepper', version: 3, createdBy: mockUser.id });
+    expect(GradingRuleSet.findOne).toHaveBeenCalledWith({ category: 'pepper' });
+  });
+
+  test('the first saved rules for a category are version 1', async () => {
+    jest.spyOn(GradingRuleSet, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+
+    const res = await request(app).put('/api/grading/turmeric').send({ grades });
+
+    expect(res.body.ruleSet.version).toBe(1);
+  });
+
+  test('thresholds must be percentages and only admins may save', async () => {
+    const bad = await request(app).put('/api/grading/pepper').send({ grades: [{ ...grades[0], minPurity: 140 }] });
+    expect(bad.status).toBe(400);
+
+    mockUser = { id: '64b000000000000000000002', role: 'farmer' };
+    expect((await request(app).put('/api/grading/pepper').send({ grades })).status).toBe(403);
+    expect(GradingRuleSet.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/inventory', () => {
+
+  const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 });
+  const plan = new HarvestPlan({
+    farmer: '64b000000000000000000002',
+    spice: spice._id,
+    cropYear: '2025-26',
+    expectedHarvestDate: new Date('2026-01-15'),
+    location: { farmName: 'Hill Estate', district: 'Idukki' }
+  });
+  const submission = (metrics, fields = {}) => ({
+    spice: spice._id.toString(),
+    harvestPlan: plan._id.toString(),
+    quantity: 40,
+    pricePerKg: 640,
+    qualityGrade: 'Premium',
+    qualityMetrics: metrics,
+    ...fields
+  });
+
+  beforeEach(() => {
+    mockUser = { id: '64b000000000000000000002', role: 'farmer', name: 'Meera' };
+    noSavedRules();
+    jest.spyOn(Spice, 'findById').mockResolvedValue(spice);
+    jest.spyOn(HarvestPlan, 'findOne').mockResolvedValue(plan);
+    jest.spyOn(InventoryLot.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  });
+
+  test('grades the lot from its metrics, whatever grade the farmer typed', async () => {
+    const res = await request(app).post('/api/inventory').send(submission({ moisture: 12.5, purity: 95, foreignMatter: 1.5 }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.grading).toEqual({ grade: 'Grade B', meetsMinimum: true, failedChecks: [] });
+    expect(res.body.inventory).toMatchObject({ qualityGrade: 'Grade B', status: 'pending_approval', adminApproved: false });
+    expect(res.body.inventory.gradeHistory[0].notes).toBe('Graded on submission (farmer declared Premium)');
+    expect(res.body.inventory.provenance).toMatchObject({ farmName: 'Hill Estate', cropYear: '2025-26' });
+    expect(sendNotification).toHaveBeenCalledWith('role:admin', expect.stringContaining('graded Grade B'), 'info');
+  });
+
+  test('lots below standard are accepted but flagged for the admins', async () => {
+    const res = await request(app).post('/api/inventory').send(submission({ moisture: 15, purity: 95, foreignMatter: 1 }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.inventory.flaggedForRejection).toBe(true);
+    expect(sendNotification).toHaveBeenCalledWith('role:admin', expect.stringContaining('below standard'), 'warning');
+  });
+
+  test('lab metrics are required', async () => {
+    const res = await request(app).post('/api/inventory').send(submission({ moisture: 11 }));
+
+    expect(res.status).toBe(400);
+    expect(InventoryLot.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('the harvest plan must be for the same spice', async () => {
+    const cardamom = new Spice({ name: 'Cardamom', category: 'cardamom', basePrice: 2200 });
+    Spice.findById.mockResolvedValue(cardamom);
+
+    const res = await request(app).post('/api/inventory')
+      .send(submission({ moisture: 11, purity: 98, foreignMatter: 0.5 }, { spice: cardamom._id.toString() }));
+
+    expect(res.status).toBe(400);
+    expect(InventoryLot.prototype.save).not.toHaveBeenCalled();
+  });
+});
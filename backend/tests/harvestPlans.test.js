@@ -0,0 +1,228 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+let mockUser;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { HarvestPlan, InventoryLot, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { buildPlanFilter, transitionPlan, setStageCompletion } = require('../services/harvestPlans');
+const harvestCalendarRoutes = require('../routes/harvestCalendar');
+
+const app = express();
+app.use(express.json());
+app.use('/api/harvest-calendar', harvestCalendarRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message, details: error.details });
+});
+
+const farmer = { id: new mongoose.Types.ObjectId().toString(), role: 'farmer', name: 'Meera' };
+const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 });
+
+const makePlan = (fields = {}) => {
+  const plan = new HarvestPlan({
+    farmer: farmer.id,
+    spice: spice._id,
+    expectedHarvestDate: new Date('2026-01-15'),
+    estimatedYield: 400,
+    status: 'planned',
+    cropStages: [
+      { stage: 'Planting', plannedDate: new Date('2025-06-01') },
+      { stage: 'Harvest', activityType: 'harvesting', plannedDate: new Date('2026-01-15') }
+    ],
+    ...fields
+  });
+  jest.spyOn(plan, 'save').mockResolvedValue(plan);
+  return plan;
+};
+
+// Stores `plan` so the scoped lookup finds it
+const stubPlan = (plan) => jest.spyOn(HarvestPlan, 'findOne').mockResolvedValue(plan);
+
+beforeEach(() => {
+  mockUser = farmer;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildPlanFilter', () => {
+  test('year and month narrow the expected harvest date to that window', async () => {
+    const filter = await buildPlanFilter({ year: '2026', month: '2' }, { farmer: farmer.id });
+
+    expect(filter).toEqual({
+      farmer: farmer.id,
+      expectedHarvestDate: { $gte: new Date(2026, 1, 1), $lt: new Date(2026, 2, 1) }
+    });
+  });
+
+  test('a month alone matches that month in any year', async () => {
+    expect(await buildPlanFilter({ month: '12' }, {})).toEqual({ $expr: { $eq: [{ $month: '$expectedHarvestDate' }, 12] } });
+  });
+
+  test('spice may be an id or part of a name', async () => {
+    expect((await buildPlanFilter({ spice: spice._id.toString() }, {})).spice).toBe(spice._id.toString());
+
+    const matches = [{ _id: spice._id }];
+    jest.spyOn(Spice, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(matches) }) });
+
+    expect((await buildPlanFilter({ spice: 'pep' }, {})).spice).toEqual({ $in: [spice._id] });
+    expect(Spice.find).toHaveBeenCalledWith({ name: /pep/i });
+  });
+
+  test('refuses months and years out of range', async () => {
+    await expect(buildPlanFilter({ month: '13' }, {})).rejects.toMatchObject({ status: 400 });
+    await expect(buildPlanFilter({ year: 'soon' }, {})).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('transitionPlan', () => {
+  test('harvesting records the yield and completes the harvest stage', () => {
+    const plan = makePlan({ status: 'growing' });
+    const harvestedOn = new Date('2026-01-20');
+
+    transitionPlan(plan, 'harvested', { actualYield: 380, actualHarvestDate: harvestedOn });
+
+    expect(plan).toMatchObject({ status: 'harvested', actualYield: 380, actualHarvestDate: harvestedOn });
+    expect(plan.cropStages[1]).toMatchObject({ completed: true, completedDate: harvestedOn });
+    expect(plan.cropStages[0].completed).toBe(false);
+  });
+
+  test('a harvest needs its yield, and plans never move backwards', () => {
+    expect(() => transitionPlan(makePlan({ status: 'growing' }), 'harvested')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => transitionPlan(makePlan({ status: 'harvested' }), 'growing')).toThrow(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('setStageCompletion', () => {
+  test('completing a stage of a planned crop starts it growing; reopening clears the date', () => {
+    const plan = makePlan();
+    const stage = plan.cropStages[0];
+
+    setStageCompletion(plan, stage._id, { completedDate: new Date('2025-06-03'), notes: 'Rooted cuttings' });
+    expect(stage).toMatchObject({ completed: true, completedDate: new Date('2025-06-03'), notes: 'Rooted cuttings' });
+    expect(plan.status).toBe('growing');
+
+    setStageCompletion(plan, stage._id, { completed: false });
+    expect(stage.completed).toBe(false);
+    expect(stage.completedDate).toBeUndefined();
+    expect(stage.notes).toBe('Rooted cuttings');
+  });
+
+  test('unknown stages are a 404', () => {
+    expect(() => setStageCompletion(makePlan(), new mongoose.Types.ObjectId(), {})).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('harvest calendar routes', () => {
+  beforeEach(() => {
+    jest.spyOn(Spice, 'findById').mockReturnValue({ select: () => Promise.resolve(spice) });
+  });
+
+  test('GET lists only the farmer\'s own plans, filtered by the query', async () => {
+    const chain = { populate: () => chain, sort: () => chain, lean: () => Promise.resolve([]) };
+    jest.spyOn(HarvestPlan, 'find').mockReturnValue(chain);
+
+    const res = await request(app).get('/api/harvest-calendar?year=2026&status=growing');
+
+    expect(res.status).toBe(200);
+    expect(HarvestPlan.find).toHaveBeenCalledWith({
+      farmer: farmer.id,
+      expectedHarvestDate: { $gte: new Date(2026, 0, 1), $lt: new Date(2027, 0, 1) },
+      status: 'growing'
+    });
+  });
+
+  test('POST saves the plan for the signed-in farmer and ignores yield and farmer fields', async () => {
+    jest.spyOn(HarvestPlan, 'create').mockImplementation(async (fields) => fields);
+
+    const res = await request(app).post('/api/harvest-calendar').send({
+      spice: spice._id.toString(),
+      expectedHarvestDate: '2026-01-15',
+      estimatedYield: 400,
+      actualYield: 9999,
+      farmer: new mongoose.Types.ObjectId().toString(),
+      cropStages: [{ stage: 'Planting', plannedDate: '2025-06-01' }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.harvestPlan).toMatchObject({ farmer: farmer.id, status: 'planned', estimatedYield: 400 });
+    expect(res.body.harvestPlan.actualYield).toBeUndefined();
+  });
+
+  test('PUT keeps the completion of stages sent back with their id', async () => {
+    const plan = makePlan();
+    plan.cropStages[0].completed = true;
+    stubPlan(plan);
+
+    const res = await request(app).put(`/api/harvest-calendar/${plan._id}`).send({
+      estimatedYield: 450,
+      cropStages: [{ _id: plan.cropStages[0]._id.toString(), stage: 'Planting out' }, { stage: 'Pruning' }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(plan.estimatedYield).toBe(450);
+    expect(plan.cropStages.map(stage => [stage.stage, stage.completed])).toEqual([['Planting out', true], ['Pruning', false]]);
+    expect(HarvestPlan.findOne).toHaveBeenCalledWith({ _id: plan._id.toString(), farmer: farmer.id });
+  });
+
+  test('harvested plans cannot be edited', async () => {
+    const plan = makePlan({ status: 'harvested' });
+    stubPlan(plan);
+
+    expect((await request(app).put(`/api/harvest-calendar/${plan._id}`).send({ estimatedYield: 1 })).status).toBe(409);
+    expect(plan.save).not.toHaveBeenCalled();
+  });
+
+  test('DELETE is refused once lots were submitted against the plan', async () => {
+    const plan = makePlan();
+    stubPlan(plan);
+    const deleteOne = jest.spyOn(plan, 'deleteOne').mockResolvedValue(plan);
+    jest.spyOn(InventoryLot, 'exists').mockResolvedValue({ _id: 'lot' });
+
+    expect((await request(app).delete(`/api/harvest-calendar/${plan._id}`)).status).toBe(409);
+
+    InventoryLot.exists.mockResolvedValue(null);
+    expect((await request(app).delete(`/api/harvest-calendar/${plan._id}`)).status).toBe(200);
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('PUT /:id/status records the yield at harvest', async () => {
+    const plan = makePlan({ status: 'growing' });
+    stubPlan(plan);
+
+    const missing = await request(app).put(`/api/harvest-calendar/${plan._id}/status`).send({ status: 'harvested' });
+    expect(missing.status).toBe(400);
+
+    const res = await request(app).put(`/api/harvest-calendar/${plan._id}/status`).send({ status: 'harvested', actualYield: 380 });
+    expect(res.status).toBe(200);
+    expect(plan).toMatchObject({ status: 'harvested', actualYield: 380 });
+    expect(plan.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('PUT /:id/stages/:stageId marks a stage done', async () => {
+    const plan = makePlan();
+    stubPlan(plan);
+
+    const res = await request(app).put(`/api/harvest-calendar/${plan._id}/stages/${plan.cropStages[0]._id}`)
+      .send({ completed: true, completedDate: '2025-06-03' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Planting marked complete');
+    expect(plan.status).toBe('growing');
+  });
+
+  test('other farmers\' plans are not found', async () => {
+    stubPlan(null);
+
+    expect((await request(app).put(`/api/harvest-calendar/${new mongoose.Types.ObjectId()}/status`).send({ status: 'growing' })).status).toBe(404);
+  });
+});
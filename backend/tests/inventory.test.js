@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { InventoryLot } = require('../models');
+const { roundQty, availableQuantity, reserveSpice, releaseAllocations } = require('../services/inventory');
+
+const makeLot = (quantity, reservedQuantity = 0) => ({ _id: new mongoose.Types.ObjectId(), quantity, reservedQuantity });
+
+// Stands in for the conditional update: succeeds only while the lot has the free stock
+const stubReservations = (lots) => jest.spyOn(InventoryLot, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  const lot = lots.find(candidate => candidate._id.equals(filter._id));
+  const quantity = update.$inc.reservedQuantity;
+  if (!lot || availableQuantity(lot) < quantity) return null;
+  lot.reservedQuantity = roundQty(lot.reservedQuantity + quantity);
+  return lot;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('stock quantities', () => {
+  test('roundQty keeps whole grams', () => {
+    expect(roundQty(0.1 + 0.2)).toBe(0.3);
+    expect(roundQty(1.23456)).toBe(1.235);
+  });
+
+  test('available stock is what is held minus what is promised', () => {
+    expect(availableQuantity({ quantity: 10, reservedQuantity: 3.5 })).toBe(6.5);
+    expect(availableQuantity({ quantity: 10 })).toBe(10);
+  });
+});
+
+describe('reserveSpice', () => {
+  test('fills from the lots in the order they come, oldest harvest first', async () => {
+    const lots = [makeLot(2, 1), makeLot(5)];
+    jest.spyOn(InventoryLot, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(lots) });
+    stubReservations(lots);
+
+    const allocations = await reserveSpice(new mongoose.Types.ObjectId(), 3);
+
+    expect(allocations.map(({ lot, quantity }) => [lot._id, quantity])).toEqual([[lots[0]._id, 1], [lots[1]._id, 2]]);
+    expect(lots.map(lot => lot.reservedQuantity)).toEqual([2, 2]);
+  });
+
+  test('skips a lot taken by a concurrent order since it was read', async () => {
+    const lots = [makeLot(2), makeLot(5)];
+    jest.spyOn(InventoryLot, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(lots.map(lot => ({ ...lot }))) });
+    lots[0].reservedQuantity = 2;
+    stubReservations(lots);
+
+    const allocations = await reserveSpice(new mongoose.Types.ObjectId(), 3);
+
+    expect(allocations).toEqual([{ lot: lots[1], quantity: 3 }]);
+  });
+
+  test('holds nothing when there is not enough free stock', async () => {
+    const lots = [makeLot(1), makeLot(1.5)];
+    jest.spyOn(InventoryLot, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(lots) });
+    stubReservations(lots);
+    const release = jest.spyOn(InventoryLot, 'updateOne').mockImplementation(async (filter, update) => {
+      const lot = lots.find(candidate => candidate._id.equals(filter._id));
+      lot.reservedQuantity = roundQty(lot.reservedQuantity + update.$inc.reservedQuantity);
+    });
+
+    expect(await reserveSpice(new mongoose.Types.ObjectId(), 3)).toBeNull();
+    expect(release).toHaveBeenCalledTimes(2);
+    expect(lots.map(lot => lot.reservedQuantity)).toEqual([0, 0]);
+  });
+});
+
+describe('releaseAllocations', () => {
+  test('gives back each line\'s quantity to its lot and skips lines without one', async () => {
+    const lotId = new mongoose.Types.ObjectId();
+    const release = jest.spyOn(InventoryLot, 'updateOne').mockResolvedValue({});
+
+    await releaseAllocations([{ inventoryLot: { _id: lotId }, quantity: 1.5 }, { quantity: 2 }]);
+
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledWith(
+      { _id: lotId, reservedQuantity: { $gte: 1.5 } },
+      { $inc: { reservedQuantity: -1.5 } }
+    );
+  });
+});
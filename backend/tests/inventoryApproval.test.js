@@ -0,0 +1,147 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+let mockUser;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { InventoryLot, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification, emitToUser } = require('../utils/notifications');
+const inventoryRoutes = require('../routes/inventory');
+
+const app = express();
+app.use(express.json());
+app.use('/api/inventory', inventoryRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message, details: error.details });
+});
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin', name: 'Admin' };
+const farmer = { id: new mongoose.Types.ObjectId().toString(), role: 'farmer', name: 'Meera' };
+
+const pendingLot = (fields = {}) => {
+  const lot = new InventoryLot({
+    spice: new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 }),
+    farmer: farmer.id,
+    quantity: 50,
+    pricePerKg: 620,
+    qualityGrade: 'Grade A',
+    qualityMetrics: { moisture: 11.5, purity: 97, foreignMatter: 0.8 },
+    status: 'pending_approval',
+    adminApproved: false,
+    ...fields
+  });
+  jest.spyOn(lot, 'save').mockResolvedValue(lot);
+  jest.spyOn(InventoryLot, 'findById').mockReturnValue({ populate: () => Promise.resolve(lot) });
+  return lot;
+};
+
+beforeEach(() => {
+  mockUser = admin;
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/inventory/:id/approve', () => {
+  test('puts the lot on sale and tells the farmer', async () => {
+    const lot = pendingLot();
+
+    const res = await request(app).post(`/api/inventory/${lot._id}/approve`).send({});
+
+    expect(res.status).toBe(200);
+    expect(lot).toMatchObject({ status: 'available', adminApproved: true });
+    expect(lot.review).toMatchObject({ decision: 'approved', reviewedBy: new mongoose.Types.ObjectId(admin.id) });
+    expect(sendNotification).toHaveBeenCalledWith(lot.farmer, 'Your Pepper lot was approved and is now on sale', 'success');
+    expect(emitToUser).toHaveBeenCalledWith(lot.farmer, 'inventory-update', expect.objectContaining({ status: 'available' }));
+  });
+
+  test('keeps what the farmer submitted when the admin changes grade or price', async () => {
+    const lot = pendingLot();
+
+    await request(app).post(`/api/inventory/${lot._id}/approve`).send({ qualityGrade: 'Grade B', pricePerKg: 580, notes: 'Uneven berries' });
+
+    expect(lot).toMatchObject({ qualityGrade: 'Grade B', pricePerKg: 580 });
+    expect(lot.review.submitted).toEqual({ qualityGrade: 'Grade A', pricePerKg: 620 });
+    expect(lot.gradeHistory[lot.gradeHistory.length - 1]).toMatchObject({ grade: 'Grade B', source: 'admin', notes: 'Uneven berries' });
+    expect(sendNotification).toHaveBeenCalledWith(lot.farmer, expect.stringContaining('as Grade B at ₹580/kg'), 'success');
+  });
+
+  test('lots flagged below standard need an explicit override', async () => {
+    const lot = pendingLot({ flaggedForRejection: true, gradeAssessment: { failedChecks: ['moisture 15% > 13%'] } });
+
+    const refused = await request(app).post(`/api/inventory/${lot._id}/approve`).send({});
+    expect(refused.status).toBe(409);
+    expect(refused.body.details).toEqual({ failedChecks: ['moisture 15% > 13%'] });
+    expect(lot.save).not.toHaveBeenCalled();
+
+    const overridden = await request(app).post(`/api/inventory/${lot._id}/approve`).send({ overrideFlag: true });
+    expect(overridden.status).toBe(200);
+    expect(lot.status).toBe('available');
+  });
+
+  test('a lot can only be reviewed once', async () => {
+    const lot = pendingLot({ status: 'available', adminApproved: true });
+
+    expect((await request(app).post(`/api/inventory/${lot._id}/approve`).send({})).status).toBe(409);
+  });
+
+  test('farmers cannot approve lots', async () => {
+    mockUser = farmer;
+    const lot = pendingLot();
+
+    expect((await request(app).post(`/api/inventory/${lot._id}/approve`).send({})).status).toBe(403);
+    expect(lot.status).toBe('pending_approval');
+  });
+});
+
+describe('POST /api/inventory/:id/reject', () => {
+  test('needs a reason, which the farmer is told', async () => {
+    const lot = pendingLot();
+
+    expect((await request(app).post(`/api/inventory/${lot._id}/reject`).send({})).status).toBe(400);
+
+    const res = await request(app).post(`/api/inventory/${lot._id}/reject`).send({ reason: 'Mould on sample' });
+    expect(res.status).toBe(200);
+    expect(lot).toMatchObject({ status: 'rejected', adminApproved: false });
+    expect(lot.review).toMatchObject({ decision: 'rejected', reason: 'Mould on sample' });
+    expect(sendNotification).toHaveBeenCalledWith(lot.farmer, 'Your Pepper lot was rejected: Mould on sample', 'warning');
+  });
+});
+
+describe('GET /api/inventory/review', () => {
+  const stubQueue = (lots) => {
+    const chain = { populate: () => chain, sort: jest.fn(() => chain), skip: () => chain, limit: () => chain, lean: () => Promise.resolve(lots) };
+    jest.spyOn(InventoryLot, 'find').mockReturnValue(chain);
+    jest.spyOn(InventoryLot, 'countDocuments').mockResolvedValue(lots.length);
+    return chain;
+  };
+
+  test('lists pending lots with flagged ones first', async () => {
+    const chain = stubQueue([{ _id: 'a' }]);
+
+    const res = await request(app).get('/api/inventory/review');
+
+    expect(res.body.pagination).toMatchObject({ total: 1 });
+    expect(InventoryLot.find).toHaveBeenCalledWith({ status: 'pending_approval' });
+    expect(chain.sort).toHaveBeenCalledWith({ flaggedForRejection: -1, createdAt: 1 });
+  });
+
+  test('?flagged= narrows the queue to one group', async () => {
+    stubQueue([]);
+
+    await request(app).get('/api/inventory/review?flagged=false');
+
+    expect(InventoryLot.find).toHaveBeenCalledWith({ status: 'pending_approval', flaggedForRejection: false });
+  });
+});
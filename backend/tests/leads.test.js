@@ -0,0 +1,24 @@
+const { VOLUME_TIERS, volumeDiscount } = require('../services/leads');
+
+describe('quote volume tiers', () => {
+  test('tiers start at 0 kg and rise with quantity', () => {
+    expect(VOLUME_TIERS[0]).toEqual({ minKg: 0, discountPercent: 0 });
+    VOLUME_TIERS.slice(1).forEach((tier, index) => {
+      expect(tier.minKg).toBeGreaterThan(VOLUME_TIERS[index].minKg);
+      expect(tier.discountPercent).toBeGreaterThan(VOLUME_TIERS[index].discountPercent);
+    });
+  });
+
+  test.each([
+    [0.5, 0],
+    [5.999, 0],
+    [6, 2],
+    [15.9, 2],
+    [16, 5],
+    [49.99, 5],
+    [50, 8],
+    [1000, 8]
+  ])('%p kg per line gets %p%%', (quantity, discountPercent) => {
+    expect(volumeDiscount(quantity)).toBe(discountPercent);
+  });
+});
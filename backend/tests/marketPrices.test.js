@@ -0,0 +1,237 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '64b000000000000000000009', role: 'admin' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { PriceObservation, Spice } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { broadcast } = require('../utils/notifications');
+const {
+  isMarketOpen,
+  tradingDay,
+  registerPriceSource,
+  recordObservations,
+  ingestPrices,
+  parseBulletin,
+  priceHistory,
+  latestPrices
+} = require('../services/marketPrices');
+const marketPriceRoutes = require('../routes/marketPrices');
+
+const app = express();
+app.use(express.json());
+app.use('/api/market-prices', marketPriceRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+const pepper = { _id: new mongoose.Types.ObjectId(), name: 'Black Pepper', category: 'pepper' };
+const cardamom = { _id: new mongoose.Types.ObjectId(), name: 'Cardamom', category: 'cardamom' };
+
+const stubCatalogue = () => jest.spyOn(Spice, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([pepper, cardamom]) }) });
+
+// Trading hours for the test; `null` restores the defaults
+const setTradingHours = (start, end) => {
+  for (const [name, hour] of [['TRADING_START_HOUR', start], ['TRADING_END_HOUR', end]]) {
+    if (hour === null) delete process.env[name];
+    else process.env[name] = String(hour);
+  }
+};
+
+afterEach(() => {
+  setTradingHours(null, null);
+  delete process.env.PRICE_SOURCES;
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('trading hours', () => {
+  test('are read in IST, start inclusive and end exclusive', () => {
+    expect(isMarketOpen(new Date('2026-03-10T03:30:00Z'))).toBe(true); // 09:00 IST
+    expect(isMarketOpen(new Date('2026-03-10T03:29:00Z'))).toBe(false);
+    expect(isMarketOpen(new Date('2026-03-10T12:30:00Z'))).toBe(false); // 18:00 IST
+
+    setTradingHours(0, 6);
+    expect(isMarketOpen(new Date('2026-03-09T18:30:00Z'))).toBe(true); // midnight IST
+  });
+
+  test('trading days follow the Indian calendar', () => {
+    expect(tradingDay(new Date('2026-03-09T19:00:00Z'))).toBe('2026-03-10');
+  });
+});
+
+describe('parseBulletin', () => {
+  test('converts quintal prices to per kg and stamps rows without a time at the close', async () => {
+    stubCatalogue();
+
+    const { rows, errors } = await parseBulletin([
+      'Date,Spice,Market,Price,Unit,Volume,Time',
+      '10/03/2026,pepper,Kochi,"65,400",quintal,12,',
+      '2026-03-10,Cardamom,Bodinayakanur,2450,kg,800,11:15'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { spice: pepper._id, market: 'Kochi', price: 654, volume: 1200, observedAt: new Date('2026-03-10T12:29:00Z') },
+      { spice: cardamom._id, market: 'Bodinayakanur', price: 2450, volume: 800, observedAt: new Date('2026-03-10T05:45:00Z') }
+    ]);
+  });
+
+  test('reports bad rows by line and keeps the good ones', async () => {
+    stubCatalogue();
+
+    const { rows, errors } = await parseBulletin([
+      'date,spice,market,price',
+      '31/02/2026,pepper,Kochi,650',
+      '2026-03-10,saffron,Kochi,900',
+      '2026-03-10,pepper,Kochi,-1',
+      '2026-03-10,pepper,Idukki,640'
+    ].join('\n'));
+
+    expect(rows).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 2, error: 'invalid date "31/02/2026"' },
+      { line: 3, error: 'unknown spice "saffron"' },
+      { line: 4, error: 'invalid price "-1"' }
+    ]);
+  });
+
+  test('files without the required columns are refused', async () => {
+    await expect(parseBulletin('date,spice,price\n2026-03-10,pepper,650')).rejects.toMatchObject({ status: 400, message: 'Missing CSV columns: market' });
+  });
+});
+
+describe('recordObservations', () => {
+  test('counts prices already stored as duplicates instead of failing', async () => {
+    const rows = [{ price: 650 }, { price: 651 }];
+    jest.spyOn(PriceObservation, 'insertMany').mockRejectedValue(
+      Object.assign(new Error('E11000'), { writeErrors: [{ code: 11000 }], insertedDocs: [rows[1]] }));
+
+    expect(await recordObservations(rows, { source: 'manual' })).toEqual({ inserted: 1, duplicates: 1 });
+    expect(PriceObservation.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ price: 650, source: 'manual' }),
+      expect.objectContaining({ price: 651, source: 'manual' })
+    ], { ordered: false });
+  });
+
+  test('other write errors still fail', async () => {
+    jest.spyOn(PriceObservation, 'insertMany').mockRejectedValue(Object.assign(new Error('bad'), { writeErrors: [{ code: 121 }] }));
+
+    await expect(recordObservations([{ price: 650 }])).rejects.toThrow('bad');
+  });
+});
+
+describe('ingestPrices', () => {
+  test('fetches nothing outside trading hours', async () => {
+    setTradingHours(0, 0);
+    const fetchPrices = jest.fn();
+    registerPriceSource('fixture', { fetchPrices });
+    process.env.PRICE_SOURCES = 'fixture';
+
+    expect(await ingestPrices()).toEqual({ skipped: true, reason: 'Outside trading hours' });
+    expect(fetchPrices).not.toHaveBeenCalled();
+  });
+
+  test('runs every configured source, carries on past a failing one, and announces new prices', async () => {
+    setTradingHours(0, 24);
+    registerPriceSource('fixture', { fetchPrices: async () => [{ spice: pepper._id, market: 'Kochi', price: 650, observedAt: new Date() }] });
+    registerPriceSource('broken', { fetchPrices: async () => { throw new Error('feed down'); } });
+    process.env.PRICE_SOURCES = 'broken, fixture, unknown';
+    jest.spyOn(PriceObservation, 'insertMany').mockImplementation(async (docs) => docs);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await ingestPrices()).toEqual({ inserted: 1, duplicates: 0, failed: ['broken'] });
+    expect(PriceObservation.insertMany.mock.calls[0][0][0].source).toBe('fixture');
+    expect(broadcast).toHaveBeenCalledWith('price-update', { message: 'Market prices updated', observations: 1 });
+  });
+});
+
+describe('priceHistory', () => {
+  test('groups candles by market', async () => {
+    const day = (date) => new Date(`${date}T00:00:00+05:30`);
+    jest.spyOn(PriceObservation, 'aggregate').mockResolvedValue([
+      { _id: { market: 'Idukki', period: day('2026-03-09') }, open: 640, high: 652, low: 638, close: 650, volume: 300, observations: 4 },
+      { _id: { market: 'Kochi', period: day('2026-03-09') }, open: 645, high: 655, low: 645, close: 655, volume: 90, observations: 2 },
+      { _id: { market: 'Kochi', period: day('2026-03-10') }, open: 655, high: 660, low: 650, close: 651, volume: 60, observations: 3 }
+    ]);
+
+    const series = await priceHistory(pepper._id.toString(), { interval: 'week', from: '2026-03-01' });
+
+    expect(series.map(({ market, candles }) => [market, candles.map(candle => candle.close)])).toEqual([['Idukki', [650]], ['Kochi', [655, 651]]]);
+    const [match, , group] = PriceObservation.aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ spice: pepper._id, observedAt: { $gte: new Date('2026-03-01') } });
+    expect(group.$group._id.period.$dateTrunc).toMatchObject({ unit: 'week', timezone: 'Asia/Kolkata', startOfWeek: 'monday' });
+  });
+
+  test('only day, week and month intervals exist', async () => {
+    await expect(priceHistory(pepper._id.toString(), { interval: 'hour' })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('latestPrices', () => {
+  test('computes the change against the previous trading day\'s close', async () => {
+    jest.spyOn(PriceObservation, 'aggregate')
+      .mockResolvedValueOnce([{
+        _id: { spice: pepper._id, market: 'Kochi' },
+        latestPrice: 663,
+        observedAt: new Date('2026-03-10T06:00:00Z'),
+        spiceInfo: [pepper]
+      }])
+      .mockResolvedValueOnce([{ volume: 420 }]);
+    jest.spyOn(PriceObservation, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: () => Promise.resolve({ price: 650 }) }) }) });
+
+    const [row] = await latestPrices();
+
+    expect(row).toMatchObject({ latestPrice: 663, previousClose: 650, priceChangeAmount: 13, priceChange: 2, volume: 420 });
+    const closeQuery = PriceObservation.findOne.mock.calls[0][0];
+    expect(closeQuery.observedAt).toEqual({ $lt: new Date('2026-03-10T00:00:00+05:30') });
+    expect(closeQuery.$expr).toBeDefined();
+  });
+
+  test('a first day of trading shows no change', async () => {
+    jest.spyOn(PriceObservation, 'aggregate')
+      .mockResolvedValueOnce([{ _id: { spice: pepper._id, market: 'Kochi' }, latestPrice: 663, observedAt: new Date(), spiceInfo: [pepper] }])
+      .mockResolvedValueOnce([]);
+    jest.spyOn(PriceObservation, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: () => Promise.resolve(null) }) }) });
+
+    expect((await latestPrices())[0]).toMatchObject({ previousClose: null, priceChange: 0, volume: 0 });
+  });
+});
+
+describe('market price routes', () => {
+  test('GET /history needs a known spice', async () => {
+    expect((await request(app).get('/api/market-prices/history?spice=pepper')).status).toBe(400);
+
+    jest.spyOn(Spice, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+    expect((await request(app).get(`/api/market-prices/history?spice=${pepper._id}`)).status).toBe(404);
+  });
+
+  test('POST /upload stores the good rows of a bulletin and lists the bad ones', async () => {
+    stubCatalogue();
+    jest.spyOn(PriceObservation, 'insertMany').mockImplementation(async (docs) => docs);
+
+    const res = await request(app).post('/api/market-prices/upload')
+      .attach('file', Buffer.from('date,spice,market,price\n2026-03-10,pepper,Kochi,650\n2026-03-10,saffron,Kochi,900\n'), 'bulletin.csv');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ inserted: 1, duplicates: 0, errors: [{ line: 3, error: 'unknown spice "saffron"' }] });
+    expect(PriceObservation.insertMany.mock.calls[0][0][0]).toMatchObject({
+      source: 'spice_board_csv',
+      sourceRef: 'bulletin.csv',
+      recordedBy: '64b000000000000000000009'
+    });
+  });
+
+  test('POST /upload only takes CSV files', async () => {
+    const res = await request(app).post('/api/market-prices/upload').attach('file', Buffer.from('%PDF'), 'bulletin.pdf');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,226 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '64b000000000000000000009', role: 'admin' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { NewsArticle } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { broadcast } = require('../utils/notifications');
+const { tagArticle, normaliseUrl, titleTokens, titleSimilarity, storeArticles, ingestNews, buildNewsQuery } = require('../services/news');
+const { parseFeedXml } = require('../services/newsSources');
+const newsRoutes = require('../routes/news');
+
+const app = express();
+app.use(express.json());
+app.use('/api/news', newsRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+// An empty news store that accepts whatever is created
+const stubEmptyStore = () => {
+  jest.spyOn(NewsArticle, 'exists').mockResolvedValue(null);
+  jest.spyOn(NewsArticle, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+  jest.spyOn(NewsArticle, 'create').mockImplementation(async (fields) => fields);
+};
+
+afterEach(() => {
+  delete process.env.MOCK_NEWS_API;
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('tagArticle', () => {
+  test('tags category, spices, impact and sentiment from keywords', () => {
+    expect(tagArticle({
+      title: 'Black pepper prices surge at Kochi auction',
+      summary: 'Exporters stepped up purchases; cardamom steady.'
+    })).toEqual({ category: 'market_prices', spiceTypes: ['Black Pepper', 'Cardamom'], impact: 'high', sentiment: 'positive' });
+
+    expect(tagArticle({ title: 'Heavy monsoon rain raises disease worries for growers' }))
+      .toEqual({ category: 'weather', spiceTypes: [], impact: 'medium', sentiment: 'negative' });
+  });
+
+  test('policy wins over the other categories, and nothing matched is general', () => {
+    expect(tagArticle({ title: 'Ministry announces export scheme for turmeric' }).category).toBe('government_policy');
+    expect(tagArticle({ title: 'Spice festival opens in Kochi' })).toMatchObject({ category: 'general', impact: 'low', sentiment: 'neutral' });
+  });
+
+  test('keywords match from the start of a word', () => {
+    expect(tagArticle({ title: 'Moderate interest from buyers' }).category).toBe('general');
+    expect(tagArticle({ title: 'Exporters book ginger' }).category).toBe('export_news');
+  });
+});
+
+describe('de-duplication helpers', () => {
+  test('the same story under tracking parameters or www has one URL', () => {
+    expect(normaliseUrl(' https://WWW.Example.com/story/?utm_source=x&id=4#top ')).toBe('https://example.com/story?id=4');
+    expect(normaliseUrl('not a url')).toBe('not a url');
+  });
+
+  test('re-worded headlines score as similar, different stories do not', () => {
+    const a = titleTokens('Black pepper prices surge at Kochi auction');
+    expect(titleSimilarity(a, titleTokens('Black Pepper Prices Surge at the Kochi Auction!'))).toBe(1);
+    expect(titleSimilarity(a, titleTokens('Cardamom auction opens in Bodinayakanur'))).toBeLessThan(0.75);
+  });
+});
+
+describe('storeArticles', () => {
+  const publishedAt = new Date('2026-03-10T06:00:00Z');
+
+  test('skips articles whose URL or near-identical title is already stored', async () => {
+    stubEmptyStore();
+    NewsArticle.exists.mockImplementation(async ({ url }) => (url === 'https://example.com/known' ? { _id: 'known' } : null));
+    NewsArticle.find.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ titleTokens: titleTokens('Turmeric futures hit record high on lower acreage') }]) })
+    });
+
+    const summary = await storeArticles([
+      { title: 'Clove harvest steady', url: 'https://www.example.com/known?utm_medium=rss', publishedAt },
+      { title: 'Turmeric futures hit a record high on lower acreage', url: 'https://other.example/t', publishedAt },
+      { title: 'Ginger shipments resume', url: 'https://example.com/ginger', publishedAt },
+      { summary: 'No title, not an article' }
+    ], 'feed');
+
+    expect(summary).toEqual({ inserted: 1, duplicates: 2 });
+    expect(NewsArticle.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Ginger shipments resume',
+      feed: 'feed',
+      source: 'feed',
+      spiceTypes: ['Ginger'],
+      category: 'export_news'
+    }));
+  });
+
+  test('a URL stored by a concurrent run counts as a duplicate', async () => {
+    stubEmptyStore();
+    NewsArticle.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    expect(await storeArticles([{ title: 'Ginger shipments resume', publishedAt }], 'feed')).toEqual({ inserted: 0, duplicates: 1 });
+  });
+
+  test('articles dated in the future are listed as published now', async () => {
+    stubEmptyStore();
+
+    await storeArticles([{ title: 'Ginger shipments resume', publishedAt: new Date(Date.now() + 86400000) }], 'feed');
+
+    expect(NewsArticle.create.mock.calls[0][0].publishedAt.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+});
+
+describe('ingestNews', () => {
+  test('announces news only when something new was stored', async () => {
+    process.env.MOCK_NEWS_API = 'true';
+    stubEmptyStore();
+
+    expect(await ingestNews()).toEqual({ inserted: 6, duplicates: 0, failed: [] });
+    expect(broadcast).toHaveBeenCalledWith('news-update', { message: 'New market news available', articles: 6 });
+
+    broadcast.mockClear();
+    NewsArticle.exists.mockResolvedValue({ _id: 'stored' });
+
+    expect(await ingestNews()).toEqual({ inserted: 0, duplicates: 6, failed: [] });
+    expect(broadcast).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseFeedXml', () => {
+  test('reads RSS items and Atom entries', () => {
+    const rss = '<rss><channel><item><title>Pepper &amp; ginger</title><link>https://example.com/a</link>' +
+      '<description><![CDATA[<p>Prices <b>rise</b></p>]]></description><pubDate>Tue, 10 Mar 2026 06:00:00 GMT</pubDate></item></channel></rss>';
+    const atom = '<feed><entry><title>Clove outlook</title><link href="https://example.com/b"/><summary>Steady</summary></entry></feed>';
+
+    expect(parseFeedXml(rss, 'Trade')).toEqual([{
+      title: 'Pepper & ginger',
+      summary: 'Prices rise',
+      content: 'Prices rise',
+      url: 'https://example.com/a',
+      source: 'Trade',
+      publishedAt: new Date('2026-03-10T06:00:00Z')
+    }]);
+    expect(parseFeedXml(atom, 'Atom')[0]).toMatchObject({ title: 'Clove outlook', url: 'https://example.com/b', summary: 'Steady' });
+  });
+});
+
+describe('buildNewsQuery', () => {
+  test('search ranks by text relevance; listings put pinned stories first', () => {
+    expect(buildNewsQuery({ search: 'pepper auction', spice: 'black pepper' })).toEqual({
+      filter: { isHidden: false, spiceTypes: /^black pepper$/i, $text: { $search: 'pepper auction' } },
+      projection: { score: { $meta: 'textScore' }, titleTokens: 0 },
+      sort: { score: { $meta: 'textScore' }, publishedAt: -1 }
+    });
+    expect(buildNewsQuery({ category: 'weather' }).sort).toEqual({ isPinned: -1, pinnedAt: -1, publishedAt: -1 });
+  });
+
+  test('hidden articles only show in the admin listing', () => {
+    expect(buildNewsQuery({ category: 'all' }).filter).toEqual({ isHidden: false });
+    expect(buildNewsQuery({ includeHidden: true }).filter).toEqual({});
+    expect(buildNewsQuery({ includeHidden: true, hidden: true }).filter).toEqual({ isHidden: true });
+  });
+});
+
+describe('news routes', () => {
+  const stubArticle = (fields = {}) => {
+    const article = new NewsArticle({
+      title: 'Black pepper prices surge at Kochi auction',
+      source: 'Trade',
+      feed: 'fixture',
+      publishedAt: new Date(),
+      ...tagArticle({ title: 'Black pepper prices surge at Kochi auction' }),
+      ...fields
+    });
+    jest.spyOn(article, 'save').mockResolvedValue(article);
+    jest.spyOn(NewsArticle, 'findById').mockResolvedValue(article);
+    return article;
+  };
+
+  test('GET / passes the search to the text index and hides hidden articles', async () => {
+    const chain = { sort: () => chain, skip: () => chain, limit: () => chain, lean: () => Promise.resolve([]) };
+    jest.spyOn(NewsArticle, 'find').mockReturnValue(chain);
+    jest.spyOn(NewsArticle, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/news?search=cardamom&category=weather');
+
+    expect(res.status).toBe(200);
+    expect(NewsArticle.find).toHaveBeenCalledWith(
+      { isHidden: false, category: 'weather', $text: { $search: 'cardamom' } },
+      expect.objectContaining({ score: { $meta: 'textScore' } }));
+  });
+
+  test('PUT re-tags by hand, and those tags survive until reset', async () => {
+    const article = stubArticle();
+
+    await request(app).put(`/api/news/${article._id}`).send({ category: 'export_news', spiceTypes: ['Black Pepper'] });
+    expect(article.category).toBe('export_news');
+    expect(article.tagsEditedAt).toBeInstanceOf(Date);
+    expect(article.editedBy.toString()).toBe('64b000000000000000000009');
+
+    await request(app).put(`/api/news/${article._id}`).send({ resetTags: true });
+    expect(article.category).toBe('market_prices');
+    expect(article.tagsEditedAt).toBeUndefined();
+  });
+
+  test('PUT pins and hides articles', async () => {
+    const article = stubArticle();
+
+    await request(app).put(`/api/news/${article._id}`).send({ isPinned: true, isHidden: true });
+    expect(article).toMatchObject({ isPinned: true, isHidden: true });
+    expect(article.pinnedAt).toBeInstanceOf(Date);
+
+    await request(app).put(`/api/news/${article._id}`).send({ isPinned: false });
+    expect(article.pinnedAt).toBeUndefined();
+  });
+
+  test('PUT refuses unknown tags', async () => {
+    const article = stubArticle();
+
+    expect((await request(app).put(`/api/news/${article._id}`).send({ impact: 'huge' })).status).toBe(400);
+    expect(article.save).not.toHaveBeenCalled();
+  });
+});
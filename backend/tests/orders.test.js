@@ -0,0 +1,183 @@
+jest.mock('../utils/notifications');
+jest.mock('../services/inventory', () => ({
+  ...jest.requireActual('../services/inventory'),
+  reserveFromLot: jest.fn(),
+  reserveSpice: jest.fn(),
+  releaseAllocations: jest.fn(),
+  commitAllocations: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { Order, Spice, InventoryLot } = require('../models');
+const inventory = require('../services/inventory');
+const { TRANSITIONS, SYSTEM_ACTOR, allowedTransitions, transitionOrder, reserveOrderItems, expireUnpaidOrders } = require('../services/orders');
+
+const customerId = new mongoose.Types.ObjectId();
+const customer = { id: customerId.toString(), role: 'customer' };
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+const logistics = { id: new mongoose.Types.ObjectId().toString(), role: 'logistics' };
+
+const makeOrder = (fields = {}) => {
+  const order = new Order({
+    customer: customerId,
+    items: [{ spice: new mongoose.Types.ObjectId(), inventoryLot: new mongoose.Types.ObjectId(), quantity: 2, pricePerUnit: 500, totalPrice: 1000 }],
+    paymentMethod: 'cod',
+    ...fields
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('order transition table', () => {
+  test('delivered and cancelled orders are final', () => {
+    expect(TRANSITIONS.delivered).toEqual({});
+    expect(TRANSITIONS.cancelled).toEqual({});
+  });
+
+  test('lists only the moves the actor may make', () => {
+    const order = makeOrder({ orderStatus: 'placed' });
+    expect(allowedTransitions(order, customer)).toEqual(['cancelled']);
+    expect(allowedTransitions(order, admin)).toEqual(['confirmed', 'cancelled']);
+    expect(allowedTransitions(makeOrder({ orderStatus: 'processing' }), logistics)).toEqual(['shipped']);
+    expect(allowedTransitions(makeOrder({ orderStatus: 'shipped' }), SYSTEM_ACTOR)).toEqual(['delivered', 'processing']);
+  });
+
+  test('rejects moves that are not in the table', async () => {
+    await expect(transitionOrder(makeOrder({ orderStatus: 'placed' }), 'shipped', admin))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('rejects roles the move is not open to', async () => {
+    await expect(transitionOrder(makeOrder({ orderStatus: 'placed' }), 'confirmed', customer))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  test('customers cannot act on someone else\'s order', async () => {
+    const other = { id: new mongoose.Types.ObjectId().toString(), role: 'customer' };
+    await expect(transitionOrder(makeOrder({ orderStatus: 'placed' }), 'cancelled', other))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('online orders are confirmed only once paid', async () => {
+    const order = makeOrder({ orderStatus: 'placed', paymentMethod: 'razorpay', paymentStatus: 'pending' });
+    await expect(transitionOrder(order, 'confirmed', admin)).rejects.toMatchObject({ status: 409 });
+
+    order.paymentStatus = 'paid';
+    await transitionOrder(order, 'confirmed', admin);
+    expect(order.orderStatus).toBe('confirmed');
+    expect(order.timeline[order.timeline.length - 1]).toMatchObject({ status: 'confirmed', actorRole: 'admin' });
+  });
+
+  test('shipping commits reserved stock and cancelling releases it', async () => {
+    const shipped = makeOrder({ orderStatus: 'processing' });
+    await transitionOrder(shipped, 'shipped', logistics);
+    expect(inventory.commitAllocations).toHaveBeenCalledTimes(1);
+    expect(shipped.stockStatus).toBe('committed');
+
+    const cancelled = makeOrder({ orderStatus: 'confirmed' });
+    await transitionOrder(cancelled, 'cancelled', customer, 'Changed my mind');
+    expect(inventory.releaseAllocations).toHaveBeenCalledTimes(1);
+    expect(cancelled.stockStatus).toBe('released');
+  });
+
+  test('cash on delivery is marked paid on delivery', async () => {
+    const order = makeOrder({ orderStatus: 'shipped', stockStatus: 'committed' });
+    await transitionOrder(order, 'delivered', logistics);
+    expect(order.paymentStatus).toBe('paid');
+  });
+});
+
+describe('expireUnpaidOrders', () => {
+  test('cancels lapsed online orders whether the payment is pending or failed', async () => {
+    const pending = makeOrder({ orderStatus: 'placed', paymentMethod: 'razorpay', paymentStatus: 'pending' });
+    const failed = makeOrder({ orderStatus: 'placed', paymentMethod: 'razorpay', paymentStatus: 'failed' });
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([pending, failed]);
+
+    expect(await expireUnpaidOrders()).toBe(2);
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ paymentStatus: { $in: ['pending', 'failed'] }, paymentMethod: { $ne: 'cod' } }));
+    for (const order of [pending, failed]) {
+      expect(order.orderStatus).toBe('cancelled');
+      expect(order.paymentStatus).toBe('failed');
+      expect(order.stockStatus).toBe('released');
+    }
+    expect(inventory.releaseAllocations).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('reserveOrderItems', () => {
+  const zone = { key: 'kerala_local', pincodePrefixes: ['68'], weightSlabs: [{ upToKg: 5, charge: 60 }], isActive: true };
+
+  beforeEach(() => {
+    jest.spyOn(require('../models').ShippingZone, 'find').mockReturnValue({ lean: () => Promise.resolve([zone]) });
+  });
+
+  test('prices catalogue lines from the spice and charges delivery by zone', async () => {
+    const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 });
+    const lot = { _id: new mongoose.Types.ObjectId(), batchCode: 'B1', farmer: new mongoose.Types.ObjectId() };
+    jest.spyOn(Spice, 'findOne').mockResolvedValue(spice);
+    inventory.reserveSpice.mockResolvedValue([{ lot, quantity: 1.5 }]);
+
+    const pricing = await reserveOrderItems([{ spiceId: spice._id, quantity: '1.5' }], '682001');
+
+    expect(inventory.reserveSpice).toHaveBeenCalledWith(spice._id, 1.5);
+    expect(pricing).toMatchObject({ orderTotal: 900, deliveryCharges: 60, finalAmount: 960, shippingZone: 'kerala_local' });
+    expect(pricing.items[0]).toMatchObject({ inventoryLot: lot._id, quantity: 1.5, pricePerUnit: 600, totalPrice: 900 });
+  });
+
+  test('releases everything already held when a later line is short of stock', async () => {
+    const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 });
+    const held = { _id: new mongoose.Types.ObjectId(), batchCode: 'B1' };
+    jest.spyOn(Spice, 'findOne').mockResolvedValue(spice);
+    inventory.reserveSpice.mockResolvedValueOnce([{ lot: held, quantity: 1 }]).mockResolvedValueOnce(null);
+
+    await expect(reserveOrderItems([
+      { spiceId: spice._id, quantity: 1 },
+      { spiceId: spice._id, quantity: 50 }
+    ], '682001')).rejects.toMatchObject({ status: 409 });
+
+    expect(inventory.releaseAllocations).toHaveBeenCalledWith([expect.objectContaining({ inventoryLot: held._id, quantity: 1 })]);
+  });
+
+  test('refuses pincodes no zone delivers to before holding any stock', async () => {
+    await expect(reserveOrderItems([{ spiceId: new mongoose.Types.ObjectId(), quantity: 1 }], '744101'))
+      .rejects.toMatchObject({ status: 400 });
+    expect(inventory.reserveSpice).not.toHaveBeenCalled();
+  });
+
+  test('pack-size lines count packs at the pack price and reserve their weight', async () => {
+    const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600, variants: [{ weightGrams: 250, sku: 'PEP-1-250G', price: 170 }] });
+    const [first, second] = [1, 2].map(n => ({ _id: new mongoose.Types.ObjectId(), batchCode: `B${n}` }));
+    jest.spyOn(Spice, 'findOne').mockResolvedValue(spice);
+    inventory.reserveSpice.mockResolvedValue([{ lot: first, quantity: 0.333 }, { lot: second, quantity: 0.417 }]);
+
+    const pricing = await reserveOrderItems([{ spiceId: spice._id, variantId: spice.variants[0]._id, quantity: 3 }], '682001');
+
+    expect(inventory.reserveSpice).toHaveBeenCalledWith(spice._id, 0.75);
+    expect(pricing.orderTotal).toBe(510);
+    expect(pricing.items[0]).toMatchObject({ variant: spice.variants[0]._id, sku: 'PEP-1-250G', packPrice: 170, pricePerUnit: 680 });
+  });
+
+  test('an unknown pack size is refused before stock is held', async () => {
+    const spice = new Spice({ name: 'Pepper', category: 'pepper', basePrice: 600 });
+    jest.spyOn(Spice, 'findOne').mockResolvedValue(spice);
+
+    await expect(reserveOrderItems([{ spiceId: spice._id, variantId: new mongoose.Types.ObjectId(), quantity: 1 }], '682001'))
+      .rejects.toMatchObject({ status: 404 });
+    expect(inventory.reserveSpice).not.toHaveBeenCalled();
+  });
+
+  test('lot lines are sold at the farmer\'s price', async () => {
+    const lot = { _id: new mongoose.Types.ObjectId(), batchCode: 'F7', farmer: new mongoose.Types.ObjectId(), spice: { _id: new mongoose.Types.ObjectId(), name: 'Cardamom' }, status: 'available', adminApproved: true, pricePerKg: 2400, quantity: 10, reservedQuantity: 0 };
+    jest.spyOn(InventoryLot, 'findById').mockReturnValue({ populate: () => Promise.resolve(lot) });
+    inventory.reserveFromLot.mockResolvedValue(lot);
+
+    const pricing = await reserveOrderItems([{ inventoryId: lot._id, quantity: 0.5 }], '682001');
+    expect(pricing.items[0]).toMatchObject({ pricePerUnit: 2400, totalPrice: 1200 });
+  });
+});
@@ -0,0 +1,150 @@
+process.env.MOCK_PAYMENTS = 'true';
+
+jest.mock('../utils/notifications');
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Order, PaymentEvent, User } = require('../models');
+const { sendNotification } = require('../utils/notifications');
+const { getPaymentGateway, MOCK_KEY_SECRET, MOCK_WEBHOOK_SECRET } = require('../services/paymentGateway');
+const { handleWebhookEvent, markOrderPaid, verifyCheckoutPayment } = require('../services/payments');
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const makeOrder = (fields = {}) => {
+  const order = new Order({
+    customer: new mongoose.Types.ObjectId(),
+    paymentMethod: 'razorpay',
+    orderTotal: 1000,
+    finalAmount: 1040,
+    payment: { gateway: 'mock', gatewayOrderId: 'order_mock1' },
+    ...fields
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+const captured = (paymentId = 'pay_mock1') => ({
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: paymentId, order_id: 'order_mock1' } } }
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('gateway signatures', () => {
+  const gateway = getPaymentGateway();
+
+  test('accepts a webhook body signed with the webhook secret', () => {
+    const body = JSON.stringify(captured());
+    expect(gateway.verifyWebhookSignature(body, sign(MOCK_WEBHOOK_SECRET, body))).toBe(true);
+  });
+
+  test('rejects a tampered body, a wrong secret or a missing signature', () => {
+    const body = JSON.stringify(captured());
+    const signature = sign(MOCK_WEBHOOK_SECRET, body);
+    expect(gateway.verifyWebhookSignature(body.replace('pay_mock1', 'pay_mock2'), signature)).toBe(false);
+    expect(gateway.verifyWebhookSignature(body, sign('another_secret', body))).toBe(false);
+    expect(gateway.verifyWebhookSignature(body, undefined)).toBe(false);
+    expect(gateway.verifyWebhookSignature(undefined, signature)).toBe(false);
+  });
+
+  test('checkout signatures bind the payment to our gateway order', async () => {
+    const signature = sign(MOCK_KEY_SECRET, 'order_mock1|pay_mock1');
+    expect(gateway.verifyPaymentSignature({ orderId: 'order_mock1', paymentId: 'pay_mock1', signature })).toBe(true);
+    expect(gateway.verifyPaymentSignature({ orderId: 'order_mock2', paymentId: 'pay_mock1', signature })).toBe(false);
+
+    await expect(verifyCheckoutPayment({ id: 'someone' }, { orderId: 'order_mock2', paymentId: 'pay_mock1', signature }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  test('ignores events without a handler', async () => {
+    const create = jest.spyOn(PaymentEvent, 'create');
+    expect(await handleWebhookEvent('evt_1', { event: 'order.paid', payload: {} })).toBe('ignored');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('marks the order paid and records the event once', async () => {
+    const order = makeOrder();
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue({});
+    const record = jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    expect(await handleWebhookEvent('evt_1', captured())).toBe('processed');
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.payment.paymentId).toBe('pay_mock1');
+    expect(record).toHaveBeenCalledWith({ eventId: 'evt_1' }, { gatewayOrderId: 'order_mock1', paymentId: 'pay_mock1' });
+  });
+
+  test('a redelivered event is reported as a duplicate and not handled again', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const findOrder = jest.spyOn(Order, 'findOne');
+
+    expect(await handleWebhookEvent('evt_1', captured())).toBe('duplicate');
+    expect(findOrder).not.toHaveBeenCalled();
+  });
+
+  test('forgets the event when handling fails, so the gateway can retry it', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue({});
+    const forget = jest.spyOn(PaymentEvent, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(Order, 'findOne').mockRejectedValue(new Error('connection lost'));
+
+    await expect(handleWebhookEvent('evt_2', captured())).rejects.toThrow('connection lost');
+    expect(forget).toHaveBeenCalledWith({ eventId: 'evt_2' });
+  });
+});
+
+describe('markOrderPaid', () => {
+  test('a repeat capture of the recorded payment changes nothing', async () => {
+    const paidAt = new Date('2026-01-01T10:00:00Z');
+    const order = makeOrder({
+      orderStatus: 'cancelled',
+      paymentStatus: 'refunded',
+      payment: { gateway: 'mock', gatewayOrderId: 'order_mock1', paymentId: 'pay_mock1', paidAt },
+      refunds: [{ amount: 1040, method: 'gateway', status: 'processed' }]
+    });
+
+    await markOrderPaid(order, 'pay_mock1');
+
+    expect(order.save).not.toHaveBeenCalled();
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.payment.paidAt).toEqual(paidAt);
+    expect(order.refunds).toHaveLength(1);
+  });
+
+  test('a second payment for a paid order is flagged, not recorded over the first', async () => {
+    const paidAt = new Date('2026-01-01T10:00:00Z');
+    const order = makeOrder({
+      orderStatus: 'cancelled',
+      paymentStatus: 'refunded',
+      payment: { gateway: 'mock', gatewayOrderId: 'order_mock1', paymentId: 'pay_mock1', paidAt },
+      refunds: [{ amount: 1040, method: 'gateway', status: 'processed' }]
+    });
+
+    await markOrderPaid(order, 'pay_mock2');
+    await markOrderPaid(order, 'pay_mock2');
+
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.payment).toMatchObject({ paymentId: 'pay_mock1', paidAt });
+    expect(order.payment.duplicatePaymentIds).toEqual(['pay_mock2']);
+    expect(order.save).toHaveBeenCalledTimes(1);
+    expect(sendNotification).toHaveBeenCalledTimes(1);
+    expect(sendNotification).toHaveBeenCalledWith('role:admin', expect.stringContaining('pay_mock2'), 'warning');
+  });
+
+  test('money arriving after the order was cancelled is refunded in full', async () => {
+    const order = makeOrder({ orderStatus: 'cancelled', paymentStatus: 'pending' });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    await markOrderPaid(order, 'pay_mock1');
+
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0]).toMatchObject({ amount: 1040, method: 'gateway', status: 'processed' });
+    expect(order.paymentStatus).toBe('refunded');
+  });
+});
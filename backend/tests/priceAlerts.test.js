@@ -0,0 +1,123 @@
+jest.mock('../utils/notifications');
+jest.mock('../services/inventory', () => ({
+  ...jest.requireActual('../services/inventory'),
+  availabilityForFarmer: jest.fn().mockResolvedValue(0)
+}));
+
+const mongoose = require('mongoose');
+const { PriceAlertEvent, PriceObservation, PriceWatch, Spice, User } = require('../models');
+const notifications = require('../utils/notifications');
+const { availabilityForFarmer } = require('../services/inventory');
+const { evaluateWatch, evaluatePriceAlerts } = require('../services/priceAlerts');
+
+const spice = new Spice({ name: 'Cardamom', category: 'cardamom', basePrice: 2200 });
+const observedAt = new Date('2026-03-10T06:00:00Z'); // 11:30 IST
+
+const observation = (price, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), spice: spice._id, market: 'Bodinayakanur', price, observedAt, ...fields });
+
+const makeWatch = (fields) => {
+  const watch = new PriceWatch({ user: new mongoose.Types.ObjectId(), spice, channels: ['socket', 'email'], ...fields });
+  jest.spyOn(watch, 'save').mockResolvedValue(watch);
+  return watch;
+};
+
+// `latest` is the newest stored price, `close` the previous day's close
+const stubPrices = ({ latest, close = null, watches, user }) => {
+  jest.spyOn(PriceObservation, 'findOne').mockImplementation((query) => ({
+    sort: () => ({
+      select: () => ({ lean: () => Promise.resolve(query.observedAt ? close : latest) })
+    })
+  }));
+  jest.spyOn(PriceWatch, 'find').mockReturnValue({ populate: () => Promise.resolve(watches) });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  jest.spyOn(PriceAlertEvent, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(PriceAlertEvent, 'create').mockImplementation(async (fields) => fields);
+};
+
+const buyer = { _id: new mongoose.Types.ObjectId(), name: 'Asha', email: 'asha@example.com', role: 'customer', isActive: true };
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('evaluateWatch', () => {
+  const point = { market: 'Kochi', price: 2100, observedAt };
+
+  test('price levels are keyed by market, moves by market and trading day', () => {
+    expect(evaluateWatch({ condition: 'above', threshold: 2000 }, point)).toEqual({ met: true, key: 'Kochi' });
+    expect(evaluateWatch({ condition: 'below', threshold: 2000 }, point)).toEqual({ met: false, key: 'Kochi' });
+    expect(evaluateWatch({ condition: 'change_pct', threshold: 5 }, point, 2000)).toEqual({ met: true, key: 'Kochi@2026-03-10' });
+    expect(evaluateWatch({ condition: 'change_pct', threshold: 5 }, point, 2050).met).toBe(false);
+  });
+
+  test('a move cannot be judged without a previous close', () => {
+    expect(evaluateWatch({ condition: 'change_pct', threshold: 1 }, point, null).met).toBe(false);
+  });
+});
+
+describe('evaluatePriceAlerts', () => {
+  test('alerts once per channel when a watch first comes true', async () => {
+    const price = observation(2450);
+    const watch = makeWatch({ condition: 'above', threshold: 2400 });
+    stubPrices({ latest: { _id: price._id }, watches: [watch], user: buyer });
+
+    expect(await evaluatePriceAlerts([price])).toBe(1);
+
+    expect(notifications.sendNotification).toHaveBeenCalledTimes(1);
+    expect(notifications.sendNotification).toHaveBeenCalledWith(buyer._id, expect.stringContaining('Cardamom in Bodinayakanur is ₹2450/kg'), 'info');
+    expect(notifications.emitToUser).not.toHaveBeenCalled();
+    expect(notifications.sendEmail).toHaveBeenCalledTimes(1);
+    expect(notifications.sendWhatsAppMessage).not.toHaveBeenCalled();
+    expect(watch.triggeredKeys).toEqual(['Bodinayakanur']);
+    expect(watch.lastTriggeredPrice).toBe(2450);
+  });
+
+  test('stays quiet while the condition keeps holding, and re-arms once it stops', async () => {
+    const watch = makeWatch({ condition: 'above', threshold: 2400, triggeredKeys: ['Bodinayakanur', 'Kumily'] });
+    const high = observation(2500);
+    stubPrices({ latest: { _id: high._id }, watches: [watch], user: buyer });
+
+    expect(await evaluatePriceAlerts([high])).toBe(0);
+    expect(notifications.sendNotification).not.toHaveBeenCalled();
+
+    const low = observation(2300);
+    PriceObservation.findOne.mockImplementation(() => ({ sort: () => ({ select: () => ({ lean: () => Promise.resolve({ _id: low._id }) }) }) }));
+    await evaluatePriceAlerts([low]);
+    expect(watch.triggeredKeys).toEqual(['Kumily']);
+  });
+
+  test('backfilled prices older than the stored latest are ignored', async () => {
+    const watch = makeWatch({ condition: 'above', threshold: 2400 });
+    stubPrices({ latest: { _id: new mongoose.Types.ObjectId() }, watches: [watch], user: buyer });
+
+    expect(await evaluatePriceAlerts([observation(2600)])).toBe(0);
+    expect(PriceWatch.find).not.toHaveBeenCalled();
+  });
+
+  test('moves are measured against the previous close, and farmers hear what they hold', async () => {
+    const farmer = { ...buyer, role: 'farmer' };
+    const price = observation(2200);
+    const watch = makeWatch({ condition: 'change_pct', threshold: 5, channels: ['whatsapp'] });
+    stubPrices({ latest: { _id: price._id }, close: { price: 2000 }, watches: [watch], user: { ...farmer, phone: '+919800000002' } });
+    availabilityForFarmer.mockResolvedValueOnce(40);
+
+    await evaluatePriceAlerts([price]);
+
+    expect(notifications.sendWhatsAppMessage).toHaveBeenCalledWith('+919800000002',
+      expect.stringMatching(/moved \+10% to ₹2200\/kg \(previous close ₹2000\)\. You have 40 kg available to sell/));
+    expect(notifications.sendNotification).not.toHaveBeenCalled();
+  });
+
+  test('past the hourly limit the alert is recorded but not delivered', async () => {
+    const price = observation(2450);
+    stubPrices({ latest: { _id: price._id }, watches: [makeWatch({ condition: 'above', threshold: 2400 })], user: buyer });
+    PriceAlertEvent.countDocuments.mockResolvedValue(5);
+
+    await evaluatePriceAlerts([price]);
+
+    expect(PriceAlertEvent.create).toHaveBeenCalledWith(expect.objectContaining({ delivered: false, suppressedReason: 'rate_limited' }));
+    expect(notifications.sendNotification).not.toHaveBeenCalled();
+    expect(notifications.sendEmail).not.toHaveBeenCalled();
+  });
+});
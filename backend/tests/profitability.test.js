@@ -0,0 +1,132 @@
+const farmerId = '64b000000000000000000001';
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '64b000000000000000000001', role: 'farmer' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { HarvestPlan, InventoryLot, Order } = require('../models');
+const { farmerEarnings, profitabilityReport } = require('../services/profitability');
+const harvestCalendarRoutes = require('../routes/harvestCalendar');
+
+const id = () => new mongoose.Types.ObjectId();
+const farmer = new mongoose.Types.ObjectId(farmerId);
+const pepper = { _id: id(), name: 'Pepper', category: 'pepper' };
+
+const line = (fields) => ({ _id: id(), farmer, spice: pepper._id, status: 'active', ...fields });
+
+const stubData = ({ plans = [], lots = [], orders = [] }) => {
+  jest.spyOn(HarvestPlan, 'find').mockReturnValue({ populate: () => ({ sort: () => ({ lean: () => Promise.resolve(plans) }) }) });
+  jest.spyOn(InventoryLot, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(lots) }) });
+  jest.spyOn(Order, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(orders) }) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('farmerEarnings', () => {
+  test('counts only the farmer\'s live lines, net of the refunds that fell on them', async () => {
+    const mine = line({ quantity: 1, totalPrice: 600 });
+    const alsoMine = line({ quantity: 1, totalPrice: 400 });
+    const cancelled = line({ quantity: 1, totalPrice: 300, status: 'cancelled' });
+    const theirs = line({ farmer: id(), quantity: 1, totalPrice: 500 });
+    stubData({
+      orders: [{
+        items: [mine, alsoMine, cancelled, theirs],
+        finalAmount: 1560,
+        refunds: [
+          { amount: 100, items: [mine._id], status: 'processed' },
+          { amount: 156, items: [], status: 'processed' },
+          { amount: 400, items: [alsoMine._id], status: 'failed' }
+        ]
+      }]
+    });
+
+    // 600 - 100 - 156 * 600/1560 = 440, and 400 - 156 * 400/1560 = 360
+    expect(await farmerEarnings(farmerId)).toBe(800);
+  });
+});
+
+describe('profitabilityReport', () => {
+  const plan = (cropYear, fields) => ({
+    _id: id(),
+    farmer,
+    spice: pepper,
+    cropYear,
+    status: 'harvested',
+    farmArea: 2,
+    expenses: [],
+    ...fields
+  });
+
+  test('charges each plan its expenses against the sales of its lots', async () => {
+    const season = plan('2025-26', {
+      actualYield: 100,
+      expenses: [{ category: 'labour', amount: 20000 }, { category: 'fertilizer', amount: 5000 }, { category: 'labour', amount: 5000 }]
+    });
+    const lot = { _id: id(), harvestPlan: season._id };
+    const oldLot = { _id: id(), harvestPlan: null };
+    stubData({
+      plans: [season],
+      lots: [lot, oldLot],
+      orders: [{ items: [line({ inventoryLot: lot._id, quantity: 60, totalPrice: 42000 }), line({ inventoryLot: oldLot._id, quantity: 5, totalPrice: 3000 })], finalAmount: 45000, refunds: [] }]
+    });
+
+    const report = await profitabilityReport(farmerId);
+
+    expect(report.crops[0]).toMatchObject({
+      expenses: { total: 30000, byCategory: { labour: 25000, fertilizer: 5000 } },
+      revenue: 42000,
+      quantitySold: 60,
+      profit: 12000,
+      costPerKg: 300,
+      marginPerAcre: 6000
+    });
+    expect(report.totals).toEqual({ expenses: 30000, revenue: 42000, profit: 12000 });
+    expect(report.unattributedSales).toEqual({ revenue: 3000, quantitySold: 5 });
+  });
+
+  test('a single crop year is still compared with the season before it', async () => {
+    const last = plan('2024-25', { actualYield: 50, expenses: [{ category: 'labour', amount: 20000 }] });
+    const current = plan('2025-26', { actualYield: 100, expenses: [{ category: 'labour', amount: 25000 }] });
+    stubData({ plans: [last, current] });
+
+    const report = await profitabilityReport(farmerId, { cropYear: '2025-26' });
+
+    expect(HarvestPlan.find).toHaveBeenCalledWith({ farmer: farmerId, cropYear: { $lte: '2025-26' } });
+    expect(report.crops.map(crop => crop.cropYear)).toEqual(['2025-26']);
+    expect(report.seasons).toHaveLength(1);
+    expect(report.seasons[0].previousSeason).toEqual({ cropYear: '2024-25', profitChange: -5000, costPerKgChange: -150 });
+    expect(report.unattributedSales).toBeUndefined();
+  });
+});
+
+describe('GET /api/harvest-calendar/reports/profitability', () => {
+  const app = express();
+  app.use('/api/harvest-calendar', harvestCalendarRoutes);
+
+  test('passes a crop year through to the report', async () => {
+    stubData({});
+
+    const res = await request(app).get('/api/harvest-calendar/reports/profitability?cropYear=2025-26');
+
+    expect(res.status).toBe(200);
+    expect(HarvestPlan.find).toHaveBeenCalledWith({ farmer: farmerId, cropYear: { $lte: '2025-26' } });
+  });
+
+  test('refuses crop years that are not a season like 2024-25', async () => {
+    stubData({});
+
+    for (const cropYear of ['cropYear[$gt]=', 'cropYear=2025', 'cropYear=latest']) {
+      expect((await request(app).get(`/api/harvest-calendar/reports/profitability?${cropYear}`)).status).toBe(400);
+    }
+    expect(HarvestPlan.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,211 @@
+process.env.MOCK_PAYMENTS = 'true';
+
+jest.mock('../utils/notifications');
+jest.mock('../services/inventory', () => ({
+  ...jest.requireActual('../services/inventory'),
+  releaseAllocations: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { Order, ShippingZone, User } = require('../models');
+const { releaseAllocations } = require('../services/inventory');
+const { getPaymentGateway } = require('../services/paymentGateway');
+const { refundOrder, cancelOrderItems, applyGatewayRefund } = require('../services/refunds');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+// Two 1 kg lines in Kerala: ₹600 + ₹500, ₹60 delivery for 1-5 kg, ₹40 up to 1 kg
+const makeOrder = (fields = {}) => {
+  const order = new Order({
+    customer: new mongoose.Types.ObjectId(),
+    items: [
+      { spice: new mongoose.Types.ObjectId(), inventoryLot: new mongoose.Types.ObjectId(), quantity: 1, pricePerUnit: 600, totalPrice: 600 },
+      { spice: new mongoose.Types.ObjectId(), inventoryLot: new mongoose.Types.ObjectId(), quantity: 1, pricePerUnit: 500, totalPrice: 500 }
+    ],
+    orderTotal: 1100,
+    deliveryCharges: 60,
+    finalAmount: 1160,
+    shippingZone: 'kerala_local',
+    orderStatus: 'confirmed',
+    paymentMethod: 'razorpay',
+    payment: { gateway: 'mock', gatewayOrderId: 'order_mock1', paymentId: 'pay_mock1' },
+    ...fields
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+beforeEach(() => {
+  jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({});
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({});
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+  jest.spyOn(ShippingZone, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('refundOrder', () => {
+  test('refunds everything still refundable by default', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+
+    const refund = await refundOrder(order, { reason: 'Damaged', actor: admin });
+
+    expect(refund).toMatchObject({ amount: 1160, method: 'gateway', status: 'processed' });
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.refundableAmount()).toBe(0);
+  });
+
+  test('partial refunds leave the order partially refunded', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+
+    await refundOrder(order, { amount: 100, actor: admin });
+
+    expect(order.paymentStatus).toBe('partially_refunded');
+    expect(order.refundableAmount()).toBe(1060);
+  });
+
+  test('never refunds more than was paid, or anything on an unpaid order', async () => {
+    await expect(refundOrder(makeOrder({ paymentStatus: 'paid' }), { amount: 1160.01, actor: admin }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(refundOrder(makeOrder({ paymentStatus: 'pending' }), { actor: admin }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('claims the amount on the stored order before any money moves', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+
+    await refundOrder(order, { amount: 100, actor: admin });
+
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: order._id, paymentStatus: { $in: ['paid', 'partially_refunded'] } }),
+      { $inc: { refundedTotal: 100 } }
+    );
+  });
+
+  test('a refund that no longer fits after a concurrent one is refused without paying out', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+    Order.findOneAndUpdate.mockResolvedValue(null);
+    const gatewayRefund = jest.spyOn(getPaymentGateway(), 'refund');
+
+    await expect(refundOrder(order, { actor: admin })).rejects.toMatchObject({ status: 409 });
+
+    expect(gatewayRefund).not.toHaveBeenCalled();
+    expect(order.refunds).toHaveLength(0);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('gives the claim back when the gateway refuses the refund', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+    jest.spyOn(getPaymentGateway(), 'refund').mockRejectedValue(new Error('gateway down'));
+
+    await expect(refundOrder(order, { amount: 100, actor: admin })).rejects.toThrow('gateway down');
+
+    expect(Order.updateOne).toHaveBeenCalledWith({ _id: order._id }, { $inc: { refundedTotal: -100 } });
+    expect(order.refunds).toHaveLength(0);
+  });
+
+  test('cash on delivery refunds need the payout reference', async () => {
+    const order = makeOrder({ paymentMethod: 'cod', paymentStatus: 'paid' });
+
+    await expect(refundOrder(order, { amount: 100, actor: admin })).rejects.toMatchObject({ status: 400 });
+
+    const refund = await refundOrder(order, { amount: 100, reference: 'UPI-123', actor: admin });
+    expect(refund).toMatchObject({ method: 'manual', status: 'processed', reference: 'UPI-123' });
+  });
+});
+
+describe('cancelOrderItems', () => {
+  test('unpaid orders owe less, with delivery re-quoted for the lighter parcel', async () => {
+    const order = makeOrder({ paymentStatus: 'pending' });
+    const [first] = order.items;
+
+    await cancelOrderItems(order, [first._id.toString()], admin, 'Out of stock');
+
+    expect(first.status).toBe('cancelled');
+    expect(releaseAllocations).toHaveBeenCalledWith([first]);
+    expect(order.orderTotal).toBe(500);
+    expect(order.deliveryCharges).toBe(40);
+    expect(order.finalAmount).toBe(540);
+    expect(order.payment.gatewayOrderId).toBeUndefined();
+    expect(order.refunds).toHaveLength(0);
+  });
+
+  test('keeps the charged delivery when the order\'s zone no longer exists', async () => {
+    const order = makeOrder({ paymentStatus: 'pending', shippingZone: 'retired_zone' });
+
+    await cancelOrderItems(order, [order.items[0]._id.toString()], admin);
+
+    expect(order.deliveryCharges).toBe(60);
+    expect(order.finalAmount).toBe(560);
+  });
+
+  test('paid orders get the cancelled lines refunded', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+    const [, second] = order.items;
+
+    await cancelOrderItems(order, [second._id.toString()], admin);
+
+    expect(releaseAllocations).toHaveBeenCalledWith([second]);
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0]).toMatchObject({ amount: 500, status: 'processed' });
+    expect(order.refunds[0].items.map(String)).toEqual([second._id.toString()]);
+    expect(order.paymentStatus).toBe('partially_refunded');
+  });
+
+  test('refuses lines that are unknown or already cancelled', async () => {
+    const order = makeOrder({ paymentStatus: 'pending' });
+    order.items[0].status = 'cancelled';
+
+    await expect(cancelOrderItems(order, [order.items[0]._id.toString()], admin))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(cancelOrderItems(order, [new mongoose.Types.ObjectId().toString()], admin))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('lines cannot be cancelled once the order has shipped', async () => {
+    const order = makeOrder({ paymentStatus: 'paid', orderStatus: 'shipped' });
+
+    await expect(cancelOrderItems(order, [order.items[0]._id.toString()], admin))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('cancelling every remaining line cancels and refunds the whole order', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+
+    await cancelOrderItems(order, order.items.map(item => item._id.toString()), admin, 'Customer request');
+
+    expect(order.orderStatus).toBe('cancelled');
+    expect(order.stockStatus).toBe('released');
+    expect(order.paymentStatus).toBe('refunded');
+  });
+});
+
+describe('applyGatewayRefund', () => {
+  const refundEntity = (id, amount) => ({ id, amount: amount * 100, payment_id: 'pay_mock1' });
+
+  test('a failed refund gives its amount back to what can be refunded', async () => {
+    const order = makeOrder({ paymentStatus: 'refunded', refunds: [{ amount: 1160, method: 'gateway', status: 'pending', gatewayRefundId: 'rfnd_1' }] });
+
+    await applyGatewayRefund(order, refundEntity('rfnd_1', 1160), 'failed');
+
+    expect(Order.updateOne).toHaveBeenCalledWith({ _id: order._id }, { $inc: { refundedTotal: -1160 } });
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.refundableAmount()).toBe(1160);
+  });
+
+  test('refunds issued from the gateway dashboard are recorded and counted', async () => {
+    const order = makeOrder({ paymentStatus: 'paid' });
+
+    await applyGatewayRefund(order, refundEntity('rfnd_9', 160), 'processed');
+    await applyGatewayRefund(order, refundEntity('rfnd_9', 160), 'processed');
+
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0]).toMatchObject({ amount: 160, status: 'processed', gatewayRefundId: 'rfnd_9' });
+    expect(Order.updateOne).toHaveBeenCalledTimes(1);
+    expect(Order.updateOne).toHaveBeenCalledWith({ _id: order._id }, { $inc: { refundedTotal: 160 } });
+    expect(order.paymentStatus).toBe('partially_refunded');
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../utils/notifications');
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+let mockUser;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Order, Review, Spice, User } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { sendNotification } = require('../utils/notifications');
+const { ratingSummary, pendingReviews, createReview, moderateReview, reportReview } = require('../services/reviews');
+const reviewRoutes = require('../routes/reviews');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', reviewRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const customer = { id: id().toString(), role: 'customer', name: 'Asha' };
+const admin = { id: id().toString(), role: 'admin', name: 'Admin' };
+const spiceId = id();
+const farmerId = id();
+
+const deliveredOrder = (fields = {}) => {
+  const order = new Order({
+    customer: customer.id,
+    orderNumber: 'ORD-1001',
+    orderStatus: 'delivered',
+    items: [
+      { spice: spiceId, farmer: farmerId, quantity: 2, price: 650, batchCode: 'PEP-24-001' },
+      { spice: spiceId, farmer: farmerId, quantity: 1, price: 650, status: 'cancelled' }
+    ],
+    ...fields
+  });
+  jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+  return order;
+};
+
+const makeReview = (fields = {}) => {
+  const review = new Review({
+    customer: customer.id,
+    order: id(),
+    orderItem: id(),
+    spice: spiceId,
+    farmer: farmerId,
+    rating: 2,
+    text: 'Damp pods',
+    ...fields
+  });
+  jest.spyOn(review, 'save').mockResolvedValue(review);
+  jest.spyOn(Review, 'findById').mockResolvedValue(review);
+  return review;
+};
+
+// Rating refreshes read the published reviews and write the averages back
+const stubRatings = (ratings = []) => {
+  jest.spyOn(Review, 'aggregate').mockResolvedValue(ratings.length > 0
+    ? [{ average: ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, count: ratings.length, ratings }]
+    : []);
+  jest.spyOn(Spice, 'updateOne').mockResolvedValue({});
+  jest.spyOn(User, 'updateOne').mockResolvedValue({});
+};
+
+beforeEach(() => {
+  mockUser = customer;
+});
+
+afterEach(() => {
+  delete process.env.REVIEW_AUTO_HIDE_REPORTS;
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('ratingSummary', () => {
+  test('averages published reviews to one decimal with a star breakdown', async () => {
+    stubRatings([5, 4, 4]);
+
+    expect(await ratingSummary('spice', spiceId)).toEqual({ average: 4.3, count: 3, distribution: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 } });
+    expect(Review.aggregate.mock.calls[0][0][0]).toEqual({ $match: { spice: spiceId, status: 'published' } });
+  });
+
+  test('nothing reviewed yet is a zero rating', async () => {
+    stubRatings();
+
+    expect(await ratingSummary('farmer', farmerId)).toMatchObject({ average: 0, count: 0 });
+  });
+});
+
+describe('createReview', () => {
+  beforeEach(() => {
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    jest.spyOn(Review, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  test('reviews a delivered line, refreshes both ratings and tells the farmer', async () => {
+    const order = deliveredOrder();
+    stubRatings([4]);
+
+    const review = await createReview(customer, { orderId: order._id, itemId: order.items[0]._id, rating: 4, text: 'Bold and fresh' });
+
+    expect(review).toMatchObject({ spice: spiceId, farmer: farmerId, batchCode: 'PEP-24-001', rating: 4 });
+    expect(Order.findOne).toHaveBeenCalledWith({ _id: order._id, customer: customer.id });
+    expect(Spice.updateOne).toHaveBeenCalledWith({ _id: spiceId }, { rating: { average: 4, count: 1 } });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: farmerId }, { rating: { average: 4, count: 1 } });
+    expect(sendNotification).toHaveBeenCalledWith(farmerId, 'New 4★ review on your produce from order ORD-1001', 'info');
+  });
+
+  test('only delivered, uncancelled lines can be reviewed, once', async () => {
+    const shipped = deliveredOrder({ orderStatus: 'shipped' });
+    await expect(createReview(customer, { orderId: shipped._id, itemId: shipped.items[0]._id, rating: 5 })).rejects.toMatchObject({ status: 409 });
+
+    const order = deliveredOrder();
+    await expect(createReview(customer, { orderId: order._id, itemId: order.items[1]._id, rating: 5 })).rejects.toMatchObject({ status: 409 });
+
+    Review.exists.mockResolvedValue({ _id: 'earlier' });
+    await expect(createReview(customer, { orderId: order._id, itemId: order.items[0]._id, rating: 5 })).rejects.toMatchObject({ status: 409 });
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+
+  test('someone else\'s order is not found', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+
+    await expect(createReview(customer, { orderId: id(), itemId: id(), rating: 5 })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('pendingReviews', () => {
+  test('lists delivered lines not yet reviewed, skipping cancelled ones', async () => {
+    const order = deliveredOrder().toObject();
+    const chain = { select: () => chain, populate: () => chain, sort: () => chain, lean: () => Promise.resolve([order]) };
+    jest.spyOn(Order, 'find').mockReturnValue(chain);
+    jest.spyOn(Review, 'find').mockReturnValue({ distinct: () => Promise.resolve([]) });
+
+    expect(await pendingReviews(customer.id)).toEqual([expect.objectContaining({ item: order.items[0]._id, orderNumber: 'ORD-1001' })]);
+
+    Review.find.mockReturnValue({ distinct: () => Promise.resolve([order.items[0]._id]) });
+    expect(await pendingReviews(customer.id)).toEqual([]);
+  });
+});
+
+describe('moderation', () => {
+  test('enough reports hide a review and take it out of the ratings', async () => {
+    process.env.REVIEW_AUTO_HIDE_REPORTS = '2';
+    const review = makeReview({ reports: [{ user: id(), reason: 'abusive' }] });
+    stubRatings();
+
+    await reportReview(review, { id: id().toString() }, 'spam');
+
+    expect(review.status).toBe('hidden');
+    expect(review.moderation.reason).toBe('Hidden automatically after 2 reports');
+    expect(Spice.updateOne).toHaveBeenCalledWith({ _id: spiceId }, { rating: { average: 0, count: 0 } });
+    expect(sendNotification).toHaveBeenCalledWith('role:admin', expect.stringContaining('hidden after 2 reports'), 'warning');
+  });
+
+  test('nobody reports their own review or the same review twice', async () => {
+    const reporter = { id: id().toString() };
+    const review = makeReview({ reports: [{ user: reporter.id }] });
+
+    await expect(reportReview(review, customer)).rejects.toMatchObject({ status: 400 });
+    await expect(reportReview(review, reporter)).rejects.toMatchObject({ status: 409 });
+    expect(review.save).not.toHaveBeenCalled();
+  });
+
+  test('publishing again clears the reports; hiding by hand tells the author', async () => {
+    const review = makeReview({ status: 'hidden', reports: [{ user: id() }] });
+    stubRatings([2]);
+
+    await moderateReview(review, 'publish', 'Fair criticism', admin);
+    expect(review.status).toBe('published');
+    expect(review.reports).toHaveLength(0);
+    expect(sendNotification).not.toHaveBeenCalled();
+
+    await moderateReview(review, 'hide', 'Personal abuse', admin);
+    expect(sendNotification).toHaveBeenCalledWith(review.customer, 'Your review was hidden by a moderator: Personal abuse', 'warning');
+  });
+});
+
+describe('review routes', () => {
+  test('POST refuses ratings outside 1 to 5 stars', async () => {
+    const res = await request(app).post('/api/reviews').send({ orderId: id().toString(), itemId: id().toString(), rating: 6 });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('only the author edits a review, and admins may delete any', async () => {
+    const review = makeReview();
+    const deleteOne = jest.spyOn(review, 'deleteOne').mockResolvedValue(review);
+    stubRatings();
+    mockUser = { id: id().toString(), role: 'customer' };
+
+    expect((await request(app).put(`/api/reviews/${review._id}`).send({ rating: 5 })).status).toBe(403);
+    expect((await request(app).delete(`/api/reviews/${review._id}`)).status).toBe(403);
+
+    mockUser = admin;
+    expect((await request(app).delete(`/api/reviews/${review._id}`)).status).toBe(200);
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('customers cannot moderate', async () => {
+    const review = makeReview();
+
+    expect((await request(app).put(`/api/reviews/${review._id}/moderation`).send({ action: 'hide' })).status).toBe(403);
+    expect(review.status).toBe('published');
+  });
+});
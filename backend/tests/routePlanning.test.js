@@ -0,0 +1,193 @@
+jest.mock('../utils/notifications');
+jest.mock('../services/orders', () => ({
+  ...jest.requireActual('../services/orders'),
+  transitionOrder: jest.fn(async (order, status) => {
+    order.orderStatus = status;
+    return order;
+  })
+}));
+jest.mock('../services/delivery', () => ({
+  ...jest.requireActual('../services/delivery'),
+  issueDeliveryOtp: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { DeliveryRoute, InventoryLot, Order, User, Vehicle } = require('../models');
+const { sendNotification } = require('../utils/notifications');
+const { transitionOrder } = require('../services/orders');
+const { issueDeliveryOtp } = require('../services/delivery');
+const { locatePincode, locateWarehouse, distanceKm } = require('../services/geo');
+const { pickupPlan, planRoutes, assignRoute } = require('../services/routePlanning');
+
+const logistics = { id: new mongoose.Types.ObjectId().toString(), role: 'logistics' };
+
+// A ready order for `pincode` with one line of `kg` per warehouse given
+const readyOrder = (pincode, lines, fields = {}) => {
+  const order = new Order({
+    customer: new mongoose.Types.ObjectId(),
+    orderStatus: 'processing',
+    deliveryAddress: { name: 'Asha', address: '1 Main Road', city: 'Kochi', state: 'Kerala', pincode },
+    items: lines.map(([warehouse, kg]) => ({
+      spice: new mongoose.Types.ObjectId(),
+      inventoryLot: new InventoryLot({ location: { warehouse } }),
+      quantity: kg,
+      pricePerUnit: 600,
+      totalPrice: 600 * kg
+    })),
+    ...fields
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+const van = (warehouse, capacityKg, fields = {}) => new Vehicle({ registration: `KL-07-${capacityKg}`, capacityKg, warehouse, ...fields });
+
+// Ready orders, active vehicles per warehouse and no routes planned yet
+const stubPlanning = (orders, vehicles) => {
+  jest.spyOn(DeliveryRoute, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(DeliveryRoute, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+  jest.spyOn(Order, 'find').mockReturnValue({ populate: () => ({ sort: () => Promise.resolve(orders) }) });
+  jest.spyOn(Vehicle, 'find').mockImplementation(({ warehouse }) => ({
+    sort: () => Promise.resolve(vehicles.filter(vehicle => vehicle.warehouse === warehouse).sort((a, b) => b.capacityKg - a.capacityKg))
+  }));
+  jest.spyOn(DeliveryRoute, 'insertMany').mockImplementation(async (routes) => routes);
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('pickupPlan', () => {
+  test('picks up where most of the order is held and transfers the rest in', () => {
+    const order = readyOrder('682001', [['Idukki Warehouse', 5], ['Central Warehouse', 20], ['Idukki Warehouse', 2]]);
+
+    expect(pickupPlan(order)).toEqual({
+      warehouse: 'Central Warehouse',
+      weightKg: 27,
+      transfers: [{ order: order._id, fromWarehouse: 'Idukki Warehouse', weightKg: 7 }]
+    });
+  });
+});
+
+describe('planRoutes', () => {
+  test('groups orders by pickup warehouse, with one stop per delivery pincode', async () => {
+    const kochi = [readyOrder('682001', [['Central Warehouse', 10]]), readyOrder('682001', [['Central Warehouse', 5]])];
+    const kumily = readyOrder('685509', [['Idukki Warehouse', 8]]);
+    stubPlanning([...kochi, kumily], [van('Central Warehouse', 500), van('Idukki Warehouse', 300)]);
+
+    const { routes, unassigned } = await planRoutes({ actor: logistics });
+
+    expect(unassigned).toEqual([]);
+    expect(routes.map(route => [route.warehouse, route.stops.map(stop => [stop.pincode, stop.orders.length, stop.weightKg])])).toEqual([
+      ['Central Warehouse', [['682001', 2, 15]]],
+      ['Idukki Warehouse', [['685509', 1, 8]]]
+    ]);
+    expect(DeliveryRoute.deleteMany).toHaveBeenCalledWith({ status: 'planned' });
+  });
+
+  test('orders the stops into the shortest round trip', async () => {
+    const pincodes = ['680001', '682001', '683101', '686001'];
+    stubPlanning(pincodes.map(pincode => readyOrder(pincode, [['Central Warehouse', 10]])), [van('Central Warehouse', 500)]);
+
+    const [route] = (await planRoutes()).routes;
+
+    const origin = locateWarehouse('Central Warehouse');
+    const length = (order) => order.reduce((sum, pincode, i) =>
+      sum + distanceKm(i === 0 ? origin : locatePincode(order[i - 1]), locatePincode(pincode)), 0) +
+      distanceKm(locatePincode(order[order.length - 1]), origin);
+    const permutations = (list) => (list.length <= 1 ? [list]
+      : list.flatMap((item, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest])));
+    const shortest = Math.min(...permutations(pincodes).map(length));
+
+    expect(route.stops.map(stop => stop.sequence)).toEqual([1, 2, 3, 4]);
+    expect(route.totalDistanceKm).toBeCloseTo(shortest, 0);
+  });
+
+  test('fills vehicles up to capacity and says why the rest were left out', async () => {
+    const orders = {
+      nearest: readyOrder('683101', [['Central Warehouse', 60]]),
+      waits: readyOrder('682001', [['Central Warehouse', 60]]),
+      heavy: readyOrder('680001', [['Central Warehouse', 150]]),
+      nowhere: readyOrder('999999', [['Central Warehouse', 1]]),
+      wayanad: readyOrder('673121', [['Wayanad Warehouse', 5]])
+    };
+    stubPlanning(Object.values(orders), [van('Central Warehouse', 100)]);
+
+    const { routes, unassigned } = await planRoutes();
+
+    expect(routes).toHaveLength(1);
+    expect(routes[0].stops[0].orders).toEqual([orders.nearest._id]);
+    expect(Object.fromEntries(unassigned.map(entry => [entry.order.toString(), entry.reason]))).toEqual({
+      [orders.waits._id]: 'capacity',
+      [orders.heavy._id]: 'over_capacity',
+      [orders.nowhere._id]: 'unknown_pincode',
+      [orders.wayanad._id]: 'no_vehicle'
+    });
+  });
+
+  test('replanning one warehouse leaves orders on the other plans alone', async () => {
+    const order = readyOrder('682001', [['Central Warehouse', 10]]);
+    stubPlanning([order], [van('Central Warehouse', 500)]);
+    DeliveryRoute.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve([{ stops: [{ orders: [order._id] }] }]) }) });
+
+    expect(await planRoutes({ warehouse: 'Central Warehouse' })).toEqual({ routes: [], unassigned: [] });
+    expect(DeliveryRoute.deleteMany).toHaveBeenCalledWith({ status: 'planned', warehouse: 'Central Warehouse' });
+  });
+});
+
+describe('assignRoute', () => {
+  const driver = { _id: new mongoose.Types.ObjectId(), name: 'Ravi' };
+
+  const plannedRoute = (orders) => {
+    const route = new DeliveryRoute({
+      warehouse: 'Central Warehouse',
+      vehicle: new mongoose.Types.ObjectId(),
+      totalWeightKg: 40,
+      stops: [{ sequence: 1, pincode: '682001', orders: orders.map(order => order._id), weightKg: 40 }]
+    });
+    jest.spyOn(route, 'save').mockResolvedValue(route);
+    jest.spyOn(Order, 'find').mockResolvedValue(orders);
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(driver) });
+    jest.spyOn(DeliveryRoute, 'exists').mockResolvedValue(null);
+    return route;
+  };
+
+  test('ships every order with the route code and tells the driver', async () => {
+    const orders = [readyOrder('682001', [['Central Warehouse', 40]])];
+    const route = plannedRoute(orders);
+
+    await assignRoute(route, { driverId: driver._id.toString() }, logistics);
+
+    expect(transitionOrder).toHaveBeenCalledWith(orders[0], 'shipped', logistics, `Dispatched on route ${route.routeCode}`);
+    expect(orders[0].deliveryRoute).toEqual(route._id);
+    expect(issueDeliveryOtp).toHaveBeenCalledWith(orders[0]);
+    expect(route).toMatchObject({ status: 'assigned', driver: driver._id });
+    expect(sendNotification).toHaveBeenCalledWith(driver._id, expect.stringContaining(`Route ${route.routeCode} assigned: 1 stops, 40 kg`), 'info');
+  });
+
+  test('refuses a driver already out, a vehicle too small, or orders no longer ready', async () => {
+    const orders = [readyOrder('682001', [['Central Warehouse', 40]])];
+    const route = plannedRoute(orders);
+
+    DeliveryRoute.exists.mockResolvedValueOnce({ _id: 'other' });
+    await expect(assignRoute(route, { driverId: driver._id.toString() }, logistics)).rejects.toMatchObject({ status: 409 });
+
+    jest.spyOn(Vehicle, 'findOne').mockResolvedValue(van('Central Warehouse', 25));
+    await expect(assignRoute(route, { driverId: driver._id.toString(), vehicleId: new mongoose.Types.ObjectId().toString() }, logistics))
+      .rejects.toMatchObject({ status: 409, details: expect.objectContaining({ capacityKg: 25, totalWeightKg: 40 }) });
+
+    orders[0].orderStatus = 'cancelled';
+    await expect(assignRoute(route, { driverId: driver._id.toString() }, logistics)).rejects.toMatchObject({ status: 409 });
+
+    expect(transitionOrder).not.toHaveBeenCalled();
+    expect(route.status).toBe('planned');
+  });
+
+  test('only planned routes can be assigned', async () => {
+    const route = plannedRoute([]);
+    route.status = 'assigned';
+
+    await expect(assignRoute(route, { driverId: driver._id.toString() }, logistics)).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../services/inventory', () => ({
+  ...jest.requireActual('../services/inventory'),
+  availabilityBySpice: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { HarvestPlan, NewsArticle, Spice, User } = require('../models');
+const { availabilityBySpice } = require('../services/inventory');
+const { scoreFields, suggestQuery, search } = require('../services/search');
+const searchRoutes = require('../routes/search');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', searchRoutes);
+
+const id = () => new mongoose.Types.ObjectId();
+
+const catalogue = [
+  { _id: id(), name: 'Cardamom', category: 'cardamom', origin: 'Idukki, Kerala', qualityGrade: 'Premium', description: 'Green pods' },
+  { _id: id(), name: 'Black Pepper', category: 'pepper', origin: 'Wayanad, Kerala', qualityGrade: 'Grade A', description: 'Bold berries' },
+  { _id: id(), name: 'White Pepper', category: 'pepper', origin: 'Idukki, Kerala', qualityGrade: 'Premium', description: 'Skinned berries' },
+  { _id: id(), name: 'Turmeric', category: 'turmeric', origin: 'Erode, Tamil Nadu', qualityGrade: 'Grade A', description: 'Salem finger' }
+];
+
+const meera = { _id: id(), name: 'Meera Thomas' };
+
+// Query chain whose every step returns itself and which resolves to `value`
+const chainOf = (value) => {
+  const chain = {};
+  ['select', 'limit', 'populate', 'sort', 'skip'].forEach(step => { chain[step] = () => chain; });
+  chain.lean = () => Promise.resolve(value);
+  return chain;
+};
+
+// Everything the search reads: the catalogue, one farmer growing cardamom
+// in Idukki, and a news store with `newsTotal` matches for any query
+const stubStores = ({ newsTotal = 0 } = {}) => {
+  jest.spyOn(Spice, 'find').mockReturnValue(chainOf(catalogue));
+  availabilityBySpice.mockResolvedValue(new Map([[catalogue[0]._id.toString(), { availableQuantity: 120, farmers: 1 }]]));
+  jest.spyOn(HarvestPlan, 'find').mockImplementation((filter) => chainOf(filter.farmer
+    ? [{ farmer: meera._id, spice: { name: 'Cardamom' }, location: { farmName: 'Green Valley Estate', district: 'Idukki' } }]
+    : [{ farmer: meera._id }]));
+  jest.spyOn(User, 'find').mockReturnValue(chainOf([meera]));
+  jest.spyOn(HarvestPlan, 'distinct').mockResolvedValue(['Idukki']);
+  jest.spyOn(HarvestPlan, 'aggregate').mockResolvedValue([{ _id: 'Idukki', villages: ['Kumily'], spices: [catalogue[0]._id], farmers: [meera._id] }]);
+  jest.spyOn(NewsArticle, 'countDocuments').mockResolvedValue(newsTotal);
+  jest.spyOn(NewsArticle, 'find').mockReturnValue(chainOf([]));
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('scoreFields', () => {
+  const fields = [{ text: 'Black Pepper', weight: 3 }, { text: 'Bold berries from Wayanad', weight: 0.5 }];
+
+  test('ranks exact over prefix over typo, weighted by field', () => {
+    const exact = scoreFields(['pepper'], fields);
+    const prefix = scoreFields(['pep'], fields);
+    const typo = scoreFields(['peper'], fields);
+
+    expect(exact).toBe(3);
+    expect(prefix).toBeGreaterThan(typo);
+    expect(typo).toBeGreaterThan(scoreFields(['wayanad'], fields));
+  });
+
+  test('every word must match, and a whole phrase scores extra', () => {
+    expect(scoreFields(['black', 'saffron'], fields)).toBe(0);
+    expect(scoreFields(['black', 'pepper'], fields)).toBe(7);
+  });
+
+  test('short words get no typo tolerance', () => {
+    expect(scoreFields(['pap'], fields)).toBe(0);
+  });
+});
+
+describe('suggestQuery', () => {
+  test('corrects misspelled words to the closest known one', () => {
+    const vocabulary = new Set(['cardamom', 'pepper', 'idukki']);
+
+    expect(suggestQuery(['cardamon', 'idukki'], vocabulary)).toBe('cardamom idukki');
+    expect(suggestQuery(['pepper'], vocabulary)).toBeNull();
+    expect(suggestQuery(['saffron'], vocabulary)).toBeNull();
+  });
+});
+
+describe('search', () => {
+  test('finds spices through a typo, with the farmer and region growing them', async () => {
+    stubStores();
+
+    const { suggestion, results, totals } = await search('cardamon');
+
+    expect(suggestion).toBe('cardamom');
+    expect(results.spices.map(spice => spice.name)).toEqual(['Cardamom']);
+    expect(results.spices[0]).toMatchObject({ availableQuantity: 120, farmerCount: 1, inStock: true });
+    expect(results.farmers).toEqual([expect.objectContaining({
+      name: 'Meera Thomas',
+      farmNames: ['Green Valley Estate'],
+      districts: ['Idukki'],
+      spices: ['Cardamom']
+    })]);
+    expect(results.regions).toEqual([expect.objectContaining({ district: 'Idukki', state: 'Kerala', villages: ['Kumily'], farmerCount: 1 })]);
+    expect(totals).toMatchObject({ spices: 1, farmers: 1, regions: 1, news: 0 });
+  });
+
+  test('farmer results never include contact details', async () => {
+    stubStores();
+
+    const { results } = await search('meera', { types: ['farmers'] });
+
+    expect(Object.keys(results.farmers[0]).sort()).toEqual(['_id', 'districts', 'farmNames', 'name', 'score', 'spices']);
+  });
+
+  test('facets count every match, while filters narrow only the list', async () => {
+    stubStores();
+
+    const { results, totals, facets } = await search('kerala', { types: ['spices'], filters: { qualityGrade: 'premium' } });
+
+    expect(facets.qualityGrade).toEqual([{ value: 'Premium', count: 2 }, { value: 'Grade A', count: 1 }]);
+    expect(facets.category[0]).toEqual({ value: 'pepper', count: 2 });
+    expect(results.spices.map(spice => spice.name).sort()).toEqual(['Cardamom', 'White Pepper']);
+    expect(totals).toEqual({ spices: 2 });
+    expect(results.news).toBeUndefined();
+  });
+
+  test('news retries with the suggestion when the query as typed finds nothing', async () => {
+    stubStores();
+    NewsArticle.countDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(3);
+
+    const { totals } = await search('cardamon', { types: ['news'] });
+
+    expect(totals.news).toBe(3);
+    expect(NewsArticle.countDocuments).toHaveBeenLastCalledWith(expect.objectContaining({ $text: { $search: 'cardamom' } }));
+  });
+
+  test('each result set is paged on its own', async () => {
+    stubStores();
+
+    const { results, totals } = await search('pepper', { types: ['spices'], skip: 1, limit: 1 });
+
+    expect(totals.spices).toBe(2);
+    expect(results.spices).toHaveLength(1);
+  });
+});
+
+describe('GET /api/search', () => {
+  test('returns the requested types with pagination per type', async () => {
+    stubStores();
+
+    const res = await request(app).get('/api/search?q=pepper&type=spices,regions&limit=1');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.pagination).sort()).toEqual(['regions', 'spices']);
+    expect(res.body.spices).toHaveLength(1);
+    expect(res.body.farmers).toBeUndefined();
+  });
+
+  test('refuses unknown types and an empty query', async () => {
+    expect((await request(app).get('/api/search?q=pepper&type=spices,recipes')).status).toBe(400);
+    expect((await request(app).get('/api/search?q=')).status).toBe(400);
+  });
+});
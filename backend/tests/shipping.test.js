@@ -0,0 +1,63 @@
+const { DEFAULT_SHIPPING_ZONES, findZone, chargeFor } = require('../services/shipping');
+
+const zone = {
+  key: 'test',
+  pincodePrefixes: ['68'],
+  weightSlabs: [{ upToKg: 5, charge: 80 }, { upToKg: 1, charge: 40 }],
+  extraPerKg: 15,
+  freeShippingAbove: 2000,
+  isActive: true
+};
+
+describe('chargeFor', () => {
+  test('uses the lightest slab the parcel fits, whatever order slabs are listed in', () => {
+    expect(chargeFor(zone, 0.5, 100)).toBe(40);
+    expect(chargeFor(zone, 1, 100)).toBe(40);
+    expect(chargeFor(zone, 1.2, 100)).toBe(80);
+  });
+
+  test('adds extraPerKg for every started kg above the heaviest slab', () => {
+    expect(chargeFor(zone, 5.1, 100)).toBe(95);
+    expect(chargeFor(zone, 7, 100)).toBe(110);
+  });
+
+  test('is free once the order value reaches freeShippingAbove', () => {
+    expect(chargeFor(zone, 12, 2000)).toBe(0);
+    expect(chargeFor(zone, 12, 1999.99)).toBe(185);
+  });
+
+  test('never ships free without freeShippingAbove', () => {
+    expect(chargeFor({ ...zone, freeShippingAbove: undefined }, 1, 1000000)).toBe(40);
+  });
+});
+
+describe('findZone', () => {
+  const zones = [
+    { key: 'state', pincodePrefixes: ['6'], excludedPrefixes: ['695'], weightSlabs: [], isActive: true },
+    { key: 'city', pincodePrefixes: ['682'], weightSlabs: [], isActive: true },
+    { key: 'closed', pincodePrefixes: ['6830'], weightSlabs: [], isActive: false }
+  ];
+
+  test('picks the zone with the longest matching prefix', () => {
+    expect(findZone(zones, '682001').key).toBe('city');
+    expect(findZone(zones, '641001').key).toBe('state');
+  });
+
+  test('returns null when no zone covers the pincode', () => {
+    expect(findZone(zones, '110001')).toBeNull();
+  });
+
+  test('a more specific exclusion wins over the match', () => {
+    expect(findZone(zones, '695001')).toBeNull();
+  });
+
+  test('a switched off zone does not fall back to a broader one', () => {
+    expect(findZone(zones, '683001')).toBeNull();
+  });
+
+  test('the built-in zones cover Kerala, South India and the rest of India', () => {
+    expect(findZone(DEFAULT_SHIPPING_ZONES, '682001').key).toBe('kerala_local');
+    expect(findZone(DEFAULT_SHIPPING_ZONES, '600001').key).toBe('south_india');
+    expect(findZone(DEFAULT_SHIPPING_ZONES, '110001').key).toBe('rest_of_india');
+  });
+});
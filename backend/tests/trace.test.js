@@ -0,0 +1,82 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { InventoryLot, Order } = require('../models');
+const { ApiError } = require('../utils/errors');
+const traceRoutes = require('../routes/trace');
+
+const app = express();
+app.use('/api/trace', traceRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+const lot = (fields = {}) => new InventoryLot({
+  batchCode: 'F10-PEP-001',
+  spice: new mongoose.Types.ObjectId(),
+  farmer: new mongoose.Types.ObjectId(),
+  quantity: 10,
+  pricePerKg: 600,
+  adminApproved: true,
+  provenance: { farmName: 'Hill Estate', district: 'Idukki', cropYear: '2025-26' },
+  ...fields
+});
+
+// findOne(...).populate(...).populate(...).populate(...)
+const stubLot = (found) => {
+  const chain = { populate: jest.fn(() => chain), then: (resolve, reject) => Promise.resolve(found).then(resolve, reject) };
+  jest.spyOn(InventoryLot, 'findOne').mockReturnValue(chain);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/trace/:batchCode', () => {
+  test('shows the farm and harvest of an approved batch', async () => {
+    stubLot(lot());
+
+    const res = await request(app).get('/api/trace/f10-pep-001');
+
+    expect(res.status).toBe(200);
+    expect(InventoryLot.findOne).toHaveBeenCalledWith({ batchCode: 'F10-PEP-001' });
+    expect(res.body.farm).toMatchObject({ farmName: 'Hill Estate', district: 'Idukki' });
+    expect(res.body.harvest.cropYear).toBe('2025-26');
+    expect(res.body.delivery).toBeUndefined();
+  });
+
+  test('batches awaiting approval are not found', async () => {
+    stubLot(lot({ adminApproved: false }));
+
+    expect((await request(app).get('/api/trace/F10-PEP-001')).status).toBe(404);
+  });
+
+  test('adds the journey of an order that contains the batch, without who bought it', async () => {
+    const found = lot();
+    stubLot(found);
+    const order = new Order({ customer: new mongoose.Types.ObjectId(), orderNumber: 'F10-1001', orderStatus: 'shipped' });
+    order.timeline.push({ status: 'placed' }, { status: 'shipped', note: 'Handed to Kochi hub' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const res = await request(app).get('/api/trace/F10-PEP-001?order=F10-1001');
+
+    expect(Order.findOne).toHaveBeenCalledWith({ orderNumber: 'F10-1001', 'items.inventoryLot': found._id });
+    expect(res.body.delivery).toEqual({
+      orderNumber: 'F10-1001',
+      status: 'shipped',
+      timeline: [expect.objectContaining({ status: 'placed' }), expect.objectContaining({ status: 'shipped' })]
+    });
+    expect(res.body.delivery.timeline[1].note).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toContain(order.customer.toString());
+  });
+
+  test('refuses an order filter that is not plain text', async () => {
+    stubLot(lot());
+    const findOrder = jest.spyOn(Order, 'findOne');
+
+    const res = await request(app).get('/api/trace/F10-PEP-001?order[$ne]=x');
+
+    expect(res.status).toBe(400);
+    expect(findOrder).not.toHaveBeenCalled();
+  });
+});
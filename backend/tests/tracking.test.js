@@ -0,0 +1,173 @@
+jest.mock('../utils/notifications');
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { DeliveryRoute, Order } = require('../models');
+const { ApiError } = require('../utils/errors');
+const { emitToUser, getSocketServer } = require('../utils/notifications');
+const { locatePincode, locateWarehouse, distanceKm } = require('../services/geo');
+const { normalisePing, recordLocation } = require('../services/tracking');
+const orderRoutes = require('../routes/orders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRoutes);
+app.use((error, req, res, next) => {
+  res.status(error instanceof ApiError ? error.status : 500).json({ error: error.message });
+});
+
+const MINUTE_MS = 60 * 1000;
+const driverId = new mongoose.Types.ObjectId();
+const warehouse = locateWarehouse('Central Warehouse');
+const aluva = locatePincode('683101');
+const fortKochi = locatePincode('682001');
+const customer = new mongoose.Types.ObjectId();
+const orderIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+// Central Warehouse -> Aluva -> Fort Kochi -> back, assigned to the driver
+const assignedRoute = (fields = {}) => {
+  const route = new DeliveryRoute({
+    warehouse: 'Central Warehouse',
+    vehicle: new mongoose.Types.ObjectId(),
+    driver: driverId,
+    status: 'assigned',
+    stops: [
+      { sequence: 1, pincode: '683101', location: { lat: aluva.lat, lng: aluva.lng }, orders: [orderIds[0]] },
+      { sequence: 2, pincode: '682001', location: { lat: fortKochi.lat, lng: fortKochi.lng }, orders: [orderIds[1]] }
+    ],
+    totalDistanceKm: distanceKm(warehouse, aluva) + distanceKm(aluva, fortKochi) + distanceKm(fortKochi, warehouse),
+    ...fields
+  });
+  jest.spyOn(route, 'save').mockResolvedValue(route);
+  jest.spyOn(DeliveryRoute, 'findOne').mockResolvedValue(route);
+  jest.spyOn(Order, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve([{ _id: orderIds[1], customer, orderNumber: 'ORD-2002' }]) })
+  });
+  return route;
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE_MS);
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('normalisePing', () => {
+  test('accepts coordinates as numbers or strings and drops junk extras', () => {
+    const recordedAt = minutesAgo(1);
+
+    expect(normalisePing({ lat: '9.93', lng: 76.26, speedKmh: 'fast', recordedAt: recordedAt.toISOString() }))
+      .toEqual({ lat: 9.93, lng: 76.26, speedKmh: undefined, heading: undefined, accuracy: undefined, recordedAt });
+  });
+
+  test('refuses impossible coordinates and stale or future times', () => {
+    expect(() => normalisePing({ lat: 91, lng: 76 })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => normalisePing({ lat: 9.9 })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => normalisePing({ lat: 9.9, lng: 76.2, recordedAt: minutesAgo(61) })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => normalisePing({ lat: 9.9, lng: 76.2, recordedAt: minutesAgo(-5) })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('recordLocation', () => {
+  test('the first ping starts the route and dates every stop', async () => {
+    const route = assignedRoute();
+    const recordedAt = minutesAgo(1);
+
+    await recordLocation(driverId, { lat: warehouse.lat, lng: warehouse.lng, recordedAt });
+
+    expect(route).toMatchObject({ status: 'in_progress', startedAt: recordedAt, progress: 0 });
+    const firstLeg = distanceKm(warehouse, aluva) / 30 * 60;
+    const secondLeg = distanceKm(aluva, fortKochi) / 30 * 60;
+    expect((route.stops[0].eta - recordedAt) / MINUTE_MS).toBeCloseTo(firstLeg, 5);
+    expect((route.stops[1].eta - recordedAt) / MINUTE_MS).toBeCloseTo(firstLeg + 10 + secondLeg, 5);
+    expect(DeliveryRoute.findOne).toHaveBeenCalledWith({ driver: driverId, status: { $in: ['assigned', 'in_progress'] } });
+  });
+
+  test('reaching a stop records the arrival, moves progress on and pushes the ETA to customers still waiting', async () => {
+    const route = assignedRoute({ status: 'in_progress' });
+    const io = { to: jest.fn(() => io), emit: jest.fn() };
+    getSocketServer.mockReturnValue(io);
+    const arrivedAt = minutesAgo(1);
+
+    await recordLocation(driverId, { lat: aluva.lat, lng: aluva.lng, recordedAt: arrivedAt });
+
+    expect(route.stops[0].arrivedAt).toEqual(arrivedAt);
+    expect(route.stops[0].eta).toEqual(arrivedAt);
+    expect(route.progress).toBeGreaterThan(0);
+    expect(io.to).toHaveBeenCalledWith('role:logistics');
+    expect(io.emit).toHaveBeenCalledWith('route-location', expect.objectContaining({ routeCode: route.routeCode, progress: route.progress }));
+    expect(emitToUser).toHaveBeenCalledWith(customer, 'order-tracking', expect.objectContaining({
+      orderNumber: 'ORD-2002',
+      stopsBefore: 1,
+      eta: route.stops[1].eta,
+      location: { lat: aluva.lat, lng: aluva.lng, recordedAt: arrivedAt }
+    }));
+  });
+
+  test('pings older than the last one are ignored', async () => {
+    const route = assignedRoute({ status: 'in_progress', lastLocation: { lat: aluva.lat, lng: aluva.lng, recordedAt: minutesAgo(2) } });
+
+    const { ignored } = await recordLocation(driverId, { lat: warehouse.lat, lng: warehouse.lng, recordedAt: minutesAgo(3) });
+
+    expect(ignored).toBe(true);
+    expect(route.save).not.toHaveBeenCalled();
+    expect(route.track).toHaveLength(0);
+  });
+
+  test('drivers without a route cannot send locations', async () => {
+    jest.spyOn(DeliveryRoute, 'findOne').mockResolvedValue(null);
+
+    await expect(recordLocation(driverId, { lat: 9.9, lng: 76.2 })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('GET /api/orders/:orderNumber/track', () => {
+  const stubOrder = (order) => jest.spyOn(Order, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(order) }) });
+
+  test('shows status changes and the live shipment, and nothing about the customer', async () => {
+    const route = assignedRoute({ status: 'in_progress', progress: 40, lastLocation: { lat: aluva.lat, lng: aluva.lng, recordedAt: minutesAgo(1) } });
+    route.stops[1].eta = new Date(Date.now() + 30 * MINUTE_MS);
+    jest.spyOn(DeliveryRoute, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(route.toObject()) }) });
+    stubOrder({
+      _id: orderIds[1],
+      orderNumber: 'ORD-2002',
+      orderStatus: 'shipped',
+      createdAt: minutesAgo(600),
+      deliveryAddress: { city: 'Kochi', pincode: '682001' },
+      deliveryRoute: route._id,
+      timeline: [
+        { status: 'placed', timestamp: minutesAgo(600), notes: 'Order placed successfully' },
+        { status: 'note', timestamp: minutesAgo(300), notes: 'Customer asked to leave it with Mr. Varghese' },
+        { status: 'shipped', timestamp: minutesAgo(60), notes: `Dispatched on route ${route.routeCode}` }
+      ]
+    });
+
+    const res = await request(app).get('/api/orders/ORD-2002/track');
+
+    expect(res.status).toBe(200);
+    expect(res.body.destination).toEqual({ city: 'Kochi', pincode: '682001' });
+    expect(res.body.timeline.map(entry => entry.status)).toEqual(['placed', 'shipped']);
+    expect(JSON.stringify(res.body)).not.toContain('Varghese');
+    expect(res.body.shipment).toMatchObject({
+      routeCode: route.routeCode,
+      stopsBefore: 1,
+      progress: 40,
+      eta: route.stops[1].eta.toISOString(),
+      location: { lat: aluva.lat, lng: aluva.lng }
+    });
+  });
+
+  test('orders not yet dispatched have no shipment', async () => {
+    stubOrder({ orderNumber: 'ORD-2003', orderStatus: 'processing', timeline: [] });
+
+    expect((await request(app).get('/api/orders/ORD-2003/track')).body.shipment).toBeNull();
+  });
+
+  test('unknown order numbers are a 404', async () => {
+    stubOrder(null);
+
+    expect((await request(app).get('/api/orders/ORD-404/track')).status).toBe(404);
+  });
+});
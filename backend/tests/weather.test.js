@@ -0,0 +1,153 @@
+process.env.MOCK_WEATHER_API = 'true';
+process.env.SUPPORTED_DISTRICTS = 'Idukki';
+
+jest.mock('../utils/notifications');
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { HarvestPlan, User, WeatherObservation } = require('../models');
+const { sendNotification, sendWhatsAppMessage } = require('../utils/notifications');
+const { setFixture } = require('../services/weatherProvider');
+const { evaluatePlanAlerts, ingestWeather } = require('../services/weather');
+const weatherRoutes = require('../routes/weather');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+const inDays = (days, hours = 0) => new Date(today().getTime() + days * DAY_MS + hours * 60 * 60 * 1000);
+
+const dry = { minTemp: 22, maxTemp: 30, conditions: 'Sunny', rainProbability: 10, rainfall: 0, windSpeed: 10 };
+const downpour = { minTemp: 20, maxTemp: 25, conditions: 'Heavy rain', rainProbability: 95, rainfall: 80, windSpeed: 20 };
+
+const makePlan = (stages) => {
+  const plan = new HarvestPlan({
+    farmer: new mongoose.Types.ObjectId(),
+    spice: new mongoose.Types.ObjectId(),
+    cropYear: '2026-27',
+    location: { district: 'Idukki' },
+    status: 'growing',
+    cropStages: stages
+  });
+  jest.spyOn(plan, 'save').mockResolvedValue(plan);
+  return plan;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('evaluatePlanAlerts', () => {
+  const forecast = [dry, dry, downpour, dry, dry].map((day, index) => ({ ...day, date: inDays(index) }));
+
+  test('heavy rain within 48 hours of a harvest raises one high alert for the first wet day', () => {
+    const plan = makePlan([{ stage: 'Harvest', activityType: 'harvesting', plannedDate: inDays(4, 10) }]);
+
+    const alerts = evaluatePlanAlerts(plan, [...forecast, { ...downpour, date: inDays(5) }]);
+
+    expect(alerts).toEqual([expect.objectContaining({ alertType: 'heavy_rain', severity: 'high', stage: plan.cropStages[0]._id, forecastDate: inDays(2) })]);
+  });
+
+  test('stages outside the window, already done, past or of another activity are left alone', () => {
+    const plan = makePlan([
+      { stage: 'Harvest', activityType: 'harvesting', plannedDate: inDays(6, 1) },
+      { stage: 'Second picking', plannedDate: inDays(2), completed: true },
+      { stage: 'Drying', activityType: 'post_harvest', plannedDate: inDays(-1) },
+      { stage: 'Pruning', activityType: 'pruning', plannedDate: inDays(2) }
+    ]);
+
+    expect(evaluatePlanAlerts(plan, forecast)).toEqual([]);
+  });
+
+  test('stages without an activity type are matched by name', () => {
+    const plan = makePlan([{ stage: 'Pepper picking round 1', plannedDate: inDays(1) }]);
+
+    expect(evaluatePlanAlerts(plan, forecast).map(alert => alert.alertType)).toEqual(['heavy_rain']);
+  });
+});
+
+describe('ingestWeather', () => {
+  afterEach(() => {
+    setFixture('Idukki', [dry, dry, dry, dry, dry]);
+  });
+
+  test('stores the district forecast and alerts farmers with plans in the rain', async () => {
+    setFixture('Idukki', [dry, downpour, dry, dry, dry]);
+    const plan = makePlan([{ stage: 'Harvest', activityType: 'harvesting', plannedDate: inDays(2) }]);
+    const create = jest.spyOn(WeatherObservation, 'create').mockResolvedValue({});
+    jest.spyOn(HarvestPlan, 'find').mockReturnValue({ populate: () => Promise.resolve([plan]) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ phone: '+919800000001' }) });
+
+    const summary = await ingestWeather();
+
+    expect(summary).toEqual({ provider: 'fixture', districts: 1, alertsRaised: 1, failed: [] });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      location: expect.objectContaining({ district: 'Idukki' }),
+      alerts: [expect.stringContaining('Heavy rain expected')]
+    }));
+    expect(plan.weatherAlerts).toHaveLength(1);
+    expect(sendNotification).toHaveBeenCalledWith(plan.farmer, expect.stringContaining('Heavy rain'), 'warning');
+    expect(sendWhatsAppMessage).toHaveBeenCalledWith('+919800000001', expect.any(String));
+  });
+
+  test('an alert already on the plan is not raised again', async () => {
+    setFixture('Idukki', [dry, downpour, dry, dry, dry]);
+    const plan = makePlan([{ stage: 'Harvest', activityType: 'harvesting', plannedDate: inDays(2) }]);
+    plan.weatherAlerts.push({ alertType: 'heavy_rain', stage: plan.cropStages[0]._id, forecastDate: inDays(1) });
+    jest.spyOn(WeatherObservation, 'create').mockResolvedValue({});
+    jest.spyOn(HarvestPlan, 'find').mockReturnValue({ populate: () => Promise.resolve([plan]) });
+
+    expect((await ingestWeather()).alertsRaised).toBe(0);
+    expect(plan.save).not.toHaveBeenCalled();
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  test('a district that fails is reported without stopping the run', async () => {
+    jest.spyOn(WeatherObservation, 'create').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await ingestWeather()).toMatchObject({ districts: 0, failed: ['Idukki'] });
+  });
+});
+
+describe('GET /api/weather', () => {
+  const app = express();
+  app.use('/api/weather', weatherRoutes);
+
+  const observation = () => ({
+    location: { district: 'Idukki' },
+    forecast: [-1, 0, 1, 2, 3, 4].map(offset => ({ ...dry, date: inDays(offset) }))
+  });
+  const forecastDays = (res) => res.body[0].forecast.map(day => Math.round((new Date(day.date) - today()) / DAY_MS));
+
+  test('returns the forecast from today up to tomorrow by default', async () => {
+    jest.spyOn(WeatherObservation, 'aggregate').mockResolvedValue([observation()]);
+
+    const res = await request(app).get('/api/weather');
+
+    expect(res.status).toBe(200);
+    expect(forecastDays(res)).toEqual([0, 1]);
+  });
+
+  test('?days= widens the window, and ?district= narrows the lookup', async () => {
+    const aggregate = jest.spyOn(WeatherObservation, 'aggregate').mockResolvedValue([observation()]);
+
+    const res = await request(app).get('/api/weather?district=Idukki&days=3');
+
+    expect(forecastDays(res)).toEqual([0, 1, 2, 3]);
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { 'location.district': 'Idukki' } });
+  });
+
+  test('refuses a window outside 1 to 30 days', async () => {
+    const aggregate = jest.spyOn(WeatherObservation, 'aggregate');
+
+    expect((await request(app).get('/api/weather?days=0')).status).toBe(400);
+    expect((await request(app).get('/api/weather?days=31')).status).toBe(400);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
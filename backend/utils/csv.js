@@ -0,0 +1,55 @@
+// Minimal CSV reader for admin uploads (RFC 4180 quoting, comma separated)
+
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// Returns one object per data row keyed by the lower-cased header names,
+// plus the 1-based file line of each row for error messages.
+const parseCsv = (text) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) return [];
+
+  const headers = parseLine(lines[headerIndex]).map(header => header.toLowerCase());
+  const rows = [];
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    const values = parseLine(lines[i]);
+    const row = { line: i + 1 };
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index] : '';
+    });
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,14 @@
+// API error type
+// Thrown from services so routes can pass it straight to next(); the global
+// error handler turns it into a JSON response with the given status code.
+
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { ApiError };
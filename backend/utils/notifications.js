@@ -0,0 +1,62 @@
+// Notification helpers (Socket.IO, WhatsApp, Email)
+
+let io = null;
+
+// server.js hands over the Socket.IO server once it is created so route
+// modules can push notifications without importing the server.
+const setSocketServer = (socketServer) => {
+  io = socketServer;
+};
+
+const getSocketServer = () => io;
+
+const sendNotification = async (userId, message, type = 'info') => {
+  if (!io) return;
+  io.to(userId.toString()).emit('notification', { message, type, timestamp: new Date() });
+};
+
+// Rooms are named after user ids (joined on an authenticated socket connection)
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userId.toString()).emit(event, payload);
+};
+
+// Public feeds (prices, news) go to every connected socket
+const broadcast = (event, payload) => {
+  if (!io) return;
+  io.emit(event, payload);
+};
+
+const sendWhatsAppMessage = async (phone, message) => {
+  try {
+    if (process.env.MOCK_SMS === 'true' || !process.env.TWILIO_SID) {
+      console.log(`📱 WhatsApp (Mock): ${phone} - ${message}`);
+      return;
+    }
+    // Real Twilio implementation would go here
+  } catch (error) {
+    console.error('WhatsApp send error:', error);
+  }
+};
+
+const sendEmail = async (to, subject, html) => {
+  try {
+    if (process.env.MOCK_EMAIL === 'true' || !process.env.EMAIL_USER) {
+      console.log(`📧 Email (Mock): ${to} - ${subject}`);
+      return;
+    }
+    // Real email implementation would go here
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+};
+
+module.exports = {
+  setSocketServer,
+  getSocketServer,
+  sendNotification,
+  emitToUser,
+  broadcast,
+  sendWhatsAppMessage,
+  sendEmail
+};
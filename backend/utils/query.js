@@ -0,0 +1,18 @@
+// Query helpers shared by list endpoints
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Normalises ?page=&limit= into skip/limit with a hard upper bound
+const parsePagination = (query, defaultLimit = 20, maxLimit = 100) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationMeta = (page, limit, total) => ({
+  current: page,
+  pages: Math.ceil(total / limit),
+  total
+});
+
+module.exports = { escapeRegex, parsePagination, paginationMeta };